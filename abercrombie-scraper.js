@@ -4,13 +4,15 @@ require('dotenv').config()
 const fs = require('fs')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 const path = require('path')
 
 // Import helper functions and database
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const {
   calculateDiscount,
   extractSize,
@@ -19,6 +21,7 @@ const {
   cleanAndTruncate,
   getDomainName,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Helper function to process a single product
 const processProduct = async (
@@ -204,25 +207,20 @@ async function saveStoreEntry(storeData, productIds) {
 
     if (existingStore) {
       console.log('Store already exists, updating with new products...')
-      // Add new product IDs to existing store (avoid duplicates)
-      const existingProductIds = existingStore.products.map((id) =>
-        id.toString()
+      // Link the new products to the existing store
+      const newProductCount = await linkStoreProducts(
+        existingStore._id,
+        productIds
       )
-      const newProductIds = productIds.filter(
-        (id) => !existingProductIds.includes(id.toString())
-      )
-
-      existingStore.products.push(...newProductIds)
       existingStore.isScrapped = true
       existingStore.updatedAt = new Date()
 
       await existingStore.save()
-      console.log(`✅ Updated store with ${newProductIds.length} new products`)
+      console.log(`✅ Updated store with ${newProductCount} new products`)
       return { operation: 'UPDATED', store: existingStore }
     } else {
       // Create new store entry
       const newStore = new Store({
-        products: productIds,
         name: storeData.name || 'Abercrombie & Fitch',
         storeTemplate: 'abercrombie-template',
         storeType: 'abercrombie',
@@ -237,6 +235,7 @@ async function saveStoreEntry(storeData, productIds) {
       })
 
       await newStore.save()
+      await linkStoreProducts(newStore._id, productIds)
       console.log(`✅ Created new store with ${productIds.length} products`)
       return { operation: 'CREATED', store: newStore }
     }
@@ -452,38 +451,20 @@ async function generateCombinedFiles(products, storeData) {
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'Abercrombie & Fitch',
       domain: 'abercrombie.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: formattedProducts.length,
       categories: ['Men', 'Women'],
       crawled_at: new Date().toISOString(),
     },
-    products: formattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    formattedProducts
+  )
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
 
   // Create or update store entry with all product IDs
   console.log('\n📦 Creating/updating store entry...')
@@ -653,7 +634,7 @@ async function scrapeAbercrombieProducts() {
 }
 
 // Export the main function for use in other modules
-const main = async () => {
+const crawlAbercrombie = async () => {
   try {
     const results = await scrapeAbercrombieProducts()
 
@@ -699,6 +680,11 @@ const main = async () => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'abercrombie', source: 'abercrombie-scraper' },
+  crawlAbercrombie
+)
+
 // Run the scraper
 if (require.main === module) {
   main()
@@ -0,0 +1,39 @@
+const { defineAdapter } = require('../utils/retailerAdapter')
+const {
+  fetchEverlaneListing,
+  getEverlaneProductDetails,
+  formatEverlaneProduct,
+} = require('../everlane-crawler')
+
+// Constructor.io collections listed by the crawl
+const EVERLANE_CATEGORIES = [
+  {
+    name: 'Womens All',
+    gender: 'Women',
+    apiUrl: 'https://ac.cnstrc.com/browse/collection_id/womens-all',
+  },
+]
+
+module.exports = defineAdapter({
+  name: 'everlane',
+  store: {
+    name: 'Everlane',
+    domain: 'everlane.com',
+    storeType: 'everlane',
+    storeUrl: 'https://www.everlane.com',
+    returnPolicy:
+      'https://support.everlane.com/what-is-your-return-policy-H1fMnra0s',
+    tags: ['men', 'women', 'fashion', 'clothing'],
+  },
+
+  listCategories: async () => EVERLANE_CATEGORIES,
+
+  listProducts: (category) => fetchEverlaneListing(category.apiUrl),
+
+  fetchDetails: (item) =>
+    getEverlaneProductDetails(item.data.product_data.permalink),
+
+  mapToCatalogProduct: (item, details) => formatEverlaneProduct(item, details),
+
+  getProductKey: (item) => String(item.data.product_data.id),
+})
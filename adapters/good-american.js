@@ -0,0 +1,38 @@
+const { defineAdapter } = require('../utils/retailerAdapter')
+const {
+  fetchGoodAmericanListing,
+  getGoodAmericanProductDetails,
+  formatGoodAmericanProduct,
+} = require('../good-american-crawler')
+
+// Searchspring lists the clothing collection only
+const GOOD_AMERICAN_CATEGORIES = [
+  {
+    name: 'Clothing',
+    gender: 'Women',
+    apiUrl: 'https://www.goodamerican.com/en-US/api/searchspring',
+  },
+]
+
+module.exports = defineAdapter({
+  name: 'good-american',
+  store: {
+    name: 'Good American',
+    domain: 'goodamerican.com',
+    storeType: 'good_american',
+    storeUrl: 'https://www.goodamerican.com',
+    storeTemplate: 'good-american-template',
+    returnPolicy:
+      'https://www.goodamerican.com/pages/returns-info?srsltid=AfmBOopLPZQN2NRiAOPocYzmFnrh0G6Md8RsYQAXDKgia-GUO9KstEtU',
+    tags: ['women', 'fashion', 'clothing'],
+  },
+
+  listCategories: async () => GOOD_AMERICAN_CATEGORIES,
+
+  listProducts: (category) => fetchGoodAmericanListing(category.apiUrl),
+
+  fetchDetails: (item) => getGoodAmericanProductDetails(item.handle),
+
+  mapToCatalogProduct: (item, details) =>
+    formatGoodAmericanProduct(item, details),
+})
@@ -0,0 +1,31 @@
+const { defineAdapter } = require('../utils/retailerAdapter')
+const {
+  scrapeHMCategory,
+  formatHMProduct,
+  HM_CATEGORIES,
+} = require('../hm-scraper')
+
+const TARGET_PRODUCTS_PER_CATEGORY = 500
+
+module.exports = defineAdapter({
+  name: 'hm',
+  store: {
+    name: 'H&M',
+    domain: 'hm.com',
+    storeType: 'hm',
+    storeUrl: 'https://www2.hm.com',
+    returnPolicy: 'https://www2.hm.com/en_us/customer-service/returns.html',
+    tags: ['men', 'women', 'fashion', 'clothing', 'accessories'],
+  },
+
+  listCategories: async () => HM_CATEGORIES,
+
+  listProducts: (category) =>
+    scrapeHMCategory(category, TARGET_PRODUCTS_PER_CATEGORY),
+
+  // The listing payload already carries prices, swatches and sizes
+  fetchDetails: async () => null,
+
+  mapToCatalogProduct: (item, details, category) =>
+    formatHMProduct(item, category.gender, category.name),
+})
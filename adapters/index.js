@@ -0,0 +1,46 @@
+// Registry of retailer adapters runnable through `node catalog.js`
+//
+// Four retailers are on the adapter contract: nike, hm, everlane and
+// good-american. Their scripts (nike-scraper, hm-scraper, everlane-crawler,
+// good-american-crawler) only hold the site-specific fetching and mapping;
+// saving, writing and uploading goes through utils/catalogRunner.js, also
+// when upload-catalogs.js runs them.
+//
+// Every other crawler is still a standalone script that saves, writes and
+// uploads on its own (run through upload-catalogs.js and reCrawlCron.js):
+//   - API crawlers: abercrombie-scraper, adidas-scraper, aritizia-scraper,
+//     bloomingdale-scraper, freepeople-crawler, gap-crawler, jcrew-scraper,
+//     lululemon-crawler, lulus-crawler, macys-scraper, walmart-crawler,
+//     zara-men-products-scraper
+//   - Browser and incremental crawlers: calvinklein, levis-scraper,
+//     madewell-crawler, marshall, myntra-scraper-enhanced,
+//     neimanmarcus-crawler, partstown-scraper, ralphlauren, toryburch
+//   - Shopify stores from a CSV: shopify-crawler-csv
+//   - Every *-recrawler script; `catalog crawl <retailer> --recrawl` only
+//     covers the four retailers above
+const adapters = {
+  nike: () => require('./nike'),
+  hm: () => require('./hm'),
+  everlane: () => require('./everlane'),
+  'good-american': () => require('./good-american'),
+}
+
+/**
+ * Look up a retailer adapter by name
+ * @param {string} name - Retailer key, e.g. "nike"
+ */
+function getAdapter(name) {
+  const loadAdapter = adapters[name]
+  if (!loadAdapter) {
+    throw new Error(
+      `Unknown retailer "${name}". Available: ${listAdapters().join(', ')}`
+    )
+  }
+  return loadAdapter()
+}
+
+function listAdapters() {
+  return Object.keys(adapters)
+}
+
+module.exports = { getAdapter, listAdapters }
@@ -0,0 +1,36 @@
+const { defineAdapter } = require('../utils/retailerAdapter')
+const {
+  scrapeNikeCategory,
+  getProductAvailability,
+  formatNikeProduct,
+  NIKE_CATEGORIES,
+} = require('../nike-scraper')
+
+const TARGET_PRODUCTS_PER_CATEGORY = 1000
+
+module.exports = defineAdapter({
+  name: 'nike',
+  store: {
+    name: 'Nike',
+    domain: 'nike.com',
+    storeType: 'nike',
+    storeUrl: 'https://www.nike.com',
+    returnPolicy: 'https://www.nike.com/help/a/returns-policy',
+    tags: ['men', 'women', 'sports', 'clothing', 'footwear'],
+  },
+
+  listCategories: async () => NIKE_CATEGORIES,
+
+  listProducts: (category) =>
+    scrapeNikeCategory(category, TARGET_PRODUCTS_PER_CATEGORY),
+
+  fetchDetails: (item) => getProductAvailability(item.products[0].groupKey),
+
+  mapToCatalogProduct: (item, availability, category) =>
+    formatNikeProduct(
+      { ...item, gender: item.gender || category.gender },
+      availability
+    ),
+
+  getProductKey: (item) => item.products[0].productCode,
+})
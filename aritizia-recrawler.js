@@ -4,14 +4,29 @@ require('dotenv').config()
 const fs = require('fs')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
 const path = require('path')
 const mongoose = require('mongoose')
 const _ = require('lodash')
+const {
+  compareVariants,
+  compareProducts,
+  determineProductOperationType,
+  tagMissingProduct,
+} = require('./utils/catalogDiff')
+const {
+  processBatchWithOperations,
+  recordMissingProducts,
+} = require('./utils/catalogStore')
+const {
+  linkStoreProducts,
+  streamStoreProducts,
+  countStoreProducts,
+} = require('./utils/storeProducts')
+const { writeCatalog, withoutMongoIds } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 
 // Import helper functions and database
 const { connectDB, disconnectDB } = require('./database/connection')
-const Product = require('./models/Product')
 const Store = require('./models/Store')
 const {
   calculateDiscount,
@@ -22,6 +37,7 @@ const {
   getDomainName,
   retryRequestWithProxyRotation,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Function to fetch Aritzia stores from MongoDB
 async function fetchAritziaStoresFromServer(page = 1, limit = 1) {
@@ -33,11 +49,12 @@ async function fetchAritziaStoresFromServer(page = 1, limit = 1) {
     // Calculate skip value for pagination
     const skip = (page - 1) * limit
 
-    // Fetch stores from MongoDB with pagination and populate products
+    // Fetch stores from MongoDB with pagination, products are streamed per
+    // store during the recrawl
     const stores = await Store.find({
       storeType: 'aritzia',
+      deletedAt: null, // Soft-deleted stores are not recrawled
     })
-      .populate('products')
       .skip(skip)
       .limit(limit)
       .sort({ updatedAt: -1 }) // Sort by most recently updated first
@@ -46,6 +63,7 @@ async function fetchAritziaStoresFromServer(page = 1, limit = 1) {
     // Get total count for pagination
     const totalStores = await Store.countDocuments({
       storeType: 'aritzia',
+      deletedAt: null, // Soft-deleted stores are not recrawled
       isScrapped: true,
     })
 
@@ -69,7 +87,6 @@ async function fetchAritziaStoresFromServer(page = 1, limit = 1) {
         store.returnPolicy || 'https://www.aritzia.com/intl/en/returns',
       storeType: store.storeType,
       isScrapped: store.isScrapped,
-      products: store.products || [],
       createdAt: store.createdAt,
       updatedAt: store.updatedAt,
     }))
@@ -86,113 +103,6 @@ async function fetchAritziaStoresFromServer(page = 1, limit = 1) {
   }
 }
 
-// Function to compare two variants and determine operation type
-function compareVariants(existingVariant, newVariant) {
-  if (!existingVariant) return 'INSERT'
-
-  // Compare key fields to determine if variant has changed
-  const fieldsToCompare = [
-    'original_price',
-    'selling_price',
-    'sale_price',
-    'final_price',
-    'is_on_sale',
-    'is_in_stock',
-    'image_url',
-    'link_url',
-    'deeplink_url',
-  ]
-
-  for (const field of fieldsToCompare) {
-    if (existingVariant[field] !== newVariant[field]) {
-      return 'UPDATE'
-    }
-  }
-
-  return 'NO_CHANGE'
-}
-
-// Function to compare two products and determine operation type
-function compareProducts(existingProduct, newProduct) {
-  if (!existingProduct) return 'INSERT'
-
-  // Compare key fields to determine if product has changed
-  const fieldsToCompare = ['name', 'description', 'brand', 'category']
-
-  for (const field of fieldsToCompare) {
-    if (existingProduct[field] !== newProduct[field]) {
-      return 'UPDATE'
-    }
-  }
-
-  return 'NO_CHANGE'
-}
-
-// Function to determine product operation type based on variant operations
-function determineProductOperationType(existingProduct, variantOperations) {
-  // If product doesn't exist in DB, it's INSERT
-  if (!existingProduct) {
-    return 'INSERT'
-  }
-
-  // Check variant operations to determine product operation
-  const hasInsertVariants = variantOperations.some((op) => op === 'INSERT')
-  const hasUpdateVariants = variantOperations.some((op) => op === 'UPDATE')
-  const hasDeleteVariants = variantOperations.some((op) => op === 'DELETE')
-
-  // If any variant has changes, product is UPDATE
-  if (hasInsertVariants || hasUpdateVariants || hasDeleteVariants) {
-    return 'UPDATE'
-  }
-
-  // If all variants are NO_CHANGE, product is NO_CHANGE
-  return 'NO_CHANGE'
-}
-
-// Function to process batch with proper operations
-async function processBatchWithOperations(formattedProducts) {
-  const results = []
-
-  for (const product of formattedProducts) {
-    try {
-      let result
-
-      if (product.operation_type === 'INSERT') {
-        // Insert new product
-        const newProduct = new Product(product)
-        await newProduct.save()
-        result = { productId: newProduct._id.toString(), operation: 'INSERT' }
-      } else if (product.operation_type === 'UPDATE') {
-        // Update existing product
-        const updateData = { ...product }
-        delete updateData._id
-        await Product.findByIdAndUpdate(product._id, updateData)
-        result = { productId: product._id.toString(), operation: 'UPDATE' }
-      } else if (product.operation_type === 'DELETE') {
-        // Mark product as deleted (we keep it in DB for audit trail)
-        await Product.findByIdAndUpdate(product._id, {
-          operation_type: 'DELETE',
-          'variants.$[].operation_type': 'DELETE',
-        })
-        result = { productId: product._id.toString(), operation: 'DELETE' }
-      } else {
-        // NO_CHANGE - just track the ID
-        result = { productId: product._id.toString(), operation: 'NO_CHANGE' }
-      }
-
-      results.push(result)
-    } catch (error) {
-      console.error(
-        `❌ Error processing product ${product.name}:`,
-        error.message
-      )
-      throw error
-    }
-  }
-
-  return results
-}
-
 // Function to update store entry
 async function updateStoreEntry(storeData, correctUrl, productIds) {
   try {
@@ -204,21 +114,17 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
     if (existingStore) {
       console.log(`Store ${storeData.name} already exists, updating...`)
 
-      // Update store with new timestamp and ensure all product IDs are included
-      const allProductIds = [
-        ...new Set([
-          ...existingStore.products.map((id) => id.toString()),
-          ...productIds,
-        ]),
-      ]
-      existingStore.products = allProductIds.map(
-        (id) => new mongoose.Types.ObjectId(id)
-      )
+      // Update store with new timestamp and link the crawled products to it
+      await linkStoreProducts(existingStore._id, productIds)
       existingStore.isScrapped = true
       existingStore.updatedAt = new Date()
       await existingStore.save()
 
-      console.log(`Updated store with ${allProductIds.length} total products`)
+      console.log(
+        `Updated store with ${await countStoreProducts(
+          existingStore._id
+        )} total products`
+      )
       return existingStore
     }
 
@@ -229,7 +135,6 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
       city: '',
       state: '',
       country: storeData.country || 'US',
-      products: productIds.map((id) => new mongoose.Types.ObjectId(id)),
       isScrapped: true,
       storeType: 'aritzia',
       storeTemplate: 'aritzia-template',
@@ -238,6 +143,7 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
     })
 
     await storeEntry.save()
+    await linkStoreProducts(storeEntry._id, productIds)
     console.log(`✅ Created new store entry: ${storeData.name || 'Aritzia'}`)
     return storeEntry
   } catch (error) {
@@ -381,19 +287,17 @@ async function generateCSVWithRecrawl(products, storeData, store) {
   // Ensure store object exists
   if (!store) {
     console.log('⚠️  Store object is undefined, treating as new store')
-    store = { products: [] }
+    store = {}
   }
 
-  // Get existing products for this store from database
-  const existingProducts = store.products || []
-
   // Create maps for quick lookup
   const existingProductsMap = new Map()
   const existingVariantsMap = new Map()
 
-  if (existingProducts && existingProducts.length > 0) {
-    existingProducts.forEach((product) => {
-      if (product && product.parent_product_id) {
+  // Stream existing products for this store from database
+  if (store._id) {
+    for await (const product of streamStoreProducts(store._id)) {
+      if (product.parent_product_id) {
         existingProductsMap.set(product.parent_product_id, product)
         if (product.variants && Array.isArray(product.variants)) {
           product.variants.forEach((variant) => {
@@ -403,11 +307,11 @@ async function generateCSVWithRecrawl(products, storeData, store) {
           })
         }
       }
-    })
+    }
   }
 
   console.log(
-    `🔄 RECRAWL MODE: Found ${existingProducts.length} existing products in database`
+    `🔄 RECRAWL MODE: Found ${existingProductsMap.size} existing products in database`
   )
   console.log(
     `📦 Processing ${products.length} products from Aritzia in batches of ${BATCH_SIZE}...`
@@ -416,31 +320,38 @@ async function generateCSVWithRecrawl(products, storeData, store) {
   // Track current product IDs from Aritzia
   const currentProductIds = new Set(products.map((p) => p.masterId.toString()))
 
-  // First, handle products that exist in database but not on store (DELETE)
+  // First, handle products that exist in database but not on store: DELETE,
+  // or pending deletions while the guard holds them back (see
+  // tagMissingProduct in utils/catalogDiff.js)
   const deletedProducts = []
+  const missingProducts = []
+  const recoveredProductIds = []
   for (const [productId, product] of existingProductsMap) {
-    if (!currentProductIds.has(productId)) {
-      // Product exists in DB but not on store - mark as DELETE
-      const deletedProduct = {
-        ...product,
-        operation_type: 'DELETE',
-        variants: product.variants
-          ? product.variants.map((variant) => ({
-              ...variant,
-              operation_type: 'DELETE',
-            }))
-          : [],
-      }
-      deletedProducts.push(deletedProduct)
-      allFormattedProducts.push(deletedProduct)
-      if (product._id) {
-        allProductIds.push(product._id.toString())
-      }
+    if (currentProductIds.has(productId)) {
+      if (product.missing_recrawls > 0) recoveredProductIds.push(product._id)
+      continue
+    }
+
+    const missing = tagMissingProduct(product)
+    missingProducts.push({
+      _id: product._id,
+      missingRecrawls: missing.missingRecrawls,
+      deleted: missing.deleted,
+    })
+    allFormattedProducts.push(missing.product)
+    // Soft-deleted products are no longer live
+    if (missing.deleted) {
+      deletedProducts.push(missing.product)
+    } else if (product._id) {
+      allProductIds.push(product._id.toString())
     }
   }
+  await recordMissingProducts({ missingProducts, recoveredProductIds })
 
   console.log(
-    `🗑️  Found ${deletedProducts.length} products to delete (exist in DB but not on store)`
+    `🗑️  Found ${deletedProducts.length} products to delete (exist in DB but not on store), ${
+      missingProducts.length - deletedProducts.length
+    } pending deletion`
   )
 
   // Split products into batches
@@ -623,7 +534,8 @@ async function generateCSVWithRecrawl(products, storeData, store) {
     if (formattedProducts.length > 0) {
       try {
         const operationResults = await processBatchWithOperations(
-          formattedProducts
+          formattedProducts,
+          store._id
         )
         batchProductIds = operationResults.map((result) => result.productId)
 
@@ -740,50 +652,27 @@ async function generateOutputFiles(
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Remove MongoDB _id from output
-  const cleanedProducts = allFormattedProducts.map((item) => {
-    const { _id, ...itemWithoutId } = item
-    return itemWithoutId
-  })
-
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog-recrawl.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog-recrawl.json, catalog.jsonl and catalog.jsonl.gz
+  const files = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'Aritzia',
       domain: 'aritzia.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: cleanedProducts.length,
       crawled_at: new Date().toISOString(),
       crawl_type: 'RECRAWL',
     },
-    products: cleanedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = cleanedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
-
-  return { jsonFilePath, jsonlFilePath, gzippedFilePath }
+    // Remove MongoDB _id from output
+    withoutMongoIds(allFormattedProducts),
+    { jsonFileName: 'catalog-recrawl.json' }
+  )
+  await recordPriceHistory(allFormattedProducts, { feedDir: dirPath })
+  return files
 }
 
 // Enhanced main function for recrawling Aritzia
-const main = async (store) => {
+const recrawlAritzia = async (store) => {
   try {
     console.log(`🔄 Mode: Recrawl`)
 
@@ -902,6 +791,11 @@ const main = async (store) => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'aritzia', source: 'aritizia-recrawler', crawlType: 'RECRAWL' },
+  recrawlAritzia
+)
+
 // Process Aritzia stores fetched from server
 async function processStoresFromServer() {
   console.log(`🚀 Starting to process Aritzia stores from server...`)
@@ -7,7 +7,8 @@ const puppeteer = require('puppeteer-extra')
 const axios = require('axios')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 
 // Add stealth plugin and use defaults (all evasion techniques)
 const StealthPlugin = require('puppeteer-extra-plugin-stealth')
@@ -17,6 +18,7 @@ puppeteer.use(StealthPlugin())
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const {
   calculateDiscount,
   extractSize,
@@ -25,6 +27,7 @@ const {
   cleanAndTruncate,
   getDomainName,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Configuration
 const BLOOMING_WEBSITE_URL = 'https://www.bloomingdales.com/'
@@ -307,7 +310,6 @@ async function saveStoreEntry(storeData, productIds) {
   try {
     // Create new store entry
     const newStore = new Store({
-      products: productIds,
       name: storeData.name || 'BloomingDales',
       storeTemplate: 'blooming-template',
       storeType: 'BloomingDales',
@@ -322,6 +324,7 @@ async function saveStoreEntry(storeData, productIds) {
     })
 
     await newStore.save()
+    await linkStoreProducts(newStore._id, productIds)
     console.log(`✅ Created new store with ${productIds.length} products`)
     return { operation: 'CREATED', store: newStore }
   } catch (error) {
@@ -535,38 +538,20 @@ async function generateCombinedFiles(products, storeData, page) {
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'BloomingDales',
       domain: 'bloomingdales.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: formattedProducts.length,
       categories: ['Women', 'Men', 'Kids', 'Baby'],
       crawled_at: new Date().toISOString(),
     },
-    products: formattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    formattedProducts
+  )
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
 
   // Create or update store entry with all product IDs
   console.log('\n📦 Creating/updating store entry...')
@@ -817,7 +802,7 @@ async function scrapeBloomingData() {
 }
 
 // Export the main function for use in other modules
-const main = async () => {
+const crawlBloomingdales = async () => {
   try {
     const results = await scrapeBloomingData()
 
@@ -861,6 +846,11 @@ const main = async () => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'bloomingdales', source: 'bloomingdale-scraper' },
+  crawlBloomingdales
+)
+
 // Run the scraper
 if (require.main === module) {
   main()
@@ -4,8 +4,10 @@ const fs = require("fs");
 const path = require("path");
 const zlib = require("zlib");
 const { v4: uuidv4, v5: uuidv5 } = require("uuid");
+const { recordPriceHistory } = require("./utils/priceHistory");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
 
-(async () => {
+async function crawlCalvinKlein() {
   const browser = await puppeteer.launch({
     headless: false,
     defaultViewport: false,
@@ -1280,5 +1282,28 @@ const { v4: uuidv4, v5: uuidv5 } = require("uuid");
   fs.writeFileSync(gzippedFilePath, gzippedBuffer);
   console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`);
 
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath });
+
   await browser.close();
-})();
+
+  return {
+    jsonPath: jsonFilePath,
+    jsonlFilePath,
+    gzippedFilePath,
+    totalProducts: formattedProducts.length,
+  };
+}
+
+const main = trackCrawlRun(
+  { retailer: "calvinklein", source: "calvinklein" },
+  crawlCalvinKlein
+);
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Calvin Klein crawl failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const { getAdapter, listAdapters } = require('./adapters')
+const { runCatalogCrawl } = require('./utils/catalogRunner')
+const { getResumeRunId } = require('./utils/checkpointStore')
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    '  node catalog.js crawl <retailer> [--recrawl] [--no-upload]  # Crawl a retailer through its adapter'
+  )
+  console.log(
+    '        [--resume <runId>]                                    # Continue a crashed run from its checkpoint'
+  )
+  console.log(
+    '        [--target <sftp|local|s3>]                            # Upload destination (default UPLOAD_TARGET or sftp)'
+  )
+  console.log(
+    '  node catalog.js list                                       # List available retailers'
+  )
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node catalog.js crawl nike')
+  console.log('  node catalog.js crawl hm --recrawl')
+  console.log('  node catalog.js crawl nike --resume 20250101T000000-abc123')
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const command = args[0]
+
+  switch (command) {
+    case 'crawl': {
+      const retailer = args[1]
+      if (!retailer) {
+        printUsage()
+        process.exit(1)
+      }
+
+      const adapter = getAdapter(retailer)
+      const result = await runCatalogCrawl(adapter, {
+        recrawl: args.includes('--recrawl'),
+        upload: !args.includes('--no-upload'),
+        resume: getResumeRunId(args),
+      })
+
+      if (!result) {
+        console.log(`❌ ${adapter.store.name} crawl produced no catalog`)
+        process.exit(1)
+      }
+
+      console.log(`\n🎉 ${adapter.store.name} ${result.crawlType} completed!`)
+      process.exit(0)
+    }
+
+    case 'list':
+      console.log('🏪 Available retailers:')
+      listAdapters().forEach((name) => console.log(`  - ${name}`))
+      process.exit(0)
+
+    default:
+      printUsage()
+      process.exit(command ? 1 : 0)
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Process failed:', error.message)
+    process.exit(1)
+  })
+}
@@ -1,11 +1,11 @@
 /** @format */
 
 // Neiman Marcus Chunk Combiner
-// Combines all chunk files from Downloads folder into a single catalog.json file
+// Streams all chunk files from Downloads folder into a single catalog.json file
 require("dotenv").config();
 const fs = require("fs");
-const zlib = require("zlib");
 const path = require("path");
+const { CatalogWriter } = require("./utils/catalogWriter");
 
 // Configuration - Update this path if your chunks are in a different location
 const DOWNLOADS_FOLDER =
@@ -58,22 +58,9 @@ function loadChunkFile(chunkPath) {
 }
 
 /**
- * Extract unique categories from products
+ * Stream every chunk into the combined catalog files
  */
-function extractCategories(products) {
-  const categories = new Set();
-  products.forEach((product) => {
-    if (product.category) {
-      categories.add(product.category);
-    }
-  });
-  return Array.from(categories).sort();
-}
-
-/**
- * Generate combined catalog files
- */
-async function generateCombinedCatalog(allProducts, storeData) {
+async function generateCombinedCatalog(chunkFiles, storeData) {
   const countryCode = storeData.country || OUTPUT_COUNTRY;
   const cleanBrandName = "neimanmarcus";
 
@@ -90,43 +77,54 @@ async function generateCombinedCatalog(allProducts, storeData) {
     console.log(`📁 Created directory: ${dirPath}`);
   }
 
-  // Extract categories
-  const categories = extractCategories(allProducts);
-
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, "catalog.json");
-  const catalogData = {
-    store_info: {
-      name: storeData.name || STORE_NAME,
-      domain: storeData.domain || STORE_DOMAIN,
-      currency: storeData.currency || "USD",
-      country: countryCode,
-      total_products: allProducts.length,
-      categories: categories,
-      crawled_at: new Date().toISOString(),
-    },
-    products: allProducts,
-  };
+  // Products are appended chunk by chunk so only one chunk is in memory
+  const catalogWriter = new CatalogWriter(dirPath, {
+    name: storeData.name || STORE_NAME,
+    domain: storeData.domain || STORE_DOMAIN,
+    currency: storeData.currency || "USD",
+    country: countryCode,
+    crawled_at: new Date().toISOString(),
+  });
 
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), "utf8");
-  console.log(`✅ JSON file generated: ${jsonFilePath}`);
-  console.log(`   Total products: ${allProducts.length}`);
-  console.log(`   Categories: ${categories.join(", ")}`);
+  const categorySet = new Set();
+  const chunkStats = [];
+  let totalVariants = 0;
 
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, "catalog.jsonl");
-  const jsonlContent = allProducts
-    .map((product) => JSON.stringify(product))
-    .join("\n");
-  fs.writeFileSync(jsonlFilePath, jsonlContent, "utf8");
-  console.log(`✅ JSONL file generated: ${jsonlFilePath}`);
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`;
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath);
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer);
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer);
-  console.log(`✅ Gzipped JSONL file generated: ${gzippedFilePath}`);
+  try {
+    for (const chunkFile of chunkFiles) {
+      const products = loadChunkFile(chunkFile.path);
+      let chunkVariants = 0;
+
+      for (const product of products) {
+        if (product.category) {
+          categorySet.add(product.category);
+        }
+        chunkVariants += product.variants?.length || 0;
+        await catalogWriter.append(product);
+      }
+
+      totalVariants += chunkVariants;
+      chunkStats.push({
+        chunk: chunkFile.chunkNumber,
+        products: products.length,
+        variants: chunkVariants,
+      });
+
+      console.log(
+        `   Chunk ${chunkFile.chunkNumber}: ${products.length} products, ${chunkVariants} variants`
+      );
+    }
+  } catch (error) {
+    catalogWriter.abort();
+    throw error;
+  }
+
+  const categories = Array.from(categorySet).sort();
+  const { jsonFilePath, jsonlFilePath, gzippedFilePath, totalProducts } =
+    await catalogWriter.finalize({ categories: categories });
+
+  console.log(`   Total products: ${totalProducts}`);
+  console.log(`   Categories: ${categories.join(", ")}`);
 
   // Calculate file sizes
   const jsonSize = fs.statSync(jsonFilePath).size;
@@ -147,8 +145,10 @@ async function generateCombinedCatalog(allProducts, storeData) {
     jsonPath: jsonFilePath,
     jsonlPath: jsonlFilePath,
     gzipPath: gzippedFilePath,
-    totalProducts: allProducts.length,
+    totalProducts: totalProducts,
+    totalVariants: totalVariants,
     categories: categories,
+    chunkStats: chunkStats,
   };
 }
 
@@ -182,45 +182,6 @@ async function combineChunks() {
 
     console.log(`✅ Found ${chunkFiles.length} chunk files\n`);
 
-    // Load all chunks
-    let allProducts = [];
-    let totalVariants = 0;
-    const chunkStats = [];
-
-    for (const chunkFile of chunkFiles) {
-      const products = loadChunkFile(chunkFile.path);
-      const chunkVariants = products.reduce(
-        (sum, p) => sum + (p.variants?.length || 0),
-        0
-      );
-
-      allProducts = allProducts.concat(products);
-      totalVariants += chunkVariants;
-
-      chunkStats.push({
-        chunk: chunkFile.chunkNumber,
-        products: products.length,
-        variants: chunkVariants,
-      });
-
-      console.log(
-        `   Chunk ${chunkFile.chunkNumber}: ${products.length} products, ${chunkVariants} variants`
-      );
-    }
-
-    console.log(`\n📊 Summary:`);
-    console.log(`   Total chunks processed: ${chunkFiles.length}`);
-    console.log(`   Total products: ${allProducts.length}`);
-    console.log(`   Total variants: ${totalVariants}`);
-
-    // Show chunk breakdown
-    console.log(`\n📦 Chunk Breakdown:`);
-    chunkStats.forEach((stat) => {
-      console.log(
-        `   Chunk ${stat.chunk}: ${stat.products} products, ${stat.variants} variants`
-      );
-    });
-
     // Generate combined catalog
     console.log(`\n${"=".repeat(60)}`);
     console.log("📚 GENERATING COMBINED CATALOG FILES");
@@ -233,7 +194,20 @@ async function combineChunks() {
       country: OUTPUT_COUNTRY,
     };
 
-    const result = await generateCombinedCatalog(allProducts, storeData);
+    const result = await generateCombinedCatalog(chunkFiles, storeData);
+
+    console.log(`\n📊 Summary:`);
+    console.log(`   Total chunks processed: ${chunkFiles.length}`);
+    console.log(`   Total products: ${result.totalProducts}`);
+    console.log(`   Total variants: ${result.totalVariants}`);
+
+    // Show chunk breakdown
+    console.log(`\n📦 Chunk Breakdown:`);
+    result.chunkStats.forEach((stat) => {
+      console.log(
+        `   Chunk ${stat.chunk}: ${stat.products} products, ${stat.variants} variants`
+      );
+    });
 
     console.log(`\n${"🎉".repeat(20)}`);
     console.log("🎉 ALL CHUNKS COMBINED SUCCESSFULLY! 🎉");
@@ -241,7 +215,7 @@ async function combineChunks() {
 
     console.log(`\n📊 Final Results:`);
     console.log(`   Total Products: ${result.totalProducts}`);
-    console.log(`   Total Variants: ${totalVariants}`);
+    console.log(`   Total Variants: ${result.totalVariants}`);
     console.log(`   Categories: ${result.categories.length}`);
     console.log(`   Output JSON: ${result.jsonPath}`);
     console.log(`   Output JSONL: ${result.jsonlPath}`);
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const mongoose = require('mongoose')
+const { connectDB, disconnectDB } = require('./database/connection')
+const CrawlRun = require('./models/CrawlRun')
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    '  node crawl-runs.js list [--retailer <name>] [--status <status>] [--limit <n>]  # List recent crawl runs'
+  )
+  console.log(
+    '  node crawl-runs.js inspect <runId>                                            # Show one run and its child runs'
+  )
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node crawl-runs.js list')
+  console.log('  node crawl-runs.js list --retailer nike --status FAILED')
+  console.log('  node crawl-runs.js inspect 6650f0c2a1b2c3d4e5f60718')
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return '-'
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+function formatOperations(operations = {}) {
+  return ['INSERT', 'UPDATE', 'DELETE', 'NO_CHANGE']
+    .map((operation) => `${operation}=${operations[operation] || 0}`)
+    .join(' ')
+}
+
+function printRunLine(run) {
+  const status =
+    run.status === 'SUCCESS' ? '✅' : run.status === 'FAILED' ? '❌' : '⏳'
+  console.log(
+    `${status} ${run._id}  ${run.startedAt.toISOString()}  ${run.retailer} (${
+      run.crawlType
+    }, ${formatDuration(run.durationMs)})  products=${
+      run.totalProducts
+    }  ${formatOperations(run.operations)}`
+  )
+}
+
+async function listRuns(args) {
+  const query = {}
+  const retailer = getOption(args, '--retailer')
+  const status = getOption(args, '--status')
+  if (retailer) query.retailer = retailer
+  if (status) query.status = status.toUpperCase()
+  const limit = parseInt(getOption(args, '--limit'), 10) || 20
+
+  const runs = await CrawlRun.find(query)
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean()
+
+  if (runs.length === 0) {
+    console.log('📭 No crawl runs found')
+    return
+  }
+
+  console.log(`📒 ${runs.length} crawl run(s):`)
+  runs.forEach(printRunLine)
+}
+
+async function inspectRun(runId) {
+  if (!mongoose.Types.ObjectId.isValid(runId)) {
+    throw new Error(`Invalid run id: ${runId}`)
+  }
+
+  const run = await CrawlRun.findById(runId).lean()
+  if (!run) {
+    throw new Error(`Crawl run ${runId} not found`)
+  }
+
+  console.log(`📒 Crawl run ${run._id}`)
+  console.log(`  Retailer:           ${run.retailer}`)
+  console.log(`  Source:             ${run.source || '-'}`)
+  console.log(`  Type:               ${run.crawlType}`)
+  console.log(`  Status:             ${run.status}`)
+  console.log(`  Started:            ${run.startedAt.toISOString()}`)
+  console.log(
+    `  Finished:           ${run.finishedAt ? run.finishedAt.toISOString() : '-'}`
+  )
+  console.log(`  Duration:           ${formatDuration(run.durationMs)}`)
+  if (run.parentRun) {
+    console.log(`  Parent run:         ${run.parentRun}`)
+  }
+  if (run.checkpointRunId) {
+    console.log(`  Checkpoint run:     ${run.checkpointRunId}`)
+  }
+  console.log(`  Products:           ${run.totalProducts}`)
+  console.log(`  Operations:         ${formatOperations(run.operations)}`)
+  console.log(
+    `  Validation rejects: products=${run.validationRejects.products} variants=${run.validationRejects.variants}`
+  )
+  console.log(`  Errors:             ${run.errorCount}`)
+  if (run.errorMessage) {
+    console.log(`  Error message:      ${run.errorMessage}`)
+  }
+  console.log(`  Proxy retries:      ${run.proxyRetries}`)
+
+  if (run.outputFiles.length > 0) {
+    console.log('  Output files:')
+    run.outputFiles.forEach((filePath) => console.log(`    - ${filePath}`))
+  }
+
+  if (run.upload && run.upload.destination) {
+    const uploadStatus = run.upload.success ? '✅' : '❌'
+    console.log(`  Upload:             ${uploadStatus} ${run.upload.destination}`)
+    if (run.upload.error) {
+      console.log(`  Upload error:       ${run.upload.error}`)
+    }
+  }
+
+  const children = await CrawlRun.find({ parentRun: run._id })
+    .sort({ startedAt: 1 })
+    .lean()
+  if (children.length > 0) {
+    console.log(`\n📂 ${children.length} child run(s):`)
+    children.forEach(printRunLine)
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const command = args[0]
+
+  switch (command) {
+    case 'list':
+      await connectDB()
+      try {
+        await listRuns(args.slice(1))
+      } finally {
+        await disconnectDB()
+      }
+      process.exit(0)
+
+    case 'inspect': {
+      const runId = args[1]
+      if (!runId) {
+        printUsage()
+        process.exit(1)
+      }
+
+      await connectDB()
+      try {
+        await inspectRun(runId)
+      } finally {
+        await disconnectDB()
+      }
+      process.exit(0)
+    }
+
+    default:
+      printUsage()
+      process.exit(command ? 1 : 0)
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Process failed:', error.message)
+    process.exit(1)
+  })
+}
@@ -1,15 +1,15 @@
 const mongoose = require('mongoose')
 require('dotenv').config()
 
+const MONGODB_URI =
+  process.env.MONGODB_URI || 'mongodb://localhost:27017/shopify_crawler'
+
 const connectDB = async () => {
   try {
-    const conn = await mongoose.connect(
-      process.env.MONGODB_URI || 'mongodb://localhost:27017/shopify_crawler',
-      {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
-      }
-    )
+    const conn = await mongoose.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    })
 
     console.log(`MongoDB Connected: ${conn.connection.host}`)
     return conn
@@ -28,4 +28,4 @@ const disconnectDB = async () => {
   }
 }
 
-module.exports = { connectDB, disconnectDB }
+module.exports = { MONGODB_URI, connectDB, disconnectDB }
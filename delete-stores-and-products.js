@@ -1,96 +1,172 @@
+#!/usr/bin/env node
+require('dotenv').config()
 const { connectDB, disconnectDB } = require('./database/connection')
-const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { countStoreProducts } = require('./utils/storeProducts')
+const {
+  DEFAULT_RETENTION_DAYS,
+  softDeleteStores,
+  purgeDeletedDocuments,
+} = require('./utils/productLifecycle')
+
+// Stores and products are soft-deleted first (see utils/productLifecycle.js)
+// and only removed from MongoDB by `purge` once the retention window passed.
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    '  node delete-stores-and-products.js delete <brand|domain>... [--dry-run]'
+  )
+  console.log(
+    '  node delete-stores-and-products.js purge [--retention-days <days>] [--dry-run]'
+  )
+  console.log('')
+  console.log(
+    '  delete  Soft-delete the stores matching a brand name or domain, with their products'
+  )
+  console.log(
+    `  purge   Remove soft-deleted products and stores older than the retention window (${DEFAULT_RETENTION_DAYS} days, PRODUCT_RETENTION_DAYS)`
+  )
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node delete-stores-and-products.js delete zara.com --dry-run')
+  console.log('  node delete-stores-and-products.js purge --retention-days 60')
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Soft-delete the stores whose name or URL contains one of the brands
+ * @param {Array<string>} brands - Brand names or domains, e.g. zara.com
+ * @param {Object} options - { dryRun }
+ */
+async function deleteStoresAndProducts(brands, options = {}) {
+  for (const brand of brands) {
+    console.log(`\n🔍 Processing brand: ${brand}`)
+
+    const pattern = { $regex: escapeRegex(brand), $options: 'i' }
+    const stores = await Store.find({
+      $or: [{ name: pattern }, { storeUrl: pattern }],
+      deletedAt: null,
+    })
+      .select('name storeUrl')
+      .lean()
+
+    if (stores.length === 0) {
+      console.log(`❌ No stores found for ${brand}`)
+      continue
+    }
+
+    for (const store of stores) {
+      console.log(
+        `🏪 ${store.name} (${store.storeUrl}): ${await countStoreProducts(
+          store._id
+        )} products`
+      )
+    }
+
+    if (options.dryRun) {
+      console.log(`🧪 Dry run: would soft-delete ${stores.length} store(s)`)
+      continue
+    }
+
+    const deleted = await softDeleteStores(stores)
+    console.log(
+      `🗑️  Soft-deleted ${deleted.stores} store(s) and ${deleted.products} products`
+    )
+  }
+}
+
+/**
+ * Remove soft-deleted products and stores older than the retention window
+ * @param {Object} options - { retentionDays, dryRun }
+ */
+async function purgeDeleted(options = {}) {
+  const result = await purgeDeletedDocuments(options)
+  console.log(
+    `\n📅 Soft-deleted before ${result.cutoff.toISOString()}: ${
+      result.products
+    } products, ${result.stores.length} store(s)`
+  )
+
+  result.retailers.forEach(({ retailer, count, oldest }) => {
+    console.log(
+      `   ${retailer || '(no retailer)'}: ${count} products, oldest deleted ${oldest.toISOString()}`
+    )
+  })
+  result.stores.forEach((store) => {
+    console.log(
+      `   🏪 ${store.name} (${store.storeUrl}), deleted ${store.deletedAt.toISOString()}`
+    )
+  })
+
+  if (options.dryRun) {
+    console.log('🧪 Dry run: nothing was removed')
+  } else {
+    console.log(
+      `✅ Purged ${result.purgedProducts} products and ${result.purgedStores} store(s)`
+    )
+  }
+  return result
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+
+  if (command === 'delete') {
+    const brands = args.filter((arg) => !arg.startsWith('--'))
+    if (brands.length === 0) {
+      printUsage()
+      process.exit(1)
+    }
 
-// Brands to delete
-const brandsToDelete = [
-  {
-    brandName: 'Zara',
-    url: 'zara.com',
-  },
-]
-
-async function deleteStoresAndProducts() {
-  try {
-    console.log('🔌 Connecting to MongoDB...')
     await connectDB()
-    console.log('✅ Connected to MongoDB')
-
-    for (const brand of brandsToDelete) {
-      console.log(`\n🔍 Processing brand: ${brand.brandName} (${brand.url})`)
-
-      // Find stores that match the brand name or URL
-      const stores = await Store.find({
-        $or: [
-          { name: { $regex: brand.brandName, $options: 'i' } },
-          { storeUrl: { $regex: brand.url, $options: 'i' } },
-        ],
-      })
-
-      if (stores.length === 0) {
-        console.log(`❌ No stores found for ${brand.brandName}`)
-        continue
-      }
-
-      console.log(`📦 Found ${stores.length} store(s) for ${brand.brandName}`)
-
-      for (const store of stores) {
-        console.log(`\n🏪 Processing store: ${store.name} (${store.storeUrl})`)
-
-        // Get all product IDs from this store
-        const productIds = store.products || []
-        console.log(`📦 Store has ${productIds.length} products`)
-
-        if (productIds.length > 0) {
-          // Delete all products from the products collection
-          const deleteResult = await Product.deleteMany({
-            _id: { $in: productIds },
-          })
-          console.log(
-            `🗑️  Deleted ${deleteResult.deletedCount} products from products collection`
-          )
-        }
-
-        // Also delete products by retailer_domain as a backup
-        const domainDeleteResult = await Product.deleteMany({
-          retailer_domain: { $regex: brand.url, $options: 'i' },
-        })
-        console.log(
-          `🗑️  Deleted ${domainDeleteResult.deletedCount} additional products by domain`
-        )
-
-        // Delete the store itself
-        const storeDeleteResult = await Store.deleteOne({ _id: store._id })
-        if (storeDeleteResult.deletedCount > 0) {
-          console.log(`🗑️  Successfully deleted store: ${store.name}`)
-        } else {
-          console.log(`❌ Failed to delete store: ${store.name}`)
-        }
-      }
+    try {
+      await deleteStoresAndProducts(brands, { dryRun })
+    } finally {
+      await disconnectDB()
+    }
+    return
+  }
+
+  if (command === 'purge') {
+    const value = getOption(args, '--retention-days')
+    const retentionDays = value === undefined ? undefined : Number(value)
+    if (
+      retentionDays !== undefined &&
+      (!Number.isInteger(retentionDays) || retentionDays < 0)
+    ) {
+      throw new Error(`--retention-days must be a whole number, got: ${value}`)
     }
 
-    console.log('\n✅ Deletion process completed!')
-  } catch (error) {
-    console.error('❌ Error during deletion process:', error.message)
-    throw error
-  } finally {
-    console.log('🔌 Disconnecting from MongoDB...')
-    await disconnectDB()
-    console.log('✅ Disconnected from MongoDB')
+    await connectDB()
+    try {
+      await purgeDeleted({ retentionDays, dryRun })
+    } finally {
+      await disconnectDB()
+    }
+    return
   }
+
+  printUsage()
+  process.exit(command ? 1 : 0)
 }
 
-// Run the script
 if (require.main === module) {
-  deleteStoresAndProducts()
-    .then(() => {
-      console.log('🎉 Script completed successfully!')
-      process.exit(0)
-    })
+  main()
+    .then(() => process.exit(0))
     .catch((error) => {
       console.error('💥 Script failed:', error.message)
       process.exit(1)
     })
 }
 
-module.exports = { deleteStoresAndProducts }
+module.exports = { deleteStoresAndProducts, purgeDeleted }
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 require('dotenv').config()
 const SFTPDeleteHelper = require('./utils/sftpDeleteHelper')
+const { parseUploadDate } = require('./utils/uploadTarget')
 const readline = require('readline')
 
 // Create readline interface for user input
@@ -20,8 +21,17 @@ async function main() {
   console.log('🗑️  SFTP Directory Deletion Script')
   console.log('=====================================\n')
 
+  const targetFolder = process.argv[2]
+  if (!parseUploadDate(targetFolder || '')) {
+    console.log('📖 Usage: node deleteFolderFromSFTP.js <DD-MMM-YYYY>')
+    console.log(
+      '   Use node sftp-retention.js to clean up folders by age or count.'
+    )
+    rl.close()
+    process.exit(1)
+  }
+
   const sftpHelper = new SFTPDeleteHelper()
-  const targetFolder = '24-JUN-2025'
 
   try {
     // Connect to SFTP server
@@ -34,7 +44,7 @@ async function main() {
 
     // Safety confirmation
     console.log(
-      '\n⚠️  WARNING: This will permanently delete ALL files and folders in the 24-JUN-2025 directory!'
+      `\n⚠️  WARNING: This will permanently delete ALL files and folders in the ${targetFolder} directory!`
     )
     console.log('   This action cannot be undone.\n')
 
@@ -58,12 +68,12 @@ async function main() {
     console.log('\n🚀 Proceeding with deletion...\n')
 
     // Perform the deletion
-    const success = await sftpHelper.deleteJune24Folder()
+    const success = await sftpHelper.deleteDatedFolder(targetFolder)
 
     if (success) {
       console.log('\n✅ Deletion completed successfully!')
       console.log(
-        '   The 24-JUN-2025 folder and all its contents have been removed.'
+        `   The ${targetFolder} folder and all its contents have been removed.`
       )
     } else {
       console.log('\n⚠️  Deletion completed with warnings.')
@@ -26,7 +26,8 @@ const puppeteer = require('puppeteer-extra')
 const axios = require('axios')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 
 // Add stealth plugin and use defaults (all evasion techniques)
 const StealthPlugin = require('puppeteer-extra-plugin-stealth')
@@ -36,6 +37,7 @@ puppeteer.use(StealthPlugin())
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const {
   calculateDiscount,
   extractSize,
@@ -45,6 +47,7 @@ const {
   getDomainName,
 } = require('./utils/helper')
 const { filterValidProducts } = require('./validate-catalog')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Configuration
 const GAP_WEBSITE_URL =
@@ -516,25 +519,20 @@ async function saveStoreEntry(storeData, productIds) {
 
     if (existingStore) {
       console.log('Store already exists, updating with new products...')
-      // Add new product IDs to existing store (avoid duplicates)
-      const existingProductIds = existingStore.products.map((id) =>
-        id.toString()
+      // Link the new products to the existing store
+      const newProductCount = await linkStoreProducts(
+        existingStore._id,
+        productIds
       )
-      const newProductIds = productIds.filter(
-        (id) => !existingProductIds.includes(id.toString())
-      )
-
-      existingStore.products.push(...newProductIds)
       existingStore.isScrapped = true
       existingStore.updatedAt = new Date()
 
       await existingStore.save()
-      console.log(`✅ Updated store with ${newProductIds.length} new products`)
+      console.log(`✅ Updated store with ${newProductCount} new products`)
       return { operation: 'UPDATED', store: existingStore }
     } else {
       // Create new store entry
       const newStore = new Store({
-        products: productIds,
         name: storeData.name || 'Gap',
         storeTemplate: 'gap-template',
         storeType: 'gap',
@@ -549,6 +547,7 @@ async function saveStoreEntry(storeData, productIds) {
       })
 
       await newStore.save()
+      await linkStoreProducts(newStore._id, productIds)
       console.log(`✅ Created new store with ${productIds.length} products`)
       return { operation: 'CREATED', store: newStore }
     }
@@ -954,15 +953,14 @@ async function generateCatalogFiles(storeData) {
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'Gap',
       domain: 'gap.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: formattedProducts.length,
       categories: ['Women', 'Men', 'Kids', 'Baby'],
       crawled_at: new Date().toISOString(),
       validation: {
@@ -972,26 +970,9 @@ async function generateCatalogFiles(storeData) {
         variants_filtered: validationResult.totalVariantsFiltered || 0,
       },
     },
-    products: formattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`✅ JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`✅ JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`✅ Gzipped JSONL file generated: ${gzippedFilePath}`)
+    formattedProducts
+  )
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
 
   return {
     jsonPath: gzippedFilePath,
@@ -1338,7 +1319,7 @@ async function scrapeGapData() {
 }
 
 // Export the main function for use in other modules
-const main = async () => {
+const crawlGap = async () => {
   try {
     const results = await scrapeGapData()
 
@@ -1382,6 +1363,8 @@ const main = async () => {
   }
 }
 
+const main = trackCrawlRun({ retailer: 'gap', source: 'gap-crawler' }, crawlGap)
+
 // Run the scraper
 if (require.main === module) {
   main()
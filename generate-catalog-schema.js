@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// Generate the published catalog JSON Schemas from models/Product.js
+//
+//   node generate-catalog-schema.js          # write schemas/v<major>/*.json
+//   node generate-catalog-schema.js --check  # fail if the files are out of date
+const fs = require('fs')
+const path = require('path')
+const {
+  CATALOG_SCHEMA_VERSION,
+  SCHEMA_DIR,
+  buildProductSchema,
+  buildCatalogSchema,
+  writeCatalogSchemas,
+} = require('./utils/catalogSchema')
+
+function checkCatalogSchemas() {
+  const productSchema = buildProductSchema()
+  const expected = {
+    'catalog-product.schema.json': productSchema,
+    'catalog.schema.json': buildCatalogSchema(productSchema),
+  }
+
+  return Object.entries(expected).filter(([fileName, schema]) => {
+    const filePath = path.join(SCHEMA_DIR, fileName)
+    return (
+      !fs.existsSync(filePath) ||
+      fs.readFileSync(filePath, 'utf8') !== JSON.stringify(schema, null, 2) + '\n'
+    )
+  })
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    const stale = checkCatalogSchemas()
+    if (stale.length > 0) {
+      console.error(
+        `❌ Catalog schemas are out of date: ${stale
+          .map(([fileName]) => fileName)
+          .join(', ')}`
+      )
+      console.error('   Run: node generate-catalog-schema.js')
+      process.exit(1)
+    }
+    console.log(`✅ Catalog schemas v${CATALOG_SCHEMA_VERSION} are up to date`)
+    process.exit(0)
+  }
+
+  const files = writeCatalogSchemas()
+  console.log(`✅ Catalog schemas v${CATALOG_SCHEMA_VERSION} generated:`)
+  files.forEach((filePath) => console.log(`   ${filePath}`))
+}
+
+module.exports = { checkCatalogSchemas }
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const os = require('os')
+const mongoose = require('mongoose')
+const { connectDB, disconnectDB } = require('./database/connection')
+const CrawlJob = require('./models/CrawlJob')
+const {
+  enqueueJob,
+  cancelJob,
+  retryJob,
+  listJobs,
+  JobWorker,
+} = require('./utils/jobQueue')
+const { JOB_TYPES, CUSTOM_CATALOG_RETAILERS } = require('./utils/scheduleJobs')
+
+const VALUE_OPTIONS = [
+  '--priority',
+  '--max-attempts',
+  '--timeout',
+  '--status',
+  '--retailer',
+  '--limit',
+  '--lines',
+  '--concurrency',
+]
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    `  node jobs.js enqueue <${JOB_TYPES.join(
+      '|'
+    )}> <retailer> [args...]  # Queue a job`
+  )
+  console.log(
+    '        [--priority <n>] [--max-attempts <n>] [--timeout <minutes>]'
+  )
+  console.log(
+    '  node jobs.js enqueue-custom                            # Queue one crawl job per custom catalog retailer'
+  )
+  console.log(
+    '  node jobs.js list [--status <status>] [--retailer <name>] [--limit <n>]  # List recent jobs'
+  )
+  console.log(
+    '  node jobs.js inspect <jobId> [--lines <n>]             # Show a job and the end of its output'
+  )
+  console.log(
+    '  node jobs.js cancel <jobId>                            # Cancel a queued or running job'
+  )
+  console.log(
+    '  node jobs.js retry <jobId>                             # Queue a failed or cancelled job again'
+  )
+  console.log(
+    '  node jobs.js worker [--concurrency <n>]                # Run jobs until stopped'
+  )
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node jobs.js enqueue recrawl shopify --timeout 240')
+  console.log('  node jobs.js enqueue crawl walmart 5438 10')
+  console.log('  node jobs.js list --status FAILED')
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+function getNumberOption(args, name) {
+  const value = getOption(args, name)
+  if (value === undefined) return undefined
+
+  const number = Number(value)
+  if (isNaN(number)) {
+    throw new Error(`${name} must be a number, got: ${value}`)
+  }
+  return number
+}
+
+// Arguments that are neither options nor option values
+function getPositionalArgs(args) {
+  return args.filter(
+    (arg, index) =>
+      !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1])
+  )
+}
+
+function getJobOptions(args) {
+  const timeoutMinutes = getNumberOption(args, '--timeout')
+  if (timeoutMinutes !== undefined && !(timeoutMinutes > 0)) {
+    throw new Error(
+      `--timeout must be a positive number of minutes, got: ${timeoutMinutes}`
+    )
+  }
+  return {
+    priority: getNumberOption(args, '--priority'),
+    maxAttempts: getNumberOption(args, '--max-attempts'),
+    timeoutMs:
+      timeoutMinutes === undefined
+        ? undefined
+        : Math.round(timeoutMinutes * 60 * 1000),
+  }
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return '-'
+  const seconds = Math.round(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+const STATUS_ICONS = {
+  QUEUED: '🕒',
+  RUNNING: '⏳',
+  SUCCESS: '✅',
+  FAILED: '❌',
+  CANCELLED: '🛑',
+}
+
+function printJobLine(job) {
+  console.log(
+    `${STATUS_ICONS[job.status]} ${job._id}  ${job.createdAt.toISOString()}  ${
+      job.retailer
+    } ${job.type}${job.args.length ? ` ${job.args.join(' ')}` : ''}  ${
+      job.status
+    } (attempt ${job.attempts}/${job.maxAttempts}, ${formatDuration(
+      job.durationMs
+    )})${job.error ? `  ${job.error}` : ''}`
+  )
+}
+
+async function inspectJob(jobId, lines) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    throw new Error(`Invalid job id: ${jobId}`)
+  }
+
+  const job = await CrawlJob.findById(jobId).lean()
+  if (!job) {
+    throw new Error(`Job ${jobId} not found`)
+  }
+
+  console.log(`📋 Job ${job._id}`)
+  console.log(`  Retailer:  ${job.retailer}`)
+  console.log(`  Type:      ${job.type}`)
+  if (job.args.length > 0) {
+    console.log(`  Args:      ${job.args.join(' ')}`)
+  }
+  console.log(`  Status:    ${job.status}`)
+  console.log(`  Attempts:  ${job.attempts}/${job.maxAttempts}`)
+  console.log(`  Timeout:   ${formatDuration(job.timeoutMs)}`)
+  console.log(`  Run after: ${job.runAfter.toISOString()}`)
+  if (job.lockedBy) {
+    console.log(`  Worker:    ${job.lockedBy}`)
+  }
+  console.log(
+    `  Started:   ${job.startedAt ? job.startedAt.toISOString() : '-'}`
+  )
+  console.log(
+    `  Finished:  ${job.finishedAt ? job.finishedAt.toISOString() : '-'}`
+  )
+  console.log(`  Duration:  ${formatDuration(job.durationMs)}`)
+  if (job.error) {
+    console.log(`  Error:     ${job.error}`)
+  }
+  if (job.summary) {
+    console.log(`  Summary:   ${JSON.stringify(job.summary)}`)
+  }
+
+  const logs = job.logs.slice(-lines)
+  if (logs.length > 0) {
+    console.log(`\n📜 Last ${logs.length} line(s) of output:`)
+    logs.forEach((entry) => {
+      console.log(
+        `  ${entry.at.toISOString()} ${entry.stream === 'stdout' ? ' ' : '!'} ${
+          entry.line
+        }`
+      )
+    })
+  }
+}
+
+async function runWorkers(concurrency) {
+  const workers = Array.from(
+    { length: concurrency },
+    (_, index) =>
+      new JobWorker(
+        concurrency > 1
+          ? { id: `${os.hostname()}:${process.pid}:${index + 1}` }
+          : {}
+      )
+  )
+
+  const stop = () => {
+    console.log('👋 Stopping workers...')
+    workers.forEach((worker) => worker.stop())
+  }
+  process.on('SIGINT', stop)
+  process.on('SIGTERM', stop)
+
+  await Promise.all(workers.map((worker) => worker.start()))
+}
+
+async function withDB(task) {
+  await connectDB()
+  try {
+    await task()
+  } finally {
+    await disconnectDB()
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const command = args[0]
+
+  switch (command) {
+    case 'enqueue': {
+      const [type, retailer, ...jobArgs] = getPositionalArgs(args.slice(1))
+      if (!type || !retailer) {
+        printUsage()
+        process.exit(1)
+      }
+
+      const options = getJobOptions(args)
+      await withDB(() =>
+        enqueueJob({ type, retailer, args: jobArgs, ...options })
+      )
+      process.exit(0)
+    }
+
+    case 'enqueue-custom': {
+      const options = getJobOptions(args)
+      await withDB(async () => {
+        for (const retailer of CUSTOM_CATALOG_RETAILERS) {
+          await enqueueJob({ type: 'crawl', retailer, ...options })
+        }
+      })
+      process.exit(0)
+    }
+
+    case 'list':
+      await withDB(async () => {
+        const status = getOption(args, '--status')
+        const jobs = await listJobs({
+          status: status ? status.toUpperCase() : undefined,
+          retailer: getOption(args, '--retailer'),
+          limit: getNumberOption(args, '--limit'),
+        })
+
+        if (jobs.length === 0) {
+          console.log('📭 No jobs found')
+          return
+        }
+        console.log(`📋 ${jobs.length} job(s):`)
+        jobs.forEach(printJobLine)
+      })
+      process.exit(0)
+
+    case 'inspect':
+      if (!args[1]) {
+        printUsage()
+        process.exit(1)
+      }
+      await withDB(() =>
+        inspectJob(args[1], getNumberOption(args, '--lines') || 50)
+      )
+      process.exit(0)
+
+    case 'cancel':
+    case 'retry': {
+      const jobId = args[1]
+      if (!jobId || !mongoose.Types.ObjectId.isValid(jobId)) {
+        printUsage()
+        process.exit(1)
+      }
+
+      let changed = false
+      await withDB(async () => {
+        changed = await (command === 'cancel' ? cancelJob : retryJob)(jobId)
+      })
+      console.log(
+        changed
+          ? `✅ Job ${jobId} ${command === 'cancel' ? 'cancelled' : 'queued again'}`
+          : `⚠️ Job ${jobId} is not ${
+              command === 'cancel' ? 'queued or running' : 'failed or cancelled'
+            }`
+      )
+      process.exit(changed ? 0 : 1)
+    }
+
+    case 'worker':
+      await withDB(() =>
+        runWorkers(getNumberOption(args, '--concurrency') || 1)
+      )
+      process.exit(0)
+
+    default:
+      printUsage()
+      process.exit(command ? 1 : 0)
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Process failed:', error.message)
+    process.exit(1)
+  })
+}
@@ -1,5 +1,33 @@
 const puppeteer = require('puppeteer')
 const fs = require('fs').promises
+const { recordPriceHistory } = require('./utils/priceHistory')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
+
+function parsePrice(value) {
+  return parseFloat(value?.replace(/[^0-9.]/g, '')) || 0
+}
+
+// Products are saved as scraped; price history needs them in the catalog
+// shape, one variant per product page
+function toCatalogProduct(product) {
+  const salePrice = parsePrice(product.price)
+  return {
+    parent_product_id: product.productId,
+    name: product.title,
+    retailer_domain: 'levi.com',
+    variants: [
+      {
+        variant_id: product.productId,
+        price_currency: 'USD',
+        original_price: parsePrice(product.originalPrice) || salePrice,
+        sale_price: salePrice,
+        final_price: salePrice,
+        is_in_stock: !/out of stock|sold out/i.test(product.availability),
+        link_url: product.url,
+      },
+    ],
+  }
+}
 
 class LevisScraper {
   constructor() {
@@ -344,14 +372,10 @@ class LevisScraper {
         priceRange: {
           min: Math.min(
             ...this.products
-              .map((p) => parseFloat(p.price?.replace(/[^0-9.]/g, '')) || 0)
+              .map((p) => parsePrice(p.price))
               .filter((p) => p > 0)
           ),
-          max: Math.max(
-            ...this.products.map(
-              (p) => parseFloat(p.price?.replace(/[^0-9.]/g, '')) || 0
-            )
-          ),
+          max: Math.max(...this.products.map((p) => parsePrice(p.price))),
         },
         scrapedAt: new Date().toISOString(),
       }
@@ -361,8 +385,12 @@ class LevisScraper {
         JSON.stringify(summary, null, 2)
       )
       console.log(`Summary saved to levis-summary-${timestamp}.json`)
+
+      await recordPriceHistory(this.products.map(toCatalogProduct))
+      return filename
     } catch (error) {
       console.error('Error saving data:', error)
+      return null
     }
   }
 
@@ -385,9 +413,11 @@ class LevisScraper {
       console.log(
         `\n=== Scraping completed! Total products: ${this.products.length} ===`
       )
-      await this.saveData()
+      const jsonPath = await this.saveData()
+      return jsonPath ? { jsonPath, totalProducts: this.products.length } : null
     } catch (error) {
       console.error('Error in main execution:', error)
+      return null
     } finally {
       if (this.browser) {
         await this.browser.close()
@@ -397,8 +427,15 @@ class LevisScraper {
   }
 }
 
+LevisScraper.prototype.run = trackCrawlRun(
+  { retailer: 'levis', source: 'levis-scraper' },
+  LevisScraper.prototype.run
+)
+
 // Run the scraper
-const scraper = new LevisScraper()
-scraper.run().catch(console.error)
+if (require.main === module) {
+  const scraper = new LevisScraper()
+  scraper.run().catch(console.error)
+}
 
 module.exports = LevisScraper
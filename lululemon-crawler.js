@@ -4,13 +4,16 @@ require('dotenv').config()
 const axios = require('axios')
 const fs = require('fs')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
+const { CheckpointStore, getResumeRunId } = require('./utils/checkpointStore')
 const path = require('path')
 
 // Import helper functions and database
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const {
   calculateDiscount,
   extractSize,
@@ -19,6 +22,7 @@ const {
   cleanAndTruncate,
   getDomainName,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Configuration object for the category API client
 const config = {
@@ -945,7 +949,6 @@ async function saveStoreEntry(storeData, productIds) {
   try {
     // Create new store entry
     const newStore = new Store({
-      products: productIds,
       name: storeData.name || 'Lululemon',
       storeTemplate: 'lululemon-template',
       storeType: 'lululemon',
@@ -961,6 +964,7 @@ async function saveStoreEntry(storeData, productIds) {
     })
 
     await newStore.save()
+    await linkStoreProducts(newStore._id, productIds)
     console.log(`✅ Created new store with ${productIds.length} products`)
     return { operation: 'CREATED', store: newStore }
   } catch (error) {
@@ -972,7 +976,8 @@ async function saveStoreEntry(storeData, productIds) {
 // Helper function to scrape products from a specific category
 async function scrapeLululemonCategory(
   categoryConfig,
-  targetProductCount = 1500
+  targetProductCount = 1500,
+  checkpoint = null
 ) {
   let currentPage = 1
   let allProducts = []
@@ -982,6 +987,19 @@ async function scrapeLululemonCategory(
   console.log(`Target: ${targetProductCount} products`)
 
   while (!isLastPage && allProducts.length < targetProductCount) {
+    // Replay pages fetched before the run was interrupted
+    const savedPage =
+      checkpoint && checkpoint.getPage(categoryConfig.name, currentPage)
+    if (savedPage) {
+      console.log(
+        `⏭️ ${categoryConfig.name} page ${currentPage} restored from checkpoint`
+      )
+      allProducts = allProducts.concat(savedPage.products)
+      isLastPage = savedPage.isLastPage
+      currentPage++
+      continue
+    }
+
     console.log(`\nFetching ${categoryConfig.name} page ${currentPage}...`)
 
     try {
@@ -1026,6 +1044,13 @@ async function scrapeLululemonCategory(
         console.log(
           `Successfully fetched data for ${categoryConfig.name} page ${currentPage}`
         )
+
+        if (checkpoint) {
+          checkpoint.completePage(categoryConfig.name, currentPage, {
+            products: categoryData.products || [],
+            isLastPage,
+          })
+        }
       } else {
         console.log(
           `No category data found for ${categoryConfig.name} page ${currentPage}`
@@ -1063,7 +1088,7 @@ async function scrapeLululemonCategory(
 }
 
 // Generate files for combined products from all categories
-async function generateCombinedFiles(products, storeData) {
+async function generateCombinedFiles(products, storeData, checkpoint = null) {
   const countryCode = storeData.country || 'US'
   const formattedProducts = []
   const productIds = [] // Track product IDs for store entry
@@ -1120,6 +1145,17 @@ async function generateCombinedFiles(products, storeData) {
     const product = uniqueProducts[i]
     const gender = product._gender || 'Women'
     const category = product._category || 'Unknown'
+    const productId = product.productId.toString()
+
+    // Products finished before the run was interrupted are not fetched again
+    if (checkpoint && checkpoint.isProductDone(productId)) {
+      const saved = checkpoint.getProduct(productId)
+      if (saved) {
+        formattedProducts.push(saved.formattedProduct)
+        if (saved.mongoId) productIds.push(saved.mongoId)
+      }
+      continue
+    }
 
     console.log(
       `Processing ${category} product ${i + 1}/${uniqueProducts.length}: ${
@@ -1147,6 +1183,18 @@ async function generateCombinedFiles(products, storeData) {
         }
       }
 
+      if (checkpoint) {
+        checkpoint.completeProduct(
+          productId,
+          result.formattedProduct
+            ? {
+                formattedProduct: result.formattedProduct,
+                mongoId: result.mongoResult.product?._id || null,
+              }
+            : null
+        )
+      }
+
       // Add a small delay between products to be respectful
       await new Promise((resolve) => setTimeout(resolve, 500))
     } catch (error) {
@@ -1171,38 +1219,20 @@ async function generateCombinedFiles(products, storeData) {
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'Lululemon',
       domain: 'shop.lululemon.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: formattedProducts.length,
       categories: ['Women', 'Men'],
       crawled_at: new Date().toISOString(),
     },
-    products: formattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    formattedProducts
+  )
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
 
   // Create or update store entry with all product IDs
   console.log('\n📦 Creating/updating store entry...')
@@ -1223,13 +1253,15 @@ async function generateCombinedFiles(products, storeData) {
   }
 }
 
-async function scrapeLululemonProducts() {
+async function scrapeLululemonProducts(options = {}) {
   try {
     // Connect to MongoDB
     await connectDB()
 
     console.log('🚀 Starting Lululemon scraping...')
 
+    const checkpoint = CheckpointStore.open('lululemon', options.resume)
+
     // Define categories to scrape
     const categories = [
       {
@@ -1304,8 +1336,12 @@ async function scrapeLululemonProducts() {
 
       const categoryProducts = await scrapeLululemonCategory(
         category,
-        targetProductsPerCategory
+        targetProductsPerCategory,
+        checkpoint
       )
+      checkpoint.completeCategory(category.name, {
+        count: categoryProducts.length,
+      })
 
       if (categoryProducts.length === 0) {
         console.log(`⚠️ No products found for ${category.name} category`)
@@ -1351,8 +1387,10 @@ async function scrapeLululemonProducts() {
     // Process all products together and generate combined files
     const combinedFilesResult = await generateCombinedFiles(
       allProducts,
-      storeData
+      storeData,
+      checkpoint
     )
+    checkpoint.finish()
 
     allResults.push({
       categories: allProductDetails,
@@ -1393,9 +1431,9 @@ async function scrapeLululemonProducts() {
 }
 
 // Export the main function for use in other modules
-const main = async () => {
+const crawlLululemon = async (options = {}) => {
   try {
-    const results = await scrapeLululemonProducts()
+    const results = await scrapeLululemonProducts(options)
 
     if (results && results.length > 0) {
       console.log('\n🎉 Lululemon products crawling completed successfully!')
@@ -1437,9 +1475,14 @@ const main = async () => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'lululemon', source: 'lululemon-crawler' },
+  crawlLululemon
+)
+
 // Run the scraper
 if (require.main === module) {
-  main()
+  main({ resume: getResumeRunId() })
     .then((result) => {
       if (result) {
         console.log('Script completed successfully')
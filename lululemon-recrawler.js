@@ -4,15 +4,32 @@ require('dotenv').config()
 const axios = require('axios')
 const fs = require('fs')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
 const path = require('path')
 const mongoose = require('mongoose')
 const _ = require('lodash')
 const { filterValidProducts } = require('./validate-catalog')
+const {
+  CatalogDiff,
+  RECRAWL_DELETE_AFTER_MISSING,
+  compareVariants,
+  compareProducts,
+  determineProductOperationType,
+  printDiffReport,
+} = require('./utils/catalogDiff')
+const { writeCatalog, withoutMongoIds } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
+const {
+  processBatchWithOperations,
+  recordMissingProducts,
+} = require('./utils/catalogStore')
+const {
+  linkStoreProducts,
+  streamStoreProducts,
+  countStoreProducts,
+} = require('./utils/storeProducts')
 
 // Import helper functions and database
 const { connectDB, disconnectDB } = require('./database/connection')
-const Product = require('./models/Product')
 const Store = require('./models/Store')
 const {
   calculateDiscount,
@@ -22,6 +39,7 @@ const {
   cleanAndTruncate,
   getDomainName,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Configuration object for the category API client
 const config = {
@@ -623,69 +641,6 @@ const chunkArray = (array, chunkSize) => {
   return chunks
 }
 
-// Function to compare two variants and determine operation type
-function compareVariants(existingVariant, newVariant) {
-  if (!existingVariant) return 'INSERT'
-
-  // Compare key fields to determine if variant has changed
-  const fieldsToCompare = [
-    'original_price',
-    'selling_price',
-    'sale_price',
-    'final_price',
-    'is_on_sale',
-    'is_in_stock',
-    'image_url',
-    'link_url',
-    'deeplink_url',
-  ]
-
-  for (const field of fieldsToCompare) {
-    if (existingVariant[field] !== newVariant[field]) {
-      return 'UPDATE'
-    }
-  }
-
-  return 'NO_CHANGE'
-}
-
-// Function to compare two products and determine operation type
-function compareProducts(existingProduct, newProduct) {
-  if (!existingProduct) return 'INSERT'
-
-  // Compare key fields to determine if product has changed
-  const fieldsToCompare = ['name', 'description', 'brand', 'category']
-
-  for (const field of fieldsToCompare) {
-    if (existingProduct[field] !== newProduct[field]) {
-      return 'UPDATE'
-    }
-  }
-
-  return 'NO_CHANGE'
-}
-
-// Function to determine product operation type based on variant operations
-function determineProductOperationType(existingProduct, variantOperations) {
-  // If product doesn't exist in DB, it's INSERT
-  if (!existingProduct) {
-    return 'INSERT'
-  }
-
-  // Check variant operations to determine product operation
-  const hasInsertVariants = variantOperations.some((op) => op === 'INSERT')
-  const hasUpdateVariants = variantOperations.some((op) => op === 'UPDATE')
-  const hasDeleteVariants = variantOperations.some((op) => op === 'DELETE')
-
-  // If any variant has changes, product is UPDATE
-  if (hasInsertVariants || hasUpdateVariants || hasDeleteVariants) {
-    return 'UPDATE'
-  }
-
-  // If all variants are NO_CHANGE, product is NO_CHANGE
-  return 'NO_CHANGE'
-}
-
 // Main function to call the category API
 async function fetchCategoryData(variables = {}) {
   try {
@@ -765,50 +720,6 @@ const getProductDetails = async (product) => {
   }
 }
 
-// Function to process batch with proper operations
-async function processBatchWithOperations(formattedProducts) {
-  const results = []
-
-  for (const product of formattedProducts) {
-    try {
-      let result
-
-      if (product.operation_type === 'INSERT') {
-        // Insert new product
-        const newProduct = new Product(product)
-        await newProduct.save()
-        result = { productId: newProduct._id.toString(), operation: 'INSERT' }
-      } else if (product.operation_type === 'UPDATE') {
-        // Update existing product
-        const updateData = { ...product }
-        delete updateData._id
-        await Product.findByIdAndUpdate(product._id, updateData)
-        result = { productId: product._id.toString(), operation: 'UPDATE' }
-      } else if (product.operation_type === 'DELETE') {
-        // Mark product as deleted (we keep it in DB for audit trail)
-        await Product.findByIdAndUpdate(product._id, {
-          operation_type: 'DELETE',
-          'variants.$[].operation_type': 'DELETE',
-        })
-        result = { productId: product._id.toString(), operation: 'DELETE' }
-      } else {
-        // NO_CHANGE - just track the ID
-        result = { productId: product._id.toString(), operation: 'NO_CHANGE' }
-      }
-
-      results.push(result)
-    } catch (error) {
-      console.error(
-        `❌ Error processing product ${product.name}:`,
-        error.message
-      )
-      throw error
-    }
-  }
-
-  return results
-}
-
 // Function to update store entry
 async function updateStoreEntry(storeData, correctUrl, productIds) {
   try {
@@ -820,21 +731,17 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
     if (existingStore) {
       console.log(`Store ${storeData.name} already exists, updating...`)
 
-      // Update store with new timestamp and ensure all product IDs are included
-      const allProductIds = [
-        ...new Set([
-          ...existingStore.products.map((id) => id.toString()),
-          ...productIds,
-        ]),
-      ]
-      existingStore.products = allProductIds.map(
-        (id) => new mongoose.Types.ObjectId(id)
-      )
+      // Update store with new timestamp and link the crawled products to it
+      await linkStoreProducts(existingStore._id, productIds)
       existingStore.isScrapped = true
       existingStore.updatedAt = new Date()
       await existingStore.save()
 
-      console.log(`Updated store with ${allProductIds.length} total products`)
+      console.log(
+        `Updated store with ${await countStoreProducts(
+          existingStore._id
+        )} total products`
+      )
       return existingStore
     }
 
@@ -845,7 +752,6 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
       city: '',
       state: '',
       country: storeData.country || 'US',
-      products: productIds.map((id) => new mongoose.Types.ObjectId(id)),
       isScrapped: true,
       storeType: 'lululemon',
       storeTemplate: 'lululemon-template',
@@ -854,6 +760,7 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
     })
 
     await storeEntry.save()
+    await linkStoreProducts(storeEntry._id, productIds)
     console.log(`✅ Created new store entry: ${storeData.name || 'Lululemon'}`)
     return storeEntry
   } catch (error) {
@@ -886,64 +793,31 @@ async function generateOutputFiles(
       fs.mkdirSync(dirPath, { recursive: true })
     }
 
-    // Create JSONL file (each product on a separate line) - streaming approach
-    const jsonFilePath = path.join(dirPath, 'catalog.json')
-    const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-
-    // Use streaming to avoid memory issues
-    const writeStream = fs.createWriteStream(jsonlFilePath, {
-      encoding: 'utf8',
-    })
-
-    for (let i = 0; i < allFormattedProducts.length; i++) {
-      const product = allFormattedProducts[i]
+    // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz one product at
+    // a time to avoid memory issues
+    const files = await writeCatalog(
+      dirPath,
+      {
+        name: storeData.name || 'Lululemon',
+        domain: 'shop.lululemon.com',
+        currency: storeData.currency || 'USD',
+        country: countryCode,
+        crawled_at: new Date().toISOString(),
+        crawl_type: 'RECRAWL',
+      },
       // Remove MongoDB _id from each product individually
-      const { _id, ...cleanProduct } = product
-
-      // Write each product as a line, add newline except for last item
-      const jsonLine = JSON.stringify(cleanProduct)
-      if (i === allFormattedProducts.length - 1) {
-        writeStream.write(jsonLine)
-      } else {
-        writeStream.write(jsonLine + '\n')
-      }
-    }
-
-    // Close the write stream and wait for it to finish
-    await new Promise((resolve, reject) => {
-      writeStream.end((error) => {
-        if (error) reject(error)
-        else resolve()
-      })
-    })
-
-    console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-    // Gzip the JSONL file using streams to avoid loading entire file into memory
-    const gzippedFilePath = `${jsonlFilePath}.gz`
-
-    await new Promise((resolve, reject) => {
-      const readStream = fs.createReadStream(jsonlFilePath)
-      const gzipStream = zlib.createGzip()
-      const writeGzipStream = fs.createWriteStream(gzippedFilePath)
-
-      readStream
-        .pipe(gzipStream)
-        .pipe(writeGzipStream)
-        .on('finish', resolve)
-        .on('error', reject)
-    })
-
-    console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
-
-    return { jsonFilePath, jsonlFilePath: jsonlFilePath, gzippedFilePath }
+      withoutMongoIds(allFormattedProducts)
+    )
+    await recordPriceHistory(allFormattedProducts, { feedDir: dirPath })
+    return files
   } catch (error) {
     console.error('❌ Error in generateOutputFiles:', error.message)
     throw error
   }
 }
 
-// Helper function to scrape products from a specific category
+// Helper function to scrape products from a specific category. complete is
+// false when a page failed or the target count cut the listing short.
 async function scrapeLululemonCategory(
   categoryConfig,
   targetProductCount = 1500
@@ -951,6 +825,7 @@ async function scrapeLululemonCategory(
   let currentPage = 1
   let allProducts = []
   let isLastPage = false
+  let complete = true
 
   console.log(`\n🎯 Starting to scrape ${categoryConfig.name} category...`)
   console.log(`Target: ${targetProductCount} products`)
@@ -1005,6 +880,7 @@ async function scrapeLululemonCategory(
           `No category data found for ${categoryConfig.name} page ${currentPage}`
         )
         isLastPage = true
+        complete = false
       }
     } catch (error) {
       console.log(
@@ -1012,6 +888,7 @@ async function scrapeLululemonCategory(
         error.message
       )
       isLastPage = true
+      complete = false
     }
 
     currentPage++
@@ -1020,6 +897,9 @@ async function scrapeLululemonCategory(
   }
 
   // Limit to target product count
+  if (!isLastPage || allProducts.length > targetProductCount) {
+    complete = false
+  }
   if (allProducts.length > targetProductCount) {
     allProducts = allProducts.slice(0, targetProductCount)
   }
@@ -1033,11 +913,19 @@ async function scrapeLululemonCategory(
     `📦 ${categoryConfig.name} total products collected: ${allProducts.length}`
   )
 
-  return allProducts
+  return { products: allProducts, complete }
 }
 
-// Generate files with recrawl logic for combined products from all categories
-async function generateCombinedFilesWithRecrawl(products, storeData, store) {
+// Generate files with recrawl logic for combined products from all categories.
+// options.complete: every category was crawled in full, so products missing
+// from it are DELETE right away instead of after RECRAWL_DELETE_AFTER_MISSING
+// recrawls.
+async function generateCombinedFilesWithRecrawl(
+  products,
+  storeData,
+  store,
+  options = {}
+) {
   const countryCode = storeData.country || 'US'
   const BATCH_SIZE = 20
   const allProductIds = []
@@ -1049,69 +937,25 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
   // Ensure store object exists
   if (!store) {
     console.log('⚠️  Store object is undefined, treating as new store')
-    store = { products: [] }
+    store = {}
   }
 
-  // Get existing products for this store from database
-  const existingProducts = store.products || []
-
-  // Create maps for quick lookup
-  const existingProductsMap = new Map()
-  const existingVariantsMap = new Map()
-
-  if (existingProducts && existingProducts.length > 0) {
-    existingProducts.forEach((product) => {
-      if (product && product.parent_product_id) {
-        existingProductsMap.set(product.parent_product_id, product)
-        if (product.variants && Array.isArray(product.variants)) {
-          product.variants.forEach((variant) => {
-            if (variant && variant.variant_id) {
-              existingVariantsMap.set(variant.variant_id, variant)
-            }
-          })
-        }
-      }
-    })
-  }
+  // Stream existing products for this store from database
+  const recrawlDiff = await CatalogDiff.fromCursor(
+    store._id ? streamStoreProducts(store._id) : [],
+    {
+      retailerDomain: 'shop.lululemon.com',
+      deleteAfterMissing: RECRAWL_DELETE_AFTER_MISSING,
+    }
+  )
 
   console.log(
-    `🔄 RECRAWL MODE: Found ${existingProducts.length} existing products in database`
+    `🔄 RECRAWL MODE: Found ${recrawlDiff.existingProducts.size} existing products in database`
   )
   console.log(
     `📦 Processing ${products.length} products from Lululemon in batches of ${BATCH_SIZE}...`
   )
 
-  // Track current product IDs from Lululemon
-  const currentProductIds = new Set(products.map((p) => p.productId.toString()))
-  const currentVariantIds = new Set()
-
-  // First, handle products that exist in database but not on store (DELETE)
-  const deletedProducts = []
-  for (const [productId, product] of existingProductsMap) {
-    if (!currentProductIds.has(productId)) {
-      // Product exists in DB but not on store - mark as DELETE
-      const deletedProduct = {
-        ...product,
-        operation_type: 'DELETE',
-        variants: product.variants
-          ? product.variants.map((variant) => ({
-              ...variant,
-              operation_type: 'DELETE',
-            }))
-          : [],
-      }
-      deletedProducts.push(deletedProduct)
-      allFormattedProducts.push(deletedProduct)
-      if (product._id) {
-        allProductIds.push(product._id.toString())
-      }
-    }
-  }
-
-  console.log(
-    `🗑️  Found ${deletedProducts.length} products to delete (exist in DB but not on store)`
-  )
-
   // Split products into batches
   for (let i = 0; i < products.length; i += BATCH_SIZE) {
     const batch = products.slice(i, i + BATCH_SIZE)
@@ -1131,9 +975,6 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
       const gender = product._gender || 'Women'
       const category = product._category || 'Unknown'
 
-      // Get existing product from database
-      const existingProduct = existingProductsMap.get(productId)
-
       // Get detailed product information
       const productDetails = await getProductDetails(product)
 
@@ -1190,17 +1031,10 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
         available_bank_offers: '',
         available_coupons: '',
         variants: [],
-        operation_type: 'NO_CHANGE', // Will be determined based on variant operations
+        operation_type: 'NO_CHANGE', // Will be determined by the recrawl diff
         source: 'lululemon',
-        _id:
-          existingProduct && existingProduct._id
-            ? existingProduct._id
-            : new mongoose.Types.ObjectId(),
       }
 
-      // Track variant operations for this product
-      const variantOperations = []
-
       // Process variants (colors and sizes)
       if (
         productDetails?.data?.productDetailPage?.colors &&
@@ -1279,9 +1113,6 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
               const isInStock = true
               const size = variantSize.name || ''
               const variantId = `${productId}-${colorName}-${size}`
-              currentVariantIds.add(variantId)
-
-              const existingVariant = existingVariantsMap.get(variantId)
 
               const newVariantData = {
                 price_currency: 'USD',
@@ -1309,58 +1140,14 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
                 variant_description: '',
               }
 
-              const variantOperationType = compareVariants(
-                existingVariant,
-                newVariantData
-              )
-              variantOperations.push(variantOperationType)
-
-              const formattedVariant = {
-                ...newVariantData,
-                operation_type: variantOperationType,
-              }
-
-              formattedProduct.variants.push(formattedVariant)
+              formattedProduct.variants.push(newVariantData)
             }
           }
         }
       }
 
-      // Check for deleted variants (exist in DB but not on Lululemon)
-      if (existingProduct) {
-        if (
-          existingProduct.variants &&
-          Array.isArray(existingProduct.variants)
-        ) {
-          existingProduct.variants.forEach((existingVariant) => {
-            if (
-              existingVariant &&
-              !currentVariantIds.has(existingVariant.variant_id)
-            ) {
-              // Variant exists in DB but not on Lululemon - mark as DELETE
-              const deletedVariant = {
-                ...existingVariant,
-                operation_type: 'DELETE',
-              }
-              formattedProduct.variants.push(deletedVariant)
-              variantOperations.push('DELETE')
-            }
-          })
-        }
-      }
-
-      // Determine product operation type based on variant operations
-      formattedProduct.operation_type = determineProductOperationType(
-        existingProduct,
-        variantOperations
-      )
-
-      formattedProduct.variants = _.uniqBy(
-        formattedProduct.variants,
-        (p) => p.variant_id
-      )
-
-      formattedProducts.push(formattedProduct)
+      // Tag product and variants (including sizes no longer offered)
+      formattedProducts.push(recrawlDiff.diffProduct(formattedProduct))
     }
 
     // Handle database operations for current batch
@@ -1368,7 +1155,8 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
     if (formattedProducts.length > 0) {
       try {
         const operationResults = await processBatchWithOperations(
-          formattedProducts
+          formattedProducts,
+          store._id
         )
         batchProductIds = operationResults.map((result) => result.productId)
 
@@ -1413,26 +1201,28 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
     }
   }
 
-  // Generate operation summary
-  const operationSummary = {
-    products: { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 },
-    variants: { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 },
-  }
-
-  allFormattedProducts.forEach((product) => {
-    operationSummary.products[product.operation_type]++
-    product.variants.forEach((variant) => {
-      operationSummary.variants[variant.operation_type]++
-    })
+  // Products that exist in database but not on store are DELETE, or pending
+  // deletions while the guard holds them back
+  const deletedProducts = recrawlDiff.deletedProducts({
+    complete: options.complete,
   })
-
-  console.log('\n📊 Operation Summary:')
-  console.log(
-    `Products - INSERT: ${operationSummary.products.INSERT}, UPDATE: ${operationSummary.products.UPDATE}, DELETE: ${operationSummary.products.DELETE}, NO_CHANGE: ${operationSummary.products.NO_CHANGE}`
-  )
   console.log(
-    `Variants - INSERT: ${operationSummary.variants.INSERT}, UPDATE: ${operationSummary.variants.UPDATE}, DELETE: ${operationSummary.variants.DELETE}, NO_CHANGE: ${operationSummary.variants.NO_CHANGE}`
+    `🗑️  Found ${deletedProducts.length} products missing from store (${
+      recrawlDiff.getReport().pending_deletions
+    } pending deletion)`
   )
+  await recordMissingProducts(recrawlDiff)
+
+  deletedProducts.forEach((product) => {
+    allFormattedProducts.push(product)
+    // Soft-deleted products are no longer live
+    if (product._id && product.operation_type !== 'DELETE') {
+      allProductIds.push(product._id.toString())
+    }
+  })
+
+  const changeReport = recrawlDiff.getReport()
+  printDiffReport(changeReport)
 
   console.log(
     `\n✅ All batches processed! Total: ${allFormattedProducts.length} products`
@@ -1475,10 +1265,14 @@ async function generateCombinedFilesWithRecrawl(products, storeData, store) {
     `\n📊 Recrawl Results: ${allProductIds.length} products processed, ${filterResult.validCount} valid products saved`
   )
 
-  return { jsonPath: outputResult.gzippedFilePath, productIds: allProductIds }
+  return {
+    jsonPath: outputResult.gzippedFilePath,
+    productIds: allProductIds,
+    changeReport,
+  }
 }
 
-async function recrawlLululemonProducts(store) {
+async function recrawlLululemon(store) {
   try {
     console.log('🚀 Starting Lululemon recrawling...')
 
@@ -1546,6 +1340,7 @@ async function recrawlLululemonProducts(store) {
     // Collect all products from all categories
     let allProducts = []
     let allProductDetails = []
+    const incompleteCategories = []
 
     // Scrape each category
     for (const category of categories) {
@@ -1553,10 +1348,12 @@ async function recrawlLululemonProducts(store) {
       console.log(`🎯 Starting ${category.name} category scraping`)
       console.log(`${'='.repeat(50)}`)
 
-      const categoryProducts = await scrapeLululemonCategory(
-        category,
-        targetProductsPerCategory
-      )
+      const { products: categoryProducts, complete } =
+        await scrapeLululemonCategory(category, targetProductsPerCategory)
+
+      if (!complete || categoryProducts.length === 0) {
+        incompleteCategories.push(category.name)
+      }
 
       if (categoryProducts.length === 0) {
         console.log(`⚠️ No products found for ${category.name} category`)
@@ -1599,11 +1396,20 @@ async function recrawlLululemonProducts(store) {
       return false
     }
 
+    if (incompleteCategories.length > 0) {
+      console.log(
+        `⚠️ Incomplete categories, missing products will not be deleted right away: ${incompleteCategories.join(
+          ', '
+        )}`
+      )
+    }
+
     // Process all products together with recrawl logic
     const combinedFilesResult = await generateCombinedFilesWithRecrawl(
       allProducts,
       storeData,
-      store
+      store,
+      { complete: incompleteCategories.length === 0 }
     )
 
     console.log(`\n${'🎉'.repeat(20)}`)
@@ -1626,6 +1432,15 @@ async function recrawlLululemonProducts(store) {
   }
 }
 
+const recrawlLululemonProducts = trackCrawlRun(
+  {
+    retailer: 'lululemon',
+    source: 'lululemon-recrawler',
+    crawlType: 'RECRAWL',
+  },
+  recrawlLululemon
+)
+
 // Process Lululemon stores fetched from server
 async function processStoresFromServer() {
   console.log(`🚀 Starting to process Lululemon stores from server...`)
@@ -1644,7 +1459,7 @@ async function processStoresFromServer() {
     const existingStore = await Store.findOne({
       storeType: 'lululemon',
       name: 'Lululemon',
-    }).populate('products')
+    }).lean()
 
     console.log('Processing Lululemon store...')
     const storeResult = await recrawlLululemonProducts(existingStore)
@@ -6,7 +6,8 @@ const fs = require('fs')
 const axios = require('axios')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 const path = require('path')
 const { connect } = require('puppeteer-real-browser')
 
@@ -14,6 +15,7 @@ const { connect } = require('puppeteer-real-browser')
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const {
   calculateDiscount,
   extractSize,
@@ -22,6 +24,7 @@ const {
   cleanAndTruncate,
   getDomainName,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Helper function to chunk array into smaller arrays
 const chunkArray = (array, chunkSize) => {
@@ -229,7 +232,6 @@ async function saveStoreEntry(storeData, productIds) {
   try {
     // Create new store entry
     const newStore = new Store({
-      products: productIds,
       name: storeData.name || 'Lulus',
       storeTemplate: 'lulus-template',
       storeType: 'lulus',
@@ -245,6 +247,7 @@ async function saveStoreEntry(storeData, productIds) {
     })
 
     await newStore.save()
+    await linkStoreProducts(newStore._id, productIds)
     console.log(`✅ Created new store with ${productIds.length} products`)
     return { operation: 'CREATED', store: newStore }
   } catch (error) {
@@ -447,36 +450,18 @@ async function generateCombinedFiles(products, storeData, page) {
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'Lulus',
       domain: 'lulus.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: formattedProducts.length,
     },
-    products: formattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    formattedProducts
+  )
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
 
   // Create or update store entry with all product IDs
   console.log('\n📦 Creating/updating store entry...')
@@ -672,7 +657,7 @@ async function scrapeLulusProducts() {
 }
 
 // Export the main function for use in other modules
-const main = async () => {
+const crawlLulus = async () => {
   try {
     const results = await scrapeLulusProducts()
 
@@ -718,6 +703,11 @@ const main = async () => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'lulus', source: 'lulus-crawler' },
+  crawlLulus
+)
+
 // Run the scraper
 if (require.main === module) {
   main()
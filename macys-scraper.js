@@ -2,11 +2,17 @@ const puppeteer = require('puppeteer-extra')
 const StealthPlugin = require('puppeteer-extra-plugin-stealth')
 const fs = require('fs')
 const path = require('path')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 puppeteer.use(StealthPlugin())
 
+// Men's clothing listing API used for the Macy's catalog
+const MACYS_MENS_CLOTHING_URL =
+  'https://www.macys.com/xapi/discover/v1/page?pathname=/shop/mens-clothing/all-mens-clothing&id=197651&_navigationType=BROWSE&_shoppingMode=SITE&sortBy=ORIGINAL&productsPerPage=60&pageIndex=2&_application=SITE&_regionCode=US&currencyCode=USD&size=medium&spItemsVersion=1.1&utagId=0197693dd0ef0020b8aa4749798005075001606d01328&_deviceType=DESKTOP&_customerState=GUEST'
+
 // Helper function to extract image URL from Macy's file path
 function getImageUrl(
   filePath,
@@ -266,7 +272,7 @@ function createVariant(product, color, priceData) {
 }
 
 // Function to save processed data to files
-function saveProcessedData(formattedProducts, outputDir = 'output') {
+async function saveProcessedData(formattedProducts, outputDir = 'output') {
   // Create directory structure
   const dirPath = path.join(__dirname, outputDir, 'US', 'macys-US')
 
@@ -274,37 +280,19 @@ function saveProcessedData(formattedProducts, outputDir = 'output') {
     fs.mkdirSync(dirPath, { recursive: true })
   }
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { jsonlFilePath, gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: "Macy's",
       domain: 'macys.com',
       currency: 'USD',
       country: 'US',
-      total_products: formattedProducts.length,
       crawled_at: new Date().toISOString(),
     },
-    products: formattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    formattedProducts
+  )
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
 
   return {
     jsonPath: gzippedFilePath,
@@ -392,7 +380,7 @@ async function scrapeApiData(url) {
 }
 
 // Main function to scrape and process Macy's data
-async function scrapeMacysData(url) {
+async function crawlMacys(url) {
   try {
     console.log("Starting Macy's data scraping...")
 
@@ -405,7 +393,7 @@ async function scrapeMacysData(url) {
     console.log(`Processed ${processedProducts.length} products`)
 
     // Save the processed data
-    const result = saveProcessedData(processedProducts)
+    const result = await saveProcessedData(processedProducts)
 
     console.log("✅ Macy's data processing completed successfully!")
     console.log(`📊 Summary:`)
@@ -420,22 +408,28 @@ async function scrapeMacysData(url) {
   }
 }
 
+const scrapeMacysData = trackCrawlRun(
+  { retailer: 'macys', source: 'macys-scraper' },
+  crawlMacys
+)
+
 // Export the functions for use in other modules
 module.exports = {
+  MACYS_MENS_CLOTHING_URL,
   scrapeApiData,
   scrapeMacysData,
   processMacysProducts,
   saveProcessedData,
 }
 
-// Example usage (uncomment to test):
-;(async () => {
-  try {
-    const result = await scrapeMacysData(
-      'https://www.macys.com/xapi/discover/v1/page?pathname=/shop/mens-clothing/all-mens-clothing&id=197651&_navigationType=BROWSE&_shoppingMode=SITE&sortBy=ORIGINAL&productsPerPage=60&pageIndex=2&_application=SITE&_regionCode=US&currencyCode=USD&size=medium&spItemsVersion=1.1&utagId=0197693dd0ef0020b8aa4749798005075001606d01328&_deviceType=DESKTOP&_customerState=GUEST'
-    )
-    console.log('Scraping completed successfully:', result)
-  } catch (error) {
-    console.error('Error:', error.message)
-  }
-})()
+// Run the scraper
+if (require.main === module) {
+  ;(async () => {
+    try {
+      const result = await scrapeMacysData(MACYS_MENS_CLOTHING_URL)
+      console.log('Scraping completed successfully:', result)
+    } catch (error) {
+      console.error('Error:', error.message)
+    }
+  })()
+}
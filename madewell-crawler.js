@@ -17,6 +17,9 @@ const fs = require("fs");
 const path = require("path");
 const puppeteer = require("puppeteer");
 const { retryPuppeteerWithProxyRotation } = require("./utils/helper");
+const { CatalogWriter } = require("./utils/catalogWriter");
+const { PriceHistoryRecorder } = require("./utils/priceHistory");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
 
 axios.defaults.timeout = 180000;
 
@@ -84,49 +87,16 @@ function createOutputDirectory(countryCode, brandName) {
 
 function startIncrementalCatalog(countryCode, brandName, storeData = {}) {
   const dirPath = createOutputDirectory(countryCode || "US", brandName);
-  const jsonPath = path.join(dirPath, "catalog.json");
-
-  const header = {
-    store_info: {
-      name: storeData.name || brandName,
-      domain: storeData.domain || `${brandName}.com`,
-      currency: storeData.currency || "USD",
-      country: countryCode || "US",
-      crawled_at: new Date().toISOString(),
-    },
-    products: [],
-  };
-
-  const headerString = JSON.stringify(
-    { store_info: header.store_info },
-    null,
-    2
-  );
-  const prefix = headerString.replace(/}\s*$/, "") + ',\n  "products": [\n';
-  fs.writeFileSync(jsonPath, prefix, "utf8");
-
-  return { dirPath, jsonPath, wroteFirst: false };
-}
 
-function appendProductIncremental(ctx, product) {
-  if (!ctx || !ctx.jsonPath) throw new Error("Invalid context");
-
-  const formattedProduct = JSON.stringify(product, null, 4);
-  const jsonLine = (ctx.wroteFirst ? ",\n" : "") + formattedProduct;
-  fs.appendFileSync(ctx.jsonPath, jsonLine, "utf8");
-
-  ctx.wroteFirst = true;
-}
-
-function finalizeIncrementalCatalog(ctx) {
-  if (!ctx || !ctx.jsonPath) throw new Error("Invalid context");
-
-  fs.appendFileSync(ctx.jsonPath, "\n  ]\n}", "utf8");
-
-  return {
-    jsonPath: ctx.jsonPath,
-    dirPath: ctx.dirPath,
-  };
+  // Products are streamed into catalog.json, catalog.jsonl and
+  // catalog.jsonl.gz as they are parsed
+  return new CatalogWriter(dirPath, {
+    name: storeData.name || brandName,
+    domain: storeData.domain || `${brandName}.com`,
+    currency: storeData.currency || "USD",
+    country: countryCode || "US",
+    crawled_at: new Date().toISOString(),
+  });
 }
 
 // ============================================================================
@@ -858,6 +828,7 @@ async function fetchMadewellProductList(categoryUrl, minProducts = 5) {
 async function madewellMain(minProductsPerCategory = 1600) {
   const store = STORE_CONFIG.MADEWELL;
   const inc = startIncrementalCatalog(store.country, "madewell", store);
+  const priceHistory = new PriceHistoryRecorder();
 
   let totalProducts = 0;
   let categoryCount = 0;
@@ -1015,7 +986,8 @@ async function madewellMain(minProductsPerCategory = 1600) {
           if (product && product.variants.length > 0) {
             // Write immediately to disk
             try {
-              appendProductIncremental(inc, product);
+              await inc.append(product);
+              await priceHistory.add(product);
               categoryProductsCount++;
               totalProducts++;
               processedProductIds.add(productId);
@@ -1051,19 +1023,20 @@ async function madewellMain(minProductsPerCategory = 1600) {
     console.error(error.stack);
   } finally {
     try {
-      const files = finalizeIncrementalCatalog(inc);
+      const files = await inc.finalize();
+      await priceHistory.finish({ feedDir: path.dirname(files.jsonFilePath) });
       console.log(
         `\n📦 Catalog finalized. Total products written: ${totalProducts}`
       );
       console.log(`🔍 Total unique product IDs: ${processedProductIds.size}`);
       return {
-        jsonPath: files.jsonPath,
+        jsonPath: files.jsonFilePath,
         totalProductIds: totalProducts,
       };
     } catch (finalizeError) {
       console.error(`\n❌ Error finalizing: ${finalizeError.message}`);
       return {
-        jsonPath: inc.jsonPath,
+        jsonPath: inc.jsonFilePath,
         totalProductIds: totalProducts,
       };
     }
@@ -1074,7 +1047,7 @@ async function madewellMain(minProductsPerCategory = 1600) {
 // MAIN ENTRY POINT
 // ============================================================================
 
-async function runMadewellCrawler(options = {}) {
+async function crawlMadewell(options = {}) {
   const { minProductsPerCategory = 1600 } = options;
 
   console.log("=".repeat(80));
@@ -1105,6 +1078,11 @@ async function runMadewellCrawler(options = {}) {
   }
 }
 
+const runMadewellCrawler = trackCrawlRun(
+  { retailer: "madewell", source: "madewell-crawler" },
+  crawlMadewell
+);
+
 // If run directly from command line
 if (require.main === module) {
   const args = process.argv.slice(2);
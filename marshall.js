@@ -4,6 +4,8 @@ const fs = require("fs");
 const path = require("path");
 const { v5: uuidv5 } = require("uuid");
 const cheerio = require("cheerio");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
+const { recordPriceHistory } = require("./utils/priceHistory");
 
 const COLOR_NAMESPACE = "6ba7b810-9dad-11d1-80b4-00c04fd430c8";
 const VARIANT_NAMESPACE = "6ba7b810-9dad-11d1-80b4-00c04fd430c1";
@@ -665,10 +667,12 @@ async function writeCatalogFiles(products, storeData = STORE_DATA) {
     .join("\n");
   fs.writeFileSync(jsonlPath, jsonlContent, "utf8");
 
+  await recordPriceHistory(products, { feedDir: dirPath });
+
   return { jsonPath, jsonlPath };
 }
 
-async function main() {
+async function crawlMarshalls() {
   try {
     const TARGET_PER_CATEGORY = 3000; // 3,000 products per category (6,000 total)
 
@@ -738,7 +742,7 @@ async function main() {
 
     if (products.length === 0) {
       console.warn("\n⚠️ No products were successfully scraped.");
-      return;
+      return false;
     }
 
     console.log(`\n🧾 Formatted products ready for export: ${products.length}`);
@@ -747,9 +751,21 @@ async function main() {
     console.log("💾 Wrote catalog to:");
     console.log(`   • ${files.jsonPath}`);
     console.log(`   • ${files.jsonlPath}`);
+
+    return { jsonPath: files.jsonPath, totalProducts: products.length };
   } catch (error) {
     console.error("❌ Error:", error.message);
+    return false;
   }
 }
 
-main();
+const main = trackCrawlRun(
+  { retailer: "marshalls", source: "marshall" },
+  crawlMarshalls
+);
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, writeCatalogFiles, STORE_DATA };
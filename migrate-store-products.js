@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const { connectDB, disconnectDB } = require('./database/connection')
+const Product = require('./models/Product')
+const Store = require('./models/Store')
+
+// Moves the product ids embedded in Store.products and Store.deletedProducts
+// to Product.store (see utils/storeProducts.js). The arrays are deprecated
+// but kept in step with Product.store until --drop-arrays removes them from
+// every store; after that they are no longer written. Safe to run again:
+// linking is idempotent and stores without the arrays are skipped.
+
+// Product ids updated per round trip
+const MIGRATION_BATCH_SIZE = 1000
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log('  node migrate-store-products.js [--dry-run] [--drop-arrays]')
+  console.log('')
+  console.log('  --dry-run      Only report what would be migrated')
+  console.log(
+    '  --drop-arrays  Also remove the deprecated arrays from the stores'
+  )
+}
+
+/**
+ * Link the products of every store that still embeds product ids
+ * @param {Object} options - { dryRun, dropArrays }
+ * @returns {Object} { stores, productIds, linked, missing, unlinked }
+ */
+async function migrateStoreProducts(options = {}) {
+  const totals = { stores: 0, productIds: 0, linked: 0, missing: 0 }
+
+  // Only the ids are needed, so read the raw documents
+  const cursor = Store.collection.find(
+    {
+      $or: [
+        { products: { $exists: true } },
+        { deletedProducts: { $exists: true } },
+      ],
+    },
+    { projection: { name: 1, storeUrl: 1, products: 1, deletedProducts: 1 } }
+  )
+
+  for await (const store of cursor) {
+    const productIds = [
+      ...(store.products || []),
+      ...(store.deletedProducts || []),
+    ]
+    let found = 0
+    let linked = 0
+
+    for (let i = 0; i < productIds.length; i += MIGRATION_BATCH_SIZE) {
+      const batch = {
+        _id: { $in: productIds.slice(i, i + MIGRATION_BATCH_SIZE) },
+      }
+
+      if (options.dryRun) {
+        found += await Product.countDocuments(batch)
+        continue
+      }
+
+      const result = await Product.updateMany(batch, {
+        $set: { store: store._id },
+      })
+      found += result.matchedCount
+      linked += result.modifiedCount
+    }
+
+    if (!options.dryRun && options.dropArrays) {
+      await Store.collection.updateOne(
+        { _id: store._id },
+        { $unset: { products: '', deletedProducts: '' } }
+      )
+    }
+
+    totals.stores++
+    totals.productIds += productIds.length
+    totals.linked += linked
+    totals.missing += productIds.length - found
+    console.log(
+      `🏪 ${store.name} (${store.storeUrl}): ${productIds.length} ids, ${linked} linked, ${
+        productIds.length - found
+      } without a product`
+    )
+  }
+
+  // Products no store embedded, they are not recrawled until a crawl links them
+  const unlinked = await Product.aggregate([
+    { $match: { store: null } },
+    { $group: { _id: '$retailer_domain', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ])
+
+  return {
+    ...totals,
+    unlinked: unlinked.map(({ _id, count }) => ({ retailer: _id, count })),
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  if (args.includes('--help')) {
+    printUsage()
+    return
+  }
+  const options = {
+    dryRun: args.includes('--dry-run'),
+    dropArrays: args.includes('--drop-arrays'),
+  }
+
+  await connectDB()
+  try {
+    const result = await migrateStoreProducts(options)
+
+    console.log(
+      `\n📊 ${result.stores} store(s), ${result.productIds} embedded ids, ${result.linked} products linked, ${result.missing} ids without a product`
+    )
+    result.unlinked.forEach(({ retailer, count }) => {
+      console.log(
+        `⚠️  ${retailer || '(no retailer)'}: ${count} products without a store`
+      )
+    })
+    if (options.dryRun) console.log('🧪 Dry run: nothing was changed')
+  } finally {
+    await disconnectDB()
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('💥 Migration failed:', error.message)
+      process.exit(1)
+    })
+}
+
+module.exports = { migrateStoreProducts }
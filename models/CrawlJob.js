@@ -0,0 +1,52 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// One queued crawl, recrawl or upload, see utils/jobQueue.js
+const crawlJobSchema = new Schema(
+  {
+    retailer: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ['crawl', 'recrawl', 'upload'],
+      required: true,
+    },
+    // Passed to the job function, e.g. the category id of a walmart crawl
+    args: { type: [Schema.Types.Mixed], default: [] },
+    status: {
+      type: String,
+      enum: ['QUEUED', 'RUNNING', 'SUCCESS', 'FAILED', 'CANCELLED'],
+      default: 'QUEUED',
+    },
+    // Higher runs first
+    priority: { type: Number, default: 0 },
+    // Not picked up before this time (retries wait here)
+    runAfter: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    timeoutMs: { type: Number, default: 6 * 60 * 60 * 1000 },
+    // Worker running the job and its last sign of life
+    lockedBy: String,
+    heartbeatAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    error: String,
+    // summary of the job result, when it returns one
+    summary: Schema.Types.Mixed,
+    // Last lines the job printed, see JOB_LOG_LINES in utils/jobQueue.js
+    logs: [
+      {
+        _id: false,
+        at: Date,
+        stream: { type: String, enum: ['stdout', 'stderr', 'worker'] },
+        line: String,
+      },
+    ],
+  },
+  { timestamps: true }
+)
+
+crawlJobSchema.index({ status: 1, priority: -1, runAfter: 1, createdAt: 1 })
+crawlJobSchema.index({ retailer: 1, createdAt: -1 })
+
+module.exports = mongoose.model('CrawlJob', crawlJobSchema)
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const operationCounts = {
+  INSERT: { type: Number, default: 0 },
+  UPDATE: { type: Number, default: 0 },
+  DELETE: { type: Number, default: 0 },
+  NO_CHANGE: { type: Number, default: 0 },
+}
+
+const crawlRunSchema = new Schema(
+  {
+    retailer: { type: String, required: true },
+    // Script or pipeline that ran, e.g. lululemon-crawler or processShopifyRecrawler
+    source: String,
+    crawlType: {
+      type: String,
+      enum: ['CRAWL', 'RECRAWL', 'BATCH'],
+      default: 'CRAWL',
+    },
+    status: {
+      type: String,
+      enum: ['RUNNING', 'SUCCESS', 'FAILED'],
+      default: 'RUNNING',
+    },
+    startedAt: { type: Date, required: true },
+    finishedAt: Date,
+    durationMs: Number,
+    // Batch run (processAllCustomCatalogs, processShopifyRecrawler) this run belongs to
+    parentRun: {
+      type: Schema.ObjectId,
+      ref: 'CrawlRun',
+    },
+    checkpointRunId: String,
+    operations: operationCounts,
+    validationRejects: {
+      products: { type: Number, default: 0 },
+      variants: { type: Number, default: 0 },
+    },
+    totalProducts: { type: Number, default: 0 },
+    errorCount: { type: Number, default: 0 },
+    errorMessage: String,
+    proxyRetries: { type: Number, default: 0 },
+    outputFiles: [{ type: String }],
+    upload: {
+      destination: String,
+      remotePath: String,
+      success: Boolean,
+      error: String,
+      // Size and SHA-256 of the uploaded catalog, see utils/uploadManifest.js
+      size: Number,
+      sha256: String,
+      // How the remote copy was checked: size or checksum
+      verified: String,
+      uploadedAt: Date,
+      // Store folder ({countryCode}/{brand-countryCode}) and catalog stats,
+      // the baseline of the next upload's anomaly checks
+      // (see utils/catalogAnomalies.js)
+      store: String,
+      stats: {
+        products: Number,
+        deletedProducts: Number,
+        variants: Number,
+        inStockVariants: Number,
+        inStockRatio: Number,
+        averagePrice: Number,
+        deleteShare: Number,
+      },
+      // Failed anomaly checks kept the catalog from being uploaded
+      heldBack: Boolean,
+      anomalies: [{ type: String }],
+    },
+  },
+  { timestamps: true }
+)
+
+crawlRunSchema.index({ retailer: 1, startedAt: -1 })
+crawlRunSchema.index({ parentRun: 1 })
+crawlRunSchema.index({ outputFiles: 1 })
+crawlRunSchema.index({ 'upload.store': 1, 'upload.uploadedAt': -1 })
+
+module.exports = mongoose.model('CrawlRun', crawlRunSchema)
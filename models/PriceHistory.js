@@ -0,0 +1,31 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// One document per variant per crawl; fields follow the Product variant names
+const priceHistorySchema = new Schema({
+  variant_id: { type: String, required: true },
+  parent_product_id: { type: String, required: true },
+  retailer_domain: { type: String, required: true },
+  price_currency: { type: String, default: 'USD' },
+  original_price: { type: Number, default: 0 },
+  sale_price: { type: Number, default: 0 },
+  final_price: { type: Number, default: 0 },
+  is_in_stock: { type: Boolean, default: false },
+  crawl_run: {
+    type: Schema.ObjectId,
+    ref: 'CrawlRun',
+  },
+  crawl_type: {
+    type: String,
+    enum: ['CRAWL', 'RECRAWL', 'BATCH'],
+    default: 'CRAWL',
+  },
+  // Start of the crawl run, shared by every price it recorded
+  recorded_at: { type: Date, required: true },
+})
+
+priceHistorySchema.index({ variant_id: 1, recorded_at: -1 })
+priceHistorySchema.index({ retailer_domain: 1, recorded_at: -1 })
+priceHistorySchema.index({ crawl_run: 1 })
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema)
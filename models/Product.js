@@ -54,6 +54,15 @@ const productSchema = new mongoose.Schema(
       default: 'INSERT',
     },
     variants: [variantSchema],
+    // Store the product belongs to (see utils/storeProducts.js)
+    store: { type: mongoose.Schema.Types.ObjectId, ref: 'store' },
+    // Pending deletion: recrawls in a row that did not find the product and
+    // when it first went missing (see tagMissingProduct in utils/catalogDiff.js)
+    missing_recrawls: { type: Number, default: 0 },
+    missing_since: { type: Date },
+    // Soft delete: set when the product is DELETE, purged after the retention
+    // window (see utils/productLifecycle.js)
+    deletedAt: { type: Date, default: null },
   },
   { timestamps: true }
 )
@@ -61,6 +70,8 @@ const productSchema = new mongoose.Schema(
 // Indexes for better query performance
 productSchema.index({ parent_product_id: 1 })
 productSchema.index({ retailer_domain: 1 })
+productSchema.index({ deletedAt: 1 })
+productSchema.index({ store: 1, deletedAt: 1 })
 variantSchema.index({ variant_id: 1 })
 
 module.exports = mongoose.model('Product', productSchema)
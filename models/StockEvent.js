@@ -0,0 +1,35 @@
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+// A variant going out of or coming back into stock between two crawl runs
+const stockEventSchema = new Schema(
+  {
+    event_type: {
+      type: String,
+      enum: ['BACK_IN_STOCK', 'SOLD_OUT'],
+      required: true,
+    },
+    variant_id: { type: String, required: true },
+    parent_product_id: { type: String, required: true },
+    retailer_domain: { type: String, required: true },
+    name: { type: String, default: '' },
+    size: { type: String, default: '' },
+    color: { type: String, default: '' },
+    link_url: { type: String, default: '' },
+    price_currency: { type: String, default: 'USD' },
+    final_price: { type: Number, default: 0 },
+    crawl_run: {
+      type: Schema.ObjectId,
+      ref: 'CrawlRun',
+    },
+    // Start of the crawl run that saw the transition
+    occurred_at: { type: Date, required: true },
+  },
+  { timestamps: true }
+)
+
+stockEventSchema.index({ retailer_domain: 1, occurred_at: -1 })
+stockEventSchema.index({ variant_id: 1, occurred_at: -1 })
+stockEventSchema.index({ event_type: 1, occurred_at: -1 })
+
+module.exports = mongoose.model('StockEvent', stockEventSchema)
@@ -3,12 +3,18 @@ const Schema = mongoose.Schema
 
 const storeSchema = new Schema(
   {
-    products: [
-      {
-        type: Schema.ObjectId,
-        ref: 'Product',
-      },
-    ],
+    // Deprecated: products reference their store through Product.store. Kept
+    // in step with it for older readers until migrate-store-products.js
+    // --drop-arrays removes the arrays (see utils/storeProducts.js)
+    products: {
+      type: [
+        {
+          type: Schema.ObjectId,
+          ref: 'Product',
+        },
+      ],
+      default: undefined,
+    },
     name: String,
     storeTemplate: String,
     storeType: String,
@@ -20,12 +26,19 @@ const storeSchema = new Schema(
     state: String,
     country: String,
     isScrapped: { type: Boolean, default: false },
-    deletedProducts: [
-      {
-        type: Schema.ObjectId,
-        ref: 'Product',
-      },
-    ],
+    // Soft delete: the store is no longer recrawled and is purged after the
+    // retention window (see utils/productLifecycle.js)
+    deletedAt: { type: Date, default: null },
+    // Deprecated with products, soft-deleted products move here
+    deletedProducts: {
+      type: [
+        {
+          type: Schema.ObjectId,
+          ref: 'Product',
+        },
+      ],
+      default: undefined,
+    },
     latitude: Number,
     longitude: Number,
     creator: {
@@ -6,6 +6,9 @@ const { v4: uuidv4, v5: uuidv5 } = require('uuid')
 const sanitizeHtml = require('sanitize-html')
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
+const { CheckpointStore, getResumeRunId } = require('./utils/checkpointStore')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
+const { recordPriceHistory } = require('./utils/priceHistory')
 const {
   retryRequestWithProxyRotation,
   createAxiosInstance,
@@ -895,6 +898,8 @@ class MyntraScraperEnhanced {
       await fs.writeFile(gzippedFilePath, gzippedBuffer)
       console.log(`🗜️  Gzipped JSONL catalog generated: ${gzippedFilePath}`)
 
+      await recordPriceHistory(allProducts, { feedDir: dirPath })
+
       // Log final summary
       console.log(`\n📊 Final Processing Summary:`)
       console.log(`  Total products processed: ${allProducts.length}`)
@@ -935,7 +940,11 @@ class MyntraScraperEnhanced {
     }
   }
 
-  async run() {
+  /**
+   * Crawl every category
+   * @param {Object} options - { resume } id of an interrupted run to continue
+   */
+  async run(options = {}) {
     try {
       console.log('Starting Enhanced Myntra scraper for ALL categories...')
       console.log('='.repeat(60))
@@ -948,11 +957,26 @@ class MyntraScraperEnhanced {
       // Connect to MongoDB
       await connectDB()
 
+      const checkpoint = CheckpointStore.open('myntra', options.resume)
+      for (const productId of checkpoint.products.keys()) {
+        this.processedProductIds.add(productId)
+      }
+
       let totalProductsProcessed = 0
       let totalCategoriesProcessed = 0
 
       // Process each category
       for (const [categoryIndex, category] of this.categories.entries()) {
+        if (checkpoint.isCategoryDone(category.name)) {
+          const { count } = checkpoint.getCategory(category.name)
+          totalProductsProcessed += count
+          totalCategoriesProcessed++
+          console.log(
+            `\n⏭️ Skipping ${category.name}: ${count} products already processed`
+          )
+          continue
+        }
+
         // Set current category for session refresh in product detail methods
         this.currentCategory = category
 
@@ -980,6 +1004,19 @@ class MyntraScraperEnhanced {
           hasMorePages &&
           categoryProductsProcessed < this.productsPerCategory
         ) {
+          // Pages appended before the run was interrupted
+          const savedPage = checkpoint.getPage(category.name, currentPage)
+          if (savedPage) {
+            console.log(
+              `⏭️ ${category.name} page ${currentPage} already processed`
+            )
+            categoryProductsProcessed += savedPage.count
+            totalProductsProcessed += savedPage.count
+            hasMorePages = savedPage.hasMorePages
+            currentPage++
+            continue
+          }
+
           console.log(
             `\n🔄 Processing ${category.name} - page ${currentPage}...`
           )
@@ -1064,6 +1101,17 @@ class MyntraScraperEnhanced {
             )
           }
 
+          // Products are already in the catalog file, remember the page
+          formattedProducts.forEach((product) =>
+            checkpoint.completeProduct(product.parent_product_id)
+          )
+          checkpoint.completePage(category.name, currentPage, {
+            count: formattedProducts.length,
+            hasMorePages:
+              categoryProductsProcessed < this.productsPerCategory &&
+              data.products.length >= this.rowsPerPage,
+          })
+
           // Check if we've reached the limit for this category
           if (categoryProductsProcessed >= this.productsPerCategory) {
             console.log(
@@ -1090,6 +1138,10 @@ class MyntraScraperEnhanced {
           currentPage++
         }
 
+        checkpoint.completeCategory(category.name, {
+          count: categoryProductsProcessed,
+        })
+
         totalCategoriesProcessed++
         console.log(`\n✅ Completed category: ${category.name}`)
         console.log(
@@ -1106,6 +1158,7 @@ class MyntraScraperEnhanced {
         const result = await this.generateFinalOutputFiles()
         gzippedFilePath = result.gzippedPath
       }
+      checkpoint.finish()
 
       console.log('\n' + '🎉'.repeat(20))
       console.log('📊 FINAL SUMMARY:')
@@ -1135,11 +1188,16 @@ class MyntraScraperEnhanced {
   }
 }
 
+MyntraScraperEnhanced.prototype.run = trackCrawlRun(
+  { retailer: 'myntra', source: 'myntra-scraper-enhanced' },
+  MyntraScraperEnhanced.prototype.run
+)
+
 // Run the scraper if this file is executed directly
 if (require.main === module) {
   const scraper = new MyntraScraperEnhanced()
   scraper
-    .run()
+    .run({ resume: getResumeRunId() })
     .then((gzippedFilePath) => {
       if (gzippedFilePath) {
         console.log(`\n📁 Gzipped catalog file created at: ${gzippedFilePath}`)
@@ -19,6 +19,8 @@ const {
   retryRequestWithProxyRotation,
   createAxiosInstance,
 } = require("./utils/helper");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
+const { recordPriceHistory } = require("./utils/priceHistory");
 
 // Headers for Neiman Marcus requests
 const HEADERS = {
@@ -777,7 +779,7 @@ async function testConnectivity(country = "US") {
 /**
  * Main execution
  */
-async function main() {
+async function crawlNeimanMarcus() {
   console.log("🚀 Starting Neiman Marcus crawler...");
   console.log("📌 Processing all products in chunks of 500\n");
 
@@ -1079,6 +1081,7 @@ async function main() {
         }-to-${endIndex}-${timestamp}.json`;
 
         saveJSONFile(results, filename);
+        await recordPriceHistory(results);
         console.log(
           `\n💾 Chunk ${chunkIndex + 1} JSON file saved: ${filename}`
         );
@@ -1130,6 +1133,11 @@ async function main() {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: "neimanmarcus", source: "neimanmarcus-crawler" },
+  crawlNeimanMarcus
+);
+
 // Run the crawler
 if (require.main === module) {
   main().catch((error) => {
@@ -3,16 +3,14 @@
 // Nike Products Scraper - Men's and Women's Categories
 // Uses fetch API to scrape products from Nike.com
 require("dotenv").config();
-const fs = require("fs");
 const sanitizeHtml = require("sanitize-html");
 const { v4: uuidv4, v5: uuidv5 } = require("uuid");
-const zlib = require("zlib");
 const path = require("path");
+const { getAdapter } = require("./adapters");
+const { runCatalogCrawl } = require("./utils/catalogRunner");
+const { getResumeRunId } = require("./utils/checkpointStore");
 
-// Import helper functions and database
-const { connectDB, disconnectDB } = require("./database/connection");
-const Product = require("./models/Product");
-const Store = require("./models/Store");
+// Import helper functions
 const {
   calculateDiscount,
   extractSize,
@@ -22,6 +20,31 @@ const {
   getDomainName,
 } = require("./utils/helper");
 
+// Nike category structure
+const NIKE_CATEGORIES = [
+  {
+    name: "Men Clothing",
+    gender: "Men",
+    path: "/w/mens-clothing-6ymx6znik1",
+    attributeIds:
+      "a00f0bb2-648b-4853-9559-4cd943b7d6c6,0f64ecc7-d624-4e91-b171-b83a03dd8550",
+  },
+  {
+    name: "Women's Clothing",
+    gender: "Women",
+    path: "/w/womens-clothing-5e1x6z6ymx6",
+    attributeIds:
+      "7baf216c-acc6-4452-9e07-39c2ca77ba32,a00f0bb2-648b-4853-9559-4cd943b7d6c6",
+  },
+  {
+    name: "Kids's Clothing",
+    gender: "Women",
+    path: "/w/kids-clothing-6ymx6zv4dh",
+    attributeIds:
+      "a00f0bb2-648b-4853-9559-4cd943b7d6c6,145ce13c-5740-49bd-b2fd-0f67214765b3",
+  },
+];
+
 // Helper function to get product availability information
 const getProductAvailability = async (groupKey) => {
   try {
@@ -64,11 +87,10 @@ const getProductAvailability = async (groupKey) => {
   }
 };
 
-// Helper function to process a single product
-const processProduct = async (product) => {
+// Build the catalog product for a product grouping and its availability data
+const formatNikeProduct = (product, productAvailability) => {
   const firstProduct = product.products[0];
   const productId = firstProduct.productCode;
-  console.log(`Processing product: ${firstProduct.copy.title}`);
 
   // Clean description
   let description = "";
@@ -97,9 +119,6 @@ const processProduct = async (product) => {
     operation_type: "INSERT",
     source: "nike",
   };
-  const productAvailability = await getProductAvailability(
-    firstProduct.groupKey
-  );
 
   // Process variants (colors and sizes)
   if (product.products.length > 0) {
@@ -167,86 +186,9 @@ const processProduct = async (product) => {
     }
   }
 
-  const mongoResult = await saveProductToMongoDB(formattedProduct);
-
-  return { formattedProduct, mongoResult };
+  return formattedProduct;
 };
 
-// Save product to MongoDB
-async function saveProductToMongoDB(productData) {
-  try {
-    // Create new product with INSERT operation type
-    productData.operation_type = "INSERT";
-    productData.variants.forEach((variant) => {
-      variant.operation_type = "INSERT";
-    });
-
-    const newProduct = new Product(productData);
-    await newProduct.save();
-    console.log(`✅ Saved to MongoDB: ${productData.name}`);
-    return { operation: "INSERT", product: newProduct };
-  } catch (error) {
-    console.error(
-      `❌ Error saving product ${productData.name} to MongoDB:`,
-      error.message
-    );
-    return { operation: "ERROR", error: error.message };
-  }
-}
-
-// Save or update store entry with product IDs
-async function saveStoreEntry(storeData, productIds) {
-  try {
-    // Check if store already exists
-    let existingStore = await Store.findOne({
-      storeType: "nike",
-      name: "Nike",
-      country: storeData.country || "US",
-    });
-
-    if (existingStore) {
-      console.log("Store already exists, updating with new products...");
-      // Add new product IDs to existing store (avoid duplicates)
-      const existingProductIds = existingStore.products.map((id) =>
-        id.toString()
-      );
-      const newProductIds = productIds.filter(
-        (id) => !existingProductIds.includes(id.toString())
-      );
-
-      existingStore.products.push(...newProductIds);
-      existingStore.isScrapped = true;
-      existingStore.updatedAt = new Date();
-
-      await existingStore.save();
-      console.log(`✅ Updated store with ${newProductIds.length} new products`);
-      return { operation: "UPDATED", store: existingStore };
-    } else {
-      // Create new store entry
-      const newStore = new Store({
-        products: productIds,
-        name: storeData.name || "Nike",
-        storeTemplate: "nike-template",
-        storeType: "nike",
-        storeUrl: "https://www.nike.com",
-        city: "",
-        state: "",
-        country: storeData.country || "US",
-        isScrapped: true,
-        returnPolicy: "https://www.nike.com/help/a/returns-policy",
-        tags: ["men", "women", "sports", "clothing", "footwear"],
-      });
-
-      await newStore.save();
-      console.log(`✅ Created new store with ${productIds.length} products`);
-      return { operation: "CREATED", store: newStore };
-    }
-  } catch (error) {
-    console.error("❌ Error saving store entry:", error.message);
-    return { operation: "ERROR", error: error.message };
-  }
-}
-
 // Helper function to scrape products from a specific category
 async function scrapeNikeCategory(categoryConfig, targetProductCount = 2500) {
   let anchor = 0;
@@ -347,329 +289,23 @@ async function scrapeNikeCategory(categoryConfig, targetProductCount = 2500) {
   return allProducts;
 }
 
-// Generate files for combined products from all categories
-async function generateCombinedFiles(products, storeData) {
-  const countryCode = storeData.country || "US";
-  const formattedProducts = [];
-  const productIds = []; // Track product IDs for store entry
-  const mongoResults = {
-    inserted: 0,
-    skipped: 0,
-    errors: 0,
-  };
-
-  // Process products sequentially
-  console.log(
-    `\n📦 Processing ${products.length} products from all categories...`
-  );
-
-  for (let i = 0; i < products.length; i++) {
-    const product = products[i];
-    const gender = product._gender || "";
-    const category = product._category || "";
-
-    console.log(
-      `Processing ${category} product ${i + 1}/${products.length}: ${
-        product.title || product.name
-      }`
-    );
-
-    try {
-      const result = await processProduct(product, gender, category);
-
-      if (result.formattedProduct) {
-        formattedProducts.push(result.formattedProduct);
-
-        // Track product ID for store entry
-        if (result.mongoResult.product) {
-          productIds.push(result.mongoResult.product._id);
-        }
-
-        if (result.mongoResult.operation === "INSERT") {
-          mongoResults.inserted++;
-        } else if (result.mongoResult.operation === "SKIPPED") {
-          mongoResults.skipped++;
-        } else {
-          mongoResults.errors++;
-        }
-      }
-
-      // Add a small delay between products
-      await new Promise((resolve) => setTimeout(resolve, 500));
-    } catch (error) {
-      console.error(
-        `Error processing product ${product.title || product.name}:`,
-        error.message
-      );
-      mongoResults.errors++;
-    }
-  }
-
-  // Create directory structure: countryCode/retailername-countryCode-combined/
-  const cleanBrandName = "nike";
-  const dirPath = path.join(
-    __dirname,
-    "output",
-    countryCode,
-    `${cleanBrandName}-${countryCode}`
-  );
-
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, "catalog.json");
-  const catalogData = {
-    store_info: {
-      name: storeData.name || "Nike",
-      domain: "nike.com",
-      currency: storeData.currency || "USD",
-      country: countryCode,
-      total_products: formattedProducts.length,
-      categories: ["Men", "Women"],
-      crawled_at: new Date().toISOString(),
-    },
-    products: formattedProducts,
-  };
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), "utf8");
-  console.log(`JSON file generated: ${jsonFilePath}`);
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, "catalog.jsonl");
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join("\n");
-  fs.writeFileSync(jsonlFilePath, jsonlContent, "utf8");
-  console.log(`JSONL file generated: ${jsonlFilePath}`);
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`;
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath);
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer);
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer);
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`);
-
-  // Create or update store entry with all product IDs
-  console.log("\n📦 Creating/updating store entry...");
-  const storeResult = await saveStoreEntry(storeData, productIds);
-
-  // Log MongoDB results
-  console.log(`\n📊 MongoDB Results:`);
-  console.log(`  Products inserted: ${mongoResults.inserted}`);
-  console.log(`  Products skipped: ${mongoResults.skipped}`);
-  console.log(`  Products errors: ${mongoResults.errors}`);
-  console.log(`  Store operation: ${storeResult.operation}`);
-
-  return {
-    jsonPath: gzippedFilePath,
-    mongoResults,
-    storeResult,
-    totalProductIds: productIds.length,
-  };
-}
-
-async function scrapeNikeProducts() {
-  try {
-    // Connect to MongoDB
-    await connectDB();
-
-    console.log("🚀 Starting Nike scraping using fetch API...");
-
-    // Define categories to scrape - Nike category structure
-    const categories = [
-      {
-        name: "Men Clothing",
-        gender: "Men",
-        path: "/w/mens-clothing-6ymx6znik1",
-        attributeIds:
-          "a00f0bb2-648b-4853-9559-4cd943b7d6c6,0f64ecc7-d624-4e91-b171-b83a03dd8550",
-      },
-      {
-        name: "Women's Clothing",
-        gender: "Women",
-        path: "/w/womens-clothing-5e1x6z6ymx6",
-        attributeIds:
-          "7baf216c-acc6-4452-9e07-39c2ca77ba32,a00f0bb2-648b-4853-9559-4cd943b7d6c6",
-      },
-      {
-        name: "Kids's Clothing",
-        gender: "Women",
-        path: "/w/kids-clothing-6ymx6zv4dh",
-        attributeIds:
-          "a00f0bb2-648b-4853-9559-4cd943b7d6c6,145ce13c-5740-49bd-b2fd-0f67214765b3",
-      },
-    ];
-
-    const targetProductsPerCategory = 1000;
-    const allResults = [];
-
-    const storeData = {
-      name: "Nike",
-      domain: "nike.com",
-      currency: "USD",
-      country: "US",
-    };
-
-    // Collect all products from all categories
-    let allProducts = [];
-    let allProductDetails = [];
-
-    // Scrape each category
-    for (const category of categories) {
-      console.log(`\n${"=".repeat(50)}`);
-      console.log(`🎯 Starting ${category.name} category scraping`);
-      console.log(`${"=".repeat(50)}`);
-
-      const categoryProducts = await scrapeNikeCategory(
-        category,
-        targetProductsPerCategory
-      );
-
-      if (categoryProducts.length === 0) {
-        console.log(`⚠️ No products found for ${category.name} category`);
-        continue;
-      }
-
-      console.log(
-        `\n📦 Found ${categoryProducts.length} ${category.name} products`
-      );
-
-      // Add category info to each product for processing
-      const categoryProductsWithGender = categoryProducts.map((product) => ({
-        ...product,
-        _category: category.name,
-        _gender: category.gender,
-      }));
-
-      allProducts = allProducts.concat(categoryProductsWithGender);
-
-      allProductDetails.push({
-        category: category.name,
-        gender: category.gender,
-        count: categoryProducts.length,
-      });
-    }
-
-    console.log(`\n${"🎯".repeat(20)}`);
-    console.log("🎯 PROCESSING ALL PRODUCTS TOGETHER 🎯");
-    console.log(`${"🎯".repeat(20)}`);
-    console.log(`📦 Total products collected: ${allProducts.length}`);
-    allProductDetails.forEach((detail) => {
-      console.log(`   ${detail.category}: ${detail.count} products`);
-    });
-
-    if (allProducts.length === 0) {
-      console.log("⚠️ No products found from any category");
-      return false;
-    }
-
-    // Process all products together and generate combined files
-    const combinedFilesResult = await generateCombinedFiles(
-      allProducts,
-      storeData
-    );
-
-    allResults.push({
-      categories: allProductDetails,
-      totalProducts: allProducts.length,
-      jsonPath: combinedFilesResult.jsonPath,
-      mongoResults: combinedFilesResult.mongoResults,
-      storeResult: combinedFilesResult.storeResult,
-      totalProductIds: combinedFilesResult.totalProductIds,
-    });
-
-    console.log(`\n${"🎉".repeat(20)}`);
-    console.log("🎉 ALL NIKE SCRAPING COMPLETED SUCCESSFULLY! 🎉");
-    console.log(`${"🎉".repeat(20)}`);
-
-    // Summary for combined results
-    const combinedResult = allResults[0];
-    console.log(`\n📊 Combined Results Summary:`);
-    console.log(`   Total Products: ${combinedResult.totalProducts}`);
-    console.log(`   Categories Processed:`);
-    combinedResult.categories.forEach((cat) => {
-      console.log(`     ${cat.category}: ${cat.count} products`);
-    });
-    console.log(`   Output Files: ${combinedResult.jsonPath}`);
-    console.log(
-      `   MongoDB - Inserted: ${combinedResult.mongoResults.inserted}, Skipped: ${combinedResult.mongoResults.skipped}, Errors: ${combinedResult.mongoResults.errors}`
-    );
-    console.log(`   Store Operation: ${combinedResult.storeResult.operation}`);
-    console.log(`   Total Product IDs: ${combinedResult.totalProductIds}`);
-
-    return allResults;
-  } catch (error) {
-    console.error("❌ Error during scraping:", error);
-    throw error;
-  } finally {
-    // Disconnect from MongoDB
-    await disconnectDB();
-  }
-}
-
-// Export the main function for use in other modules
-const main = async () => {
-  try {
-    const results = await scrapeNikeProducts();
-
-    if (results && results.length > 0) {
-      console.log("\n🎉 Nike products crawling completed successfully!");
-
-      let totalProducts = 0;
-      let totalInserted = 0;
-      let totalSkipped = 0;
-      let totalErrors = 0;
-
-      results.forEach((res) => {
-        totalProducts += res.totalProducts;
-        totalInserted += res.mongoResults.inserted;
-        totalSkipped += res.mongoResults.skipped;
-        totalErrors += res.mongoResults.errors;
-      });
-
-      console.log(`📊 Final Summary:`);
-      console.log(`   Total products: ${totalProducts}`);
-      console.log(
-        `   MongoDB - Inserted: ${totalInserted}, Skipped: ${totalSkipped}, Errors: ${totalErrors}`
-      );
-
-      // Show category breakdown
-      if (results[0] && results[0].categories) {
-        console.log(`   Categories:`);
-        results[0].categories.forEach((cat) => {
-          console.log(`     ${cat.category}: ${cat.count} products`);
-        });
-      }
-
-      return results;
-    } else {
-      console.log("\n❌ Nike crawling failed");
-      return false;
-    }
-  } catch (error) {
-    console.error("Error in main function:", error);
-    throw error;
-  }
+module.exports = {
+  scrapeNikeCategory,
+  getProductAvailability,
+  formatNikeProduct,
+  NIKE_CATEGORIES,
 };
 
-// Run the scraper
+// Crawls run through adapters/nike.js, which saves, writes and uploads the
+// catalog through utils/catalogRunner.js
 if (require.main === module) {
-  main()
-    .then((result) => {
-      if (result) {
-        console.log("Script completed successfully");
-        process.exit(0);
-      } else {
-        console.log("Script failed");
-        process.exit(1);
-      }
-    })
+  runCatalogCrawl(getAdapter("nike"), {
+    upload: false,
+    resume: getResumeRunId(),
+  })
+    .then((result) => process.exit(result ? 0 : 1))
     .catch((error) => {
       console.error("Script failed:", error);
       process.exit(1);
     });
 }
-
-module.exports = { main, scrapeNikeProducts };
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const os = require('os')
+const { Notifier, loadNotifierConfig } = require('./utils/notifier')
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log('  node notify.js channels')
+  console.log('  node notify.js test [channel...]')
+  console.log('')
+  console.log('  channels  List the channels and routes of notifications.json')
+  console.log(
+    '  test      Send a test message to the given channels, or to all of them'
+  )
+}
+
+async function main() {
+  const [command, ...names] = process.argv.slice(2)
+  const notifier = new Notifier(loadNotifierConfig())
+
+  if (command === 'channels') {
+    Object.keys(notifier.channels).forEach((name) => {
+      console.log(`📣 ${name}: ${notifier.channels[name].describe()}`)
+    })
+    notifier.routes.forEach((route) => {
+      console.log(
+        `➡️  ${JSON.stringify(route.match || {})} -> ${(
+          route.channels || []
+        ).join(', ')}`
+      )
+    })
+    console.log(`➡️  default -> ${notifier.defaultChannels.join(', ')}`)
+    return
+  }
+
+  if (command === 'test') {
+    const channels = names.length ? names : Object.keys(notifier.channels)
+    const results = await notifier.notify(
+      {
+        kind: 'test',
+        level: 'info',
+        title: 'Test notification',
+        text: 'If you can read this, the channel is set up correctly.',
+        fields: { Host: os.hostname(), Time: new Date().toISOString() },
+      },
+      { channels }
+    )
+    if (results.some((result) => !result.ok)) process.exit(1)
+    return
+  }
+
+  printUsage()
+  process.exit(1)
+}
+
+main().catch((error) => {
+  console.error('❌ Notify failed:', error.message)
+  process.exit(1)
+})
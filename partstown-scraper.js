@@ -31,7 +31,13 @@
 require("dotenv").config();
 const fs = require("fs");
 const { v4: uuidv4, v5: uuidv5 } = require("uuid");
-const zlib = require("zlib");
+const { CatalogWriter, writeCatalog } = require("./utils/catalogWriter");
+const {
+  PriceHistoryRecorder,
+  recordPriceHistory,
+} = require("./utils/priceHistory");
+const { CheckpointStore, getResumeRunId } = require("./utils/checkpointStore");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
 const path = require("path");
 const puppeteer = require("puppeteer");
 
@@ -236,7 +242,6 @@ const processProduct = async (product, brandName, priceInfo, detailsInfo) => {
 // Generate files for all products
 async function generateCatalogFiles(products, storeData) {
   const countryCode = storeData.country || "US";
-  const formattedProducts = [];
   const productIds = [];
   const mongoResults = {
     inserted: 0,
@@ -244,6 +249,27 @@ async function generateCatalogFiles(products, storeData) {
     errors: 0,
   };
 
+  // Create directory structure
+  const cleanBrandName = "partstown";
+  const dirPath = path.join(
+    __dirname,
+    "output",
+    countryCode,
+    `${cleanBrandName}-${countryCode}`
+  );
+
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz as products are
+  // formatted so the whole catalog is never held in memory
+  const catalogWriter = new CatalogWriter(dirPath, {
+    name: storeData.name || "PartsTown",
+    domain: "partstown.com",
+    currency: storeData.currency || "USD",
+    country: countryCode,
+    categories: ["Commercial Parts", "Equipment Parts"],
+    crawled_at: new Date().toISOString(),
+  });
+  const priceHistory = new PriceHistoryRecorder();
+
   console.log(`\n📦 Processing ${products.length} products...`);
 
   // Process each product
@@ -271,7 +297,8 @@ async function generateCatalogFiles(products, storeData) {
       );
 
       if (result.formattedProduct) {
-        formattedProducts.push(result.formattedProduct);
+        await catalogWriter.append(result.formattedProduct);
+        await priceHistory.add(result.formattedProduct);
         mongoResults.inserted++;
       } else {
         mongoResults.skipped++;
@@ -282,51 +309,8 @@ async function generateCatalogFiles(products, storeData) {
     }
   }
 
-  // Create directory structure
-  const cleanBrandName = "partstown";
-  const dirPath = path.join(
-    __dirname,
-    "output",
-    countryCode,
-    `${cleanBrandName}-${countryCode}`
-  );
-
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-  }
-
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, "catalog.json");
-  const catalogData = {
-    store_info: {
-      name: storeData.name || "PartsTown",
-      domain: "partstown.com",
-      currency: storeData.currency || "USD",
-      country: countryCode,
-      total_products: formattedProducts.length,
-      categories: ["Commercial Parts", "Equipment Parts"],
-      crawled_at: new Date().toISOString(),
-    },
-    products: formattedProducts,
-  };
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), "utf8");
-  console.log(`JSON file generated: ${jsonFilePath}`);
-
-  // Create JSONL file
-  const jsonlFilePath = path.join(dirPath, "catalog.jsonl");
-  const jsonlContent = formattedProducts
-    .map((product) => JSON.stringify(product))
-    .join("\n");
-  fs.writeFileSync(jsonlFilePath, jsonlContent, "utf8");
-  console.log(`JSONL file generated: ${jsonlFilePath}`);
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`;
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath);
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer);
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer);
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`);
+  const { gzippedFilePath } = await catalogWriter.finalize();
+  await priceHistory.finish({ feedDir: dirPath });
 
   console.log(`\n📊 Results:`);
   console.log(`  Products processed: ${mongoResults.inserted}`);
@@ -342,10 +326,13 @@ async function generateCatalogFiles(products, storeData) {
 }
 
 // Main scraping function
-async function scrapePartsTownProducts() {
+async function scrapePartsTownProducts(options = {}) {
   console.log("🚀 Starting PartsTown scraping...");
   console.log("🔒 Using proxy rotation to handle Cloudflare...\n");
 
+  // Shared by every proxy retry so a retry continues where the last one stopped
+  const checkpoint = CheckpointStore.open("partstown", options.resume);
+
   // Use proxy rotation from helper.js to handle Cloudflare
   return await retryPuppeteerWithProxyRotation(
     async (browser) => {
@@ -606,60 +593,25 @@ async function scrapePartsTownProducts() {
           countryCode,
           `${cleanBrandName}-${countryCode}`
         );
-        const jsonFilePath = path.join(dirPath, "catalog.json");
-
-        let allProducts = [];
         let brandDetails = [];
         let lastSaveCount = 0; // Track last auto-save
         let processedBrands = new Set(); // Track which brands have been processed
 
-        // TRY TO LOAD EXISTING CATALOG TO RESUME
-
-        if (fs.existsSync(jsonFilePath)) {
-          try {
-            console.log("📂 Found existing catalog, loading to resume...");
-            const existingData = JSON.parse(
-              fs.readFileSync(jsonFilePath, "utf8")
-            );
-
-            if (existingData.products && Array.isArray(existingData.products)) {
-              allProducts = existingData.products;
-
-              // Track which brands were already processed
-              existingData.products.forEach((product) => {
-                if (product.manufacturer) {
-                  processedBrands.add(product.manufacturer);
-                }
-              });
-
-              console.log(`✅ Loaded ${allProducts.length} existing products`);
-              console.log(
-                `✅ Already processed brands: ${processedBrands.size}`
-              );
-              console.log(
-                `   Brands: ${Array.from(processedBrands).join(", ")}`
-              );
-
-              // Reconstruct brandDetails from existing data
-              const brandCounts = {};
-              existingData.products.forEach((product) => {
-                const brand = product.manufacturer;
-                if (brand) {
-                  brandCounts[brand] = (brandCounts[brand] || 0) + 1;
-                }
-              });
-
-              brandDetails = Object.keys(brandCounts).map((brand) => ({
-                brand: brand,
-                count: brandCounts[brand],
-              }));
-            }
-          } catch (error) {
-            console.log(`⚠️ Could not load existing catalog: ${error.message}`);
-            console.log("   Starting fresh...");
+        // RESUME FROM CHECKPOINT (--resume <runId>, or a proxy retry of this run)
+        let allProducts = checkpoint.getProducts();
+        for (const brandName of checkpoint.categories.keys()) {
+          const { count } = checkpoint.getCategory(brandName);
+          processedBrands.add(brandName);
+          if (count > 0) {
+            brandDetails.push({ brand: brandName, count });
           }
         }
 
+        if (processedBrands.size > 0) {
+          console.log(`✅ Restored ${allProducts.length} products from checkpoint`);
+          console.log(`✅ Already processed brands: ${processedBrands.size}`);
+        }
+
         // Scrape manufacturers SEQUENTIALLY (avoid "Failed to fetch" errors)
         const brandsToScrape = brands.slice(0, maxBrandsToScrape);
         const remainingBrands = brandsToScrape.filter(
@@ -799,6 +751,7 @@ async function scrapePartsTownProducts() {
             );
             // Mark as processed to avoid retrying on resume
             processedBrands.add(brand.name);
+            checkpoint.completeCategory(brand.name, { count: 0 });
             continue; // Skip to next brand
           }
 
@@ -1541,6 +1494,11 @@ async function scrapePartsTownProducts() {
               const { product, brandName, priceInfo, detailsInfo } = item;
               if (!product) continue;
 
+              // Already saved by an interrupted attempt at this brand
+              const partNumber =
+                product.code || product.partNumber || product.stockCode;
+              if (checkpoint.isProductDone(partNumber)) continue;
+
               const result = await processProduct(
                 product,
                 brandName,
@@ -1550,6 +1508,7 @@ async function scrapePartsTownProducts() {
 
               if (result.formattedProduct) {
                 allProducts.push(result.formattedProduct);
+                checkpoint.completeProduct(partNumber, result.formattedProduct);
               }
             }
 
@@ -1559,6 +1518,9 @@ async function scrapePartsTownProducts() {
             });
             // Mark brand as successfully processed
             processedBrands.add(brand.name);
+            checkpoint.completeCategory(brand.name, {
+              count: brandProducts.length,
+            });
           }
 
           // INCREMENTAL SAVE: Save catalog every N brands
@@ -1572,51 +1534,25 @@ async function scrapePartsTownProducts() {
             );
 
             try {
-              const catalogData = {
-                store_info: {
+              await writeCatalog(
+                dirPath,
+                {
                   name: storeData.name || "PartsTown",
                   domain: "partstown.com",
                   currency: storeData.currency || "USD",
                   country: "US",
-                  total_products: allProducts.length,
                   categories: ["Commercial Parts", "Equipment Parts"],
                   crawled_at: new Date().toISOString(),
                   brands_processed: processedBrands.size,
                   brands_attempted: brandsProcessed,
                   total_brands: brandsToScrape.length,
                 },
-                products: allProducts,
-              };
-
-              if (!fs.existsSync(dirPath)) {
-                fs.mkdirSync(dirPath, { recursive: true });
-              }
-
-              // Save JSON
-              fs.writeFileSync(
-                jsonFilePath,
-                JSON.stringify(catalogData, null, 2),
-                "utf8"
+                allProducts
               );
 
-              // Save JSONL
-              const jsonlFilePath = path.join(dirPath, "catalog.jsonl");
-              const jsonlContent = allProducts
-                .map((product) => JSON.stringify(product))
-                .join("\n");
-              fs.writeFileSync(jsonlFilePath, jsonlContent, "utf8");
-
-              // Save JSONL.GZ
-              const gzPath = `${jsonlFilePath}.gz`;
-              const gzBuffer = zlib.gzipSync(Buffer.from(jsonlContent, "utf8"));
-              fs.writeFileSync(gzPath, gzBuffer);
-
               console.log(
                 `✅ Saved: ${allProducts.length} products from ${brandsProcessed} brands`
               );
-              console.log(`   📄 ${jsonFilePath}`);
-              console.log(`   📄 ${jsonlFilePath}`);
-              console.log(`   📄 ${gzPath}\n`);
 
               lastSaveCount = brandsProcessed;
             } catch (saveError) {
@@ -1643,55 +1579,32 @@ async function scrapePartsTownProducts() {
           console.log("\n💾 Performing final save...");
 
           // Save final catalog
-          const catalogData = {
-            store_info: {
+          await writeCatalog(
+            dirPath,
+            {
               name: storeData.name || "PartsTown",
               domain: "partstown.com",
               currency: storeData.currency || "USD",
               country: "US",
-              total_products: allProducts.length,
               categories: ["Commercial Parts", "Equipment Parts"],
               crawled_at: new Date().toISOString(),
               brands_processed: processedBrands.size,
               total_brands: brandsToScrape.length,
             },
-            products: allProducts,
-          };
-
-          if (!fs.existsSync(dirPath)) {
-            fs.mkdirSync(dirPath, { recursive: true });
-          }
-
-          // Save JSON
-          fs.writeFileSync(
-            jsonFilePath,
-            JSON.stringify(catalogData, null, 2),
-            "utf8"
+            allProducts
           );
 
-          // Save JSONL
-          const jsonlFilePath = path.join(dirPath, "catalog.jsonl");
-          const jsonlContent = allProducts
-            .map((product) => JSON.stringify(product))
-            .join("\n");
-          fs.writeFileSync(jsonlFilePath, jsonlContent, "utf8");
-
-          // Save JSONL.GZ
-          const gzPath = `${jsonlFilePath}.gz`;
-          const gzBuffer = zlib.gzipSync(Buffer.from(jsonlContent, "utf8"));
-          fs.writeFileSync(gzPath, gzBuffer);
-
           console.log(
             `✅ Saved: ${allProducts.length} products from ${processedBrands.size} brands`
           );
-          console.log(`   📄 ${jsonFilePath}`);
-          console.log(`   📄 ${jsonlFilePath}`);
-          console.log(`   📄 ${gzPath}\n`);
         } else {
           console.log(
             "\n✅ Catalog already up-to-date (auto-saved after last brand)"
           );
         }
+        await recordPriceHistory(allProducts, { feedDir: dirPath });
+
+        checkpoint.finish();
 
         // Get final catalog path for return
         const catalogResult = {
@@ -1766,10 +1679,9 @@ async function scrapePartsTownProducts() {
   );
 }
 
-// Export the main function
-const main = async () => {
+const crawlPartsTown = async (options = {}) => {
   try {
-    const result = await scrapePartsTownProducts();
+    const result = await scrapePartsTownProducts(options);
 
     if (result) {
       console.log("\n🎉 PartsTown crawling completed successfully!");
@@ -1795,9 +1707,15 @@ const main = async () => {
   }
 };
 
+// Export the main function
+const main = trackCrawlRun(
+  { retailer: "partstown", source: "partstown-scraper" },
+  crawlPartsTown
+);
+
 // Run the scraper
 if (require.main === module) {
-  main()
+  main({ resume: getResumeRunId() })
     .then((result) => {
       if (result) {
         console.log("Script completed successfully");
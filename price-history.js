@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const { connectDB, disconnectDB } = require('./database/connection')
+const { findPriceDrops, getPriceHistory } = require('./utils/priceHistory')
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    '  node price-history.js drops [--retailer <domain>] [--min-drop <percent>] [--limit <n>]  # Price drops since the last run'
+  )
+  console.log(
+    '  node price-history.js variant <variantId> [--retailer <domain>]                         # Price history of one variant'
+  )
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node price-history.js drops --min-drop 20')
+  console.log('  node price-history.js drops --retailer nike.com --limit 50')
+  console.log('  node price-history.js variant 40123456789 --retailer nike.com')
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString() : '-'
+}
+
+async function reportPriceDrops(args) {
+  const minDropPercent = parseFloat(getOption(args, '--min-drop'))
+  const limit = parseInt(getOption(args, '--limit'), 10) || 20
+  const reports = await findPriceDrops({
+    retailerDomain: getOption(args, '--retailer'),
+    minDropPercent: Number.isNaN(minDropPercent) ? undefined : minDropPercent,
+  })
+
+  if (reports.length === 0) {
+    console.log('📭 No price history recorded yet')
+    return
+  }
+
+  reports.forEach((report) => {
+    console.log(`\n🏪 ${report.retailer_domain}`)
+    if (!report.previous_run_at) {
+      console.log('  Only one run recorded, nothing to compare yet')
+      return
+    }
+
+    console.log(
+      `  ${formatDate(report.previous_run_at)} → ${formatDate(
+        report.latest_run_at
+      )}: ${report.drops.length} variant(s) dropped`
+    )
+    report.drops.slice(0, limit).forEach((drop) => {
+      console.log(
+        `  📉 ${drop.variant_id} (product ${drop.parent_product_id}): ${
+          drop.previous_price
+        } → ${drop.final_price} ${drop.price_currency || ''} (-${
+          drop.drop_percent
+        }%)`
+      )
+    })
+    if (report.drops.length > limit) {
+      console.log(`  ... and ${report.drops.length - limit} more`)
+    }
+  })
+}
+
+async function reportVariantHistory(variantId, args) {
+  const points = await getPriceHistory(variantId, {
+    retailerDomain: getOption(args, '--retailer'),
+  })
+
+  if (points.length === 0) {
+    console.log(`📭 No price history for variant ${variantId}`)
+    return
+  }
+
+  console.log(`📈 Price history of variant ${variantId}:`)
+  points.forEach((point) => {
+    console.log(
+      `  ${formatDate(point.recorded_at)}  ${point.retailer_domain}  original=${
+        point.original_price
+      } sale=${point.sale_price} final=${point.final_price} ${
+        point.price_currency || ''
+      }${point.is_in_stock ? '' : '  (out of stock)'}`
+    )
+  })
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const command = args[0]
+
+  switch (command) {
+    case 'drops':
+      await connectDB()
+      try {
+        await reportPriceDrops(args.slice(1))
+      } finally {
+        await disconnectDB()
+      }
+      process.exit(0)
+
+    case 'variant': {
+      const variantId = args[1]
+      if (!variantId) {
+        printUsage()
+        process.exit(1)
+      }
+
+      await connectDB()
+      try {
+        await reportVariantHistory(variantId, args.slice(2))
+      } finally {
+        await disconnectDB()
+      }
+      process.exit(0)
+    }
+
+    default:
+      printUsage()
+      process.exit(command ? 1 : 0)
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Process failed:', error.message)
+    process.exit(1)
+  })
+}
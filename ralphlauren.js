@@ -8,6 +8,8 @@ const cheerio = require("cheerio");
 const fs = require("fs");
 const path = require("path");
 const { retryRequestWithProxyRotation } = require("./utils/helper");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
+const { recordPriceHistory } = require("./utils/priceHistory");
 
 // Use stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
@@ -346,7 +348,7 @@ async function extractProductDetails(productUrl, cookieString = "") {
   }
 }
 
-async function scrapeRalphLauren() {
+async function crawlRalphLauren() {
   let browser;
   try {
     console.log("Launching browser...");
@@ -861,6 +863,7 @@ async function scrapeRalphLauren() {
     console.log(
       `\n✅ Saved ${allProducts.length} products (${catalog.store_info.total_variants} variants) to ${catalogPath}`
     );
+    await recordPriceHistory(allProducts, { feedDir: outputDir });
 
     console.log("\n=== Scraping Summary ===");
     console.log(`Total products: ${allProducts.length}`);
@@ -1136,7 +1139,7 @@ async function scrapeRalphLauren() {
     );
     */
 
-    return catalog;
+    return { ...catalog, jsonPath: catalogPath };
   } catch (error) {
     console.error("Error during scraping:", error);
     throw error;
@@ -1147,13 +1150,22 @@ async function scrapeRalphLauren() {
   }
 }
 
+const scrapeRalphLauren = trackCrawlRun(
+  { retailer: "ralphlauren", source: "ralphlauren" },
+  crawlRalphLauren
+);
+
 // Run the scraper
-scrapeRalphLauren()
-  .then(() => {
-    console.log("Scraping completed successfully!");
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error("Scraping failed:", error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  scrapeRalphLauren()
+    .then(() => {
+      console.log("Scraping completed successfully!");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Scraping failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = { scrapeRalphLauren, STORE_DETAILS };
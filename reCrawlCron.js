@@ -1,113 +1,135 @@
 /** @format */
 
 require("dotenv").config();
-const axios = require("axios");
-const cron = require("node-cron");
-const { processShopifyRecrawler } = require("./upload-catalogs");
-const {
-  processGoodAmericanRecrawlerAndUpload,
-  processEverlaneRecrawlerAndUpload,
-} = require("./upload-catalogs");
-
-async function sendMessageToSlack(message) {
-  const slackToken = process.env.SLACK_TOKEN; // Use environment variable
-  const url = "https://slack.com/api/chat.postMessage";
-
-  let channel = process.env.SLACK_CHANNEL || "C0951E9FAKU";
-
-  try {
-    const response = await axios.post(
-      url,
-      {
-        channel: channel,
-        text: message,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${slackToken}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    if (response.data.ok) {
-      console.log("Message sent successfully");
-    } else {
-      console.error("Error sending message:", response.data);
-    }
-  } catch (error) {
-    console.error("Error sending message:");
-  }
+const { loadSchedule, Scheduler } = require("./utils/scheduler");
+const { resolveJobTask, resolveJobProcess } = require("./utils/scheduleJobs");
+const { notify } = require("./utils/notifier");
+
+// Runs every job of schedule.json (see utils/scheduler.js) and reports through
+// the notifier (see notifications.json for where messages go).
+// `node reCrawlCron.js run <job>` runs a single job right away instead.
+
+const SUMMARY_LABELS = {
+  stores_crawled: "Stores crawled",
+  stores_recrawled: "Stores recrawled",
+  stores_uploaded: "Stores uploaded",
+  upload_failed: "Upload failures",
+  recrawl_failed: "Recrawl failures",
+  recrawl_skipped: "Recrawl skipped",
+  completed_at: "Completed at",
+};
+
+// Counters that make a finished run worth a look
+const FAILURE_COUNTERS = ["upload_failed", "recrawl_failed"];
+
+function formatDuration(durationMs) {
+  const minutes = Math.round(durationMs / 60000);
+  return minutes < 60
+    ? `${minutes} min`
+    : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
 }
 
-async function runRecrawlProcess() {
-  try {
-    console.log("🔄 Starting scheduled Shopify recrawl process...");
-
-    // Send start notification
-    await sendMessageToSlack(
-      "🔄 Starting scheduled Shopify recrawl process at 12 PM IST..."
-    );
+function getSummaryFields(result) {
+  const summary = (result && result.summary) || {};
+  const fields = {};
+  Object.keys(summary).forEach((key) => {
+    fields[SUMMARY_LABELS[key] || key] = summary[key];
+  });
+  return fields;
+}
 
-    // Run the recrawl process
-    const results = await processShopifyRecrawler();
-    // await sendMessageToSlack('🔄 Starting everlane and good american recrawl')
-
-    // Prepare success message
-    let message = "✅ Shopify recrawl process completed successfully!\n\n";
-    message += `📊 Summary:\n`;
-    message += `• Stores recrawled: ${results.summary.stores_recrawled}\n`;
-    message += `• Stores uploaded: ${results.summary.stores_uploaded}\n`;
-    message += `• Upload failures: ${results.summary.upload_failed}\n`;
-    message += `• Recrawl failures: ${results.summary.recrawl_failed}\n`;
-    message += `• Recrawl skipped: ${results.summary.recrawl_skipped}\n`;
-    message += `• Completed at: ${results.summary.completed_at}`;
-
-    await sendMessageToSlack(message);
-
-    // const results2 = await processGoodAmericanRecrawlerAndUpload()
-    // const results3 = await processEverlaneRecrawlerAndUpload()
-
-    // let message2 =
-    //   '✅ Everlane and good american recrawl process completed successfully!\n\n'
-
-    // await sendMessageToSlack(message2)
-  } catch (error) {
-    console.error("❌ Scheduled recrawl process failed:", error.message);
-
-    // Send error notification
-    const errorMessage = `❌ Shopify recrawl process failed!\n\nError: ${
-      error.message
-    }\nTime: ${new Date().toISOString()}`;
-    await sendMessageToSlack(errorMessage);
-  }
+function createScheduler(schedule) {
+  return new Scheduler(schedule, {
+    // Each job gets its own process and mongoose connection
+    resolveTask: resolveJobProcess,
+
+    onStart: async (job) => {
+      console.log(`🔄 Starting scheduled ${job.name}...`);
+      await notify({
+        kind: "start",
+        level: "info",
+        title: `Starting scheduled ${job.name} process...`,
+      });
+    },
+
+    onFinish: async (job, result, durationMs) => {
+      const summary = (result && result.summary) || {};
+      const hasFailures = FAILURE_COUNTERS.some((key) => summary[key] > 0);
+
+      await notify({
+        kind: "summary",
+        level: hasFailures ? "warning" : "success",
+        title: `${job.name} process completed${
+          hasFailures ? " with failures" : " successfully"
+        }`,
+        fields: {
+          ...getSummaryFields(result),
+          Duration: formatDuration(durationMs),
+        },
+      });
+    },
+
+    onFailed: async (job, error, durationMs) => {
+      console.error(`❌ Scheduled ${job.name} failed:`, error.message);
+
+      await notify({
+        kind: "failure",
+        level: "error",
+        title: `${job.name} process failed!`,
+        text: error.message,
+        fields: {
+          Job: `${job.retailer} ${job.type}`,
+          Duration: formatDuration(durationMs),
+          Time: new Date().toISOString(),
+        },
+        details: error.stack,
+      });
+    },
+
+    onSkipped: async (job, reason) => {
+      console.log(`⏭️  Skipping ${job.name}: ${reason}`);
+      await notify({
+        kind: "skipped",
+        level: "warning",
+        title: `Skipped scheduled ${job.name}`,
+        text: reason,
+      });
+    },
+  });
 }
 
-// Schedule the recrawl process to run daily at 12:00 PM IST
-// IST is UTC+5:30, so 12:00 PM IST = 6:30 AM UTC
-// Server is running in UTC, so we schedule for 6:30 AM UTC
-cron.schedule(
-  "30 4 * * *",
-  async () => {
-    console.log(
-      "⏰ Running scheduled recrawl process at 10:00 PM IST (4:30 AM UTC)"
+async function main() {
+  const args = process.argv.slice(2);
+  const schedule = loadSchedule(undefined, { resolveTask: resolveJobTask });
+  const scheduler = createScheduler(schedule);
+
+  if (args[0] === "run") {
+    const job = schedule.jobs.find(
+      (scheduledJob) => scheduledJob.name === args[1]
     );
-    await runRecrawlProcess();
-  },
-  {
-    scheduled: true,
+    if (!job) {
+      console.log("📖 Usage: node reCrawlCron.js run <job>");
+      console.log(
+        `   Jobs: ${schedule.jobs.map((scheduledJob) => scheduledJob.name).join(", ")}`
+      );
+      process.exit(1);
+    }
+
+    const ran = await scheduler.trigger(job);
+    process.exit(ran ? 0 : 1);
   }
-);
 
-console.log(
-  "🕐 Cron job scheduled: Shopify recrawl will run daily at 10:00 PM IST"
-);
+  scheduler.start();
 
-// console.log('running recrawl now')
-// runRecrawlProcess()
+  // Keep the process running
+  process.on("SIGINT", () => {
+    console.log("👋 Shutting down scheduler...");
+    scheduler.stop();
+    process.exit(0);
+  });
+}
 
-// Keep the process running
-process.on("SIGINT", () => {
-  console.log("👋 Shutting down cron job...");
-  process.exit(0);
+main().catch((error) => {
+  console.error("❌ Scheduler failed to start:", error.message);
+  process.exit(1);
 });
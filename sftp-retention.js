@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const SFTPDeleteHelper = require('./utils/sftpDeleteHelper')
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    '  node sftp-retention.js [--max-age <days>] [--keep <drops>] [--dry-run]'
+  )
+  console.log('')
+  console.log(
+    '  --max-age <days>  Remove dated folders (DD-MMM-YYYY) older than <days>'
+  )
+  console.log(
+    '  --keep <drops>    Keep only the last <drops> uploads of every store (at least 1)'
+  )
+  console.log(
+    '                    The newest complete (_SUCCESS) upload of a store is always kept'
+  )
+  console.log('  --dry-run         Print what would be removed, delete nothing')
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node sftp-retention.js --max-age 30 --dry-run')
+  console.log('  node sftp-retention.js --keep 5')
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+function getCount(args, name, min = 0) {
+  const value = getOption(args, name)
+  if (value === undefined) return undefined
+
+  const count = Number(value)
+  if (!Number.isInteger(count) || count < min) {
+    throw new Error(
+      `${name} must be a whole number of at least ${min}, got: ${value}`
+    )
+  }
+  return count
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const maxAgeDays = getCount(args, '--max-age')
+  const keepDrops = getCount(args, '--keep', 1)
+
+  if (maxAgeDays === undefined && keepDrops === undefined) {
+    printUsage()
+    process.exit(args.length > 0 ? 1 : 0)
+  }
+
+  const sftpHelper = new SFTPDeleteHelper()
+  try {
+    await sftpHelper.applyRetention(
+      { maxAgeDays, keepDrops },
+      { dryRun: args.includes('--dry-run') }
+    )
+  } finally {
+    await sftpHelper.disconnect()
+  }
+  process.exit(0)
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Retention failed:', error.message)
+    process.exit(1)
+  })
+}
@@ -3,11 +3,13 @@ const axios = require('axios')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
 const fs = require('fs')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 const path = require('path')
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const mongoose = require('mongoose')
 let stores = require('./shopifyBatch6.json')
 const _ = require('lodash')
@@ -25,6 +27,7 @@ const {
   determineProductDetailsNYDJ,
   retryPuppeteerWithProxyRotation,
 } = require('./utils/helper')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 axios.defaults.timeout = 180000
 
@@ -228,37 +231,19 @@ async function generateCSV(products, storeData, correctUrl) {
     return itemWithoutId
   })
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || getDomainName(correctUrl),
       domain: getDomainName(correctUrl),
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: allFormattedProducts.length,
       crawled_at: new Date().toISOString(),
     },
-    products: allFormattedProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = allFormattedProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    allFormattedProducts
+  )
+  await recordPriceHistory(allFormattedProducts, { feedDir: dirPath })
 
   console.log(`\n📊 MongoDB Results: ${allProductIds.length} products inserted`)
 
@@ -278,15 +263,15 @@ async function createStoreEntry(storeData, correctUrl, productIds) {
         `Store ${storeData.name} already exists, updating with new products...`
       )
 
-      // Add new product IDs to existing store (avoid duplicates)
-      const newProductIds = productIds.filter(
-        (id) => !existingStore.products.includes(id)
+      // Link the new products to the existing store
+      const newProductCount = await linkStoreProducts(
+        existingStore._id,
+        productIds
       )
-      if (newProductIds.length > 0) {
-        existingStore.products.push(...newProductIds)
+      if (newProductCount > 0) {
         existingStore.isScrapped = true
         await existingStore.save()
-        console.log(`Updated store with ${newProductIds.length} new products`)
+        console.log(`Updated store with ${newProductCount} new products`)
       }
 
       return existingStore
@@ -299,13 +284,13 @@ async function createStoreEntry(storeData, correctUrl, productIds) {
       city: storeData.city,
       state: storeData.province || storeData.state,
       country: storeData.country,
-      products: productIds,
       isScrapped: true,
       storeType: 'shopify',
       returnPolicy: storeData.returnPolicy,
     })
 
     await storeEntry.save()
+    await linkStoreProducts(storeEntry._id, productIds)
     console.log(`✅ Created new store entry: ${storeData.name}`)
     return storeEntry
   } catch (error) {
@@ -408,7 +393,7 @@ async function findCorrectUrl(inputUrl) {
   return null
 }
 
-const main = async (SITE_URL, returnPolicy = '') => {
+const crawlShopifyStore = async (SITE_URL, returnPolicy = '') => {
   try {
     // Connect to MongoDB
 
@@ -573,6 +558,14 @@ const main = async (SITE_URL, returnPolicy = '') => {
   }
 }
 
+const main = trackCrawlRun(
+  (SITE_URL) => ({
+    retailer: getDomainName(SITE_URL),
+    source: 'shopify-crawler-csv',
+  }),
+  crawlShopifyStore
+)
+
 // Process all stores from the JSON file
 async function processAllStores() {
   console.log(`Starting to process ${stores.length} stores...`)
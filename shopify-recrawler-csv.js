@@ -3,12 +3,9 @@ const axios = require('axios')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
 const fs = require('fs')
-const zlib = require('zlib')
 const path = require('path')
 const { connectDB, disconnectDB } = require('./database/connection')
-const Product = require('./models/Product')
 const Store = require('./models/Store')
-const mongoose = require('mongoose')
 const {
   useDigitalOceanAI,
   cleanAndTruncate,
@@ -24,6 +21,25 @@ const {
   retryPuppeteerWithProxyRotation,
 } = require('./utils/helper')
 const _ = require('lodash')
+const {
+  CatalogDiff,
+  RECRAWL_DELETE_AFTER_MISSING,
+  compareVariants,
+  compareProducts,
+  printDiffReport,
+} = require('./utils/catalogDiff')
+const { writeCatalog, withoutMongoIds } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
+const {
+  processBatchWithOperations,
+  recordMissingProducts,
+} = require('./utils/catalogStore')
+const {
+  linkStoreProducts,
+  streamStoreProducts,
+  countStoreProducts,
+} = require('./utils/storeProducts')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 axios.defaults.timeout = 180000
 
@@ -37,14 +53,15 @@ async function fetchStoresFromServer(page = 1, limit = 2) {
     // Calculate skip value for pagination
     const skip = (page - 1) * limit
 
-    // Fetch stores from MongoDB with pagination and populate products
+    // Fetch stores from MongoDB with pagination, products are streamed per
+    // store during the recrawl
     const stores = await Store.find({
       storeType: 'shopify',
+      deletedAt: null, // Soft-deleted stores are not recrawled
       name: {
         $nin: ['Kith', 'Mack Weldon', 'Relwen'],
       }, // Skip stores with these names
     })
-      .populate('products')
       .skip(skip)
       .limit(limit)
       .sort({ updatedAt: -1 }) // Sort by most recently updated first
@@ -53,6 +70,7 @@ async function fetchStoresFromServer(page = 1, limit = 2) {
     // Get total count for pagination - fix: use same filter as the main query
     const totalStores = await Store.countDocuments({
       storeType: 'shopify',
+      deletedAt: null, // Soft-deleted stores are not recrawled
       name: { $nin: ['Kith', 'Mack Weldon', 'Relwen'] }, // Skip stores with these names
     })
 
@@ -75,7 +93,6 @@ async function fetchStoresFromServer(page = 1, limit = 2) {
       returnPolicy: '', // Will be fetched from store metadata during crawl
       storeType: store.storeType,
       isScrapped: store.isScrapped,
-      products: store.products || [],
       createdAt: store.createdAt,
       updatedAt: store.updatedAt,
       returnPolicy: store.returnPolicy,
@@ -93,71 +110,16 @@ async function fetchStoresFromServer(page = 1, limit = 2) {
   }
 }
 
-// Function to compare two variants and determine operation type
-function compareVariants(existingVariant, newVariant) {
-  if (!existingVariant) return 'INSERT'
-
-  // Compare key fields to determine if variant has changed
-  const fieldsToCompare = [
-    'original_price',
-    'selling_price',
-    'sale_price',
-    'final_price',
-    'is_on_sale',
-    'is_in_stock',
-    'image_url',
-    'link_url',
-    'deeplink_url',
-  ]
-
-  for (const field of fieldsToCompare) {
-    if (existingVariant[field] !== newVariant[field]) {
-      return 'UPDATE'
-    }
-  }
-
-  return 'NO_CHANGE'
-}
-
-// Function to compare two products and determine operation type
-function compareProducts(existingProduct, newProduct) {
-  if (!existingProduct) return 'INSERT'
-
-  // Compare key fields to determine if product has changed
-  const fieldsToCompare = ['name', 'description', 'brand', 'category']
-
-  for (const field of fieldsToCompare) {
-    if (existingProduct[field] !== newProduct[field]) {
-      return 'UPDATE'
-    }
-  }
-
-  return 'NO_CHANGE'
-}
-
-// Function to determine product operation type based on variant operations
-function determineProductOperationType(existingProduct, variantOperations) {
-  // If product doesn't exist in DB, it's INSERT
-  if (!existingProduct) {
-    return 'INSERT'
-  }
-
-  // Check variant operations to determine product operation
-  const hasInsertVariants = variantOperations.some((op) => op === 'INSERT')
-  const hasUpdateVariants = variantOperations.some((op) => op === 'UPDATE')
-  const hasDeleteVariants = variantOperations.some((op) => op === 'DELETE')
-
-  // If any variant has changes, product is UPDATE
-  if (hasInsertVariants || hasUpdateVariants || hasDeleteVariants) {
-    return 'UPDATE'
-  }
-
-  // If all variants are NO_CHANGE, product is NO_CHANGE
-  return 'NO_CHANGE'
-}
-
-// Enhanced generateCSV function with recrawl logic
-async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
+// Enhanced generateCSV function with recrawl logic. options.complete: every
+// page was fetched, so products missing from it are DELETE right away instead
+// of after RECRAWL_DELETE_AFTER_MISSING recrawls.
+async function generateCSVWithRecrawl(
+  products,
+  storeData,
+  correctUrl,
+  store,
+  options = {}
+) {
   const countryCode = storeData.country
   const BATCH_SIZE = 5000
   const allProductIds = []
@@ -168,76 +130,25 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
   // Ensure store object exists
   if (!store) {
     console.log('⚠️  Store object is undefined, treating as new store')
-    store = { products: [] }
+    store = {}
   }
 
-  // Get existing products for this store from database
-  const existingProducts = store.products || []
-
-  // Create maps for quick lookup
-  const existingProductsMap = new Map()
-  const existingVariantsMap = new Map()
-
-  if (existingProducts && existingProducts.length > 0) {
-    existingProducts.forEach((product) => {
-      if (product && product.parent_product_id) {
-        existingProductsMap.set(product.parent_product_id, product)
-        if (product.variants && Array.isArray(product.variants)) {
-          product.variants.forEach((variant) => {
-            if (variant && variant.variant_id) {
-              existingVariantsMap.set(variant.variant_id, variant)
-            }
-          })
-        }
-      }
-    })
-  }
-
-  console.log('existing product maps', store.name)
-  console.log('Store products type:', typeof store.products)
-  console.log(
-    'Store products length:',
-    store.products ? store.products.length : 'undefined'
+  // Stream existing products for this store from database
+  const recrawlDiff = await CatalogDiff.fromCursor(
+    store._id ? streamStoreProducts(store._id) : [],
+    {
+      retailerDomain: getDomainName(correctUrl),
+      deleteAfterMissing: RECRAWL_DELETE_AFTER_MISSING,
+    }
   )
 
   console.log(
-    `🔄 RECRAWL MODE: Found ${existingProducts.length} existing products in database`
+    `🔄 RECRAWL MODE: Found ${recrawlDiff.existingProducts.size} existing products in database`
   )
   console.log(
     `📦 Processing ${products.length} products from Shopify in batches of ${BATCH_SIZE}...`
   )
 
-  // Track current product IDs from Shopify
-  const currentProductIds = new Set(products.map((p) => p.id.toString()))
-  const currentVariantIds = new Set()
-
-  // First, handle products that exist in database but not on store (DELETE)
-  const deletedProducts = []
-  for (const [productId, product] of existingProductsMap) {
-    if (!currentProductIds.has(productId)) {
-      // Product exists in DB but not on store - mark as DELETE
-      const deletedProduct = {
-        ...product,
-        operation_type: 'DELETE',
-        variants: product.variants
-          ? product.variants.map((variant) => ({
-              ...variant,
-              operation_type: 'DELETE',
-            }))
-          : [],
-      }
-      deletedProducts.push(deletedProduct)
-      allFormattedProducts.push(deletedProduct)
-      if (product._id) {
-        allProductIds.push(product._id.toString())
-      }
-    }
-  }
-
-  console.log(
-    `🗑️  Found ${deletedProducts.length} products to delete (exist in DB but not on store)`
-  )
-
   // Split products into batches
   for (let i = 0; i < products.length; i += BATCH_SIZE) {
     const batch = products.slice(i, i + BATCH_SIZE)
@@ -255,9 +166,6 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
       const productUrl = `${correctUrl}/products/${product.handle}`
       const variants = product.variants
 
-      // Get existing product from database
-      const existingProduct = existingProductsMap.get(product.id.toString())
-
       const formattedProduct = {
         parent_product_id: product.id.toString(),
         name: product.title,
@@ -286,21 +194,12 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
         available_bank_offers: '',
         available_coupons: '',
         variants: [],
-        operation_type: 'NO_CHANGE', // Will be determined based on variant operations
+        operation_type: 'NO_CHANGE', // Will be determined by the recrawl diff
         source: 'shopify',
-        _id:
-          existingProduct && existingProduct._id
-            ? existingProduct._id
-            : new mongoose.Types.ObjectId(),
       }
 
-      // Track variant operations for this product
-      const variantOperations = []
-
       // Process variants from Shopify
       for (const variant of variants) {
-        currentVariantIds.add(variant.id.toString())
-
         const originalPrice = parseFloat(
           variant.compare_at_price && variant.compare_at_price > 0
             ? variant.compare_at_price
@@ -339,7 +238,6 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
 
         const extractedSize = extractSize(variant, product.options)
         const extractedColor = extractColor(variant, product.options)
-        const existingVariant = existingVariantsMap.get(variant.id.toString())
 
         const newVariantData = {
           variant_description: '',
@@ -367,54 +265,11 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
           variant_id: variant.id.toString(),
         }
 
-        const variantOperationType = compareVariants(
-          existingVariant,
-          newVariantData
-        )
-        variantOperations.push(variantOperationType)
-
-        const formattedVariant = {
-          ...newVariantData,
-          operation_type: variantOperationType,
-        }
-
-        formattedProduct.variants.push(formattedVariant)
+        formattedProduct.variants.push(newVariantData)
       }
 
-      // Check for deleted variants (exist in DB but not on Shopify)
-      if (existingProduct) {
-        const currentVariantIdsForProduct = new Set(
-          variants.map((v) => v.id.toString())
-        )
-
-        if (
-          existingProduct.variants &&
-          Array.isArray(existingProduct.variants)
-        ) {
-          existingProduct.variants.forEach((existingVariant) => {
-            if (
-              existingVariant &&
-              !currentVariantIdsForProduct.has(existingVariant.variant_id)
-            ) {
-              // Variant exists in DB but not on Shopify - mark as DELETE
-              const deletedVariant = {
-                ...existingVariant,
-                operation_type: 'DELETE',
-              }
-              formattedProduct.variants.push(deletedVariant)
-              variantOperations.push('DELETE')
-            }
-          })
-        }
-      }
-
-      // Determine product operation type based on variant operations
-      formattedProduct.operation_type = determineProductOperationType(
-        existingProduct,
-        variantOperations
-      )
-
-      formattedProducts.push(formattedProduct)
+      // Tag product and variants (including sizes gone from Shopify)
+      formattedProducts.push(recrawlDiff.diffProduct(formattedProduct))
     }
 
     // Handle database operations for current batch
@@ -422,7 +277,8 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
     if (formattedProducts.length > 0) {
       try {
         const operationResults = await processBatchWithOperations(
-          formattedProducts
+          formattedProducts,
+          store._id
         )
         batchProductIds = operationResults.map((result) => result.productId)
 
@@ -467,26 +323,27 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
     }
   }
 
-  // Generate operation summary
-  const operationSummary = {
-    products: { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 },
-    variants: { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 },
-  }
-
-  allFormattedProducts.forEach((product) => {
-    operationSummary.products[product.operation_type]++
-    product.variants.forEach((variant) => {
-      operationSummary.variants[variant.operation_type]++
-    })
+  // Products that exist in database but not on store are DELETE, or pending
+  // deletions while the guard holds them back
+  const deletedProducts = recrawlDiff.deletedProducts({
+    complete: options.complete,
   })
-
-  console.log('\n📊 Operation Summary:')
-  console.log(
-    `Products - INSERT: ${operationSummary.products.INSERT}, UPDATE: ${operationSummary.products.UPDATE}, DELETE: ${operationSummary.products.DELETE}, NO_CHANGE: ${operationSummary.products.NO_CHANGE}`
-  )
   console.log(
-    `Variants - INSERT: ${operationSummary.variants.INSERT}, UPDATE: ${operationSummary.variants.UPDATE}, DELETE: ${operationSummary.variants.DELETE}, NO_CHANGE: ${operationSummary.variants.NO_CHANGE}`
+    `🗑️  Found ${deletedProducts.length} products missing from store (${
+      recrawlDiff.getReport().pending_deletions
+    } pending deletion)`
   )
+  await recordMissingProducts(recrawlDiff)
+  deletedProducts.forEach((product) => {
+    allFormattedProducts.push(product)
+    // Soft-deleted products are no longer live
+    if (product._id && product.operation_type !== 'DELETE') {
+      allProductIds.push(product._id.toString())
+    }
+  })
+
+  const changeReport = recrawlDiff.getReport()
+  printDiffReport(changeReport)
 
   console.log(
     `\n✅ All batches processed! Total: ${allFormattedProducts.length} products`
@@ -518,51 +375,11 @@ async function generateCSVWithRecrawl(products, storeData, correctUrl, store) {
 
   console.log(outputResult)
 
-  return { jsonPath: outputResult.gzippedFilePath, productIds: allProductIds }
-}
-
-// Function to process batch with proper operations
-async function processBatchWithOperations(formattedProducts) {
-  const results = []
-
-  for (const product of formattedProducts) {
-    try {
-      let result
-
-      if (product.operation_type === 'INSERT') {
-        // Insert new product
-        const newProduct = new Product(product)
-        await newProduct.save()
-        result = { productId: newProduct._id.toString(), operation: 'INSERT' }
-      } else if (product.operation_type === 'UPDATE') {
-        // Update existing product
-        const updateData = { ...product }
-        delete updateData._id
-        await Product.findByIdAndUpdate(product._id, updateData)
-        result = { productId: product._id.toString(), operation: 'UPDATE' }
-      } else if (product.operation_type === 'DELETE') {
-        // Mark product as deleted (we keep it in DB for audit trail)
-        await Product.findByIdAndUpdate(product._id, {
-          operation_type: 'DELETE',
-          'variants.$[].operation_type': 'DELETE',
-        })
-        result = { productId: product._id.toString(), operation: 'DELETE' }
-      } else {
-        // NO_CHANGE - just track the ID
-        result = { productId: product._id.toString(), operation: 'NO_CHANGE' }
-      }
-
-      results.push(result)
-    } catch (error) {
-      console.error(
-        `❌ Error processing product ${product.name}:`,
-        error.message
-      )
-      throw error
-    }
+  return {
+    jsonPath: outputResult.gzippedFilePath,
+    productIds: allProductIds,
+    changeReport,
   }
-
-  return results
 }
 
 // Function to update store entry
@@ -573,21 +390,17 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
     if (existingStore) {
       console.log(`Store ${storeData.name} already exists, updating...`)
 
-      // Update store with new timestamp and ensure all product IDs are included
-      const allProductIds = [
-        ...new Set([
-          ...existingStore.products.map((id) => id.toString()),
-          ...productIds,
-        ]),
-      ]
-      existingStore.products = allProductIds.map(
-        (id) => new mongoose.Types.ObjectId(id)
-      )
+      // Update store with new timestamp and link the crawled products to it
+      await linkStoreProducts(existingStore._id, productIds)
       existingStore.isScrapped = true
       existingStore.updatedAt = new Date()
       await existingStore.save()
 
-      console.log(`Updated store with ${allProductIds.length} total products`)
+      console.log(
+        `Updated store with ${await countStoreProducts(
+          existingStore._id
+        )} total products`
+      )
       return existingStore
     }
 
@@ -598,12 +411,12 @@ async function updateStoreEntry(storeData, correctUrl, productIds) {
       city: storeData.city,
       state: storeData.province || storeData.state,
       country: storeData.country,
-      products: productIds.map((id) => new mongoose.Types.ObjectId(id)),
       isScrapped: true,
       storeType: 'shopify',
     })
 
     await storeEntry.save()
+    await linkStoreProducts(storeEntry._id, productIds)
     console.log(`✅ Created new store entry: ${storeData.name}`)
     return storeEntry
   } catch (error) {
@@ -644,87 +457,23 @@ async function generateOutputFiles(
       throw new Error(`Failed to create output directory: ${dirError.message}`)
     }
 
-    // Remove MongoDB _id from output
-    let cleanedProducts
-    try {
-      cleanedProducts = allFormattedProducts.map((item) => {
-        const { _id, ...itemWithoutId } = item
-        return itemWithoutId
-      })
-    } catch (cleanError) {
-      console.error('❌ Error cleaning products data:', cleanError.message)
-      throw new Error(`Failed to clean products data: ${cleanError.message}`)
-    }
-
-    // Prepare catalog data
-    let catalogData
-    try {
-      catalogData = {
-        store_info: {
-          name: storeData.name || getDomainName(correctUrl),
-          domain: getDomainName(correctUrl),
-          currency: storeData.currency || 'USD',
-          country: countryCode,
-          total_products: cleanedProducts.length,
-          crawled_at: new Date().toISOString(),
-          crawl_type: 'RECRAWL',
-        },
-        products: cleanedProducts,
-      }
-    } catch (dataError) {
-      console.error('❌ Error preparing catalog data:', dataError.message)
-      throw new Error(`Failed to prepare catalog data: ${dataError.message}`)
-    }
-
-    // Save formatted data as JSON
-    const jsonFilePath = path.join(dirPath, 'catalog-recrawl.json')
-    try {
-      fs.writeFileSync(
-        jsonFilePath,
-        JSON.stringify(catalogData, null, 2),
-        'utf8'
-      )
-      console.log(`✅ JSON file generated: ${jsonFilePath}`)
-    } catch (jsonError) {
-      console.error(
-        `❌ Error writing JSON file ${jsonFilePath}:`,
-        jsonError.message
-      )
-      throw new Error(`Failed to write JSON file: ${jsonError.message}`)
-    }
-
-    // Create JSONL file (each product on a separate line)
-    const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-    try {
-      const jsonlContent = cleanedProducts
-        .map((product) => JSON.stringify(product))
-        .join('\n')
-      fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-      console.log(`✅ JSONL file generated: ${jsonlFilePath}`)
-    } catch (jsonlError) {
-      console.error(
-        `❌ Error writing JSONL file ${jsonlFilePath}:`,
-        jsonlError.message
-      )
-      throw new Error(`Failed to write JSONL file: ${jsonlError.message}`)
-    }
-
-    // Gzip the JSONL file
-    const gzippedFilePath = `${jsonlFilePath}.gz`
-    try {
-      const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-      const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-      fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-      console.log(`✅ Gzipped JSONL file generated: ${gzippedFilePath}`)
-    } catch (gzipError) {
-      console.error(
-        `❌ Error creating gzipped file ${gzippedFilePath}:`,
-        gzipError.message
-      )
-      throw new Error(`Failed to create gzipped file: ${gzipError.message}`)
-    }
-
-    return { jsonFilePath, jsonlFilePath, gzippedFilePath }
+    // Stream catalog-recrawl.json, catalog.jsonl and catalog.jsonl.gz
+    const files = await writeCatalog(
+      dirPath,
+      {
+        name: storeData.name || getDomainName(correctUrl),
+        domain: getDomainName(correctUrl),
+        currency: storeData.currency || 'USD',
+        country: countryCode,
+        crawled_at: new Date().toISOString(),
+        crawl_type: 'RECRAWL',
+      },
+      // Remove MongoDB _id from output
+      withoutMongoIds(allFormattedProducts),
+      { jsonFileName: 'catalog-recrawl.json' }
+    )
+    await recordPriceHistory(allFormattedProducts, { feedDir: dirPath })
+    return files
   } catch (error) {
     console.error('❌ Error in generateOutputFiles:', error.message)
     throw error
@@ -732,7 +481,7 @@ async function generateOutputFiles(
 }
 
 // Enhanced main function for recrawling
-const main = async (SITE_URL, returnPolicy = '', store) => {
+const recrawlShopifyStore = async (SITE_URL, returnPolicy = '', store) => {
   try {
     // Find the correct URL format
     let correctUrl = SITE_URL
@@ -748,6 +497,8 @@ const main = async (SITE_URL, returnPolicy = '', store) => {
     let allProducts = []
     let loopCondition = true
     let pageCounter = 1
+    // Pages skipped after an error, their products look deleted
+    const failedPages = []
     let storeData = {}
 
     try {
@@ -849,6 +600,7 @@ const main = async (SITE_URL, returnPolicy = '', store) => {
           loopCondition = false
           break
         }
+        failedPages.push(pageCounter)
       }
 
       pageCounter += 1
@@ -861,12 +613,21 @@ const main = async (SITE_URL, returnPolicy = '', store) => {
 
     console.log(`Total products found: ${allProducts.length}`)
 
+    if (failedPages.length > 0) {
+      console.log(
+        `⚠️ Pages ${failedPages.join(
+          ', '
+        )} failed, missing products will not be deleted right away`
+      )
+    }
+
     // Process with recrawl logic
     const result = await generateCSVWithRecrawl(
       allProducts,
       storeData,
       correctUrl,
-      store
+      store,
+      { complete: failedPages.length === 0 }
     )
 
     console.log(`Successfully processed ${storeData.name || DOMAIN}`)
@@ -879,6 +640,15 @@ const main = async (SITE_URL, returnPolicy = '', store) => {
   }
 }
 
+const main = trackCrawlRun(
+  (SITE_URL) => ({
+    retailer: getDomainName(SITE_URL),
+    source: 'shopify-recrawler-csv',
+    crawlType: 'RECRAWL',
+  }),
+  recrawlShopifyStore
+)
+
 // Process stores fetched from server in batches of 25
 async function processStoresFromServer() {
   console.log(`🚀 Starting to process stores from server (25 at a time)...`)
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+require('dotenv').config()
+const path = require('path')
+const { connectDB, disconnectDB } = require('./database/connection')
+const { findStockEvents, exportStockEvents } = require('./utils/stockEvents')
+
+const EVENT_TYPES = ['BACK_IN_STOCK', 'SOLD_OUT']
+
+function printUsage() {
+  console.log('📖 Usage:')
+  console.log(
+    '  node stock-events.js list [--retailer <domain>] [--type <type>] [--since <date>] [--limit <n>]  # Show recent stock events'
+  )
+  console.log(
+    '  node stock-events.js export [--retailer <domain>] [--type <type>] [--since <date>] [--out <file>]  # Export events as JSONL'
+  )
+  console.log('')
+  console.log(`  Event types: ${EVENT_TYPES.join(', ')}`)
+  console.log('')
+  console.log('📝 Examples:')
+  console.log('  node stock-events.js list --type BACK_IN_STOCK')
+  console.log(
+    '  node stock-events.js export --retailer nike.com --since 2025-06-01 --out output/stock-events.jsonl'
+  )
+}
+
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+function getQueryOptions(args) {
+  const eventType = getOption(args, '--type')
+  if (eventType && !EVENT_TYPES.includes(eventType.toUpperCase())) {
+    throw new Error(
+      `Unknown event type: ${eventType} (use ${EVENT_TYPES.join(' or ')})`
+    )
+  }
+
+  const since = getOption(args, '--since')
+  if (since && isNaN(new Date(since).getTime())) {
+    throw new Error(`Invalid --since date: ${since}`)
+  }
+
+  return {
+    retailerDomain: getOption(args, '--retailer'),
+    eventType: eventType ? eventType.toUpperCase() : undefined,
+    since,
+  }
+}
+
+async function listEvents(args) {
+  const events = await findStockEvents({
+    ...getQueryOptions(args),
+    limit: parseInt(getOption(args, '--limit'), 10) || 20,
+  })
+
+  if (events.length === 0) {
+    console.log('📭 No stock events found')
+    return
+  }
+
+  console.log(`📦 ${events.length} stock event(s):`)
+  events.forEach((event) => {
+    const icon = event.event_type === 'BACK_IN_STOCK' ? '🟢' : '🔴'
+    const variant = [event.color, event.size].filter(Boolean).join(' / ')
+    console.log(
+      `${icon} ${event.occurred_at.toISOString()}  ${event.retailer_domain}  ${
+        event.event_type
+      }  ${event.name}${variant ? ` (${variant})` : ''}  [${event.variant_id}]`
+    )
+  })
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const command = args[0]
+
+  switch (command) {
+    case 'list':
+      await connectDB()
+      try {
+        await listEvents(args.slice(1))
+      } finally {
+        await disconnectDB()
+      }
+      process.exit(0)
+
+    case 'export': {
+      const options = getQueryOptions(args.slice(1))
+      const outPath = path.resolve(
+        getOption(args, '--out') || path.join('output', 'stock-events.jsonl')
+      )
+
+      await connectDB()
+      try {
+        const count = await exportStockEvents(outPath, options)
+        console.log(`✅ Exported ${count} stock events to ${outPath}`)
+      } finally {
+        await disconnectDB()
+      }
+      process.exit(0)
+    }
+
+    default:
+      printUsage()
+      process.exit(command ? 1 : 0)
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Process failed:', error.message)
+    process.exit(1)
+  })
+}
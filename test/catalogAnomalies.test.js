@@ -0,0 +1,117 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  DEFAULT_ANOMALY_THRESHOLDS,
+  getAnomalyThresholds,
+  collectCatalogStats,
+  detectCatalogAnomalies,
+} = require('../utils/catalogAnomalies')
+
+// Thresholds of utils/catalogAnomalies.js that hold a catalog back
+
+const baseline = {
+  products: 1000,
+  deletedProducts: 0,
+  variants: 4000,
+  inStockVariants: 3200,
+  inStockRatio: 0.8,
+  averagePrice: 50,
+  deleteShare: 0,
+}
+
+function checks(stats, base = baseline, overrides = {}) {
+  return detectCatalogAnomalies(
+    { ...baseline, ...stats },
+    base,
+    getAnomalyThresholds('example.com', overrides)
+  ).map((anomaly) => anomaly.check)
+}
+
+test('a catalog close to its baseline passes', () => {
+  assert.deepStrictEqual(
+    checks({ products: 900, inStockRatio: 0.7, averagePrice: 60 }),
+    []
+  )
+})
+
+test('each relative threshold is checked against the baseline', () => {
+  assert.deepStrictEqual(checks({ products: 400 }), ['productDrop'])
+  assert.deepStrictEqual(checks({ inStockRatio: 0.2 }), ['inStockRatioDrop'])
+  assert.deepStrictEqual(checks({ averagePrice: 80 }), ['averagePriceChange'])
+  assert.deepStrictEqual(checks({ averagePrice: 20 }), ['averagePriceChange'])
+})
+
+test('relative checks need a large enough baseline', () => {
+  assert.deepStrictEqual(checks({ products: 1 }, null), [])
+  assert.deepStrictEqual(
+    checks({ products: 1 }, { ...baseline, products: 19 }),
+    []
+  )
+  assert.deepStrictEqual(
+    checks({ products: 1 }, { ...baseline, products: 20 }),
+    ['productDrop']
+  )
+})
+
+test('the DELETE share and in-stock floor apply without a baseline', () => {
+  assert.deepStrictEqual(
+    checks({ deleteShare: 0.4, deletedProducts: 40 }, null),
+    ['deleteShare']
+  )
+  assert.deepStrictEqual(
+    checks({ inStockRatio: 0.01, inStockVariants: 40 }, null),
+    ['inStockFloor']
+  )
+  assert.strictEqual(DEFAULT_ANOMALY_THRESHOLDS.minInStockRatio, 0.05)
+})
+
+test('a null threshold turns its check off', () => {
+  assert.deepStrictEqual(
+    checks({ products: 100, inStockRatio: 0.01 }, baseline, {
+      maxProductDrop: null,
+      maxInStockRatioDrop: null,
+      minInStockRatio: null,
+    }),
+    []
+  )
+})
+
+test('catalog stats count live products and in-stock, priced variants', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anomalies-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const filePath = path.join(dir, 'catalog.jsonl')
+  const products = [
+    {
+      parent_product_id: 'a',
+      variants: [
+        { is_in_stock: true, final_price: 10 },
+        { is_in_stock: false, selling_price: 30 },
+        { is_in_stock: true, final_price: 99, operation_type: 'DELETE' },
+      ],
+    },
+    {
+      parent_product_id: 'b',
+      variants: [{ is_in_stock: true, final_price: 0 }],
+    },
+    { parent_product_id: 'c', operation_type: 'DELETE', variants: [] },
+  ]
+  fs.writeFileSync(
+    filePath,
+    products.map((product) => JSON.stringify(product)).join('\n') + '\n'
+  )
+
+  const stats = await collectCatalogStats(filePath)
+
+  assert.deepStrictEqual(stats, {
+    products: 2,
+    deletedProducts: 1,
+    variants: 3,
+    inStockVariants: 2,
+    inStockRatio: 2 / 3,
+    averagePrice: 20,
+    deleteShare: 1 / 3,
+  })
+})
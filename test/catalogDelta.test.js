@@ -0,0 +1,87 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { CatalogDeltaWriter, toDeltaProduct } = require('../utils/catalogDelta')
+
+// Contents of catalog-delta.jsonl.gz (utils/catalogDelta.js): only changed
+// products, each with only its changed variants, counted in the manifest
+
+function tagged(id, operationType, variantOperations) {
+  return {
+    parent_product_id: id,
+    operation_type: operationType,
+    variants: variantOperations.map((operation, index) => ({
+      variant_id: `${id}-V${index + 1}`,
+      operation_type: operation,
+    })),
+  }
+}
+
+test('unchanged products are left out of the delta', () => {
+  assert.strictEqual(
+    toDeltaProduct(tagged('P1', 'NO_CHANGE', ['NO_CHANGE'])),
+    null
+  )
+})
+
+test('a changed product keeps only its changed variants', () => {
+  const delta = toDeltaProduct(
+    tagged('P1', 'UPDATE', ['NO_CHANGE', 'UPDATE', 'DELETE', 'INSERT'])
+  )
+  assert.deepStrictEqual(
+    delta.variants.map((variant) => variant.variant_id),
+    ['P1-V2', 'P1-V3', 'P1-V4']
+  )
+})
+
+test('the delta file and manifest match the appended products', async (t) => {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-delta-'))
+  t.after(() => fs.rmSync(dirPath, { recursive: true, force: true }))
+
+  const writer = new CatalogDeltaWriter(dirPath, {
+    name: 'Store',
+    crawl_type: 'RECRAWL',
+  })
+  await writer.append(tagged('P1', 'INSERT', ['INSERT']))
+  await writer.append(tagged('P2', 'NO_CHANGE', ['NO_CHANGE', 'NO_CHANGE']))
+  await writer.append(tagged('P3', 'UPDATE', ['UPDATE', 'NO_CHANGE']))
+  await writer.append(tagged('P4', 'DELETE', ['DELETE']))
+  const { deltaFilePath, deltaManifestPath } = await writer.finalize()
+
+  const rows = zlib
+    .gunzipSync(fs.readFileSync(deltaFilePath))
+    .toString('utf8')
+    .split('\n')
+    .map((line) => JSON.parse(line))
+  assert.deepStrictEqual(
+    rows.map((row) => [
+      row.parent_product_id,
+      row.operation_type,
+      row.variants.length,
+    ]),
+    [
+      ['P1', 'INSERT', 1],
+      ['P3', 'UPDATE', 1],
+      ['P4', 'DELETE', 1],
+    ]
+  )
+
+  const manifest = JSON.parse(fs.readFileSync(deltaManifestPath, 'utf8'))
+  assert.strictEqual(manifest.rows, 3)
+  assert.strictEqual(manifest.crawl_type, 'RECRAWL')
+  assert.deepStrictEqual(manifest.products, {
+    INSERT: 1,
+    UPDATE: 1,
+    DELETE: 1,
+    NO_CHANGE: 1,
+  })
+  assert.deepStrictEqual(manifest.variants, {
+    INSERT: 1,
+    UPDATE: 1,
+    DELETE: 1,
+    NO_CHANGE: 3,
+  })
+})
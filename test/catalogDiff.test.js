@@ -0,0 +1,86 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { CatalogDiff } = require('../utils/catalogDiff')
+
+// Regression tests for the pure diff logic of utils/catalogDiff.js, no
+// MongoDB needed: node --test
+
+function product(variants, extra = {}) {
+  return {
+    parent_product_id: 'P1',
+    name: 'Tee',
+    brand: 'Brand',
+    variants: variants.map((variant) => ({
+      final_price: 10,
+      is_in_stock: true,
+      ...variant,
+    })),
+    ...extra,
+  }
+}
+
+function variantOps(tagged) {
+  return tagged.variants.map(
+    (variant) => `${variant.variant_id}:${variant.operation_type}`
+  )
+}
+
+test('a variant that disappears is DELETE once', () => {
+  const first = new CatalogDiff([
+    product([{ variant_id: 'A' }, { variant_id: 'B' }]),
+  ])
+  const deleted = first.diffProduct(product([{ variant_id: 'A' }]))
+  assert.strictEqual(deleted.operation_type, 'UPDATE')
+  assert.deepStrictEqual(variantOps(deleted), ['A:NO_CHANGE', 'B:DELETE'])
+
+  // Stored after the first recrawl: B kept as DELETE
+  const second = new CatalogDiff([deleted])
+  const again = second.diffProduct(product([{ variant_id: 'A' }]))
+  assert.strictEqual(again.operation_type, 'NO_CHANGE')
+  assert.deepStrictEqual(variantOps(again), ['A:NO_CHANGE'])
+})
+
+test('a deleted variant that comes back is INSERT', () => {
+  const stored = product([
+    { variant_id: 'A', operation_type: 'NO_CHANGE' },
+    { variant_id: 'B', operation_type: 'DELETE' },
+  ])
+  const diff = new CatalogDiff([stored])
+  const tagged = diff.diffProduct(
+    product([{ variant_id: 'A' }, { variant_id: 'B' }])
+  )
+  assert.strictEqual(tagged.operation_type, 'UPDATE')
+  assert.deepStrictEqual(variantOps(tagged), ['A:NO_CHANGE', 'B:INSERT'])
+})
+
+test('changed and new variants are UPDATE and INSERT', () => {
+  const diff = new CatalogDiff([product([{ variant_id: 'A' }])])
+  const tagged = diff.diffProduct(
+    product([{ variant_id: 'A', final_price: 8 }, { variant_id: 'C' }])
+  )
+  assert.deepStrictEqual(variantOps(tagged), ['A:UPDATE', 'C:INSERT'])
+  assert.deepStrictEqual(diff.getReport().variants, {
+    INSERT: 1,
+    UPDATE: 1,
+    DELETE: 0,
+    NO_CHANGE: 0,
+  })
+})
+
+test('missing products are pending until deleteAfterMissing', () => {
+  const stored = product([{ variant_id: 'A' }], { missing_recrawls: 1 })
+  const pending = new CatalogDiff([stored], { deleteAfterMissing: 3 })
+  assert.deepStrictEqual(
+    pending.deletedProducts().map((p) => p.operation_type),
+    ['NO_CHANGE']
+  )
+  assert.strictEqual(pending.getReport().pending_deletions, 1)
+
+  const due = new CatalogDiff([{ ...stored, missing_recrawls: 2 }], {
+    deleteAfterMissing: 3,
+  })
+  assert.deepStrictEqual(
+    due.deletedProducts().map((p) => p.operation_type),
+    ['DELETE']
+  )
+})
@@ -0,0 +1,82 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { writeCatalog } = require('../utils/catalogWriter')
+const { DELTA_FILE, DELTA_MANIFEST_FILE } = require('../utils/catalogDelta')
+
+// Output of utils/catalogWriter.js: the three catalog files hold the same
+// products in the order they were appended
+
+function tempDir(t) {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'catalog-writer-'))
+  t.after(() => fs.rmSync(dirPath, { recursive: true, force: true }))
+  return dirPath
+}
+
+function readJsonl(text) {
+  return text
+    .split('\n')
+    .filter((line) => line !== '')
+    .map((line) => JSON.parse(line))
+}
+
+const products = ['P1', 'P2', 'P3'].map((id) => ({
+  parent_product_id: id,
+  name: `Product ${id}`,
+  variants: [{ variant_id: `${id}-V1`, final_price: 10 }],
+}))
+
+test('catalog.json, .jsonl and .jsonl.gz list the products in order', async (t) => {
+  const dirPath = tempDir(t)
+  const result = await writeCatalog(dirPath, { name: 'Store' }, products)
+
+  assert.strictEqual(result.totalProducts, 3)
+  const json = JSON.parse(fs.readFileSync(result.jsonFilePath, 'utf8'))
+  assert.deepStrictEqual(json.products, products)
+  assert.deepStrictEqual(
+    readJsonl(fs.readFileSync(result.jsonlFilePath, 'utf8')),
+    products
+  )
+  assert.deepStrictEqual(
+    readJsonl(
+      zlib.gunzipSync(fs.readFileSync(result.gzippedFilePath)).toString('utf8')
+    ),
+    products
+  )
+})
+
+test('store_info comes after the products with the final count', async (t) => {
+  const dirPath = tempDir(t)
+  const result = await writeCatalog(dirPath, { name: 'Store' }, products)
+
+  const text = fs.readFileSync(result.jsonFilePath, 'utf8')
+  assert.ok(text.indexOf('"products"') < text.indexOf('"store_info"'))
+  const { store_info: storeInfo } = JSON.parse(text)
+  assert.strictEqual(storeInfo.name, 'Store')
+  assert.strictEqual(storeInfo.total_products, 3)
+  assert.ok(storeInfo['schema-version'])
+})
+
+test('an empty catalog is still valid JSON', async (t) => {
+  const dirPath = tempDir(t)
+  const result = await writeCatalog(dirPath, {}, [])
+
+  const json = JSON.parse(fs.readFileSync(result.jsonFilePath, 'utf8'))
+  assert.deepStrictEqual(json.products, [])
+  assert.strictEqual(json.store_info.total_products, 0)
+  assert.strictEqual(fs.readFileSync(result.jsonlFilePath, 'utf8'), '')
+})
+
+test('a full crawl removes the delta of an earlier recrawl', async (t) => {
+  const dirPath = tempDir(t)
+  await writeCatalog(dirPath, { crawl_type: 'RECRAWL' }, products)
+  assert.ok(fs.existsSync(path.join(dirPath, DELTA_FILE)))
+
+  const result = await writeCatalog(dirPath, { crawl_type: 'CRAWL' }, products)
+  assert.strictEqual(result.deltaFilePath, null)
+  assert.ok(!fs.existsSync(path.join(dirPath, DELTA_FILE)))
+  assert.ok(!fs.existsSync(path.join(dirPath, DELTA_MANIFEST_FILE)))
+})
@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { CheckpointStore, getResumeRunId } = require('../utils/checkpointStore')
+
+// Resuming a run of utils/checkpointStore.js skips the work the log records
+
+function tempDir(t) {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'))
+  t.after(() => fs.rmSync(dirPath, { recursive: true, force: true }))
+  return dirPath
+}
+
+test('a resumed run sees the finished categories, pages and products', (t) => {
+  const dir = tempDir(t)
+  const first = CheckpointStore.open('shop', null, { dir })
+  first.completeCategory('tops', { items: 2 })
+  first.completePage('tops', 1, { ids: ['P1', 'P2'] })
+  first.completeProduct('P1', { parent_product_id: 'P1' })
+  first.completeProduct('P2', null)
+  first.completeSave('P1', 'mongo-1')
+
+  const resumed = CheckpointStore.open('shop', first.runId, { dir })
+  assert.ok(resumed.isCategoryDone('tops'))
+  assert.deepStrictEqual(resumed.getCategory('tops'), { items: 2 })
+  assert.deepStrictEqual(resumed.getPage('tops', 1), { ids: ['P1', 'P2'] })
+  assert.ok(!resumed.isPageDone('tops', 2))
+  assert.ok(resumed.isProductDone('P2'))
+  assert.strictEqual(resumed.getMongoId('P1'), 'mongo-1')
+  assert.strictEqual(resumed.getMongoId('P2'), null)
+  // Skipped products (null data) are done but not part of the catalog
+  assert.deepStrictEqual(resumed.getProducts(), [{ parent_product_id: 'P1' }])
+  assert.strictEqual(resumed.finished, false)
+})
+
+test('a half written last line is ignored and new entries still load', (t) => {
+  const dir = tempDir(t)
+  const first = CheckpointStore.open('shop', null, { dir })
+  first.completeProduct('P1', { parent_product_id: 'P1' })
+  fs.appendFileSync(first.filePath, '{"type":"product","id":"P2"')
+
+  const resumed = CheckpointStore.open('shop', first.runId, { dir })
+  assert.ok(!resumed.isProductDone('P2'))
+  resumed.completeProduct('P3', { parent_product_id: 'P3' })
+  resumed.finish()
+
+  const again = CheckpointStore.open('shop', first.runId, { dir })
+  assert.deepStrictEqual(
+    again.getProducts().map((product) => product.parent_product_id),
+    ['P1', 'P3']
+  )
+  assert.strictEqual(again.finished, true)
+})
+
+test('resuming an unknown run fails', (t) => {
+  const dir = tempDir(t)
+  assert.throws(
+    () => CheckpointStore.open('shop', 'missing-run', { dir }),
+    /No checkpoint found/
+  )
+})
+
+test('--resume takes the run id as the next or inline argument', () => {
+  assert.strictEqual(getResumeRunId(['--resume', 'run-1']), 'run-1')
+  assert.strictEqual(getResumeRunId(['--resume=run-2']), 'run-2')
+  assert.strictEqual(getResumeRunId(['--upload']), null)
+  assert.throws(() => getResumeRunId(['--resume', '--upload']), /run id/)
+})
@@ -0,0 +1,169 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const CrawlJob = require('../models/CrawlJob')
+const {
+  claimNextJob,
+  heartbeatJob,
+  finishJob,
+  recoverStaleJobs,
+  cancelJob,
+  retryJob,
+} = require('../utils/jobQueue')
+
+// Claim, retry and stale recovery of utils/jobQueue.js, with CrawlJob backed
+// by an in-memory collection that knows the few operators the queue uses
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key]
+    if (condition && typeof condition === 'object' && !condition.getTime) {
+      if ('$in' in condition) return condition.$in.includes(value)
+      if ('$lte' in condition) return value <= condition.$lte
+      if ('$lt' in condition) return value < condition.$lt
+    }
+    return String(value) === String(condition)
+  })
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set)
+  Object.keys(update.$unset || {}).forEach((key) => delete doc[key])
+  Object.entries(update.$inc || {}).forEach(([key, by]) => {
+    doc[key] = (doc[key] || 0) + by
+  })
+  Object.entries(update.$push || {}).forEach(([key, push]) => {
+    doc[key] = [...(doc[key] || []), ...push.$each].slice(push.$slice)
+  })
+}
+
+function compare(sort) {
+  return (a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+      if (a[key] < b[key]) return -direction
+      if (a[key] > b[key]) return direction
+    }
+    return 0
+  }
+}
+
+function useJobs(t, jobs) {
+  const docs = jobs.map((job, index) => ({
+    _id: `job-${index + 1}`,
+    status: 'QUEUED',
+    priority: 0,
+    attempts: 0,
+    maxAttempts: 3,
+    runAfter: new Date(0),
+    createdAt: new Date(index),
+    ...job,
+  }))
+  const lean = (value) => ({ lean: async () => value })
+
+  t.mock.method(CrawlJob, 'findOneAndUpdate', (filter, update, options) => {
+    const [doc] = docs
+      .filter((candidate) => matches(candidate, filter))
+      .sort(compare(options.sort))
+    if (doc) applyUpdate(doc, update)
+    return lean(doc ? { ...doc } : null)
+  })
+  t.mock.method(CrawlJob, 'updateOne', async (filter, update) => {
+    const doc = docs.find((candidate) => matches(candidate, filter))
+    if (doc) applyUpdate(doc, update)
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 }
+  })
+  t.mock.method(CrawlJob, 'find', (filter) =>
+    lean(docs.filter((doc) => matches(doc, filter)).map((doc) => ({ ...doc })))
+  )
+  t.mock.method(console, 'log', () => {})
+  return docs
+}
+
+test('the highest priority due job is claimed first, once', async (t) => {
+  const docs = useJobs(t, [
+    { priority: 0 },
+    { priority: 5, runAfter: new Date(Date.now() + 60000) },
+    { priority: 1 },
+  ])
+
+  const first = await claimNextJob('worker-a')
+  assert.strictEqual(first._id, 'job-3')
+  assert.strictEqual(first.status, 'RUNNING')
+  assert.strictEqual(first.lockedBy, 'worker-a')
+  assert.strictEqual(first.attempts, 1)
+
+  const second = await claimNextJob('worker-b')
+  assert.strictEqual(second._id, 'job-1')
+  // The other job is not due yet
+  assert.strictEqual(await claimNextJob('worker-c'), null)
+  assert.strictEqual(docs[1].status, 'QUEUED')
+})
+
+test('a failed attempt is queued again until maxAttempts', async (t) => {
+  const docs = useJobs(t, [{ maxAttempts: 2 }])
+
+  let job = await claimNextJob('worker-a')
+  assert.strictEqual(
+    await finishJob(job, 'worker-a', { error: 'boom' }),
+    'QUEUED'
+  )
+  assert.ok(docs[0].runAfter > new Date())
+  assert.strictEqual(docs[0].lockedBy, undefined)
+
+  docs[0].runAfter = new Date(0)
+  job = await claimNextJob('worker-a')
+  assert.strictEqual(job.attempts, 2)
+  assert.strictEqual(
+    await finishJob(job, 'worker-a', { error: 'boom' }),
+    'FAILED'
+  )
+  assert.strictEqual(await claimNextJob('worker-a'), null)
+
+  assert.ok(await retryJob('job-1'))
+  assert.strictEqual(docs[0].status, 'QUEUED')
+  assert.strictEqual(docs[0].attempts, 0)
+})
+
+test('a successful attempt is SUCCESS with its summary', async (t) => {
+  const docs = useJobs(t, [{}])
+  const job = await claimNextJob('worker-a')
+  assert.strictEqual(
+    await finishJob(job, 'worker-a', { summary: { products: 3 } }),
+    'SUCCESS'
+  )
+  assert.deepStrictEqual(docs[0].summary, { products: 3 })
+})
+
+test('jobs without a recent heartbeat count as failed attempts', async (t) => {
+  const stale = new Date(Date.now() - 60 * 60 * 1000)
+  const docs = useJobs(t, [
+    { status: 'RUNNING', lockedBy: 'gone', heartbeatAt: stale, attempts: 1 },
+    {
+      status: 'RUNNING',
+      lockedBy: 'alive',
+      heartbeatAt: new Date(),
+      attempts: 1,
+    },
+    {
+      status: 'RUNNING',
+      lockedBy: 'gone',
+      heartbeatAt: stale,
+      attempts: 3,
+      maxAttempts: 3,
+    },
+  ])
+
+  assert.strictEqual(await recoverStaleJobs(), 2)
+  assert.deepStrictEqual(
+    docs.map((doc) => doc.status),
+    ['QUEUED', 'RUNNING', 'FAILED']
+  )
+  assert.match(docs[0].error, /gone stopped responding/)
+})
+
+test('a cancelled job is no longer owned by its worker', async (t) => {
+  useJobs(t, [{}])
+  const job = await claimNextJob('worker-a')
+  assert.ok(await heartbeatJob(job, 'worker-a'))
+  assert.ok(await cancelJob(job._id))
+  assert.strictEqual(await heartbeatJob(job, 'worker-a'), false)
+})
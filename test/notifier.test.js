@@ -0,0 +1,103 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { Notifier } = require('../utils/notifier')
+const WebhookNotifier = require('../utils/webhookNotifier')
+
+// Routing of utils/notifier.js: which channels a message goes to, and failed
+// channels reported instead of thrown. Webhook sends are stubbed, no network
+
+const config = {
+  channels: {
+    alerts: { type: 'webhook', url: 'https://hooks.example.com/alerts' },
+    catalog: { type: 'webhook', url: 'https://hooks.example.com/catalog' },
+    ops: {
+      type: 'webhook',
+      url: 'https://hooks.example.com/ops',
+      enabled: false,
+    },
+  },
+  routes: [
+    { match: { level: 'error' }, channels: ['alerts', 'ops'] },
+    { match: { kind: ['summary', 'anomaly'] }, channels: ['catalog'] },
+  ],
+  defaultChannels: ['catalog'],
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {})
+  t.mock.method(console, 'error', () => {})
+})
+
+test('a message goes to every matching route, or the default channels', () => {
+  const notifier = new Notifier(config)
+
+  assert.deepStrictEqual(notifier.route({ kind: 'summary', level: 'error' }), [
+    'alerts',
+    'catalog',
+  ])
+  assert.deepStrictEqual(
+    notifier.route({ kind: 'anomaly', level: 'warning' }),
+    ['catalog']
+  )
+  assert.deepStrictEqual(notifier.route({ kind: 'message', level: 'info' }), [
+    'catalog',
+  ])
+})
+
+test('disabled channels are left out of routing', () => {
+  const notifier = new Notifier(config)
+
+  assert.deepStrictEqual(Object.keys(notifier.channels), ['alerts', 'catalog'])
+  assert.deepStrictEqual(notifier.route({ kind: 'message', level: 'error' }), [
+    'alerts',
+  ])
+})
+
+test('an unknown channel type fails the config', () => {
+  assert.throws(
+    () =>
+      new Notifier({
+        channels: { pager: { type: 'pager' } },
+        defaultChannels: ['pager'],
+      }),
+    /Invalid notifier config:[\s\S]*channel pager: unknown type "pager"/
+  )
+})
+
+test('notify sends to the routed channels and returns failures', async (t) => {
+  const sent = []
+  t.mock.method(WebhookNotifier.prototype, 'send', async function (message) {
+    if (this.config.url.endsWith('/alerts')) throw new Error('HTTP 500')
+    sent.push([this.config.url, message.title])
+  })
+  const notifier = new Notifier(config)
+
+  const results = await notifier.notify({
+    kind: 'summary',
+    level: 'error',
+    title: 'Crawl failed',
+  })
+
+  assert.deepStrictEqual(results, [
+    { channel: 'alerts', ok: false, error: 'HTTP 500' },
+    { channel: 'catalog', ok: true },
+  ])
+  assert.deepStrictEqual(sent, [
+    ['https://hooks.example.com/catalog', 'Crawl failed'],
+  ])
+})
+
+test('explicit channels bypass routing', async (t) => {
+  const send = t.mock.method(WebhookNotifier.prototype, 'send', async () => {})
+  const notifier = new Notifier(config)
+
+  const results = await notifier.notify('Manual check', {
+    channels: ['alerts', 'ops'],
+  })
+
+  assert.deepStrictEqual(results, [
+    { channel: 'alerts', ok: true },
+    { channel: 'ops', ok: false, error: 'channel is not configured' },
+  ])
+  assert.strictEqual(send.mock.callCount(), 1)
+})
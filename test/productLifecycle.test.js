@@ -0,0 +1,85 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const Store = require('../models/Store')
+const { purgeDeletedDocuments } = require('../utils/productLifecycle')
+
+// Purging of utils/productLifecycle.js, batch by batch. The models are stubbed
+// with an in-memory collection, no MongoDB
+
+const storeId = new mongoose.Types.ObjectId()
+const deletedStore = { _id: new mongoose.Types.ObjectId(), name: 'Gone' }
+
+function stubModels(t, productCount) {
+  let products = Array.from({ length: productCount }, () => ({
+    _id: new mongoose.Types.ObjectId(),
+    store: storeId,
+  }))
+  const calls = { find: [], deleteMany: [], storeUpdates: 0, storeDeletes: 0 }
+
+  t.mock.method(Product, 'aggregate', async () =>
+    products.length
+      ? [{ _id: 'example', count: products.length, oldest: new Date(0) }]
+      : []
+  )
+  t.mock.method(Product, 'find', () => ({
+    limit: (limit) => ({
+      lean: async () => {
+        calls.find.push(limit)
+        return products.slice(0, limit)
+      },
+    }),
+  }))
+  t.mock.method(Product, 'deleteMany', async (filter) => {
+    const ids = new Set(filter._id.$in.map(String))
+    const before = products.length
+    products = products.filter((product) => !ids.has(String(product._id)))
+    calls.deleteMany.push(ids.size)
+    return { deletedCount: before - products.length }
+  })
+  t.mock.method(Store, 'find', () => ({ lean: async () => [deletedStore] }))
+  t.mock.method(Store, 'deleteMany', async () => {
+    calls.storeDeletes++
+    return { deletedCount: 1 }
+  })
+  t.mock.method(Store, 'exists', async () => ({ _id: storeId }))
+  t.mock.method(Store, 'updateOne', async () => {
+    calls.storeUpdates++
+    return { modifiedCount: 1 }
+  })
+
+  return { calls, remaining: () => products.length }
+}
+
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}))
+
+test('purging removes products in batches until none are left', async (t) => {
+  const { calls, remaining } = stubModels(t, 2500)
+
+  const result = await purgeDeletedDocuments({ retentionDays: 30 })
+
+  assert.strictEqual(remaining(), 0)
+  assert.deepStrictEqual(calls.deleteMany, [1000, 1000, 500])
+  assert.deepStrictEqual(calls.find, [1000, 1000, 1000, 1000])
+  assert.strictEqual(calls.storeUpdates, 3)
+  assert.strictEqual(result.products, 2500)
+  assert.strictEqual(result.purgedProducts, 2500)
+  assert.strictEqual(result.purgedStores, 1)
+})
+
+test('a dry run reports the candidates and removes nothing', async (t) => {
+  const { calls, remaining } = stubModels(t, 1200)
+
+  const result = await purgeDeletedDocuments({
+    retentionDays: 30,
+    dryRun: true,
+  })
+
+  assert.strictEqual(remaining(), 1200)
+  assert.deepStrictEqual(calls.deleteMany, [])
+  assert.strictEqual(calls.storeDeletes, 0)
+  assert.strictEqual(result.products, 1200)
+  assert.deepStrictEqual(result.stores, [deletedStore])
+  assert.strictEqual(result.purgedProducts, 0)
+})
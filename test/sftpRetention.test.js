@@ -0,0 +1,86 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const SFTPDeleteHelper = require('../utils/sftpDeleteHelper')
+
+// Retention plans of utils/sftpDeleteHelper.js against an in-memory remote:
+// expired drops go, the newest complete (_SUCCESS) drop of a store stays
+
+// Remote listing built from file paths, the way ssh2-sftp-client lists
+function fakeSftp(files) {
+  return {
+    async list(remotePath) {
+      const prefix = remotePath === '.' ? '' : `${remotePath}/`
+      const items = new Map()
+      files
+        .filter((file) => file.startsWith(prefix))
+        .forEach((file) => {
+          const [name, ...rest] = file.slice(prefix.length).split('/')
+          items.set(name, { name, type: rest.length ? 'd' : '-', size: 10 })
+        })
+      return [...items.values()]
+    },
+  }
+}
+
+function helperWith(drops) {
+  const files = drops.flatMap(([folder, store, complete]) => [
+    path.posix.join(folder, store, 'catalog.jsonl.gz'),
+    ...(complete ? [path.posix.join(folder, store, '_SUCCESS')] : []),
+  ])
+  const helper = new SFTPDeleteHelper()
+  helper.sftp = fakeSftp(files)
+  return helper
+}
+
+const now = new Date(2026, 9, 20)
+
+test('drops beyond keepDrops are removed', async () => {
+  const helper = helperWith([
+    ['19-OCT-2026', 'US/A-US', true],
+    ['18-OCT-2026', 'US/A-US', true],
+    ['18-OCT-2026', 'US/B-US', true],
+    ['17-OCT-2026', 'US/A-US', true],
+  ])
+  const removals = await helper.planRetention({ keepDrops: 2, now })
+  assert.deepStrictEqual(
+    removals.map((removal) => removal.path),
+    ['17-OCT-2026']
+  )
+})
+
+test('the newest complete drop is kept when newer drops are incomplete', async () => {
+  const helper = helperWith([
+    ['19-OCT-2026', 'US/A-US', false],
+    ['18-OCT-2026', 'US/A-US', false],
+    ['17-OCT-2026', 'US/A-US', true],
+    ['16-OCT-2026', 'US/A-US', true],
+  ])
+  const removals = await helper.planRetention({ keepDrops: 1, now })
+  assert.deepStrictEqual(
+    removals.map((removal) => removal.path),
+    ['18-OCT-2026', '16-OCT-2026']
+  )
+})
+
+test('maxAgeDays keeps the last complete drop of every store', async () => {
+  const helper = helperWith([
+    ['10-OCT-2026', 'US/A-US', true],
+    ['10-OCT-2026', 'US/B-US', false],
+    ['09-OCT-2026', 'US/A-US', true],
+    ['09-OCT-2026', 'US/B-US', true],
+  ])
+  const removals = await helper.planRetention({ maxAgeDays: 7, now })
+  assert.deepStrictEqual(
+    removals.map((removal) => removal.path),
+    ['10-OCT-2026/US/B-US', '09-OCT-2026/US/A-US']
+  )
+})
+
+test('keepDrops below 1 is rejected', async () => {
+  const helper = helperWith([])
+  await assert.rejects(
+    helper.planRetention({ keepDrops: 0, now }),
+    /at least 1/
+  )
+})
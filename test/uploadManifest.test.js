@@ -0,0 +1,163 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const crypto = require('crypto')
+
+// Upload manifests (utils/uploadManifest.js) and the .part uploads of
+// utils/uploadTarget.js, against a LocalUploadTarget in a temp directory
+
+// Uploads outside a crawl run would be recorded in MongoDB
+const ledger = require('../utils/crawlRunLedger')
+ledger.recordCatalogUpload = async () => {}
+
+const LocalUploadTarget = require('../utils/localUploadTarget')
+const { SUCCESS_MARKER } = require('../utils/uploadTarget')
+const {
+  UPLOAD_MANIFEST_FILE,
+  buildUploadManifest,
+} = require('../utils/uploadManifest')
+
+// Keep the upload progress lines out of the test report
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}))
+
+function tempDir(t) {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-'))
+  t.after(() => fs.rmSync(dirPath, { recursive: true, force: true }))
+  return dirPath
+}
+
+function writeCatalog(dirPath) {
+  const catalogPath = path.join(dirPath, 'catalog', 'catalog.jsonl.gz')
+  fs.mkdirSync(path.dirname(catalogPath), { recursive: true })
+  const products = ['P1', 'P2'].map((id) => ({
+    parent_product_id: id,
+    variants: [
+      { variant_id: `${id}-S`, is_in_stock: true },
+      { variant_id: `${id}-M`, is_in_stock: true },
+    ],
+  }))
+  fs.writeFileSync(
+    catalogPath,
+    zlib.gzipSync(products.map((entry) => JSON.stringify(entry)).join('\n'))
+  )
+  return catalogPath
+}
+
+function sha256(filePath) {
+  return crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(filePath))
+    .digest('hex')
+}
+
+test('the manifest has the size, SHA-256 and counts of the catalog', async (t) => {
+  const catalogPath = writeCatalog(tempDir(t))
+  const manifest = await buildUploadManifest(catalogPath, [], {
+    crawlType: 'CRAWL',
+  })
+
+  assert.strictEqual(manifest.file, 'catalog.jsonl.gz')
+  assert.strictEqual(manifest.size, fs.statSync(catalogPath).size)
+  assert.strictEqual(manifest.sha256, sha256(catalogPath))
+  assert.strictEqual(manifest.products, 2)
+  assert.strictEqual(manifest.variants, 4)
+  assert.strictEqual(manifest.crawl_type, 'CRAWL')
+  assert.deepStrictEqual(
+    manifest.files.map((file) => file.file),
+    ['catalog.jsonl.gz']
+  )
+})
+
+test('a verified upload is renamed from .part into place', async (t) => {
+  const dirPath = tempDir(t)
+  const catalogPath = writeCatalog(dirPath)
+  const target = new LocalUploadTarget({
+    rootDir: path.join(dirPath, 'remote'),
+    verify: 'checksum',
+  })
+  await target.connect()
+  const manifest = await buildUploadManifest(catalogPath)
+
+  await target.putAtomic(catalogPath, 'catalog.jsonl.gz', manifest.files[0])
+  assert.strictEqual(
+    sha256(target.resolve('catalog.jsonl.gz')),
+    manifest.sha256
+  )
+  assert.ok(!fs.existsSync(target.resolve('catalog.jsonl.gz.part')))
+})
+
+test('a checksum mismatch keeps the file out of place', async (t) => {
+  const dirPath = tempDir(t)
+  const catalogPath = writeCatalog(dirPath)
+  const target = new LocalUploadTarget({
+    rootDir: path.join(dirPath, 'remote'),
+    verify: 'checksum',
+  })
+  await target.connect()
+  const manifest = await buildUploadManifest(catalogPath)
+
+  await assert.rejects(
+    target.putAtomic(catalogPath, 'catalog.jsonl.gz', {
+      ...manifest.files[0],
+      sha256: '0'.repeat(64),
+    }),
+    /remote SHA-256/
+  )
+  assert.ok(!fs.existsSync(target.resolve('catalog.jsonl.gz')))
+  assert.ok(!fs.existsSync(target.resolve('catalog.jsonl.gz.part')))
+})
+
+test('a size mismatch fails the size check', async (t) => {
+  const dirPath = tempDir(t)
+  const catalogPath = writeCatalog(dirPath)
+  const target = new LocalUploadTarget({
+    rootDir: path.join(dirPath, 'remote'),
+    verify: 'size',
+  })
+  await target.connect()
+
+  await assert.rejects(
+    target.putAtomic(catalogPath, 'catalog.jsonl.gz', {
+      file: 'catalog.jsonl.gz',
+      size: 1,
+    }),
+    /remote size/
+  )
+  assert.ok(!fs.existsSync(target.resolve('catalog.jsonl.gz')))
+})
+
+test('a store upload ends with manifest.json and _SUCCESS', async (t) => {
+  const dirPath = tempDir(t)
+  const catalogPath = writeCatalog(dirPath)
+  const target = new LocalUploadTarget({
+    rootDir: path.join(dirPath, 'remote'),
+    verify: 'checksum',
+    checkAnomalies: false,
+  })
+
+  const result = await target.uploadStoreCatalog(
+    { brandName: 'Shop', url: 'https://shop.example.com', countryCode: 'US' },
+    { jsonPath: catalogPath }
+  )
+
+  const storePath = target.resolve(result.remotePath)
+  const remoteManifest = JSON.parse(
+    fs.readFileSync(path.join(storePath, UPLOAD_MANIFEST_FILE), 'utf8')
+  )
+  assert.strictEqual(remoteManifest.sha256, sha256(catalogPath))
+  assert.strictEqual(
+    sha256(path.join(storePath, 'catalog.jsonl.gz')),
+    remoteManifest.sha256
+  )
+  const marker = JSON.parse(
+    fs.readFileSync(path.join(storePath, SUCCESS_MARKER), 'utf8')
+  )
+  assert.deepStrictEqual(marker.files, [
+    'catalog.jsonl.gz',
+    UPLOAD_MANIFEST_FILE,
+  ])
+  assert.ok(fs.readdirSync(storePath).every((file) => !file.endsWith('.part')))
+})
@@ -0,0 +1,163 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { spawnSync } = require('child_process')
+const { validateCatalogStream } = require('../validate-catalog')
+
+// Stream validation of validate-catalog.js: exit codes of --stream and what
+// each MPN policy does with variants of one color carrying different MPNs
+
+const SCRIPT = path.join(__dirname, '..', 'validate-catalog.js')
+
+function variant(id, extra = {}) {
+  return {
+    variant_id: id,
+    price: '20.00',
+    sale_price: '15.00',
+    original_price: '20.00',
+    currency: 'USD',
+    size: 'M',
+    color: 'Blue',
+    is_in_stock: true,
+    is_on_sale: true,
+    url: 'https://shop.example.com/p',
+    link_url: 'https://shop.example.com/p',
+    deeplink_url: 'https://shop.example.com/p',
+    image_url: 'https://shop.example.com/p.jpg',
+    alternate_image_urls: [],
+    mpn: 'MPN-1',
+    sku: id,
+    ...extra,
+  }
+}
+
+function product(id, variants) {
+  return {
+    parent_product_id: id,
+    name: `Product ${id}`,
+    title: `Product ${id}`,
+    retailer_domain: 'shop.example.com',
+    url: 'https://shop.example.com/p',
+    brand: 'Brand',
+    description: 'A plain cotton shirt',
+    category: 'Shirts',
+    gender: 'Men',
+    image_urls: ['https://shop.example.com/p.jpg'],
+    variants: variants.map((entry) => ({ parent_product_id: id, ...entry })),
+  }
+}
+
+// Products with two Blue variants carrying different MPNs
+const conflicting = product('P2', [
+  variant('P2-S', { size: 'S', mpn: 'MPN-A' }),
+  variant('P2-M', { size: 'M', mpn: 'MPN-B' }),
+])
+
+function writeCatalog(t, products) {
+  const dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-catalog-'))
+  t.after(() => fs.rmSync(dirPath, { recursive: true, force: true }))
+  const inputPath = path.join(dirPath, 'catalog.jsonl.gz')
+  fs.writeFileSync(
+    inputPath,
+    zlib.gzipSync(products.map((entry) => JSON.stringify(entry)).join('\n'))
+  )
+  return inputPath
+}
+
+function runStream(inputPath, ...args) {
+  return spawnSync(
+    process.execPath,
+    [SCRIPT, '--stream', inputPath, '--offline', ...args],
+    { encoding: 'utf8', timeout: 60000 }
+  )
+}
+
+function readOutput(outputPath) {
+  return zlib
+    .gunzipSync(fs.readFileSync(outputPath))
+    .toString('utf8')
+    .split('\n')
+    .filter((line) => line !== '')
+    .map((line) => JSON.parse(line))
+}
+
+test('--stream exits 0 when every product is valid', (t) => {
+  const inputPath = writeCatalog(t, [product('P1', [variant('P1-M')])])
+  const run = runStream(inputPath)
+  assert.strictEqual(run.status, 0, run.stderr)
+})
+
+test('--stream exits 1 when a product is rejected', (t) => {
+  const { name, ...nameless } = product('P1', [variant('P1-M')])
+  const inputPath = writeCatalog(t, [nameless])
+  const run = runStream(inputPath)
+  assert.strictEqual(run.status, 1)
+})
+
+test('--stream exits 1 when the catalog cannot be read', (t) => {
+  const inputPath = writeCatalog(t, [])
+  const run = runStream(path.join(path.dirname(inputPath), 'missing.jsonl'))
+  assert.strictEqual(run.status, 1)
+})
+
+test('--stream exits 1 when the output cannot be written', (t) => {
+  const inputPath = writeCatalog(t, [product('P1', [variant('P1-M')])])
+  const run = runStream(inputPath, '--output', path.dirname(inputPath))
+  assert.strictEqual(run.status, 1)
+  assert.match(run.stderr, /Validation failed/)
+})
+
+test('MPN policy reject drops the product and reports it', async (t) => {
+  const inputPath = writeCatalog(t, [
+    product('P1', [variant('P1-M')]),
+    conflicting,
+  ])
+  const report = await validateCatalogStream(inputPath, {
+    mpnPolicy: 'reject',
+    offline: true,
+  })
+
+  assert.strictEqual(report.stats.valid_products, 1)
+  assert.strictEqual(report.stats.invalid_products, 1)
+  assert.deepStrictEqual(
+    report.mpn_issues.map((issue) => [issue.parent_product_id, issue.action]),
+    [['P2', 'rejected']]
+  )
+})
+
+test('MPN policy repair gives one color a single MPN', async (t) => {
+  const inputPath = writeCatalog(t, [conflicting])
+  const report = await validateCatalogStream(inputPath, {
+    mpnPolicy: 'repair',
+    offline: true,
+  })
+
+  assert.strictEqual(report.stats.valid_products, 1)
+  assert.strictEqual(report.mpn_issues[0].action, 'repaired')
+  const [repaired] = readOutput(report.output)
+  const mpns = new Set(repaired.variants.map((entry) => entry.mpn))
+  assert.strictEqual(mpns.size, 1)
+  assert.ok(!mpns.has('MPN-A') && !mpns.has('MPN-B'))
+})
+
+test('MPN policy fail stops the validation', async (t) => {
+  const inputPath = writeCatalog(t, [conflicting])
+  await assert.rejects(
+    validateCatalogStream(inputPath, { mpnPolicy: 'fail', offline: true }),
+    /MPN inconsistency/
+  )
+  assert.strictEqual(runStream(inputPath, '--mpn-policy', 'fail').status, 1)
+})
+
+test('schema mismatches the rules accept are warnings, not rejects', async (t) => {
+  const inputPath = writeCatalog(t, [
+    product('P1', [variant('P1-32', { size: 32 })]),
+  ])
+  const report = await validateCatalogStream(inputPath, { offline: true })
+
+  assert.strictEqual(report.stats.valid_products, 1)
+  assert.match(report.warnings[0].warnings.join('\n'), /size/)
+})
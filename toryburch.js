@@ -4,6 +4,8 @@ const fs = require("fs");
 const path = require("path");
 const zlib = require("zlib");
 const { v5: uuidv5 } = require("uuid");
+const { trackCrawlRun } = require("./utils/crawlRunLedger");
+const { recordPriceHistory } = require("./utils/priceHistory");
 
 const COLOR_NAMESPACE = "6ba7b810-9dad-11d1-80b4-00c04fd430c8";
 const VARIANT_NAMESPACE = "6ba7b810-9dad-11d1-80b4-00c04fd430c1";
@@ -927,7 +929,7 @@ function writeOutputFiles(payload) {
   return { jsonFilePath, jsonlFilePath, gzFilePath };
 }
 
-async function main() {
+async function crawlToryBurch() {
   try {
     console.log("🎯 Tory Burch Women's Clothing Scraper");
     console.log("=====================================\n");
@@ -969,6 +971,9 @@ async function main() {
 
     console.log("\n💾 Writing output files...");
     const files = writeOutputFiles(payload);
+    await recordPriceHistory(transformedProducts, {
+      feedDir: path.dirname(files.jsonFilePath),
+    });
 
     console.log("\n🎉 Tory Burch scraping completed successfully!");
     console.log("=====================================");
@@ -979,13 +984,18 @@ async function main() {
     console.log(`   JSONL:  ${files.jsonlFilePath}`);
     console.log(`   GZip:   ${files.gzFilePath}`);
 
-    return payload;
+    return { ...payload, jsonPath: files.gzFilePath };
   } catch (error) {
     console.error("❌ Error during scraping:", error);
     return { status: "Error", message: error.message };
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: "toryburch", source: "toryburch" },
+  crawlToryBurch
+);
+
 if (require.main === module) {
   main()
     .then(() => process.exit(0))
@@ -1,19 +1,27 @@
-const SFTPHelper = require('./utils/sftpHelper')
+const {
+  createUploadTarget,
+  listUploadTargets,
+} = require('./utils/uploadTargets')
 const { processAllStores, main } = require('./shopify-crawler-csv')
-const { main: everlaneMain } = require('./everlane-crawler')
-const { main: goodAmericanMain } = require('./good-american-crawler')
 const { main: walmartMain } = require('./walmart-crawler')
 const { main: zaraMain } = require('./zara-men-products-scraper')
 const { main: lulusMain } = require('./lulus-crawler')
 const { main: lululemonMain } = require('./lululemon-crawler')
 const { main: freepeopleMain } = require('./freepeople-crawler')
 const { main: gapMain } = require('./gap-crawler')
-const { main: nikeMain } = require('./nike-scraper')
 const { main: adidasMain } = require('./adidas-scraper')
-const { main: hmMain } = require('./hm-scraper')
 const { main: abercrombieMain } = require('./abercrombie-scraper')
 const { main: aritziaMain } = require('./aritizia-scraper')
 const { main: jcrewMain } = require('./jcrew-scraper')
+const { main: bloomingdalesMain } = require('./bloomingdale-scraper')
+const {
+  scrapeMacysData,
+  MACYS_MENS_CLOTHING_URL,
+} = require('./macys-scraper')
+const { runMadewellCrawler } = require('./madewell-crawler')
+const { main: toryBurchMain } = require('./toryburch')
+const { main: marshallsMain } = require('./marshall')
+const { scrapeRalphLauren } = require('./ralphlauren')
 const MyntraScraperEnhanced = require('./myntra-scraper-enhanced')
 const { processStoresFromServer } = require('./shopify-recrawler-csv')
 const {
@@ -34,9 +42,148 @@ const {
 const {
   processStoresFromServer: processLululemonRecrawler,
 } = require('./lululemon-recrawler')
+const { getAdapter } = require('./adapters')
+const { runCatalogCrawl } = require('./utils/catalogRunner')
+const { recrawlCatalogFile } = require('./utils/catalogRecrawl')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 const fs = require('fs')
 const path = require('path')
 
+// Catalog path of the combined result most first-crawl scripts resolve to
+const firstResultPath = (results) =>
+  results && results.length > 0 ? results[0].jsonPath : null
+
+/**
+ * Retailers that only have a first-crawl script.
+ *
+ * Adapter-backed retailers recrawl through the catalog runner. The others run
+ * their first-crawl script without Mongo inserts; `crawl` resolves to the
+ * catalog it wrote, which utils/catalogRecrawl.js then diffs against the
+ * stored products.
+ */
+const FIRST_CRAWL_RECRAWLERS = {
+  nike: { adapter: 'nike', label: 'Nike' },
+  hm: { adapter: 'hm', label: 'H&M' },
+  adidas: {
+    label: 'Adidas',
+    store: {
+      name: 'Adidas',
+      domain: 'adidas.com',
+      storeType: 'adidas',
+      storeUrl: 'https://www.adidas.com',
+    },
+    crawl: async () => firstResultPath(await adidasMain()),
+  },
+  jcrew: {
+    label: 'J.Crew',
+    store: {
+      name: 'J.Crew',
+      domain: 'jcrew.com',
+      storeType: 'jcrew',
+      storeUrl: 'https://www.jcrew.com',
+    },
+    crawl: async () => firstResultPath(await jcrewMain()),
+  },
+  abercrombie: {
+    label: 'Abercrombie & Fitch',
+    store: {
+      name: 'Abercrombie & Fitch',
+      domain: 'abercrombie.com',
+      storeType: 'abercrombie',
+      storeUrl: 'https://www.abercrombie.com',
+    },
+    crawl: async () => firstResultPath(await abercrombieMain()),
+  },
+  gap: {
+    label: 'Gap',
+    store: {
+      name: 'Gap',
+      domain: 'gap.com',
+      storeType: 'gap',
+      storeUrl: 'https://www.gap.com',
+    },
+    crawl: async () => firstResultPath(await gapMain()),
+  },
+  zara: {
+    label: 'Zara',
+    store: {
+      name: 'Zara',
+      domain: 'zara.com',
+      storeType: 'zara',
+      storeUrl: 'https://www.zara.com',
+    },
+    crawl: async () => firstResultPath(await zaraMain({ recrawl: true })),
+  },
+  bloomingdales: {
+    label: "Bloomingdale's",
+    store: {
+      name: 'Bloomingdales',
+      domain: 'bloomingdales.com',
+      storeType: 'BloomingDales',
+      storeUrl: 'https://bloomingdales.com',
+      brandName: 'bloomingdales',
+    },
+    crawl: async () => firstResultPath(await bloomingdalesMain()),
+  },
+  macys: {
+    label: "Macy's",
+    store: {
+      name: "Macy's",
+      domain: 'macys.com',
+      storeType: 'macys',
+      storeUrl: 'https://www.macys.com',
+    },
+    crawl: async () =>
+      (await scrapeMacysData(MACYS_MENS_CLOTHING_URL)).jsonPath,
+  },
+  madewell: {
+    label: 'Madewell',
+    store: {
+      name: 'Madewell',
+      domain: 'madewell.com',
+      storeType: 'madewell',
+      storeUrl: 'https://www.madewell.com',
+    },
+    crawl: async () => {
+      const result = await runMadewellCrawler()
+      return result ? result.jsonPath : null
+    },
+  },
+  toryburch: {
+    label: 'Tory Burch',
+    store: {
+      name: 'Tory Burch',
+      domain: 'toryburch.com',
+      storeType: 'toryburch',
+      storeUrl: 'https://www.toryburch.com',
+    },
+    crawl: async () => (await toryBurchMain()).jsonPath,
+  },
+  marshalls: {
+    label: 'Marshalls',
+    store: {
+      name: 'Marshalls',
+      domain: 'marshalls.com',
+      storeType: 'marshalls',
+      storeUrl: 'https://www.marshalls.com',
+    },
+    crawl: async () => {
+      const result = await marshallsMain()
+      return result ? result.jsonPath : null
+    },
+  },
+  ralphlauren: {
+    label: 'Ralph Lauren',
+    store: {
+      name: 'Ralph Lauren',
+      domain: 'ralphlauren.global',
+      storeType: 'ralphlauren',
+      storeUrl: 'https://www.ralphlauren.com',
+    },
+    crawl: async () => (await scrapeRalphLauren()).jsonPath,
+  },
+}
+
 /**
  * Upload results from the main crawler
  */
@@ -54,7 +201,7 @@ async function uploadCrawlerResults() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = crawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -67,7 +214,7 @@ async function uploadCrawlerResults() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -133,9 +280,9 @@ async function uploadSingleStore(storeUrl, countryCode = 'US') {
 
     // Upload to SFTP
     console.log('\n📤 Uploading to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Single store upload completed!')
     return uploadResult
@@ -146,101 +293,53 @@ async function uploadSingleStore(storeUrl, countryCode = 'US') {
 }
 
 /**
- * Test SFTP connection
+ * Test the connection of the configured upload target
  */
 async function testSFTPConnection() {
-  const sftp = new SFTPHelper()
-  return await sftp.testConnection()
+  const uploadTarget = createUploadTarget()
+  return await uploadTarget.testConnection()
 }
 
 /**
- * Process and upload Everlane catalog
+ * Crawl an adapter-backed retailer through the catalog runner, which saves,
+ * writes and uploads its catalog
+ * @param {string} retailer - Adapter name, e.g. "nike"
  */
-async function processEverlaneCatalog() {
+async function processAdapterCatalog(retailer) {
+  const adapter = getAdapter(retailer)
   try {
-    console.log('🏪 Processing Everlane catalog...')
-
-    // Run the Everlane crawler
-    console.log('🆕 Running Everlane crawler...')
-    const API_URL = 'https://ac.cnstrc.com/browse/collection_id/womens-all'
-    const returnPolicy =
-      'https://support.everlane.com/what-is-your-return-policy-H1fMnra0s'
-
-    const result = await everlaneMain(API_URL, returnPolicy)
+    console.log(`🏪 Processing ${adapter.store.name} catalog...`)
+    const result = await runCatalogCrawl(adapter)
 
     if (!result) {
-      console.log('❌ Everlane crawl failed, nothing to upload')
+      console.log(`❌ ${adapter.store.name} crawl failed, nothing to upload`)
       return
     }
 
-    const filePaths = {
-      jsonPath: result.jsonPath,
-    }
-
-    const storeInfo = {
-      brandName: 'everlane',
-      url: 'https://www.everlane.com',
-      region: 'US',
-      countryCode: 'US',
-    }
-
-    // Upload to SFTP
-    console.log('\n📤 Uploading Everlane catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
-
-    console.log('✅ Everlane catalog upload completed!')
-    return uploadResult
+    console.log(`✅ ${adapter.store.name} catalog upload completed!`)
+    console.log(`📊 Uploaded ${result.totalProducts} products`)
+    return result.uploadResult
   } catch (error) {
-    console.error('❌ Error in Everlane catalog upload:', error.message)
+    console.error(
+      `❌ Error in ${adapter.store.name} catalog upload:`,
+      error.message
+    )
     throw error
   }
 }
 
+/**
+ * Process and upload Everlane catalog
+ */
+async function processEverlaneCatalog() {
+  return processAdapterCatalog('everlane')
+}
+
 /**
  * Process and upload Good American catalog
  */
 async function processGoodAmericanCatalog() {
-  try {
-    console.log('🏪 Processing Good American catalog...')
-
-    // Run the Good American crawler
-    console.log('🆕 Running Good American crawler...')
-    const API_URL = 'https://www.goodamerican.com/en-US/api/searchspring'
-    const returnPolicy =
-      'https://www.goodamerican.com/pages/returns-info?srsltid=AfmBOopLPZQN2NRiAOPocYzmFnrh0G6Md8RsYQAXDKgia-GUO9KstEtU'
-
-    const result = await goodAmericanMain(API_URL, returnPolicy)
-
-    if (!result) {
-      console.log('❌ Good American crawl failed, nothing to upload')
-      return
-    }
-
-    const filePaths = {
-      jsonPath: result.jsonPath,
-    }
-
-    const storeInfo = {
-      brandName: 'good_american',
-      url: 'https://www.goodamerican.com',
-      region: 'US',
-      countryCode: 'US',
-    }
-
-    // Upload to SFTP
-    console.log('\n📤 Uploading Good American catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
-
-    console.log('✅ Good American catalog upload completed!')
-    return uploadResult
-  } catch (error) {
-    console.error('❌ Error in Good American catalog upload:', error.message)
-    throw error
-  }
+  return processAdapterCatalog('good-american')
 }
 
 /**
@@ -274,9 +373,9 @@ async function processWalmartCatalog(catId = '5438', maxPages = 1) {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Walmart catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Walmart catalog upload completed!')
     return uploadResult
@@ -316,9 +415,9 @@ async function processMyntraCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Myntra catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Myntra catalog upload completed!')
     return uploadResult
@@ -360,9 +459,9 @@ async function processZaraCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Zara catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Zara catalog upload completed!')
     console.log(
@@ -408,9 +507,9 @@ async function processLulusCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Lulus catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Lulus catalog upload completed!')
     console.log(
@@ -456,9 +555,9 @@ async function processLululemonCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Lululemon catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Lululemon catalog upload completed!')
     console.log(
@@ -504,9 +603,9 @@ async function processFreePeopleCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading FreePeople catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ FreePeople catalog upload completed!')
     console.log(
@@ -552,9 +651,9 @@ async function processGapCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Gap catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Gap catalog upload completed!')
     console.log(
@@ -572,48 +671,7 @@ async function processGapCatalog() {
  * Process and upload Nike catalog
  */
 async function processNikeCatalog() {
-  try {
-    console.log('🏪 Processing Nike catalog...')
-
-    // Run the Nike scraper
-    console.log('🆕 Running Nike scraper...')
-    const results = await nikeMain()
-
-    if (!results || results.length === 0) {
-      console.log('❌ Nike scrape failed, nothing to upload')
-      return
-    }
-
-    // Get the combined result (should be only one result with all categories)
-    const combinedResult = results[0]
-
-    const filePaths = {
-      jsonPath: combinedResult.jsonPath,
-    }
-
-    const storeInfo = {
-      brandName: 'nike',
-      url: 'https://www.nike.com',
-      region: 'US',
-      countryCode: 'US',
-    }
-
-    // Upload to SFTP
-    console.log('\n📤 Uploading Nike catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
-
-    console.log('✅ Nike catalog upload completed!')
-    console.log(
-      `📊 Uploaded ${combinedResult.totalProducts} products from all categories`
-    )
-
-    return uploadResult
-  } catch (error) {
-    console.error('❌ Error in Nike catalog upload:', error.message)
-    throw error
-  }
+  return processAdapterCatalog('nike')
 }
 
 /**
@@ -648,9 +706,9 @@ async function processAdidasCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Adidas catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Adidas catalog upload completed!')
     console.log(
@@ -668,48 +726,7 @@ async function processAdidasCatalog() {
  * Process and upload H&M catalog
  */
 async function processHMCatalog() {
-  try {
-    console.log('🏪 Processing H&M catalog...')
-
-    // Run the H&M scraper
-    console.log('🆕 Running H&M scraper...')
-    const results = await hmMain()
-
-    if (!results || results.length === 0) {
-      console.log('❌ H&M scrape failed, nothing to upload')
-      return
-    }
-
-    // Get the combined result (should be only one result with all categories)
-    const combinedResult = results[0]
-
-    const filePaths = {
-      jsonPath: combinedResult.jsonPath,
-    }
-
-    const storeInfo = {
-      brandName: 'hm',
-      url: 'https://www2.hm.com',
-      region: 'US',
-      countryCode: 'US',
-    }
-
-    // Upload to SFTP
-    console.log('\n📤 Uploading H&M catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
-
-    console.log('✅ H&M catalog upload completed!')
-    console.log(
-      `📊 Uploaded ${combinedResult.totalProducts} products from all categories`
-    )
-
-    return uploadResult
-  } catch (error) {
-    console.error('❌ Error in H&M catalog upload:', error.message)
-    throw error
-  }
+  return processAdapterCatalog('hm')
 }
 
 /**
@@ -744,9 +761,9 @@ async function processAbercrombieAndFitchCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Abercrombie & Fitch catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Abercrombie & Fitch catalog upload completed!')
     console.log(
@@ -795,9 +812,9 @@ async function processAritziaCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading Aritzia catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ Aritzia catalog upload completed!')
     console.log(
@@ -843,9 +860,9 @@ async function processJCrewCatalog() {
 
     // Upload to SFTP
     console.log('\n📤 Uploading J.Crew catalog to SFTP server...')
-    const sftp = new SFTPHelper()
-    const uploadResult = await sftp.uploadStoreCatalog(storeInfo, filePaths)
-    await sftp.disconnect()
+    const uploadTarget = createUploadTarget()
+    const uploadResult = await uploadTarget.uploadStoreCatalog(storeInfo, filePaths)
+    await uploadTarget.disconnect()
 
     console.log('✅ J.Crew catalog upload completed!')
     console.log(
@@ -862,7 +879,7 @@ async function processJCrewCatalog() {
 /**
  * Process and upload all custom crawler catalogs (Everlane + Good American + Walmart + Myntra + Zara + Lulus + Lululemon + FreePeople + Gap + Nike + Adidas + H&M + Abercrombie + Aritzia + J.Crew)
  */
-async function processAllCustomCatalogs() {
+async function crawlAllCustomCatalogs() {
   try {
     console.log('🚀 Starting custom crawler and upload process...')
 
@@ -1068,10 +1085,21 @@ async function processAllCustomCatalogs() {
   }
 }
 
+// Each retailer's crawl is recorded as a child of this batch run
+const processAllCustomCatalogs = trackCrawlRun(
+  {
+    retailer: 'custom-catalogs',
+    source: 'processAllCustomCatalogs',
+    crawlType: 'BATCH',
+    summarize: false,
+  },
+  crawlAllCustomCatalogs
+)
+
 /**
  * Process and upload Shopify recrawler results
  */
-async function processShopifyRecrawler() {
+async function recrawlShopifyStores() {
   try {
     console.log('🔄 Starting Shopify recrawler and upload process...')
 
@@ -1085,7 +1113,7 @@ async function processShopifyRecrawler() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1098,7 +1126,7 @@ async function processShopifyRecrawler() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1140,6 +1168,17 @@ async function processShopifyRecrawler() {
     throw error
   }
 }
+// Each store's recrawl is recorded as a child of this batch run
+const processShopifyRecrawler = trackCrawlRun(
+  {
+    retailer: 'shopify',
+    source: 'processShopifyRecrawler',
+    crawlType: 'BATCH',
+    summarize: false,
+  },
+  recrawlShopifyStores
+)
+
 async function uploadShopifyRecrawler() {
   try {
     console.log('🔄 Starting Shopify recrawler and upload process...')
@@ -1148,7 +1187,7 @@ async function uploadShopifyRecrawler() {
     let results = require('./recrawl-processing-results.json')
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = results.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1161,7 +1200,7 @@ async function uploadShopifyRecrawler() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1209,7 +1248,7 @@ async function processEverlaneRecrawlerAndUpload() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1222,7 +1261,7 @@ async function processEverlaneRecrawlerAndUpload() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled Everlane files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1282,7 +1321,7 @@ async function processGoodAmericanRecrawlerAndUpload() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1297,7 +1336,7 @@ async function processGoodAmericanRecrawlerAndUpload() {
     console.log(
       '\n2️⃣ Uploading recrawled Good American files to SFTP server...'
     )
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1357,7 +1396,7 @@ async function processFreePeopleRecrawlerAndUpload() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1370,7 +1409,7 @@ async function processFreePeopleRecrawlerAndUpload() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled FreePeople files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1430,7 +1469,7 @@ async function processLulusRecrawlerAndUpload() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1443,7 +1482,7 @@ async function processLulusRecrawlerAndUpload() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled Lulus files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1503,7 +1542,7 @@ async function processAritziaRecrawlerAndUpload() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1516,7 +1555,7 @@ async function processAritziaRecrawlerAndUpload() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled Aritzia files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1576,7 +1615,7 @@ async function processLululemonRecrawlerAndUpload() {
     }
 
     // Prepare data for SFTP upload
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
     const storesToUpload = recrawlerResults.successful.map((store) => ({
       brandName: store.brandName,
       url: store.url,
@@ -1589,7 +1628,7 @@ async function processLululemonRecrawlerAndUpload() {
 
     // Upload to SFTP
     console.log('\n2️⃣ Uploading recrawled Lululemon files to SFTP server...')
-    const uploadResults = await sftp.uploadMultipleStores(storesToUpload)
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
 
     // Save combined results
     const combinedResults = {
@@ -1632,6 +1671,118 @@ async function processLululemonRecrawlerAndUpload() {
   }
 }
 
+/**
+ * Recrawl a first-crawl-only retailer (see FIRST_CRAWL_RECRAWLERS) and upload
+ * @param {string} retailer - Key of FIRST_CRAWL_RECRAWLERS
+ */
+async function processFirstCrawlRecrawlerAndUpload(retailer) {
+  const recrawler = FIRST_CRAWL_RECRAWLERS[retailer]
+  if (!recrawler) {
+    throw new Error(
+      `Unknown retailer "${retailer}". Available: ${Object.keys(
+        FIRST_CRAWL_RECRAWLERS
+      ).join(', ')}`
+    )
+  }
+
+  try {
+    console.log(`🔄 Starting ${recrawler.label} recrawler and upload process...`)
+
+    // Run the crawl and diff it against the stored products
+    console.log(`\n1️⃣ Running ${recrawler.label} recrawler...`)
+    const recrawlerResults = { successful: [], failed: [], skipped: [] }
+
+    try {
+      let recrawlResult
+      if (recrawler.adapter) {
+        recrawlResult = await runCatalogCrawl(getAdapter(recrawler.adapter), {
+          recrawl: true,
+          upload: false,
+        })
+      } else {
+        const catalogPath = await recrawler.crawl()
+        recrawlResult = catalogPath
+          ? await recrawlCatalogFile(recrawler.store, catalogPath)
+          : false
+      }
+
+      if (recrawlResult) {
+        recrawlerResults.successful.push(recrawlResult)
+      } else {
+        recrawlerResults.skipped.push({
+          store: retailer,
+          reason: 'Crawl produced no catalog',
+        })
+      }
+    } catch (error) {
+      console.error(`❌ ${recrawler.label} recrawl failed:`, error.message)
+      recrawlerResults.failed.push({ store: retailer, error: error.message })
+    }
+
+    if (recrawlerResults.successful.length === 0) {
+      console.log('❌ No successful recrawls to upload')
+      return recrawlerResults
+    }
+
+    // Prepare data for SFTP upload
+    const uploadTarget = createUploadTarget()
+    const storesToUpload = recrawlerResults.successful.map((store) => ({
+      brandName: store.brandName,
+      url: store.url,
+      region: store.region,
+      countryCode: store.region,
+      filePaths: {
+        jsonPath: store.jsonPath,
+      },
+    }))
+
+    // Upload to SFTP
+    console.log(
+      `\n2️⃣ Uploading recrawled ${recrawler.label} files to SFTP server...`
+    )
+    const uploadResults = await uploadTarget.uploadMultipleStores(storesToUpload)
+
+    // Save combined results
+    const combinedResults = {
+      recrawler_results: recrawlerResults,
+      upload_results: uploadResults,
+      summary: {
+        stores_recrawled: recrawlerResults.successful.length,
+        stores_uploaded: uploadResults.successful.length,
+        upload_failed: uploadResults.failed.length,
+        recrawl_failed: recrawlerResults.failed.length,
+        recrawl_skipped: recrawlerResults.skipped.length,
+        completed_at: new Date().toISOString(),
+      },
+    }
+
+    const resultsPath = path.join(
+      __dirname,
+      `${retailer}-recrawl-and-upload-results.json`
+    )
+    fs.writeFileSync(resultsPath, JSON.stringify(combinedResults, null, 2))
+
+    console.log(`\n🎉 ${recrawler.label} recrawl and upload process completed!`)
+    console.log(`📊 Summary:`)
+    console.log(
+      `  Stores recrawled: ${combinedResults.summary.stores_recrawled}`
+    )
+    console.log(`  Stores uploaded: ${combinedResults.summary.stores_uploaded}`)
+    console.log(`  Upload failures: ${combinedResults.summary.upload_failed}`)
+    console.log(`  Recrawl failures: ${combinedResults.summary.recrawl_failed}`)
+    console.log(`  Recrawl skipped: ${combinedResults.summary.recrawl_skipped}`)
+    console.log(`📄 Detailed results: ${resultsPath}`)
+
+    return combinedResults
+  } catch (error) {
+    console.error(
+      `❌ Error in ${recrawler.label} recrawl and upload process:`,
+      error.message
+    )
+    throw error
+  }
+}
+
 /**
  * Upload existing catalog.jsonl.gz file to SFTP server
  */
@@ -1652,7 +1803,7 @@ async function uploadExistingCatalogFile() {
     console.log(`📄 File size: ${(stats.size / 1024).toFixed(2)} KB`)
 
     // Create SFTP helper instance
-    const sftp = new SFTPHelper()
+    const uploadTarget = createUploadTarget()
 
     // Get current date in day-month-year format
     const now = new Date()
@@ -1681,13 +1832,13 @@ async function uploadExistingCatalogFile() {
     console.log(`📤 Uploading to: ${remotePath}`)
 
     // Upload the file
-    const uploadResult = await sftp.uploadExistingCatalogFile(
+    const uploadResult = await uploadTarget.uploadExistingCatalogFile(
       catalogFilePath,
       remotePath
     )
 
     // Disconnect from SFTP
-    await sftp.disconnect()
+    await uploadTarget.disconnect()
 
     if (uploadResult.success) {
       console.log('✅ Catalog file uploaded successfully!')
@@ -1727,12 +1878,15 @@ module.exports = {
   processAritziaCatalog,
   processJCrewCatalog,
   processShopifyRecrawler,
+  uploadShopifyRecrawler,
   processEverlaneRecrawlerAndUpload,
   processGoodAmericanRecrawlerAndUpload,
   processFreePeopleRecrawlerAndUpload,
   processLulusRecrawlerAndUpload,
   processAritziaRecrawlerAndUpload,
   processLululemonRecrawlerAndUpload,
+  processFirstCrawlRecrawlerAndUpload,
+  FIRST_CRAWL_RECRAWLERS,
   uploadExistingCatalogFile,
 }
 
@@ -1831,6 +1985,32 @@ if (require.main === module) {
         })
       break
 
+    case 'recrawl-nike':
+    case 'recrawl-hm':
+    case 'recrawl-adidas':
+    case 'recrawl-jcrew':
+    case 'recrawl-abercrombie':
+    case 'recrawl-gap':
+    case 'recrawl-zara':
+    case 'recrawl-bloomingdales':
+    case 'recrawl-macys':
+    case 'recrawl-madewell':
+    case 'recrawl-toryburch':
+    case 'recrawl-marshalls':
+    case 'recrawl-ralphlauren': {
+      const retailer = command.replace('recrawl-', '')
+      console.log(
+        `🔄 Running ${FIRST_CRAWL_RECRAWLERS[retailer].label} recrawl and upload...`
+      )
+      processFirstCrawlRecrawlerAndUpload(retailer)
+        .then(() => process.exit(0))
+        .catch((error) => {
+          console.error('❌ Process failed:', error.message)
+          process.exit(1)
+        })
+      break
+    }
+
     case 'store':
       if (args.length < 2) {
         console.log(
@@ -2059,11 +2239,16 @@ if (require.main === module) {
       console.log(
         '  node upload-catalogs.js recrawl-lululemon  # Recrawl Lululemon store and upload'
       )
+      console.log(
+        `  node upload-catalogs.js recrawl-<retailer> # Recrawl a first-crawl-only retailer and upload (${Object.keys(
+          FIRST_CRAWL_RECRAWLERS
+        ).join(', ')})`
+      )
       console.log(
         '  node upload-catalogs.js store <url> [country]  # Process single store'
       )
       console.log(
-        '  node upload-catalogs.js test               # Test SFTP connection'
+        '  node upload-catalogs.js test               # Test the upload target connection'
       )
       console.log(
         '  node upload-catalogs.js custom             # Process all custom crawlers'
@@ -2114,8 +2299,15 @@ if (require.main === module) {
         '  node upload-catalogs.js upload-catalog-lulu                # Upload existing catalog.jsonl.gz file'
       )
       console.log('')
+      console.log(
+        `  Add --target <${listUploadTargets().join(
+          '|'
+        )}> (or set UPLOAD_TARGET) to choose where catalogs go, sftp by default`
+      )
+      console.log('')
       console.log('📝 Examples:')
       console.log('  node upload-catalogs.js store https://store.com US')
+      console.log('  node upload-catalogs.js recrawl --target local')
       console.log('  node upload-catalogs.js walmart 5438 2')
       console.log('  node upload-catalogs.js zara')
       console.log('  node upload-catalogs.js lulus')
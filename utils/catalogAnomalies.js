@@ -0,0 +1,293 @@
+const { readCatalogProducts } = require('./catalogReader')
+const { writeLedger } = require('./crawlRunLedger')
+const { notify } = require('./notifier')
+
+// Catalog anomaly detection
+//
+// Before a catalog is uploaded its stats (live products, in-stock ratio,
+// average price, share of DELETE products) are compared with the stats of
+// the last catalog uploaded for the same store folder. The ledger keeps them
+// on CrawlRun.upload; catalogs no crawl run produced fall back to the stats
+// saved in the manifest.json of the previous upload (see
+// UploadTarget.findManifestBaseline). A catalog breaching a threshold is held
+// back and an alert is sent. Without any baseline only the absolute checks
+// (DELETE share, in-stock floor) apply.
+
+// Thresholds are fractions; null turns a check off
+const DEFAULT_ANOMALY_THRESHOLDS = {
+  // Relative checks are skipped when the baseline had fewer live products
+  minBaselineProducts: 20,
+  // Share of in-stock variants a catalog needs whatever the baseline, so a
+  // first upload with everything out of stock is held back too
+  minInStockRatio: 0.05,
+  // 3,000 products yesterday, 30 today
+  maxProductDrop: 0.5,
+  // Share of in-stock variants falling from 80% to 20% is a 0.75 drop
+  maxInStockRatioDrop: 0.5,
+  // Average variant price moving up or down by more than this
+  maxAveragePriceChange: 0.5,
+  // DELETE products out of all products of a recrawl catalog
+  maxDeleteShare: 0.3,
+}
+
+// Per-store overrides, keyed by store domain
+const STORE_ANOMALY_THRESHOLDS = {}
+
+/**
+ * Resolve the anomaly thresholds of a store
+ * @param {string} storeDomain - Domain of the store
+ * @param {Object} overrides - Optional thresholds applied last
+ */
+function getAnomalyThresholds(storeDomain, overrides = {}) {
+  return {
+    ...DEFAULT_ANOMALY_THRESHOLDS,
+    ...STORE_ANOMALY_THRESHOLDS[storeDomain],
+    ...overrides,
+  }
+}
+
+function getVariantPrice(variant) {
+  const price = Number(variant.final_price) || Number(variant.selling_price)
+  return price > 0 ? price : null
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? part / whole : 0
+}
+
+/**
+ * Stats of a catalog file that anomaly checks compare
+ * @param {string} filePath - catalog.json, catalog.jsonl or catalog.jsonl.gz
+ */
+async function collectCatalogStats(filePath) {
+  let products = 0
+  let deletedProducts = 0
+  let variants = 0
+  let inStockVariants = 0
+  let pricedVariants = 0
+  let priceTotal = 0
+
+  for await (const { product } of readCatalogProducts(filePath, {
+    tolerateInvalidJson: true,
+  })) {
+    if (!product) continue
+    // Recrawl catalogs keep deleted products, they are no longer on sale
+    if (product.operation_type === 'DELETE') {
+      deletedProducts++
+      continue
+    }
+
+    products++
+    ;(Array.isArray(product.variants) ? product.variants : []).forEach(
+      (variant) => {
+        if (variant.operation_type === 'DELETE') return
+        variants++
+        if (variant.is_in_stock) inStockVariants++
+
+        const price = getVariantPrice(variant)
+        if (price !== null) {
+          pricedVariants++
+          priceTotal += price
+        }
+      }
+    )
+  }
+
+  return {
+    products,
+    deletedProducts,
+    variants,
+    inStockVariants,
+    inStockRatio: ratio(inStockVariants, variants),
+    averagePrice: pricedVariants > 0 ? priceTotal / pricedVariants : 0,
+    deleteShare: ratio(deletedProducts, products + deletedProducts),
+  }
+}
+
+/**
+ * Stats of the last catalog successfully uploaded for a store folder, null
+ * when there is none (or MongoDB is unreachable)
+ * @param {string} store - Store folder, {countryCode}/{brand-countryCode}
+ */
+async function findCatalogBaseline(store) {
+  const run = await writeLedger('read the previous upload', (Model) =>
+    Model.findOne({
+      'upload.store': store,
+      'upload.success': true,
+      'upload.stats': { $exists: true },
+    })
+      .sort({ 'upload.uploadedAt': -1 })
+      .lean()
+  )
+  return run ? { runId: run._id, ...run.upload.stats } : null
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+/**
+ * Compare catalog stats with the baseline
+ * @param {Object} stats - Stats from collectCatalogStats
+ * @param {Object|null} baseline - Stats of the previous upload
+ * @param {Object} thresholds - Thresholds from getAnomalyThresholds
+ * @returns {Array} [{ check, message }], empty when nothing looks wrong
+ */
+function detectCatalogAnomalies(stats, baseline, thresholds) {
+  const anomalies = []
+  const breaches = (limit, value) =>
+    limit !== null && limit !== undefined && value > limit
+
+  if (
+    thresholds.minInStockRatio !== null &&
+    thresholds.minInStockRatio !== undefined &&
+    stats.inStockRatio < thresholds.minInStockRatio
+  ) {
+    anomalies.push({
+      check: 'inStockFloor',
+      message: `${formatPercent(stats.inStockRatio)} of variants in stock (${
+        stats.inStockVariants
+      } of ${stats.variants}), floor ${formatPercent(
+        thresholds.minInStockRatio
+      )}`,
+    })
+  }
+
+  if (breaches(thresholds.maxDeleteShare, stats.deleteShare)) {
+    anomalies.push({
+      check: 'deleteShare',
+      message: `${formatPercent(stats.deleteShare)} of products are DELETE (${
+        stats.deletedProducts
+      }), limit ${formatPercent(thresholds.maxDeleteShare)}`,
+    })
+  }
+
+  if (!baseline || baseline.products < thresholds.minBaselineProducts) {
+    return anomalies
+  }
+
+  const productDrop = 1 - stats.products / baseline.products
+  if (breaches(thresholds.maxProductDrop, productDrop)) {
+    anomalies.push({
+      check: 'productDrop',
+      message: `${stats.products} products, down ${formatPercent(
+        productDrop
+      )} from ${baseline.products}`,
+    })
+  }
+
+  if (baseline.inStockRatio > 0) {
+    const inStockDrop = 1 - stats.inStockRatio / baseline.inStockRatio
+    if (breaches(thresholds.maxInStockRatioDrop, inStockDrop)) {
+      anomalies.push({
+        check: 'inStockRatioDrop',
+        message: `${formatPercent(
+          stats.inStockRatio
+        )} of variants in stock, was ${formatPercent(baseline.inStockRatio)}`,
+      })
+    }
+  }
+
+  if (baseline.averagePrice > 0 && stats.averagePrice > 0) {
+    const priceChange =
+      Math.abs(stats.averagePrice - baseline.averagePrice) /
+      baseline.averagePrice
+    if (breaches(thresholds.maxAveragePriceChange, priceChange)) {
+      anomalies.push({
+        check: 'averagePriceChange',
+        message: `Average price ${stats.averagePrice.toFixed(
+          2
+        )}, was ${baseline.averagePrice.toFixed(2)}`,
+      })
+    }
+  }
+
+  return anomalies
+}
+
+/**
+ * Check a catalog against the previous upload of its store
+ * @param {string} catalogPath - Local catalog.jsonl.gz
+ * @param {Object} options - { store, storeDomain, thresholds,
+ *   findFallbackBaseline }; findFallbackBaseline is asked for the baseline
+ *   when the ledger has none
+ * @returns {Object} { store, stats, baseline, anomalies }
+ */
+async function checkCatalogAnomalies(catalogPath, options) {
+  const stats = await collectCatalogStats(catalogPath)
+  let baseline = await findCatalogBaseline(options.store)
+  if (!baseline && options.findFallbackBaseline) {
+    baseline = await options.findFallbackBaseline()
+  }
+  if (!baseline) {
+    console.warn(
+      `⚠️  No previous upload of ${options.store} to compare with, only the absolute anomaly checks apply`
+    )
+  }
+  const anomalies = detectCatalogAnomalies(
+    stats,
+    baseline,
+    getAnomalyThresholds(options.storeDomain, options.thresholds)
+  )
+
+  if (anomalies.length > 0) {
+    console.warn(`🚨 Catalog of ${options.store} looks wrong:`)
+    anomalies.forEach(({ message }) => console.warn(`   - ${message}`))
+  } else {
+    console.log(
+      `🔎 Catalog of ${options.store} passed anomaly checks (${
+        stats.products
+      } products${baseline ? `, previously ${baseline.products}` : ''})`
+    )
+  }
+
+  return { store: options.store, stats, baseline, anomalies }
+}
+
+/**
+ * Alert that a catalog was held back from upload
+ * @param {string} brandName - Store name
+ * @param {Object} check - Result of checkCatalogAnomalies
+ */
+async function reportHeldBackCatalog(brandName, check) {
+  const { stats, baseline } = check
+  const compare = (current, previous) =>
+    baseline ? `${current} (was ${previous})` : `${current}`
+
+  await notify({
+    kind: 'anomaly',
+    level: 'error',
+    title: `Held back catalog upload for ${brandName}`,
+    text: [
+      ...check.anomalies.map(({ message }) => `• ${message}`),
+      'Upload it anyway with UPLOAD_ANOMALY_CHECK=false',
+    ].join('\n'),
+    fields: {
+      Store: check.store,
+      Products: compare(stats.products, baseline && baseline.products),
+      'In stock': compare(
+        formatPercent(stats.inStockRatio),
+        baseline && formatPercent(baseline.inStockRatio)
+      ),
+      'Average price': compare(
+        stats.averagePrice.toFixed(2),
+        baseline && baseline.averagePrice.toFixed(2)
+      ),
+      'DELETE products': stats.deletedProducts,
+      'Previous run': baseline
+        ? String(baseline.runId || baseline.remotePath)
+        : '-',
+    },
+  })
+}
+
+module.exports = {
+  DEFAULT_ANOMALY_THRESHOLDS,
+  STORE_ANOMALY_THRESHOLDS,
+  getAnomalyThresholds,
+  collectCatalogStats,
+  findCatalogBaseline,
+  detectCatalogAnomalies,
+  checkCatalogAnomalies,
+  reportHeldBackCatalog,
+}
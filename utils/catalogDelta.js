@@ -0,0 +1,150 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { once } = require('events')
+const { finished } = require('stream/promises')
+const { CATALOG_SCHEMA_VERSION } = require('./catalogSchema')
+
+// Delta catalogs
+//
+// Recrawls tag every product and variant with operation_type but the full
+// catalog still lists everything. catalog-delta.jsonl.gz holds only the
+// INSERT, UPDATE and DELETE products, each with just its changed variants, and
+// catalog-delta.manifest.json counts what is in it.
+
+const DELTA_FILE = 'catalog-delta.jsonl.gz'
+const DELTA_MANIFEST_FILE = 'catalog-delta.manifest.json'
+
+const CHANGE_TYPES = ['INSERT', 'UPDATE', 'DELETE']
+
+function emptyCounts() {
+  return { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 }
+}
+
+/**
+ * Reduce a tagged product to its changes, or null when nothing changed
+ * @param {Object} product - Catalog product tagged with operation_type
+ */
+function toDeltaProduct(product) {
+  if (!CHANGE_TYPES.includes(product.operation_type)) return null
+
+  return {
+    ...product,
+    variants: (product.variants || []).filter((variant) =>
+      CHANGE_TYPES.includes(variant.operation_type)
+    ),
+  }
+}
+
+/**
+ * Streams catalog-delta.jsonl.gz next to a full catalog
+ */
+class CatalogDeltaWriter {
+  /**
+   * @param {string} dirPath - Catalog output directory
+   * @param {Object} storeInfo - store_info of the full catalog
+   */
+  constructor(dirPath, storeInfo = {}) {
+    this.storeInfo = storeInfo
+    this.filePath = path.join(dirPath, DELTA_FILE)
+    this.manifestPath = path.join(dirPath, DELTA_MANIFEST_FILE)
+    this.products = emptyCounts()
+    this.variants = emptyCounts()
+    this.rows = 0
+    this.error = null
+
+    this.gzipStream = zlib.createGzip()
+    this.fileStream = fs.createWriteStream(this.filePath)
+    this.gzipStream.pipe(this.fileStream)
+    ;[this.gzipStream, this.fileStream].forEach((stream) =>
+      stream.on('error', (error) => {
+        this.error = this.error || error
+      })
+    )
+  }
+
+  /**
+   * Count a product and write it to the delta when it changed
+   * @param {Object} product - Catalog product tagged with operation_type
+   */
+  async append(product) {
+    if (this.error) throw this.error
+
+    const operationType = product.operation_type || 'INSERT'
+    this.products[operationType] = (this.products[operationType] || 0) + 1
+    ;(product.variants || []).forEach((variant) => {
+      const variantOperation = variant.operation_type || 'INSERT'
+      this.variants[variantOperation] =
+        (this.variants[variantOperation] || 0) + 1
+    })
+
+    const deltaProduct = toDeltaProduct(product)
+    if (!deltaProduct) return
+
+    const line = JSON.stringify(deltaProduct)
+    if (!this.gzipStream.write(`${this.rows > 0 ? '\n' : ''}${line}`)) {
+      await once(this.gzipStream, 'drain')
+    }
+    this.rows++
+  }
+
+  /**
+   * Flush the delta file and write its manifest
+   */
+  async finalize() {
+    this.gzipStream.end()
+    await finished(this.fileStream)
+    if (this.error) throw this.error
+
+    const manifest = {
+      'schema-version': CATALOG_SCHEMA_VERSION,
+      name: this.storeInfo.name,
+      domain: this.storeInfo.domain,
+      country: this.storeInfo.country,
+      crawl_type: this.storeInfo.crawl_type,
+      crawled_at: this.storeInfo.crawled_at,
+      generated_at: new Date().toISOString(),
+      file: DELTA_FILE,
+      rows: this.rows,
+      products: this.products,
+      variants: this.variants,
+    }
+    await fs.promises.writeFile(
+      this.manifestPath,
+      JSON.stringify(manifest, null, 2),
+      'utf8'
+    )
+
+    console.log(`Delta catalog generated: ${this.filePath} (${this.rows} rows)`)
+    return {
+      deltaFilePath: this.filePath,
+      deltaManifestPath: this.manifestPath,
+      manifest,
+    }
+  }
+
+  abort() {
+    this.gzipStream.unpipe(this.fileStream)
+    ;[this.gzipStream, this.fileStream].forEach((stream) => stream.destroy())
+  }
+}
+
+/**
+ * Delete a delta left over from an earlier recrawl so it is never uploaded
+ * with a full crawl
+ * @param {string} dirPath - Catalog output directory
+ */
+function removeStaleDelta(dirPath) {
+  ;[DELTA_FILE, DELTA_MANIFEST_FILE].forEach((fileName) => {
+    const filePath = path.join(dirPath, fileName)
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath)
+  })
+}
+
+module.exports = {
+  DELTA_FILE,
+  DELTA_MANIFEST_FILE,
+  CatalogDeltaWriter,
+  toDeltaProduct,
+  removeStaleDelta,
+}
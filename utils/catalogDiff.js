@@ -0,0 +1,477 @@
+const mongoose = require('mongoose')
+const Product = require('../models/Product')
+const { readCatalogProducts } = require('./catalogReader')
+
+const OPERATION_TYPES = ['INSERT', 'UPDATE', 'DELETE', 'NO_CHANGE']
+
+// Fields compared to decide whether an existing product/variant changed
+const DEFAULT_PRODUCT_FIELDS = ['name', 'description', 'brand', 'category']
+
+const DEFAULT_VARIANT_FIELDS = [
+  'original_price',
+  'selling_price',
+  'sale_price',
+  'final_price',
+  'is_on_sale',
+  'is_in_stock',
+  'image_url',
+  'link_url',
+  'deeplink_url',
+]
+
+// Per-retailer field sets, keyed by retailer_domain
+const RETAILER_DIFF_FIELDS = {
+  // Lululemon materials come from the care & content section and do change
+  'shop.lululemon.com': {
+    productFields: [...DEFAULT_PRODUCT_FIELDS, 'materials'],
+  },
+  // Nike reports its own discount percentage next to the prices
+  'nike.com': {
+    variantFields: [...DEFAULT_VARIANT_FIELDS, 'discount'],
+  },
+}
+
+/**
+ * Resolve the product and variant field sets for a retailer
+ * @param {string} retailerDomain - retailer_domain of the catalog
+ * @param {Object} overrides - Optional { productFields, variantFields }
+ */
+function getDiffFields(retailerDomain, overrides = {}) {
+  const retailerFields = RETAILER_DIFF_FIELDS[retailerDomain] || {}
+
+  return {
+    productFields:
+      overrides.productFields ||
+      retailerFields.productFields ||
+      DEFAULT_PRODUCT_FIELDS,
+    variantFields:
+      overrides.variantFields ||
+      retailerFields.variantFields ||
+      DEFAULT_VARIANT_FIELDS,
+  }
+}
+
+// Prices come back as numbers from Mongo but as strings from some crawlers
+function valuesEqual(a, b) {
+  if (a === b) return true
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined)
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a) === JSON.stringify(b)
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') return false
+  if (a === '' || b === '') return false
+
+  const numericA = Number(a)
+  const numericB = Number(b)
+  return !isNaN(numericA) && !isNaN(numericB) && numericA === numericB
+}
+
+/**
+ * List the fields that differ between two records
+ * @param {Object} existing - Stored record
+ * @param {Object} fresh - Freshly crawled record
+ * @param {Array} fields - Fields to compare
+ */
+function getChangedFields(existing, fresh, fields) {
+  return fields.filter((field) => !valuesEqual(existing[field], fresh[field]))
+}
+
+// Function to compare two variants and determine operation type
+function compareVariants(
+  existingVariant,
+  newVariant,
+  fields = DEFAULT_VARIANT_FIELDS
+) {
+  if (!existingVariant) return 'INSERT'
+  return getChangedFields(existingVariant, newVariant, fields).length > 0
+    ? 'UPDATE'
+    : 'NO_CHANGE'
+}
+
+// Function to compare two products and determine operation type
+function compareProducts(
+  existingProduct,
+  newProduct,
+  fields = DEFAULT_PRODUCT_FIELDS
+) {
+  if (!existingProduct) return 'INSERT'
+  return getChangedFields(existingProduct, newProduct, fields).length > 0
+    ? 'UPDATE'
+    : 'NO_CHANGE'
+}
+
+// Function to determine product operation type based on variant operations
+function determineProductOperationType(
+  existingProduct,
+  variantOperations,
+  productChanged = false
+) {
+  // If product doesn't exist in DB, it's INSERT
+  if (!existingProduct) {
+    return 'INSERT'
+  }
+
+  // If the product itself or any variant has changes, product is UPDATE
+  if (productChanged || variantOperations.some((op) => op !== 'NO_CHANGE')) {
+    return 'UPDATE'
+  }
+
+  // If all variants are NO_CHANGE, product is NO_CHANGE
+  return 'NO_CHANGE'
+}
+
+// Recrawls in a row a product has to be missing before recrawlers DELETE it,
+// unless the crawl covered every configured category. A category fetch that
+// fails silently would otherwise delete half the catalog downstream.
+const RECRAWL_DELETE_AFTER_MISSING =
+  parseInt(process.env.RECRAWL_DELETE_AFTER_MISSING, 10) || 3
+
+function emptyCounts() {
+  return { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 }
+}
+
+function withOperationType(product, operationType) {
+  // Deletion bookkeeping and the store link stay in Mongo, out of the catalog
+  const { missing_recrawls, missing_since, store, ...catalogProduct } = product
+  return {
+    ...catalogProduct,
+    operation_type: operationType,
+    variants: (product.variants || []).map((variant) => ({
+      ...variant,
+      operation_type: operationType,
+    })),
+  }
+}
+
+/**
+ * Tag a stored product that a recrawl did not find
+ *
+ * Every miss is counted on the Product document (missing_recrawls, see
+ * recordMissingProducts in utils/catalogStore.js). The product becomes DELETE
+ * once it was missing for deleteAfterMissing recrawls in a row, or right away
+ * when the crawl was complete; until then it stays in the catalog as
+ * NO_CHANGE, a pending deletion. Products already DELETE are not passed in:
+ * deletedProducts() skips them and recrawlers only stream live products.
+ * @param {Object} product - Stored product
+ * @param {Object} options - { complete, deleteAfterMissing }
+ * @returns {Object} { product, missingRecrawls, deleted }
+ */
+function tagMissingProduct(product, options = {}) {
+  const deleteAfterMissing =
+    options.deleteAfterMissing || RECRAWL_DELETE_AFTER_MISSING
+  const missingRecrawls = (product.missing_recrawls || 0) + 1
+  const deleted =
+    Boolean(options.complete) || missingRecrawls >= deleteAfterMissing
+
+  return {
+    product: withOperationType(product, deleted ? 'DELETE' : 'NO_CHANGE'),
+    missingRecrawls,
+    deleted,
+  }
+}
+
+/**
+ * Diffs a fresh crawl against the previous catalog of a retailer
+ *
+ * Products are fed one at a time through diffProduct() so recrawlers can keep
+ * their batching; products never seen are emitted by deletedProducts().
+ */
+class CatalogDiff {
+  /**
+   * @param {Array} previousProducts - Stored products (Mongo or catalog.json)
+   * @param {Object} options - { retailerDomain, productFields, variantFields,
+   *   assignIds, deleteAfterMissing }; deleteAfterMissing (1 by default,
+   *   recrawlers pass RECRAWL_DELETE_AFTER_MISSING) is how many recrawls in a
+   *   row a product must be missing before it is DELETE
+   */
+  constructor(previousProducts = [], options = {}) {
+    this.options = { assignIds: true, deleteAfterMissing: 1, ...options }
+    this.fields = getDiffFields(this.options.retailerDomain, this.options)
+
+    this.existingProducts = new Map()
+    this.existingVariants = new Map()
+    this.seenProductIds = new Set()
+    // Missing products ({ _id, parent_product_id, missingRecrawls, deleted })
+    // and stored ids of pending deletions that showed up again
+    this.missingProducts = []
+    this.recoveredProductIds = []
+
+    this.report = {
+      retailer_domain: this.options.retailerDomain || '',
+      previous_products: 0,
+      pending_deletions: 0,
+      products: emptyCounts(),
+      variants: emptyCounts(),
+      changes: [],
+    }
+
+    previousProducts.forEach((product) => this.addExistingProduct(product))
+  }
+
+  /**
+   * Diff against the products of a cursor, e.g. streamStoreProducts() from
+   * utils/storeProducts.js, without holding the raw result set
+   * @param {AsyncIterable} cursor - Stored products
+   * @param {Object} options - Same as the constructor
+   */
+  static async fromCursor(cursor, options = {}) {
+    const diff = new CatalogDiff([], options)
+    for await (const product of cursor) {
+      diff.addExistingProduct(product)
+    }
+    return diff
+  }
+
+  /**
+   * Add a stored product to diff against
+   * @param {Object} product - Stored product
+   */
+  addExistingProduct(product) {
+    if (!product || !product.parent_product_id) return
+
+    this.existingProducts.set(String(product.parent_product_id), product)
+    ;(product.variants || []).forEach((variant) => {
+      if (variant && variant.variant_id) {
+        this.existingVariants.set(String(variant.variant_id), variant)
+      }
+    })
+    this.report.previous_products = this.existingProducts.size
+  }
+
+  /**
+   * Tag a freshly crawled product and its variants with operation types
+   * @param {Object} freshProduct - Catalog product from the current crawl
+   */
+  diffProduct(freshProduct) {
+    const productId = String(freshProduct.parent_product_id)
+    const existingProduct = this.existingProducts.get(productId)
+    this.seenProductIds.add(productId)
+    if (existingProduct && existingProduct.missing_recrawls > 0) {
+      this.recoveredProductIds.push(existingProduct._id)
+    }
+
+    const productChangedFields = existingProduct
+      ? getChangedFields(
+          existingProduct,
+          freshProduct,
+          this.fields.productFields
+        )
+      : []
+
+    const variantChanges = []
+    const seenVariantIds = new Set()
+    const variants = []
+
+    for (const variant of freshProduct.variants || []) {
+      const variantId = String(variant.variant_id)
+      if (seenVariantIds.has(variantId)) continue
+      seenVariantIds.add(variantId)
+
+      const existingVariant = this.existingVariants.get(variantId)
+      // A variant deleted by an earlier recrawl that is back is new again
+      const isNew =
+        !existingVariant || existingVariant.operation_type === 'DELETE'
+      const changedFields = isNew
+        ? []
+        : getChangedFields(existingVariant, variant, this.fields.variantFields)
+      const operationType = isNew
+        ? 'INSERT'
+        : changedFields.length > 0
+        ? 'UPDATE'
+        : 'NO_CHANGE'
+
+      variants.push({ ...variant, operation_type: operationType })
+      variantChanges.push({
+        variant_id: variantId,
+        operation_type: operationType,
+        changed_fields: changedFields,
+      })
+    }
+
+    // Variants that disappeared from an existing product (e.g. a size sold through)
+    if (existingProduct) {
+      for (const existingVariant of existingProduct.variants || []) {
+        const variantId = String(existingVariant.variant_id)
+        if (seenVariantIds.has(variantId)) continue
+        // Already deleted by an earlier recrawl, nothing new to emit
+        if (existingVariant.operation_type === 'DELETE') continue
+
+        variants.push({ ...existingVariant, operation_type: 'DELETE' })
+        variantChanges.push({
+          variant_id: variantId,
+          operation_type: 'DELETE',
+          changed_fields: [],
+        })
+      }
+    }
+
+    const operationType = determineProductOperationType(
+      existingProduct,
+      variantChanges.map((change) => change.operation_type),
+      productChangedFields.length > 0
+    )
+
+    const taggedProduct = {
+      ...freshProduct,
+      variants,
+      operation_type: operationType,
+    }
+
+    if (this.options.assignIds) {
+      taggedProduct._id =
+        existingProduct && existingProduct._id
+          ? existingProduct._id
+          : freshProduct._id || new mongoose.Types.ObjectId()
+    }
+
+    this.recordChange(taggedProduct, productChangedFields, variantChanges)
+    return taggedProduct
+  }
+
+  /**
+   * Products present in the previous catalog but missing from this crawl,
+   * tagged DELETE or, while the deletion is pending, NO_CHANGE (see
+   * tagMissingProduct)
+   * @param {Object} options - { complete } when the crawl covered every
+   *   configured category, so missing products are gone for sure
+   */
+  deletedProducts(options = {}) {
+    const deleted = []
+
+    for (const [productId, product] of this.existingProducts) {
+      if (this.seenProductIds.has(productId)) continue
+      if (product.operation_type === 'DELETE') continue
+
+      const missing = tagMissingProduct(product, {
+        complete: options.complete,
+        deleteAfterMissing: this.options.deleteAfterMissing,
+      })
+      const missingProduct = missing.product
+
+      this.seenProductIds.add(productId)
+      this.missingProducts.push({
+        _id: product._id,
+        parent_product_id: productId,
+        missingRecrawls: missing.missingRecrawls,
+        deleted: missing.deleted,
+      })
+      if (!missing.deleted) this.report.pending_deletions++
+
+      this.recordChange(
+        missingProduct,
+        [],
+        missingProduct.variants.map((variant) => ({
+          variant_id: String(variant.variant_id),
+          operation_type: missingProduct.operation_type,
+          changed_fields: [],
+        }))
+      )
+      deleted.push(missingProduct)
+    }
+
+    return deleted
+  }
+
+  recordChange(product, changedFields, variantChanges) {
+    this.report.products[product.operation_type]++
+    variantChanges.forEach((change) => {
+      this.report.variants[change.operation_type]++
+    })
+
+    if (product.operation_type === 'NO_CHANGE') return
+
+    this.report.changes.push({
+      parent_product_id: String(product.parent_product_id),
+      name: product.name,
+      operation_type: product.operation_type,
+      changed_fields: changedFields,
+      variants: variantChanges.filter(
+        (change) => change.operation_type !== 'NO_CHANGE'
+      ),
+    })
+  }
+
+  /**
+   * Structured change report for everything diffed so far
+   */
+  getReport() {
+    return {
+      ...this.report,
+      generated_at: new Date().toISOString(),
+    }
+  }
+}
+
+/**
+ * Diff a whole fresh crawl against the previous catalog in one call
+ * @param {Array} previousProducts - Stored products
+ * @param {Array} freshProducts - Products from the current crawl
+ * @param {Object} options - See CatalogDiff
+ */
+function diffCatalog(previousProducts, freshProducts, options = {}) {
+  const diff = new CatalogDiff(previousProducts, options)
+  const products = freshProducts.map((product) => diff.diffProduct(product))
+  products.push(...diff.deletedProducts())
+
+  return { products, report: diff.getReport() }
+}
+
+/**
+ * Print the operation counts of a change report
+ * @param {Object} report - Report from CatalogDiff#getReport
+ */
+function printDiffReport(report) {
+  console.log('\n📊 Operation Summary:')
+  console.log(
+    `Products - INSERT: ${report.products.INSERT}, UPDATE: ${report.products.UPDATE}, DELETE: ${report.products.DELETE}, NO_CHANGE: ${report.products.NO_CHANGE}`
+  )
+  console.log(
+    `Variants - INSERT: ${report.variants.INSERT}, UPDATE: ${report.variants.UPDATE}, DELETE: ${report.variants.DELETE}, NO_CHANGE: ${report.variants.NO_CHANGE}`
+  )
+  if (report.pending_deletions > 0) {
+    console.log(
+      `Pending deletions (missing, kept as NO_CHANGE): ${report.pending_deletions}`
+    )
+  }
+}
+
+/**
+ * Load a retailer's catalog from the Product collection
+ * @param {Object} query - Product filter, e.g. { retailer_domain: 'nike.com' }
+ */
+async function loadCatalogFromMongo(query) {
+  return Product.find(query).lean()
+}
+
+/**
+ * Load a catalog from catalog.json, catalog.jsonl or catalog.jsonl.gz
+ * @param {string} filePath - Path to a generated catalog file
+ */
+async function loadCatalogFromFile(filePath) {
+  const products = []
+  for await (const { product } of readCatalogProducts(filePath)) {
+    products.push(product)
+  }
+  return products
+}
+
+module.exports = {
+  OPERATION_TYPES,
+  DEFAULT_PRODUCT_FIELDS,
+  DEFAULT_VARIANT_FIELDS,
+  RETAILER_DIFF_FIELDS,
+  RECRAWL_DELETE_AFTER_MISSING,
+  CatalogDiff,
+  tagMissingProduct,
+  diffCatalog,
+  getDiffFields,
+  getChangedFields,
+  compareVariants,
+  compareProducts,
+  determineProductOperationType,
+  printDiffReport,
+  loadCatalogFromMongo,
+  loadCatalogFromFile,
+}
@@ -0,0 +1,114 @@
+const fs = require('fs')
+const zlib = require('zlib')
+const readline = require('readline')
+
+/**
+ * Read products from catalog.json, catalog.jsonl or catalog.jsonl.gz one at a time
+ *
+ * JSONL files are read line by line so large catalogs never sit in memory;
+ * catalog.json has to be parsed whole. Yields { product, line } where line is
+ * the JSONL line number (or the 1-based index in catalog.json).
+ * @param {string} filePath - Path to a generated catalog file
+ * @param {Object} options - { tolerateInvalidJson } yields { product: null, line, error } for bad lines instead of throwing
+ */
+async function* readCatalogProducts(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Catalog not found: ${filePath}`)
+  }
+
+  if (filePath.endsWith('.json')) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    const products = Array.isArray(data) ? data : data.products || []
+    for (let i = 0; i < products.length; i++) {
+      yield { product: products[i], line: i + 1 }
+    }
+    return
+  }
+
+  let input = fs.createReadStream(filePath)
+  if (filePath.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip())
+  }
+
+  const rl = readline.createInterface({ input, crlfDelay: Infinity })
+  let line = 0
+  for await (const text of rl) {
+    line++
+    if (text.trim() === '') continue
+
+    let product
+    try {
+      product = JSON.parse(text)
+    } catch (error) {
+      if (!options.tolerateInvalidJson) throw error
+      yield { product: null, line, error: error.message }
+      continue
+    }
+    yield { product, line }
+  }
+}
+
+/**
+ * Read the top-level store_info object of a catalog.json
+ *
+ * The file is scanned as a stream and only store_info is parsed, so the
+ * products never sit in memory wherever store_info comes in the file.
+ * @param {string} filePath - Path to a catalog.json
+ * @returns {Object|null} store_info, null when the catalog has none
+ */
+async function readCatalogStoreInfo(filePath) {
+  const input = fs.createReadStream(filePath, { encoding: 'utf8' })
+  let depth = 0
+  let inString = false
+  let escaped = false
+  let expectKey = false
+  let readingKey = false
+  // Top-level key whose value is being scanned
+  let key = null
+  // Text of the store_info value, collected chunk by chunk
+  let parts = null
+
+  for await (const chunk of input) {
+    let start = parts ? 0 : -1
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i]
+      if (inString) {
+        if (escaped) escaped = false
+        else if (char === '\\') escaped = true
+        else if (char === '"') inString = readingKey = false
+        else if (readingKey) key += char
+        continue
+      }
+
+      if (char === '"') {
+        inString = true
+        if (depth === 1 && expectKey) {
+          readingKey = true
+          expectKey = false
+          key = ''
+        }
+      } else if (char === '{' || char === '[') {
+        if (depth === 1 && key === 'store_info' && !parts) {
+          parts = []
+          start = i
+        }
+        depth++
+        if (depth === 1) expectKey = true
+      } else if (char === '}' || char === ']') {
+        depth--
+        if (depth === 1 && parts) {
+          parts.push(chunk.slice(start, i + 1))
+          return JSON.parse(parts.join(''))
+        }
+      } else if (char === ',' && depth === 1) {
+        expectKey = true
+        key = null
+      }
+    }
+    if (parts) parts.push(chunk.slice(start))
+  }
+
+  return null
+}
+
+module.exports = { readCatalogProducts, readCatalogStoreInfo }
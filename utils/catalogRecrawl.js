@@ -0,0 +1,98 @@
+const fs = require('fs')
+const path = require('path')
+const { connectDB, disconnectDB } = require('../database/connection')
+const { filterValidProducts } = require('../validate-catalog')
+const { loadCatalogFromFile } = require('./catalogDiff')
+const { readCatalogStoreInfo } = require('./catalogReader')
+const { recordPriceHistory } = require('./priceHistory')
+const { saveStoreEntry, applyRecrawlOperations } = require('./catalogStore')
+const { writeCatalogFiles, writeChangeReport } = require('./catalogRunner')
+const { withStoreDefaults } = require('./retailerAdapter')
+
+// Recrawl for retailers that only have a first-crawl script
+//
+// The first-crawl script runs as usual (without inserting into Mongo) and
+// writes its catalog. That catalog is then diffed against the stored Product
+// documents, the operations are applied, and the catalog files are rewritten
+// in place with INSERT/UPDATE/DELETE/NO_CHANGE tags and a change-report.json.
+
+/**
+ * Read the store_info header the first-crawl script wrote, if there is one
+ * @param {string} dirPath - Catalog output directory
+ */
+async function readStoreInfo(dirPath) {
+  const jsonPath = path.join(dirPath, 'catalog.json')
+  if (!fs.existsSync(jsonPath)) return {}
+
+  try {
+    return (await readCatalogStoreInfo(jsonPath)) || {}
+  } catch (error) {
+    console.error(`⚠️ Could not read store_info from ${jsonPath}:`, error.message)
+    return {}
+  }
+}
+
+/**
+ * Turn a freshly written first-crawl catalog into a recrawl catalog
+ * @param {Object} store - Store definition (same shape as an adapter store)
+ * @param {string} catalogPath - catalog.json, catalog.jsonl or catalog.jsonl.gz
+ */
+async function recrawlCatalogFile(storeDefinition, catalogPath) {
+  const store = withStoreDefaults(storeDefinition.storeType, storeDefinition)
+  const dirPath = path.dirname(catalogPath)
+  const storeInfo = await readStoreInfo(dirPath)
+  const freshProducts = await loadCatalogFromFile(catalogPath)
+
+  console.log(
+    `\n🔄 Recrawling ${store.name}: ${freshProducts.length} products in ${catalogPath}`
+  )
+
+  if (freshProducts.length === 0) {
+    throw new Error(`${store.name} crawl produced an empty catalog`)
+  }
+
+  try {
+    await connectDB()
+
+    const recrawl = await applyRecrawlOperations(store, freshProducts)
+
+    console.log('\n📦 Creating/updating store entry...')
+    const storeResult = await saveStoreEntry(store, recrawl.productIds)
+
+    const filterResult = filterValidProducts(recrawl.products)
+    console.log(
+      `📊 Validation: ${filterResult.validCount} valid, ${filterResult.invalidCount} invalid out of ${filterResult.totalCount} total products`
+    )
+
+    const outputResult = await writeCatalogFiles(
+      filterResult.validProducts,
+      store,
+      { categories: storeInfo.categories, crawl_type: 'RECRAWL' },
+      dirPath
+    )
+    writeChangeReport(dirPath, recrawl.changeReport)
+    await recordPriceHistory(filterResult.validProducts, { feedDir: dirPath })
+
+    const { operations } = recrawl
+    console.log(`\n📊 ${store.name} RECRAWL Summary:`)
+    console.log(
+      `   INSERT: ${operations.INSERT}, UPDATE: ${operations.UPDATE}, DELETE: ${operations.DELETE}, NO_CHANGE: ${operations.NO_CHANGE}`
+    )
+    console.log(`   Output Files: ${outputResult.gzippedFilePath}`)
+
+    return {
+      brandName: store.brandName || store.storeType,
+      url: store.storeUrl,
+      region: store.country || 'US',
+      totalProducts: filterResult.validCount,
+      jsonPath: outputResult.gzippedFilePath,
+      operations,
+      changeReport: recrawl.changeReport,
+      storeResult: { operation: storeResult.operation },
+    }
+  } finally {
+    await disconnectDB()
+  }
+}
+
+module.exports = { recrawlCatalogFile }
@@ -0,0 +1,366 @@
+const fs = require('fs')
+const path = require('path')
+const _ = require('lodash')
+const { createUploadTarget } = require('./uploadTargets')
+const { writeCatalog, withoutMongoIds } = require('./catalogWriter')
+const { CheckpointStore } = require('./checkpointStore')
+const { recordPriceHistory } = require('./priceHistory')
+const { trackCrawlRun } = require('./crawlRunLedger')
+const { connectDB, disconnectDB } = require('../database/connection')
+const { filterValidProducts } = require('../validate-catalog')
+const {
+  saveProductToMongoDB,
+  findOrCreateStore,
+  saveStoreEntry,
+  applyRecrawlOperations,
+} = require('./catalogStore')
+
+/**
+ * Collect listing items from every category of an adapter
+ * @param {Object} adapter - Retailer adapter
+ * @param {CheckpointStore} checkpoint - Optional checkpoint of the run
+ */
+async function collectListing(adapter, checkpoint = null) {
+  const categories = await adapter.listCategories()
+  const items = []
+  const categorySummary = []
+  // Categories that came back empty, likely a failed fetch
+  const emptyCategories = []
+
+  for (const category of categories) {
+    console.log(`\n${'='.repeat(50)}`)
+    console.log(`🎯 Starting ${category.name} category scraping`)
+    console.log(`${'='.repeat(50)}`)
+
+    let categoryItems
+    if (checkpoint && checkpoint.isCategoryDone(category.name)) {
+      categoryItems = checkpoint.getCategory(category.name).items
+      console.log(`⏭️ ${category.name} listing restored from checkpoint`)
+    } else {
+      categoryItems = await adapter.listProducts(category)
+      if (checkpoint) {
+        checkpoint.completeCategory(category.name, {
+          items: categoryItems || [],
+        })
+      }
+    }
+
+    if (!categoryItems || categoryItems.length === 0) {
+      console.log(`⚠️ No products found for ${category.name} category`)
+      emptyCategories.push(category.name)
+      continue
+    }
+
+    console.log(`\n📦 Found ${categoryItems.length} ${category.name} products`)
+
+    categoryItems.forEach((item) => items.push({ item, category }))
+    categorySummary.push({
+      category: category.name,
+      gender: category.gender,
+      count: categoryItems.length,
+    })
+  }
+
+  // Remove duplicates that appear in more than one category
+  const uniqueItems = _.uniqBy(items, ({ item }) => adapter.getProductKey(item))
+
+  return {
+    items: uniqueItems,
+    categories: categorySummary,
+    emptyCategories,
+  }
+}
+
+/**
+ * Turn listing items into catalog products
+ * @param {Object} adapter - Retailer adapter
+ * @param {Array} items - Listing items with their category
+ * @param {Object} options - Runner options
+ * @param {CheckpointStore} checkpoint - Optional checkpoint of the run
+ * @returns {Object} { products, productKeys, errors }, productKeys[i] being
+ *   the adapter key of products[i]
+ */
+async function buildCatalogProducts(adapter, items, options, checkpoint = null) {
+  const products = []
+  const productKeys = []
+  let errors = 0
+
+  for (let i = 0; i < items.length; i++) {
+    const { item, category } = items[i]
+    const productKey = adapter.getProductKey(item)
+
+    if (checkpoint && checkpoint.isProductDone(productKey)) {
+      const product = checkpoint.getProduct(productKey)
+      if (product) {
+        products.push(product)
+        productKeys.push(productKey)
+      }
+      continue
+    }
+
+    try {
+      const details = await adapter.fetchDetails(item, category)
+      const product = adapter.mapToCatalogProduct(item, details, category)
+      const hasVariants = Boolean(
+        product && product.variants && product.variants.length > 0
+      )
+
+      if (hasVariants) {
+        products.push(product)
+        productKeys.push(productKey)
+        console.log(
+          `[${i + 1}/${items.length}] Mapped ${category.name} product: ${
+            product.name
+          }`
+        )
+      } else {
+        console.log(`[${i + 1}/${items.length}] Skipped product without variants`)
+      }
+
+      if (checkpoint) {
+        checkpoint.completeProduct(productKey, hasVariants ? product : null)
+      }
+    } catch (error) {
+      errors++
+      console.error(
+        `Error processing product ${productKey}:`,
+        error.message
+      )
+    }
+
+    if (options.delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, options.delayMs))
+    }
+  }
+
+  return { products, productKeys, errors }
+}
+
+/**
+ * Default output directory of a retailer: output/<country>/<storeType>-<country>
+ * @param {Object} store - Adapter store definition
+ */
+function getCatalogDir(store) {
+  const countryCode = store.country || 'US'
+  return path.join(
+    __dirname,
+    '..',
+    'output',
+    countryCode,
+    `${store.storeType}-${countryCode}`
+  )
+}
+
+/**
+ * Write catalog.json, catalog.jsonl and catalog.jsonl.gz for a retailer
+ * @param {Array} products - Validated catalog products
+ * @param {Object} store - Adapter store definition
+ * @param {Object} extraInfo - Additional store_info fields
+ * @param {string} dirPath - Output directory, defaults to getCatalogDir(store)
+ */
+async function writeCatalogFiles(
+  products,
+  store,
+  extraInfo = {},
+  dirPath = getCatalogDir(store)
+) {
+  const countryCode = store.country || 'US'
+
+  return writeCatalog(
+    dirPath,
+    {
+      name: store.name,
+      domain: store.domain,
+      currency: store.currency || 'USD',
+      country: countryCode,
+      crawled_at: new Date().toISOString(),
+      ...extraInfo,
+    },
+    // Remove MongoDB _id from output
+    withoutMongoIds(products)
+  )
+}
+
+/**
+ * Write the recrawl change report next to the catalog files
+ * @param {string} dirPath - Catalog output directory
+ * @param {Object} changeReport - Report from CatalogDiff#getReport
+ */
+function writeChangeReport(dirPath, changeReport) {
+  const reportPath = path.join(dirPath, 'change-report.json')
+  fs.writeFileSync(reportPath, JSON.stringify(changeReport, null, 2))
+  console.log(`Change report generated: ${reportPath}`)
+  return reportPath
+}
+
+/**
+ * Upload a generated catalog to the configured upload target
+ * @param {Object} store - Adapter store definition
+ * @param {string} gzippedFilePath - Path to catalog.jsonl.gz
+ */
+async function uploadCatalog(store, gzippedFilePath) {
+  const uploadTarget = createUploadTarget()
+  try {
+    return await uploadTarget.uploadStoreCatalog(
+      {
+        brandName: store.storeType,
+        url: store.storeUrl,
+        region: store.country || 'US',
+        countryCode: store.country || 'US',
+      },
+      { jsonPath: gzippedFilePath }
+    )
+  } finally {
+    await uploadTarget.disconnect()
+  }
+}
+
+/**
+ * Crawl a retailer through its adapter, persist, write and upload the catalog
+ * @param {Object} adapter - Retailer adapter (see utils/retailerAdapter.js)
+ * @param {Object} options - { recrawl, upload, delayMs, resume } where resume
+ *   is the id of an earlier run to continue from its checkpoint
+ */
+async function crawlCatalog(adapter, options = {}) {
+  const runOptions = { recrawl: false, upload: true, delayMs: 500, ...options }
+  const { store } = adapter
+  const crawlType = runOptions.recrawl ? 'RECRAWL' : 'CRAWL'
+
+  console.log(`🚀 Starting ${store.name} ${crawlType.toLowerCase()}...`)
+
+  const checkpoint = CheckpointStore.open(adapter.name, runOptions.resume)
+
+  try {
+    await connectDB()
+
+    const listing = await collectListing(adapter, checkpoint)
+    console.log(`\n📦 Total unique products collected: ${listing.items.length}`)
+
+    if (listing.items.length === 0) {
+      console.log('⚠️ No products found from any category')
+      return false
+    }
+
+    const built = await buildCatalogProducts(
+      adapter,
+      listing.items,
+      runOptions,
+      checkpoint
+    )
+
+    const operations = { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 }
+    let catalogProducts = []
+    let productIds = []
+    let diffReport = null
+
+    if (runOptions.recrawl) {
+      // Missing products are only gone for sure when nothing failed
+      const recrawl = await applyRecrawlOperations(store, built.products, {
+        complete: listing.emptyCategories.length === 0 && built.errors === 0,
+      })
+      catalogProducts = recrawl.products
+      productIds = recrawl.productIds
+      diffReport = recrawl.changeReport
+      Object.assign(operations, recrawl.operations)
+    } else {
+      const { store: storeEntry } = await findOrCreateStore(store)
+      for (let i = 0; i < built.products.length; i++) {
+        const productKey = built.productKeys[i]
+        // Saved before the run was interrupted, inserting it again would
+        // duplicate it
+        const savedId = checkpoint.getMongoId(productKey)
+        if (savedId) {
+          operations.INSERT++
+          productIds.push(savedId)
+          continue
+        }
+
+        const mongoResult = await saveProductToMongoDB(
+          built.products[i],
+          storeEntry._id
+        )
+        if (mongoResult.product) {
+          operations.INSERT++
+          productIds.push(mongoResult.product._id)
+          checkpoint.completeSave(productKey, mongoResult.product._id)
+        }
+      }
+      catalogProducts = built.products
+    }
+
+    console.log('\n📦 Creating/updating store entry...')
+    const storeResult = await saveStoreEntry(store, productIds)
+
+    const filterResult = filterValidProducts(catalogProducts)
+    console.log(
+      `📊 Validation: ${filterResult.validCount} valid, ${filterResult.invalidCount} invalid out of ${filterResult.totalCount} total products`
+    )
+
+    const outputResult = await writeCatalogFiles(
+      filterResult.validProducts,
+      store,
+      {
+        categories: listing.categories.map((category) => category.category),
+        crawl_type: crawlType,
+      }
+    )
+    await recordPriceHistory(filterResult.validProducts, {
+      feedDir: path.dirname(outputResult.jsonFilePath),
+    })
+
+    if (diffReport) {
+      writeChangeReport(path.dirname(outputResult.jsonFilePath), diffReport)
+    }
+
+    let uploadResult = null
+    if (runOptions.upload) {
+      console.log(`\n📤 Uploading ${store.name} catalog...`)
+      uploadResult = await uploadCatalog(store, outputResult.gzippedFilePath)
+    }
+
+    console.log(`\n📊 ${store.name} ${crawlType} Summary:`)
+    console.log(
+      `   INSERT: ${operations.INSERT}, UPDATE: ${operations.UPDATE}, DELETE: ${operations.DELETE}, NO_CHANGE: ${operations.NO_CHANGE}`
+    )
+    console.log(`   Processing errors: ${built.errors}`)
+    console.log(`   Output Files: ${outputResult.gzippedFilePath}`)
+
+    checkpoint.finish()
+
+    return {
+      brandName: store.storeType,
+      url: store.storeUrl,
+      region: store.country || 'US',
+      crawlType,
+      runId: checkpoint.runId,
+      categories: listing.categories,
+      totalProducts: filterResult.validCount,
+      jsonPath: outputResult.gzippedFilePath,
+      operations,
+      errors: built.errors,
+      storeResult: { operation: storeResult.operation },
+      uploadResult,
+    }
+  } finally {
+    await disconnectDB()
+  }
+}
+
+const runCatalogCrawl = trackCrawlRun(
+  (adapter, options = {}) => ({
+    retailer: adapter.name,
+    source: 'catalog-runner',
+    crawlType: options.recrawl ? 'RECRAWL' : 'CRAWL',
+  }),
+  crawlCatalog
+)
+
+module.exports = {
+  runCatalogCrawl,
+  collectListing,
+  buildCatalogProducts,
+  getCatalogDir,
+  writeCatalogFiles,
+  writeChangeReport,
+  uploadCatalog,
+}
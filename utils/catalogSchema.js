@@ -0,0 +1,300 @@
+const fs = require('fs')
+const path = require('path')
+
+// Version of the catalog format, written to store_info as schema-version.
+// Bump the major version for breaking changes to the product/variant shape.
+const CATALOG_SCHEMA_VERSION = '1.0.0'
+
+const SCHEMA_DIR = path.join(
+  __dirname,
+  '..',
+  'schemas',
+  `v${CATALOG_SCHEMA_VERSION.split('.')[0]}`
+)
+
+const SCHEMA_FILES = {
+  product: 'catalog-product.schema.json',
+  catalog: 'catalog.schema.json',
+}
+
+// Mongoose and recrawl bookkeeping that never belongs to the catalog format
+const INTERNAL_PATHS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'missing_recrawls',
+  'missing_since',
+  'deletedAt',
+  'store',
+]
+
+// Required on Product documents, but the catalog validation rules
+// (utils/validationRules.js) never required them, so catalogs may omit them
+const CATALOG_OPTIONAL_PATHS = ['retailer_domain', 'brand']
+
+// Crawlers emit some prices as numeric strings, so numbers accept those too
+const NUMERIC_SCHEMA = {
+  anyOf: [
+    { type: 'number' },
+    { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$' },
+  ],
+}
+
+function schemaTypeToJsonSchema(
+  schemaType,
+  isRequired = schemaType.isRequired
+) {
+  switch (schemaType.instance) {
+    case 'String': {
+      const json = { type: 'string' }
+      if (schemaType.enumValues && schemaType.enumValues.length > 0) {
+        json.enum = schemaType.enumValues
+      }
+      if (isRequired) {
+        json.minLength = 1
+      }
+      return json
+    }
+    case 'Number':
+      return { ...NUMERIC_SCHEMA }
+    case 'Boolean':
+      return { type: 'boolean' }
+    case 'Date':
+      return { type: 'string', format: 'date-time' }
+    case 'Array':
+      if (schemaType.schema) {
+        return { type: 'array', items: mongooseToJsonSchema(schemaType.schema) }
+      }
+      return {
+        type: 'array',
+        items: schemaType.caster
+          ? schemaTypeToJsonSchema(schemaType.caster)
+          : {},
+      }
+    default:
+      return {}
+  }
+}
+
+/**
+ * Convert a Mongoose schema into a JSON Schema object
+ *
+ * Required Mongoose paths become required properties; optional scalars may
+ * also be null. Unknown properties are allowed so the format can grow.
+ * @param {mongoose.Schema} schema - Mongoose schema
+ * @param {Array<string>} optionalPaths - Required paths to leave optional
+ */
+function mongooseToJsonSchema(schema, optionalPaths = []) {
+  const properties = {}
+  const required = []
+
+  schema.eachPath((pathName, schemaType) => {
+    if (INTERNAL_PATHS.includes(pathName)) return
+
+    const isRequired =
+      schemaType.isRequired && !optionalPaths.includes(pathName)
+    let property = schemaTypeToJsonSchema(schemaType, isRequired)
+    if (isRequired) {
+      required.push(pathName)
+    } else if (schemaType.instance !== 'Array') {
+      // Arrays default to [] in Mongoose, everything else may be null
+      property = { anyOf: [property, { type: 'null' }] }
+    }
+    properties[pathName] = property
+  })
+
+  return {
+    type: 'object',
+    required,
+    properties,
+    additionalProperties: true,
+  }
+}
+
+/**
+ * Build the schema of one catalog.jsonl line from models/Product.js
+ */
+function buildProductSchema() {
+  const Product = require('../models/Product')
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `catalog-product/${CATALOG_SCHEMA_VERSION}`,
+    title: 'Catalog product',
+    description:
+      'One line of catalog.jsonl. Generated from models/Product.js by generate-catalog-schema.js',
+    version: CATALOG_SCHEMA_VERSION,
+    ...mongooseToJsonSchema(Product.schema, CATALOG_OPTIONAL_PATHS),
+  }
+}
+
+/**
+ * Build the schema of the catalog.json envelope ({ store_info, products })
+ * @param {Object} productSchema - Schema from buildProductSchema
+ */
+function buildCatalogSchema(productSchema = buildProductSchema()) {
+  const { $schema, $id, title, description, version, ...product } =
+    productSchema
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `catalog/${CATALOG_SCHEMA_VERSION}`,
+    title: 'Catalog',
+    description:
+      'catalog.json written next to catalog.jsonl. Generated by generate-catalog-schema.js',
+    version: CATALOG_SCHEMA_VERSION,
+    type: 'object',
+    required: ['store_info', 'products'],
+    properties: {
+      store_info: {
+        type: 'object',
+        required: ['name', 'domain', 'country', 'total_products'],
+        properties: {
+          'schema-version': { type: 'string', const: CATALOG_SCHEMA_VERSION },
+          name: { type: 'string' },
+          domain: { type: 'string' },
+          currency: { type: 'string' },
+          country: { type: 'string' },
+          total_products: { type: 'integer' },
+          categories: { type: 'array' },
+          crawled_at: { type: 'string', format: 'date-time' },
+          crawl_type: { type: 'string', enum: ['CRAWL', 'RECRAWL'] },
+        },
+        additionalProperties: true,
+      },
+      products: { type: 'array', items: product },
+    },
+    additionalProperties: true,
+  }
+}
+
+/**
+ * Write the published schema files under schemas/v<major>/
+ */
+function writeCatalogSchemas() {
+  const productSchema = buildProductSchema()
+  const schemas = {
+    product: productSchema,
+    catalog: buildCatalogSchema(productSchema),
+  }
+
+  if (!fs.existsSync(SCHEMA_DIR)) {
+    fs.mkdirSync(SCHEMA_DIR, { recursive: true })
+  }
+
+  return Object.entries(SCHEMA_FILES).map(([key, fileName]) => {
+    const filePath = path.join(SCHEMA_DIR, fileName)
+    fs.writeFileSync(filePath, JSON.stringify(schemas[key], null, 2) + '\n')
+    return filePath
+  })
+}
+
+let productSchemaCache = null
+
+/**
+ * Published product schema (schemas/v<major>/catalog-product.schema.json)
+ */
+function getProductSchema() {
+  if (!productSchemaCache) {
+    productSchemaCache = JSON.parse(
+      fs.readFileSync(path.join(SCHEMA_DIR, SCHEMA_FILES.product), 'utf8')
+    )
+  }
+  return productSchemaCache
+}
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * Check a value against the JSON Schema subset the generated schemas use
+ * (type, enum, const, required, properties, items, anyOf, minLength, pattern)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} at - Path of the value, used in messages
+ * @returns {Array<string>} Error messages, empty when the value matches
+ */
+function validateAgainstSchema(value, schema, at = '') {
+  const label = at || 'value'
+
+  // Report the first alternative's errors, which is the non-null type
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((option) =>
+      validateAgainstSchema(value, option, at)
+    )
+    return results.some((errors) => errors.length === 0) ? [] : results[0]
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${label} must be ${types.join(' or ')}, got ${typeOf(value)}`]
+    }
+  }
+
+  const errors = []
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${label} must be ${JSON.stringify(schema.const)}`)
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label} must not be empty`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${label} does not match ${schema.pattern}`)
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${at ? `${at}.` : ''}${field} is required`)
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (value[field] === undefined) continue
+      errors.push(
+        ...validateAgainstSchema(
+          value[field],
+          fieldSchema,
+          at ? `${at}.${field}` : field
+        )
+      )
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${label}[${index}]`))
+    })
+  }
+
+  return errors
+}
+
+module.exports = {
+  CATALOG_SCHEMA_VERSION,
+  SCHEMA_DIR,
+  buildProductSchema,
+  buildCatalogSchema,
+  writeCatalogSchemas,
+  getProductSchema,
+  validateAgainstSchema,
+}
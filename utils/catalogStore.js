@@ -0,0 +1,291 @@
+const Product = require('../models/Product')
+const Store = require('../models/Store')
+const { softDeleteProducts } = require('./productLifecycle')
+const {
+  linkStoreProducts,
+  streamStoreProducts,
+  countStoreProducts,
+} = require('./storeProducts')
+const {
+  CatalogDiff,
+  RECRAWL_DELETE_AFTER_MISSING,
+  printDiffReport,
+} = require('./catalogDiff')
+
+/**
+ * Build the query that identifies a retailer's Store document
+ * @param {Object} store - Adapter store definition
+ */
+function getStoreQuery(store) {
+  return {
+    storeType: store.storeType,
+    name: store.name,
+    country: store.country || 'US',
+  }
+}
+
+/**
+ * Insert a freshly crawled product
+ * @param {Object} productData - Catalog product
+ * @param {ObjectId} storeId - Store the product belongs to, set on insert so
+ *   a crash before saveStoreEntry leaves no product without a store
+ */
+async function saveProductToMongoDB(productData, storeId) {
+  try {
+    // Create new product with INSERT operation type
+    productData.operation_type = 'INSERT'
+    productData.variants.forEach((variant) => {
+      variant.operation_type = 'INSERT'
+    })
+
+    const newProduct = new Product({ ...productData, store: storeId })
+    await newProduct.save()
+    console.log(`✅ Saved to MongoDB: ${productData.name}`)
+    return { operation: 'INSERT', product: newProduct }
+  } catch (error) {
+    console.error(
+      `❌ Error saving product ${productData.name} to MongoDB:`,
+      error.message
+    )
+    return { operation: 'ERROR', error: error.message }
+  }
+}
+
+/**
+ * Apply operation-tagged products to the Product collection
+ * @param {Array} formattedProducts - Products tagged with operation_type
+ * @param {ObjectId} storeId - Store the INSERTed products belong to
+ */
+async function processBatchWithOperations(formattedProducts, storeId) {
+  const results = []
+
+  for (const product of formattedProducts) {
+    try {
+      let result
+
+      if (product.operation_type === 'INSERT') {
+        // Insert new product
+        const newProduct = new Product({ ...product, store: storeId })
+        await newProduct.save()
+        result = { productId: newProduct._id.toString(), operation: 'INSERT' }
+      } else if (product.operation_type === 'UPDATE') {
+        // Update existing product
+        const updateData = { ...product }
+        delete updateData._id
+        await Product.findByIdAndUpdate(product._id, updateData)
+        result = { productId: product._id.toString(), operation: 'UPDATE' }
+      } else if (product.operation_type === 'DELETE') {
+        // Soft delete, kept in DB for the audit trail until purged
+        await softDeleteProducts([product._id])
+        result = { productId: product._id.toString(), operation: 'DELETE' }
+      } else {
+        // NO_CHANGE - just track the ID
+        result = { productId: product._id.toString(), operation: 'NO_CHANGE' }
+      }
+
+      results.push(result)
+    } catch (error) {
+      console.error(
+        `❌ Error processing product ${product.name}:`,
+        error.message
+      )
+      throw error
+    }
+  }
+
+  return results
+}
+
+/**
+ * Save the pending-deletion state of a recrawl on the Product documents:
+ * missing products count another miss (and are soft-deleted once they are
+ * DELETE), products that showed up again start over
+ * @param {Object} missing - { missingProducts, recoveredProductIds }, e.g. a
+ *   CatalogDiff after deletedProducts()
+ */
+async function recordMissingProducts({
+  missingProducts = [],
+  recoveredProductIds = [],
+}) {
+  const now = new Date()
+  const operations = [
+    ...missingProducts
+      .filter((product) => product._id)
+      .map((product) => ({
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: { missing_recrawls: product.missingRecrawls },
+            // Only set by the first miss
+            $min: { missing_since: now },
+          },
+        },
+      })),
+    ...recoveredProductIds.map((productId) => ({
+      updateOne: {
+        filter: { _id: productId },
+        update: {
+          $set: { missing_recrawls: 0 },
+          $unset: { missing_since: '' },
+        },
+      },
+    })),
+  ]
+  if (operations.length === 0) return
+
+  await Product.bulkWrite(operations, { ordered: false })
+
+  const deleted = await softDeleteProducts(
+    missingProducts
+      .filter((product) => product.deleted)
+      .map((product) => product._id)
+  )
+  if (deleted > 0) {
+    console.log(`🗑️  Soft-deleted ${deleted} products`)
+  }
+
+  const pending = missingProducts.filter((product) => !product.deleted)
+  if (pending.length > 0) {
+    console.log(
+      `⏳ ${pending.length} missing products kept as pending deletions`
+    )
+  }
+  if (recoveredProductIds.length > 0) {
+    console.log(
+      `↩️  ${recoveredProductIds.length} pending deletions found again`
+    )
+  }
+}
+
+/**
+ * Stream the stored products of a retailer as plain objects
+ * @param {Object} store - Adapter store definition
+ */
+async function* streamRetailerProducts(store) {
+  const existingStore = await Store.findOne(getStoreQuery(store), {
+    _id: 1,
+  }).lean()
+  if (existingStore) yield* streamStoreProducts(existingStore._id)
+}
+
+/**
+ * Load the stored products of a retailer as plain objects
+ * @param {Object} store - Adapter store definition
+ */
+async function loadStoreProducts(store) {
+  const products = []
+  for await (const product of streamRetailerProducts(store)) {
+    products.push(product)
+  }
+  return products
+}
+
+/**
+ * Find the retailer's Store document, creating it on the first crawl
+ * @param {Object} store - Adapter store definition
+ * @returns {Object} { operation: 'CREATED'|'UPDATED', store }
+ */
+async function findOrCreateStore(store) {
+  const existingStore = await Store.findOne(getStoreQuery(store))
+  if (existingStore) return { operation: 'UPDATED', store: existingStore }
+
+  // Marked isScrapped by saveStoreEntry once the crawl saved its products
+  const newStore = new Store({
+    name: store.name,
+    storeTemplate: store.storeTemplate,
+    storeType: store.storeType,
+    storeUrl: store.storeUrl,
+    city: '',
+    state: '',
+    country: store.country || 'US',
+    returnPolicy: store.returnPolicy,
+    tags: store.tags,
+  })
+  await newStore.save()
+  console.log(`✅ Created new store ${store.name}`)
+  return { operation: 'CREATED', store: newStore }
+}
+
+/**
+ * Create the retailer's Store document or link more products to it
+ * @param {Object} store - Adapter store definition
+ * @param {Array} productIds - Product ObjectIds (or their string form)
+ */
+async function saveStoreEntry(store, productIds) {
+  try {
+    const { operation, store: storeEntry } = await findOrCreateStore(store)
+
+    await linkStoreProducts(storeEntry._id, productIds)
+    storeEntry.isScrapped = true
+    storeEntry.updatedAt = new Date()
+    await storeEntry.save()
+
+    console.log(
+      `Updated store with ${await countStoreProducts(
+        storeEntry._id
+      )} total products`
+    )
+    return { operation, store: storeEntry }
+  } catch (error) {
+    console.error('❌ Error saving store entry:', error.message)
+    return { operation: 'ERROR', error: error.message }
+  }
+}
+
+/**
+ * Diff a fresh crawl against the retailer's stored products and apply the
+ * resulting INSERT/UPDATE/DELETE operations
+ * @param {Object} store - Adapter store definition
+ * @param {Array} freshProducts - Catalog products from the current crawl
+ * @param {Object} options - { complete } when the crawl covered every
+ *   category; otherwise missing products are only DELETEd after
+ *   RECRAWL_DELETE_AFTER_MISSING recrawls
+ */
+async function applyRecrawlOperations(store, freshProducts, options = {}) {
+  const { store: storeEntry } = await findOrCreateStore(store)
+  const diff = await CatalogDiff.fromCursor(
+    streamStoreProducts(storeEntry._id),
+    {
+      retailerDomain: store.domain,
+      deleteAfterMissing: RECRAWL_DELETE_AFTER_MISSING,
+    }
+  )
+  console.log(
+    `🔄 RECRAWL MODE: Found ${diff.existingProducts.size} existing products in database`
+  )
+  const products = freshProducts.map((product) => diff.diffProduct(product))
+  products.push(...diff.deletedProducts({ complete: options.complete }))
+
+  const changeReport = diff.getReport()
+  printDiffReport(changeReport)
+
+  const operations = { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 }
+  const operationResults = await processBatchWithOperations(
+    products,
+    storeEntry._id
+  )
+  operationResults.forEach((result) => operations[result.operation]++)
+  await recordMissingProducts(diff)
+
+  return {
+    products,
+    // Soft-deleted products stay linked to the store but are not live
+    productIds: operationResults
+      .filter((result) => result.operation !== 'DELETE')
+      .map((result) => result.productId),
+    operations,
+    changeReport,
+  }
+}
+
+module.exports = {
+  getStoreQuery,
+  saveProductToMongoDB,
+  processBatchWithOperations,
+  recordMissingProducts,
+  streamRetailerProducts,
+  loadStoreProducts,
+  findOrCreateStore,
+  saveStoreEntry,
+  applyRecrawlOperations,
+}
@@ -0,0 +1,196 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { once } = require('events')
+const { finished } = require('stream/promises')
+const { CATALOG_SCHEMA_VERSION } = require('./catalogSchema')
+const { addCrawlRunOutputs } = require('./crawlRunLedger')
+const { CatalogDeltaWriter, removeStaleDelta } = require('./catalogDelta')
+
+// Indent every line of a pretty-printed JSON value to sit inside catalog.json
+function indentJson(value, spaces) {
+  const padding = ' '.repeat(spaces)
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${padding}`)
+}
+
+/**
+ * Streams catalog.json, catalog.jsonl and catalog.jsonl.gz in one pass
+ *
+ * Products are appended one at a time, so a crawl never has to hold the whole
+ * catalog as a string. store_info is written after the products because
+ * total_products is only known once the last product is in. Recrawls
+ * (store_info crawl_type RECRAWL) also get catalog-delta.jsonl.gz.
+ */
+class CatalogWriter {
+  /**
+   * @param {string} dirPath - Output directory (created if missing)
+   * @param {Object} storeInfo - store_info fields known up front
+   * @param {Object} options - { jsonFileName, jsonlFileName, delta }; delta
+   *   defaults to true for recrawls
+   */
+  constructor(dirPath, storeInfo = {}, options = {}) {
+    this.options = {
+      jsonFileName: 'catalog.json',
+      jsonlFileName: 'catalog.jsonl',
+      delta: storeInfo.crawl_type === 'RECRAWL',
+      ...options,
+    }
+    this.storeInfo = storeInfo
+    this.totalProducts = 0
+    this.error = null
+
+    if (!fs.existsSync(dirPath)) {
+      fs.mkdirSync(dirPath, { recursive: true })
+    }
+
+    this.jsonFilePath = path.join(dirPath, this.options.jsonFileName)
+    this.jsonlFilePath = path.join(dirPath, this.options.jsonlFileName)
+    this.gzippedFilePath = `${this.jsonlFilePath}.gz`
+
+    this.jsonStream = fs.createWriteStream(this.jsonFilePath, 'utf8')
+    this.jsonlStream = fs.createWriteStream(this.jsonlFilePath, 'utf8')
+    this.gzipStream = zlib.createGzip()
+    this.gzFileStream = fs.createWriteStream(this.gzippedFilePath)
+    this.gzipStream.pipe(this.gzFileStream)
+
+    if (this.options.delta) {
+      this.deltaWriter = new CatalogDeltaWriter(dirPath, storeInfo)
+    } else {
+      this.deltaWriter = null
+      removeStaleDelta(dirPath)
+    }
+
+    // Keep the first stream error so finalize() can report it
+    ;[
+      this.jsonStream,
+      this.jsonlStream,
+      this.gzipStream,
+      this.gzFileStream,
+    ].forEach((stream) =>
+      stream.on('error', (error) => {
+        this.error = this.error || error
+      })
+    )
+
+    this.jsonStream.write('{\n  "products": [')
+  }
+
+  async writeChunk(stream, chunk) {
+    if (this.error) throw this.error
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain')
+    }
+  }
+
+  /**
+   * Append one product to all three files
+   * @param {Object} product - Catalog product
+   */
+  async append(product) {
+    const isFirst = this.totalProducts === 0
+    const line = JSON.stringify(product)
+
+    await this.writeChunk(
+      this.jsonStream,
+      `${isFirst ? '' : ','}\n    ${indentJson(product, 4)}`
+    )
+    await this.writeChunk(this.jsonlStream, `${isFirst ? '' : '\n'}${line}`)
+    await this.writeChunk(this.gzipStream, `${isFirst ? '' : '\n'}${line}`)
+    if (this.deltaWriter) await this.deltaWriter.append(product)
+
+    this.totalProducts++
+  }
+
+  /**
+   * Close the products array, write store_info and flush every file
+   * @param {Object} extraStoreInfo - store_info fields known only at the end
+   */
+  async finalize(extraStoreInfo = {}) {
+    const storeInfo = {
+      'schema-version': CATALOG_SCHEMA_VERSION,
+      ...this.storeInfo,
+      total_products: this.totalProducts,
+      ...extraStoreInfo,
+    }
+
+    this.jsonStream.end(
+      `${this.totalProducts > 0 ? '\n  ' : ''}],\n  "store_info": ${indentJson(
+        storeInfo,
+        2
+      )}\n}`
+    )
+    this.jsonlStream.end()
+    this.gzipStream.end()
+
+    await Promise.all([
+      finished(this.jsonStream),
+      finished(this.jsonlStream),
+      finished(this.gzFileStream),
+    ])
+    if (this.error) throw this.error
+
+    console.log(`JSON file generated: ${this.jsonFilePath}`)
+    console.log(`JSONL file generated: ${this.jsonlFilePath}`)
+    console.log(`Gzipped JSONL file generated: ${this.gzippedFilePath}`)
+
+    const delta = this.deltaWriter ? await this.deltaWriter.finalize() : null
+
+    addCrawlRunOutputs(
+      [this.jsonFilePath, this.jsonlFilePath, this.gzippedFilePath],
+      this.totalProducts
+    )
+
+    return {
+      jsonFilePath: this.jsonFilePath,
+      jsonlFilePath: this.jsonlFilePath,
+      gzippedFilePath: this.gzippedFilePath,
+      deltaFilePath: delta ? delta.deltaFilePath : null,
+      deltaManifestPath: delta ? delta.deltaManifestPath : null,
+      totalProducts: this.totalProducts,
+    }
+  }
+
+  /**
+   * Stop writing after a failure; the partial files are left as they are
+   */
+  abort() {
+    this.gzipStream.unpipe(this.gzFileStream)
+    ;[
+      this.jsonStream,
+      this.jsonlStream,
+      this.gzipStream,
+      this.gzFileStream,
+    ].forEach((stream) => stream.destroy())
+    if (this.deltaWriter) this.deltaWriter.abort()
+  }
+}
+
+// Drop the MongoDB _id from products on their way into the catalog
+function* withoutMongoIds(products) {
+  for (const { _id, ...product } of products) {
+    yield product
+  }
+}
+
+/**
+ * Stream a list of products (array or async iterable) into catalog files
+ * @param {string} dirPath - Output directory
+ * @param {Object} storeInfo - store_info fields
+ * @param {Iterable|AsyncIterable} products - Catalog products
+ * @param {Object} options - CatalogWriter options
+ */
+async function writeCatalog(dirPath, storeInfo, products, options = {}) {
+  const writer = new CatalogWriter(dirPath, storeInfo, options)
+
+  try {
+    for await (const product of products) {
+      await writer.append(product)
+    }
+    return await writer.finalize()
+  } catch (error) {
+    writer.abort()
+    throw error
+  }
+}
+
+module.exports = { CatalogWriter, writeCatalog, withoutMongoIds }
@@ -0,0 +1,347 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { StringDecoder } = require('string_decoder')
+const { noteCheckpointRun } = require('./crawlRunLedger')
+
+// Checkpoints for long-running crawls
+//
+// Every run gets an id and an append-only log at
+// output/checkpoints/<retailer>/<runId>.jsonl recording the categories, pages
+// and products it finished. After a crash or proxy ban the crawler is started
+// again with `--resume <runId>`: the log is replayed and finished work is
+// skipped instead of fetched again.
+//
+// The data of each entry (listing items, formatted products) goes to
+// <runId>.data.jsonl next to the log. Only its byte range is kept in memory
+// and the data is read back when asked for, so resuming a large run does not
+// hold the whole catalog.
+
+const CHECKPOINT_DIR = path.join(__dirname, '..', 'output', 'checkpoints')
+
+function createRunId() {
+  const timestamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\..+$/, '')
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`
+}
+
+// Lines of a file, read in chunks rather than as one string
+function* readLines(filePath) {
+  const fd = fs.openSync(filePath, 'r')
+  const buffer = Buffer.alloc(64 * 1024)
+  const decoder = new StringDecoder('utf8')
+  let rest = ''
+
+  try {
+    let bytesRead
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const lines = (rest + decoder.write(buffer.subarray(0, bytesRead))).split(
+        '\n'
+      )
+      rest = lines.pop()
+      yield* lines
+    }
+  } finally {
+    fs.closeSync(fd)
+  }
+
+  rest += decoder.end()
+  if (rest !== '') yield rest
+}
+
+function fileSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0
+}
+
+class CheckpointStore {
+  /**
+   * @param {string} retailer - Retailer key, used as the checkpoint folder
+   * @param {string} runId - Run id, a new one is generated when omitted
+   * @param {Object} options - { dir } overrides output/checkpoints
+   */
+  constructor(retailer, runId, options = {}) {
+    this.retailer = retailer
+    this.runId = runId || createRunId()
+    const dirPath = path.join(options.dir || CHECKPOINT_DIR, retailer)
+    this.filePath = path.join(dirPath, `${this.runId}.jsonl`)
+    this.dataPath = path.join(dirPath, `${this.runId}.data.jsonl`)
+    this.dataSize = 0
+    // Values are { ref } (byte range in dataPath) or { data } (inline)
+    this.categories = new Map() // category -> value
+    this.pages = new Map() // category -> Map(page -> value)
+    this.products = new Map() // product id -> value
+    this.mongoIds = new Map() // product id -> saved Product _id
+    this.finished = false
+  }
+
+  /**
+   * Start a new run, or resume an existing one when resumeRunId is given
+   * @param {string} retailer - Retailer key
+   * @param {string} resumeRunId - Run id passed with --resume
+   * @param {Object} options - CheckpointStore options
+   */
+  static open(retailer, resumeRunId, options = {}) {
+    const checkpoint = new CheckpointStore(retailer, resumeRunId, options)
+    noteCheckpointRun(checkpoint.runId)
+
+    if (resumeRunId) {
+      checkpoint.load()
+      console.log(
+        `🔖 Resuming run ${checkpoint.runId}: ${checkpoint.categories.size} categories, ${checkpoint.products.size} products already done`
+      )
+      if (checkpoint.finished) {
+        console.log(
+          `⚠️ Run ${checkpoint.runId} already finished, only its output will be rebuilt`
+        )
+      }
+    } else {
+      checkpoint.write({ type: 'started', retailer })
+      console.log(
+        `🔖 Checkpoint run ${checkpoint.runId} (resume with --resume ${checkpoint.runId})`
+      )
+    }
+
+    return checkpoint
+  }
+
+  /**
+   * Replay the checkpoint log of this run
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      throw new Error(
+        `No checkpoint found for ${this.retailer} run ${this.runId} (${this.filePath})`
+      )
+    }
+
+    for (const line of readLines(this.filePath)) {
+      if (line.trim() === '') continue
+
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (error) {
+        // A crash can leave the last line half written
+        console.warn(`⚠️ Ignoring unreadable checkpoint line in ${this.filePath}`)
+        continue
+      }
+      this.apply(entry)
+    }
+
+    // Start new entries on a fresh line after a half written one
+    if (!this.endsWithNewline(this.filePath)) {
+      fs.appendFileSync(this.filePath, '\n')
+    }
+    // Data written after the last log entry belongs to no entry, new data is
+    // appended after it
+    this.dataSize = fileSize(this.dataPath)
+
+    return this
+  }
+
+  endsWithNewline(filePath) {
+    const size = fileSize(filePath)
+    if (size === 0) return true
+
+    const fd = fs.openSync(filePath, 'r')
+    const buffer = Buffer.alloc(1)
+    try {
+      fs.readSync(fd, buffer, 0, 1, size - 1)
+    } finally {
+      fs.closeSync(fd)
+    }
+    return buffer[0] === 0x0a
+  }
+
+  apply(entry) {
+    // Logs written before the data file kept the data inline
+    const value = entry.ref ? { ref: entry.ref } : { data: entry.data }
+
+    switch (entry.type) {
+      case 'category':
+        this.categories.set(entry.category, value)
+        break
+      case 'page':
+        if (!this.pages.has(entry.category)) {
+          this.pages.set(entry.category, new Map())
+        }
+        this.pages.get(entry.category).set(entry.page, value)
+        break
+      case 'product':
+        this.products.set(entry.id, value)
+        break
+      case 'saved':
+        this.mongoIds.set(entry.id, entry.mongoId)
+        break
+      case 'finished':
+        this.finished = true
+        break
+    }
+  }
+
+  write(entry) {
+    const dirPath = path.dirname(this.filePath)
+    if (!fs.existsSync(dirPath)) {
+      fs.mkdirSync(dirPath, { recursive: true })
+    }
+
+    const record = { ...entry, at: new Date().toISOString() }
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n')
+    this.apply(record)
+  }
+
+  /**
+   * Append entry data to the data file
+   * @returns {Object} { ref } to put on the log entry, { data } for null
+   */
+  writeData(data) {
+    if (data === null || data === undefined) return { data: null }
+
+    const json = JSON.stringify(data)
+    const ref = { position: this.dataSize, length: Buffer.byteLength(json) }
+    fs.mkdirSync(path.dirname(this.dataPath), { recursive: true })
+    fs.appendFileSync(this.dataPath, json + '\n')
+    this.dataSize += ref.length + 1
+    return { ref }
+  }
+
+  readData(value) {
+    if (!value) return undefined
+    if (!value.ref) return value.data
+
+    const buffer = Buffer.alloc(value.ref.length)
+    const fd = fs.openSync(this.dataPath, 'r')
+    try {
+      fs.readSync(fd, buffer, 0, value.ref.length, value.ref.position)
+    } finally {
+      fs.closeSync(fd)
+    }
+    return JSON.parse(buffer.toString('utf8'))
+  }
+
+  isCategoryDone(category) {
+    return this.categories.has(category)
+  }
+
+  getCategory(category) {
+    return this.readData(this.categories.get(category))
+  }
+
+  /**
+   * Record a finished category
+   * @param {string} category - Category name or key
+   * @param {Object} data - Whatever the crawler needs to skip it on resume
+   */
+  completeCategory(category, data = {}) {
+    this.write({ type: 'category', category, ...this.writeData(data) })
+  }
+
+  isPageDone(category, page) {
+    return this.pages.has(category) && this.pages.get(category).has(page)
+  }
+
+  getPage(category, page) {
+    return this.isPageDone(category, page)
+      ? this.readData(this.pages.get(category).get(page))
+      : null
+  }
+
+  /**
+   * Record a finished listing page of a category
+   * @param {string} category - Category name or key
+   * @param {number} page - Page number as used by the crawler
+   * @param {Object} data - Page result needed to replay it on resume
+   */
+  completePage(category, page, data = {}) {
+    this.write({ type: 'page', category, page, ...this.writeData(data) })
+  }
+
+  isProductDone(productId) {
+    return this.products.has(String(productId))
+  }
+
+  getProduct(productId) {
+    return this.readData(this.products.get(String(productId)))
+  }
+
+  /**
+   * Record a finished product
+   * @param {string} productId - Retailer product id
+   * @param {*} data - Formatted product (or null when it was skipped)
+   */
+  completeProduct(productId, data = null) {
+    this.write({
+      type: 'product',
+      id: String(productId),
+      ...this.writeData(data),
+    })
+  }
+
+  /**
+   * Record the Product _id a finished product was saved to MongoDB as
+   * @param {string} productId - Retailer product id
+   * @param {ObjectId|string} mongoId - Saved Product _id
+   */
+  completeSave(productId, mongoId) {
+    this.write({
+      type: 'saved',
+      id: String(productId),
+      mongoId: String(mongoId),
+    })
+  }
+
+  /**
+   * Product _id of a product saved by this run, or null
+   * @param {string} productId - Retailer product id
+   */
+  getMongoId(productId) {
+    return this.mongoIds.get(String(productId)) || null
+  }
+
+  /**
+   * Data of the finished products, in the order they were completed
+   */
+  getProducts() {
+    const products = []
+    for (const value of this.products.values()) {
+      const data = this.readData(value)
+      if (data !== null && data !== undefined) products.push(data)
+    }
+    return products
+  }
+
+  /**
+   * Mark the run as finished once its output has been written
+   */
+  finish() {
+    this.write({ type: 'finished' })
+  }
+}
+
+/**
+ * Read the run id passed as `--resume <runId>` (or `--resume=<runId>`)
+ * @param {Array<string>} args - Command line arguments
+ */
+function getResumeRunId(args = process.argv.slice(2)) {
+  const inline = args.find((arg) => arg.startsWith('--resume='))
+  if (inline) {
+    return inline.slice('--resume='.length) || null
+  }
+
+  const index = args.indexOf('--resume')
+  if (index === -1) return null
+
+  const runId = args[index + 1]
+  if (!runId || runId.startsWith('--')) {
+    throw new Error('--resume needs a run id, e.g. --resume 20250101T000000-abc123')
+  }
+  return runId
+}
+
+module.exports = {
+  CHECKPOINT_DIR,
+  CheckpointStore,
+  getResumeRunId,
+}
@@ -0,0 +1,90 @@
+// Bounded pool of upload connections
+//
+// Connections are created lazily, up to size, and handed out one caller at a
+// time; callers beyond the limit wait until a connection is released. The pool
+// size is therefore also the concurrency limit of the work run through it.
+
+class ConnectionPool {
+  /**
+   * @param {Function} createConnection - Returns a new connection object with
+   *   async connect() and disconnect()
+   * @param {number} size - Maximum number of connections
+   */
+  constructor(createConnection, size = 1) {
+    this.createConnection = createConnection
+    this.size = Math.max(1, size)
+    this.connections = []
+    this.idle = []
+    this.waiting = []
+  }
+
+  /**
+   * Take a connected connection, waiting for one to be released when all are
+   * in use
+   */
+  async acquire() {
+    if (this.idle.length > 0) return this.idle.pop()
+
+    if (this.connections.length < this.size) {
+      const connection = this.createConnection()
+      this.connections.push(connection)
+      try {
+        await connection.connect()
+      } catch (error) {
+        this.connections.splice(this.connections.indexOf(connection), 1)
+        // The free slot goes to the next waiter so it doesn't wait forever
+        const next = this.waiting.shift()
+        if (next) next(this.acquire())
+        throw error
+      }
+      return connection
+    }
+
+    return new Promise((resolve) => this.waiting.push(resolve))
+  }
+
+  /**
+   * Hand a connection back to the pool
+   * @param {Object} connection - Connection from acquire()
+   */
+  release(connection) {
+    const next = this.waiting.shift()
+    if (next) {
+      next(connection)
+    } else {
+      this.idle.push(connection)
+    }
+  }
+
+  /**
+   * Run a task with a connection from the pool
+   * @param {Function} task - Receives the connection
+   */
+  async use(task) {
+    const connection = await this.acquire()
+    try {
+      return await task(connection)
+    } finally {
+      this.release(connection)
+    }
+  }
+
+  /**
+   * Disconnect every connection of the pool
+   */
+  async close() {
+    const connections = Array.from(new Set(this.connections))
+    this.connections = []
+    this.idle = []
+
+    for (const connection of connections) {
+      try {
+        await connection.disconnect()
+      } catch (error) {
+        console.error('⚠️  Error during disconnect:', error.message)
+      }
+    }
+  }
+}
+
+module.exports = ConnectionPool
@@ -0,0 +1,360 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const mongoose = require('mongoose')
+const CrawlRun = require('../models/CrawlRun')
+const { MONGODB_URI } = require('../database/connection')
+
+// Crawl run ledger
+//
+// trackCrawlRun wraps a crawler entry point and records one CrawlRun document
+// per call. Shared code reports into the run that is currently executing
+// (validation rejects, proxy retries, written catalog files, uploads) through
+// countCrawlRun / addCrawlRunOutputs / recordCatalogUpload, so crawlers don't
+// have to thread a run object around. Runs started inside another tracked run
+// (e.g. every store of processShopifyRecrawler) point at it via parentRun.
+//
+// The ledger writes through its own connection so crawlers connecting and
+// disconnecting the default one never affect it. When MongoDB is unreachable
+// the crawl still runs, it just isn't recorded. Other per-run collections
+// (e.g. PriceHistory) write through the same connection with writeLedger.
+
+const runContext = new AsyncLocalStorage()
+
+// Promise of the ledger connection, shared so concurrent first writes open
+// a single connection
+let ledgerConnection = null
+// Tracked runs and uploads being recorded; the last one to finish closes the
+// connection
+let activeRuns = 0
+
+function connectLedger() {
+  const connection = mongoose.createConnection(MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000,
+  })
+  return connection.asPromise().catch(async (error) => {
+    await connection.close().catch(() => {})
+    throw error
+  })
+}
+
+async function getLedgerModel(model) {
+  if (!ledgerConnection) {
+    const pending = connectLedger()
+    ledgerConnection = pending
+    // A failed connect is retried by the next write
+    pending.catch(() => {
+      if (ledgerConnection === pending) ledgerConnection = null
+    })
+  }
+
+  const connection = await ledgerConnection
+  return (
+    connection.models[model.modelName] ||
+    connection.model(model.modelName, model.schema)
+  )
+}
+
+async function closeLedgerConnection() {
+  if (ledgerConnection) {
+    const pending = ledgerConnection
+    ledgerConnection = null
+    const connection = await pending.catch(() => null)
+    if (connection) await connection.close()
+  }
+}
+
+/**
+ * Write to the ledger connection; errors are logged, never thrown, so ledger
+ * writes can't fail a crawl
+ * @param {string} description - What is written, for the warning
+ * @param {Function} write - Receives the model bound to the ledger connection
+ * @param {mongoose.Model} model - Model to write, CrawlRun by default
+ */
+async function writeLedger(description, write, model = CrawlRun) {
+  try {
+    return await write(await getLedgerModel(model))
+  } catch (error) {
+    console.error(`⚠️ Crawl run ledger: could not ${description}:`, error.message)
+    return null
+  }
+}
+
+function emptyCounters() {
+  return {
+    operations: { INSERT: 0, UPDATE: 0, DELETE: 0, NO_CHANGE: 0 },
+    validationRejects: { products: 0, variants: 0 },
+    totalProducts: 0,
+    errorCount: 0,
+    proxyRetries: 0,
+  }
+}
+
+function addCounters(target, source) {
+  Object.keys(target.operations).forEach((operation) => {
+    target.operations[operation] += source.operations[operation] || 0
+  })
+  target.validationRejects.products += source.validationRejects.products
+  target.validationRejects.variants += source.validationRejects.variants
+  target.totalProducts += source.totalProducts
+  target.errorCount += source.errorCount
+  target.proxyRetries += source.proxyRetries
+}
+
+const OUTPUT_PATH_KEYS = [
+  'jsonPath',
+  'jsonFilePath',
+  'jsonlFilePath',
+  'gzippedFilePath',
+]
+
+/**
+ * Pull operation counts, totals and output paths out of a crawler result
+ *
+ * Crawlers return different shapes (arrays of category results, { result },
+ * { operations }, { mongoResults }, { changeReport }); this understands all
+ * of them.
+ * @param {*} result - Value returned by the crawler entry point
+ */
+function summarizeCrawlResult(result, summary = emptyCounters(), depth = 0) {
+  if (!result || typeof result !== 'object' || depth > 3) return summary
+  summary.outputFiles = summary.outputFiles || []
+
+  if (Array.isArray(result)) {
+    result.forEach((item) => summarizeCrawlResult(item, summary, depth + 1))
+    return summary
+  }
+
+  const operations =
+    (result.changeReport && result.changeReport.products) || result.operations
+  if (operations) {
+    Object.keys(summary.operations).forEach((operation) => {
+      summary.operations[operation] += operations[operation] || 0
+    })
+  } else if (result.mongoResults) {
+    summary.operations.INSERT += result.mongoResults.inserted || 0
+    summary.operations.NO_CHANGE += result.mongoResults.skipped || 0
+    summary.errorCount += result.mongoResults.errors || 0
+  }
+
+  if (typeof result.errors === 'number') summary.errorCount += result.errors
+  if (typeof result.totalProducts === 'number') {
+    summary.totalProducts += result.totalProducts
+  }
+
+  OUTPUT_PATH_KEYS.forEach((key) => {
+    if (typeof result[key] === 'string') summary.outputFiles.push(result[key])
+  })
+
+  summarizeCrawlResult(result.result, summary, depth + 1)
+  return summary
+}
+
+async function startRun(run) {
+  activeRuns++
+  const doc = await writeLedger('start run', (Model) =>
+    Model.create({
+      retailer: run.retailer,
+      source: run.source,
+      crawlType: run.crawlType,
+      startedAt: run.startedAt,
+      checkpointRunId: run.checkpointRunId,
+      parentRun: run.parent ? run.parent.id : undefined,
+    })
+  )
+  run.id = doc ? doc._id : null
+}
+
+async function finishRun(run, status, result, errorMessage) {
+  const finishedAt = new Date()
+  const summary =
+    run.summarize === false ? emptyCounters() : summarizeCrawlResult(result)
+  addCounters(summary, run.counters)
+  if (!summary.totalProducts && run.catalogProducts) {
+    summary.totalProducts = run.catalogProducts
+  }
+
+  // Batch runs add up their children
+  if (run.parent) {
+    addCounters(run.parent.counters, summary)
+  }
+
+  const outputFiles = Array.from(
+    new Set([...run.outputFiles, ...(summary.outputFiles || [])])
+  )
+
+  try {
+    if (run.id) {
+      await writeLedger('finish run', (Model) =>
+        Model.updateOne(
+          { _id: run.id },
+          {
+            $set: {
+              status,
+              finishedAt,
+              durationMs: finishedAt - run.startedAt,
+              operations: summary.operations,
+              validationRejects: summary.validationRejects,
+              totalProducts: summary.totalProducts,
+              errorCount: summary.errorCount,
+              errorMessage,
+              proxyRetries: summary.proxyRetries,
+              checkpointRunId: run.checkpointRunId,
+              outputFiles,
+              ...(run.upload ? { upload: run.upload } : {}),
+            },
+          }
+        )
+      )
+    }
+  } finally {
+    activeRuns--
+    if (activeRuns === 0) await closeLedgerConnection()
+  }
+
+  console.log(
+    `📒 Crawl run ${run.id || '(not recorded)'} ${status}: ${run.retailer}`
+  )
+}
+
+/**
+ * Wrap a crawler entry point so every call is recorded as a CrawlRun
+ * @param {Object|Function} details - { retailer, source, crawlType, summarize }
+ *   or a function building them from the call arguments. summarize: false
+ *   skips reading counts from the return value (batch runs)
+ * @param {Function} task - Async crawler entry point
+ */
+function trackCrawlRun(details, task) {
+  return async function (...args) {
+    const info = typeof details === 'function' ? details(...args) : details
+    const run = {
+      crawlType: 'CRAWL',
+      ...info,
+      parent: runContext.getStore() || null,
+      startedAt: new Date(),
+      counters: emptyCounters(),
+      outputFiles: [],
+      catalogProducts: 0,
+      upload: null,
+      id: null,
+    }
+
+    await startRun(run)
+
+    let result
+    try {
+      result = await runContext.run(run, () => task.apply(this, args))
+    } catch (error) {
+      await finishRun(run, 'FAILED', null, error.message)
+      throw error
+    }
+
+    // A catalog that didn't reach its destination intact fails the run
+    const uploadError =
+      run.upload && run.upload.success === false
+        ? `Upload failed: ${run.upload.error}`
+        : undefined
+    await finishRun(
+      run,
+      result && !uploadError ? 'SUCCESS' : 'FAILED',
+      result,
+      result ? uploadError : 'Crawl produced no catalog'
+    )
+    return result
+  }
+}
+
+/**
+ * The run that is currently executing ({ id, retailer, startedAt, ... }), or
+ * null outside a tracked run
+ */
+function getCurrentCrawlRun() {
+  return runContext.getStore() || null
+}
+
+/**
+ * Add to a counter of the run that is currently executing (no-op outside one)
+ * @param {string} counter - e.g. 'proxyRetries' or 'validationRejects.products'
+ * @param {number} amount - Amount to add
+ */
+function countCrawlRun(counter, amount = 1) {
+  const run = runContext.getStore()
+  if (!run || !amount) return
+
+  const keys = counter.split('.')
+  const last = keys.pop()
+  const target = keys.reduce((value, key) => value[key], run.counters)
+  target[last] += amount
+}
+
+/**
+ * Attach the checkpoint run id (see utils/checkpointStore.js) to the run that
+ * is currently executing
+ * @param {string} checkpointRunId - Id accepted by --resume
+ */
+function noteCheckpointRun(checkpointRunId) {
+  const run = runContext.getStore()
+  if (run) run.checkpointRunId = checkpointRunId
+}
+
+/**
+ * Remember catalog files written by the run that is currently executing
+ * @param {Array<string>} filePaths - Absolute paths of the written files
+ * @param {number} totalProducts - Products in the catalog, the last write wins
+ */
+function addCrawlRunOutputs(filePaths, totalProducts = 0) {
+  const run = runContext.getStore()
+  if (!run) return
+
+  run.outputFiles.push(...filePaths)
+  run.catalogProducts = totalProducts
+}
+
+/**
+ * Record where a catalog file was uploaded
+ *
+ * When the running crawl wrote the file the upload is stored with it;
+ * otherwise it is attached to the most recent run that wrote the file. A
+ * failed upload (including a failed verification) marks that run FAILED.
+ * @param {string} filePath - Local path of the uploaded catalog
+ * @param {Object} upload - { destination, remotePath, success, error, size,
+ *   sha256, verified }
+ */
+async function recordCatalogUpload(filePath, upload) {
+  const record = { ...upload, uploadedAt: new Date() }
+  const run = runContext.getStore()
+  if (run && run.outputFiles.includes(filePath)) {
+    run.upload = record
+    return
+  }
+
+  // Counted like a run, so parallel uploads never close the connection while
+  // another one is still writing
+  activeRuns++
+  try {
+    await writeLedger('record upload', async (Model) => {
+      const update = { upload: record }
+      if (record.success === false) {
+        update.status = 'FAILED'
+        update.errorMessage = `Upload failed: ${record.error}`
+      }
+      await Model.findOneAndUpdate(
+        { outputFiles: filePath },
+        { $set: update },
+        { sort: { startedAt: -1 } }
+      )
+    })
+  } finally {
+    activeRuns--
+    if (activeRuns === 0) await closeLedgerConnection()
+  }
+}
+
+module.exports = {
+  trackCrawlRun,
+  getCurrentCrawlRun,
+  writeLedger,
+  countCrawlRun,
+  noteCheckpointRun,
+  addCrawlRunOutputs,
+  recordCatalogUpload,
+  summarizeCrawlResult,
+}
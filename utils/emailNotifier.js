@@ -0,0 +1,109 @@
+const { sendMail } = require('./smtpClient')
+const { LEVEL_ICONS, formatMessageText } = require('./notificationMessage')
+
+// Email channel of the notifier. SMTP settings come from SMTP_HOST,
+// SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM; point SMTP_HOST
+// at a local sink (e.g. MailHog on port 1025) to test without sending mail.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * HTML mail body of a message, fields rendered as a table
+ * @param {Object} message - Message from createMessage
+ */
+function formatMessageHtml(message) {
+  const parts = [
+    `<h2>${LEVEL_ICONS[message.level]} ${escapeHtml(message.title)}</h2>`,
+  ]
+
+  if (message.text) {
+    parts.push(`<p>${escapeHtml(message.text)}</p>`)
+  }
+
+  const fieldNames = Object.keys(message.fields)
+  if (fieldNames.length > 0) {
+    parts.push(
+      '<table cellpadding="4" style="border-collapse:collapse">',
+      ...fieldNames.map(
+        (name) =>
+          `<tr><th align="left">${escapeHtml(name)}</th><td>${escapeHtml(
+            message.fields[name]
+          )}</td></tr>`
+      ),
+      '</table>'
+    )
+  }
+
+  if (message.details) {
+    parts.push(`<pre>${escapeHtml(message.details)}</pre>`)
+  }
+
+  if (message.links.length > 0) {
+    parts.push(
+      '<ul>',
+      ...message.links.map(
+        (link) =>
+          `<li><a href="${escapeHtml(link.url)}">${escapeHtml(
+            link.label
+          )}</a></li>`
+      ),
+      '</ul>'
+    )
+  }
+
+  return `<html><body>${parts.join('\n')}</body></html>`
+}
+
+class EmailNotifier {
+  /**
+   * @param {Object} config - { to, from, subjectPrefix } plus SMTP settings
+   *   overriding the environment ({ host, port, secure, user, pass })
+   */
+  constructor(config = {}) {
+    this.config = {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM,
+      subjectPrefix: '[catalog]',
+      ...config,
+    }
+    if (typeof this.config.to === 'string') {
+      this.config.to = this.config.to
+        .split(',')
+        .map((address) => address.trim())
+    }
+  }
+
+  describe() {
+    return `email ${(this.config.to || []).join(', ')}`
+  }
+
+  async send(message) {
+    const { host, from, to } = this.config
+    if (!host || !from || !to || to.length === 0) {
+      throw new Error(
+        'Missing email configuration: SMTP_HOST, SMTP_FROM and recipients'
+      )
+    }
+
+    await sendMail(this.config, {
+      from,
+      to,
+      subject: `${this.config.subjectPrefix} ${message.title}`.trim(),
+      text: formatMessageText(message),
+      html: formatMessageHtml(message),
+    })
+  }
+}
+
+module.exports = EmailNotifier
+module.exports.formatMessageHtml = formatMessageHtml
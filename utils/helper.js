@@ -5,6 +5,7 @@ const sanitizeHtml = require("sanitize-html");
 const { HttpsProxyAgent } = require("https-proxy-agent");
 const Anthropic = require("@anthropic-ai/sdk");
 const puppeteer = require("puppeteer");
+const { countCrawlRun } = require("./crawlRunLedger");
 
 // Enhanced Proxy Rotation System for major providers
 class ProxyRotator {
@@ -184,6 +185,7 @@ async function retryRequestWithProxyRotation(
       return response;
     } catch (error) {
       attempt++;
+      if (attempt < maxRetries) countCrawlRun("proxyRetries");
 
       // Handle 429 errors with exponential backoff
       if (error.response?.status === 429) {
@@ -811,6 +813,7 @@ async function retryPuppeteerWithProxyRotation(
       if (attempt === maxRetries) {
         throw error;
       }
+      countCrawlRun("proxyRetries");
 
       // Wait before retry with exponential backoff
       const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), 15000);
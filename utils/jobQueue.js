@@ -0,0 +1,428 @@
+const os = require('os')
+const path = require('path')
+const readline = require('readline')
+const { fork } = require('child_process')
+const CrawlJob = require('../models/CrawlJob')
+const { resolveJobTask } = require('./scheduleJobs')
+const { notify } = require('./notifier')
+
+// Crawl job queue
+//
+// Crawls, recrawls and uploads are queued as CrawlJob documents and picked up
+// by workers (`node jobs.js worker`), any number of them on any machine that
+// reaches MongoDB. A worker claims one job at a time with an atomic
+// findOneAndUpdate and runs it in a child process (utils/jobRunner.js), so a
+// hanging crawl is killed at its timeout instead of blocking the jobs after
+// it. Failed jobs are queued again until maxAttempts; jobs whose worker
+// stopped sending heartbeats are treated as failed attempts.
+
+// Lines of job output kept on the job document
+const JOB_LOG_LINES = 500
+const HEARTBEAT_INTERVAL_MS = 15 * 1000
+const STALE_AFTER_MS = 5 * 60 * 1000
+const RETRY_DELAY_MS = 5 * 60 * 1000
+// Time a job gets to exit after SIGTERM before it is killed
+const KILL_GRACE_MS = 30 * 1000
+// Longest delay setTimeout supports, longer ones fire immediately
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
+
+const RUNNER_PATH = path.join(__dirname, 'jobRunner.js')
+
+/**
+ * Queue a job
+ * @param {Object} spec - { retailer, type, args, priority, maxAttempts,
+ *   timeoutMs, runAfter }
+ */
+async function enqueueJob(spec) {
+  // Fails early for jobs no worker could run
+  resolveJobTask(spec)
+  if (
+    spec.timeoutMs !== undefined &&
+    (!Number.isInteger(spec.timeoutMs) ||
+      spec.timeoutMs < 1 ||
+      spec.timeoutMs > MAX_TIMEOUT_MS)
+  ) {
+    throw new Error(
+      `timeoutMs must be a whole number between 1 and ${MAX_TIMEOUT_MS} (about 24 days), got: ${spec.timeoutMs}`
+    )
+  }
+
+  const job = await CrawlJob.create({
+    retailer: spec.retailer,
+    type: spec.type,
+    args: spec.args || [],
+    priority: spec.priority,
+    maxAttempts: spec.maxAttempts,
+    timeoutMs: spec.timeoutMs,
+    runAfter: spec.runAfter,
+  })
+  console.log(`📥 Queued ${job.retailer} ${job.type} job ${job._id}`)
+  return job
+}
+
+/**
+ * Take the next due job, highest priority and oldest first
+ * @param {string} workerId - Id of the claiming worker
+ */
+async function claimNextJob(workerId) {
+  const now = new Date()
+  return CrawlJob.findOneAndUpdate(
+    { status: 'QUEUED', runAfter: { $lte: now } },
+    {
+      $set: {
+        status: 'RUNNING',
+        lockedBy: workerId,
+        heartbeatAt: now,
+        startedAt: now,
+      },
+      $unset: { finishedAt: '', durationMs: '' },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, runAfter: 1, createdAt: 1 }, new: true }
+  ).lean()
+}
+
+/**
+ * Store buffered output of a running job and refresh its heartbeat
+ * @param {Object} job - Claimed job
+ * @param {string} workerId - Worker running it
+ * @param {Array} logs - [{ at, stream, line }]
+ * @returns {boolean} false when the worker no longer owns the job
+ *   (cancelled, or taken over after it went stale)
+ */
+async function heartbeatJob(job, workerId, logs = []) {
+  const update = { $set: { heartbeatAt: new Date() } }
+  if (logs.length > 0) {
+    update.$push = { logs: { $each: logs, $slice: -JOB_LOG_LINES } }
+  }
+
+  const result = await CrawlJob.updateOne(
+    { _id: job._id, status: 'RUNNING', lockedBy: workerId },
+    update
+  )
+  return result.matchedCount > 0
+}
+
+/**
+ * Record the outcome of an attempt; failed jobs with attempts left are queued
+ * again after RETRY_DELAY_MS times the attempt number
+ * @param {Object} job - Claimed job
+ * @param {string} workerId - Worker that ran it
+ * @param {Object} outcome - { error, summary, logs }
+ */
+async function finishJob(job, workerId, outcome = {}) {
+  const finishedAt = new Date()
+  const set = {
+    finishedAt,
+    durationMs: finishedAt - job.startedAt,
+    error: outcome.error,
+    summary: outcome.summary,
+  }
+
+  if (!outcome.error) {
+    set.status = 'SUCCESS'
+  } else if (job.attempts < job.maxAttempts) {
+    set.status = 'QUEUED'
+    set.runAfter = new Date(Date.now() + RETRY_DELAY_MS * job.attempts)
+  } else {
+    set.status = 'FAILED'
+  }
+
+  const update = { $set: set, $unset: { lockedBy: '' } }
+  if (outcome.logs && outcome.logs.length > 0) {
+    update.$push = { logs: { $each: outcome.logs, $slice: -JOB_LOG_LINES } }
+  }
+
+  await CrawlJob.updateOne(
+    { _id: job._id, status: 'RUNNING', lockedBy: workerId },
+    update
+  )
+  return set.status
+}
+
+/**
+ * Put a job back in the queue without counting the attempt (worker shutdown)
+ * @param {Object} job - Claimed job
+ * @param {string} workerId - Worker giving it up
+ * @param {Array} logs - Output not stored yet, [{ at, stream, line }]
+ */
+async function releaseJob(job, workerId, logs = []) {
+  const update = {
+    $set: { status: 'QUEUED', runAfter: new Date() },
+    $unset: { lockedBy: '' },
+    $inc: { attempts: -1 },
+  }
+  if (logs.length > 0) {
+    update.$push = { logs: { $each: logs, $slice: -JOB_LOG_LINES } }
+  }
+
+  await CrawlJob.updateOne(
+    { _id: job._id, status: 'RUNNING', lockedBy: workerId },
+    update
+  )
+}
+
+/**
+ * Store the last output of a job cancelled while this worker ran it
+ * @param {Object} job - Claimed job
+ * @param {string} workerId - Worker that ran it
+ * @param {Array} logs - [{ at, stream, line }]
+ */
+async function storeCancelledJobLogs(job, workerId, logs) {
+  if (logs.length === 0) return
+
+  await CrawlJob.updateOne(
+    { _id: job._id, status: 'CANCELLED', lockedBy: workerId },
+    { $push: { logs: { $each: logs, $slice: -JOB_LOG_LINES } } }
+  )
+}
+
+/**
+ * Fail the attempts of jobs whose worker stopped sending heartbeats
+ */
+async function recoverStaleJobs() {
+  const staleJobs = await CrawlJob.find({
+    status: 'RUNNING',
+    heartbeatAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) },
+  }).lean()
+
+  for (const job of staleJobs) {
+    const status = await finishJob(job, job.lockedBy, {
+      error: `Worker ${job.lockedBy} stopped responding`,
+    })
+    console.log(`🩺 Recovered stale job ${job._id} (now ${status})`)
+  }
+  return staleJobs.length
+}
+
+/**
+ * Cancel a queued or running job; its worker stops a running one at the next
+ * heartbeat
+ * @param {string} jobId - Job id
+ */
+async function cancelJob(jobId) {
+  const result = await CrawlJob.updateOne(
+    { _id: jobId, status: { $in: ['QUEUED', 'RUNNING'] } },
+    { $set: { status: 'CANCELLED', finishedAt: new Date() } }
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Queue a failed or cancelled job again with fresh attempts
+ * @param {string} jobId - Job id
+ */
+async function retryJob(jobId) {
+  const result = await CrawlJob.updateOne(
+    { _id: jobId, status: { $in: ['FAILED', 'CANCELLED'] } },
+    {
+      $set: { status: 'QUEUED', runAfter: new Date(), attempts: 0 },
+      $unset: { error: '', lockedBy: '' },
+    }
+  )
+  return result.modifiedCount > 0
+}
+
+/**
+ * Most recent jobs, without their logs
+ * @param {Object} options - { status, retailer, limit }
+ */
+async function listJobs(options = {}) {
+  const query = {}
+  if (options.status) query.status = options.status
+  if (options.retailer) query.retailer = options.retailer
+
+  return CrawlJob.find(query, { logs: 0 })
+    .sort({ createdAt: -1 })
+    .limit(options.limit || 20)
+    .lean()
+}
+
+/**
+ * Claims jobs one at a time and runs each in a child process
+ */
+class JobWorker {
+  /**
+   * @param {Object} options - { id, pollIntervalMs }
+   */
+  constructor(options = {}) {
+    this.id = options.id || `${os.hostname()}:${process.pid}`
+    this.pollIntervalMs = options.pollIntervalMs || 10 * 1000
+    this.stopping = false
+    this.current = null
+  }
+
+  /**
+   * Work until stop() is called
+   */
+  async start() {
+    console.log(`👷 Worker ${this.id} waiting for jobs...`)
+
+    while (!this.stopping) {
+      let job = null
+      try {
+        await recoverStaleJobs()
+        job = await claimNextJob(this.id)
+      } catch (error) {
+        console.error(`❌ Worker ${this.id} could not poll:`, error.message)
+      }
+
+      if (!job) {
+        await new Promise((resolve) => {
+          this.wake = resolve
+          setTimeout(resolve, this.pollIntervalMs)
+        })
+        continue
+      }
+
+      await this.runJob(job)
+    }
+
+    console.log(`👋 Worker ${this.id} stopped`)
+  }
+
+  /**
+   * Stop polling; a running job is killed and put back in the queue
+   */
+  stop() {
+    this.stopping = true
+    if (this.wake) this.wake()
+    if (this.current) this.current.kill('shutdown')
+  }
+
+  /**
+   * Run one claimed job to completion, timeout or cancellation
+   * @param {Object} job - Claimed job
+   */
+  async runJob(job) {
+    const label = `${job.retailer}-${job.type}`
+    console.log(
+      `🚀 [${label}] Job ${job._id} attempt ${job.attempts}/${job.maxAttempts}`
+    )
+
+    const logs = []
+    const log = (stream, line) => logs.push({ at: new Date(), stream, line })
+
+    const child = fork(RUNNER_PATH, [], {
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+    })
+    ;['stdout', 'stderr'].forEach((stream) => {
+      readline.createInterface({ input: child[stream] }).on('line', (line) => {
+        console.log(`[${label}] ${line}`)
+        log(stream, line)
+      })
+    })
+
+    let message = null
+    let stopReason = null
+    let childError = null
+    child.on('message', (value) => {
+      message = value
+    })
+
+    const kill = (reason) => {
+      if (stopReason) return
+      stopReason = reason
+      log('worker', `Stopping job: ${reason}`)
+      child.kill('SIGTERM')
+      setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS).unref()
+    }
+    this.current = { kill }
+
+    const timeout = setTimeout(
+      () => kill(`timed out after ${Math.round(job.timeoutMs / 60000)} min`),
+      job.timeoutMs
+    )
+    const heartbeat = setInterval(async () => {
+      try {
+        const owned = await heartbeatJob(job, this.id, logs.splice(0))
+        if (!owned) kill('cancelled')
+      } catch (error) {
+        console.error(`⚠️ [${label}] Heartbeat failed:`, error.message)
+      }
+    }, HEARTBEAT_INTERVAL_MS)
+
+    const exitCode = await new Promise((resolve) => {
+      // A child that can't be spawned or sent the job may never exit
+      child.on('error', (error) => {
+        if (childError) return
+        childError = error
+        log('worker', `Job process error: ${error.message}`)
+        child.kill('SIGKILL')
+        resolve(null)
+      })
+      child.on('exit', (code) => resolve(code))
+      child.send({
+        retailer: job.retailer,
+        type: job.type,
+        args: job.args,
+      })
+    })
+    clearTimeout(timeout)
+    clearInterval(heartbeat)
+    this.current = null
+
+    if (stopReason === 'shutdown') {
+      await releaseJob(job, this.id, logs.splice(0))
+      console.log(`↩️  [${label}] Job ${job._id} returned to the queue`)
+      return
+    }
+    if (stopReason === 'cancelled') {
+      await storeCancelledJobLogs(job, this.id, logs.splice(0))
+      console.log(`🛑 [${label}] Job ${job._id} CANCELLED`)
+      return
+    }
+
+    let error = null
+    if (stopReason) {
+      error = `Job ${stopReason}`
+    } else if (childError) {
+      error = `Job process failed: ${childError.message}`
+    } else if (message && message.error) {
+      error = message.error
+    } else if (exitCode !== 0 || !message) {
+      error = `Job process exited with code ${exitCode}`
+    }
+
+    const jobLogs = logs.splice(0)
+    const status = await finishJob(job, this.id, {
+      error,
+      summary: message ? message.summary : undefined,
+      logs: jobLogs,
+    })
+    console.log(
+      `${status === 'SUCCESS' ? '✅' : '❌'} [${label}] Job ${
+        job._id
+      } ${status}${error ? `: ${error}` : ''}`
+    )
+
+    // Attempts that will be retried are not worth an alert yet
+    if (status === 'FAILED') {
+      await notify({
+        kind: 'failure',
+        level: 'error',
+        title: `Job ${label} failed after ${job.attempts} attempt(s)`,
+        text: error,
+        fields: { Job: String(job._id), Worker: this.id },
+        details: jobLogs
+          .slice(-20)
+          .map((entry) => entry.line)
+          .join('\n'),
+      })
+    }
+  }
+}
+
+module.exports = {
+  JOB_LOG_LINES,
+  enqueueJob,
+  claimNextJob,
+  heartbeatJob,
+  finishJob,
+  releaseJob,
+  recoverStaleJobs,
+  cancelJob,
+  retryJob,
+  listJobs,
+  JobWorker,
+}
@@ -0,0 +1,27 @@
+const { resolveJobTask } = require('./scheduleJobs')
+
+// Child process of a JobWorker (see utils/jobQueue.js): receives one job over
+// IPC, runs it and reports { summary } or { error } before exiting.
+
+function report(message, exitCode) {
+  process.send(message, () => process.exit(exitCode))
+}
+
+process.once('message', async (job) => {
+  try {
+    const result = await resolveJobTask(job)()
+    // Like the crawl run ledger, a job without a result produced nothing
+    if (!result) {
+      report({ error: 'Job produced no result' }, 1)
+      return
+    }
+    report({ summary: result.summary }, 0)
+  } catch (error) {
+    report({ error: error.message }, 1)
+  }
+})
+
+process.on('SIGTERM', () => {
+  console.error('🛑 Job stopped by its worker')
+  process.exit(1)
+})
@@ -0,0 +1,93 @@
+const fs = require('fs')
+const path = require('path')
+const { UploadTarget } = require('./uploadTarget')
+require('dotenv').config()
+
+// Upload target writing the dated folder layout into a local directory, for
+// testing and air-gapped runs (UPLOAD_LOCAL_DIR, output/uploads by default)
+class LocalUploadTarget extends UploadTarget {
+  /**
+   * @param {Object} config - { rootDir, verify }
+   */
+  constructor(config = {}) {
+    super({
+      rootDir: path.resolve(
+        process.env.UPLOAD_LOCAL_DIR ||
+          path.join(__dirname, '..', 'output', 'uploads')
+      ),
+      verify: process.env.UPLOAD_VERIFY || 'size',
+      ...config,
+    })
+  }
+
+  resolve(remotePath) {
+    return path.join(this.config.rootDir, remotePath)
+  }
+
+  async connect() {
+    await fs.promises.mkdir(this.config.rootDir, { recursive: true })
+    this.isConnected = true
+    console.log(`📂 Uploading to local directory: ${this.config.rootDir}`)
+    return true
+  }
+
+  async disconnect() {
+    this.isConnected = false
+  }
+
+  async ensureDirectoryExists(remotePath) {
+    await fs.promises.mkdir(this.resolve(remotePath), { recursive: true })
+    return true
+  }
+
+  getDestination(remotePath) {
+    return `file://${this.resolve(remotePath)}`
+  }
+
+  async putFile(localFilePath, remoteFilePath) {
+    await fs.promises.copyFile(localFilePath, this.resolve(remoteFilePath))
+  }
+
+  async putContent(buffer, remoteFilePath) {
+    await fs.promises.writeFile(this.resolve(remoteFilePath), buffer)
+  }
+
+  // rename() replaces the target atomically on the same filesystem
+  async moveIntoPlace(partFilePath, remoteFilePath) {
+    await fs.promises.rename(
+      this.resolve(partFilePath),
+      this.resolve(remoteFilePath)
+    )
+  }
+
+  async stat(remoteFilePath) {
+    return fs.promises.stat(this.resolve(remoteFilePath))
+  }
+
+  createReadStream(remoteFilePath) {
+    return fs.createReadStream(this.resolve(remoteFilePath))
+  }
+
+  async exists(remoteFilePath) {
+    return fs.existsSync(this.resolve(remoteFilePath))
+  }
+
+  async deleteFile(remoteFilePath) {
+    await fs.promises.unlink(this.resolve(remoteFilePath))
+  }
+
+  async testConnection() {
+    try {
+      console.log('🧪 Testing local upload directory...')
+      await this.connect()
+      await fs.promises.access(this.config.rootDir, fs.constants.W_OK)
+      console.log('✅ Local upload directory is writable')
+      return true
+    } catch (error) {
+      console.error('❌ Local upload directory test failed:', error.message)
+      return false
+    }
+  }
+}
+
+module.exports = LocalUploadTarget
@@ -0,0 +1,85 @@
+// Structured notification messages
+//
+// Everything sent through utils/notifier.js is a message object rather than a
+// string, so every channel can render it its own way (Slack blocks, HTML mail,
+// raw JSON for webhooks):
+//
+//   {
+//     kind: 'summary',            // what happened, used by routing rules
+//     level: 'success',           // info, success, warning or error
+//     title: 'shopify-recrawl completed',
+//     text: 'Optional paragraph',
+//     fields: { 'Stores uploaded': 120, 'Upload failures': 2 },  // table
+//     details: 'Error stack or other preformatted text',
+//     links: [{ label: 'Results', url: 'https://...' }],
+//   }
+
+const LEVELS = ['info', 'success', 'warning', 'error']
+
+const LEVEL_ICONS = {
+  info: '🔄',
+  success: '✅',
+  warning: '⚠️',
+  error: '❌',
+}
+
+/**
+ * Fill in the defaults of a message
+ * @param {Object|string} message - Message object, or plain text
+ */
+function createMessage(message) {
+  if (typeof message === 'string') {
+    message = { title: message }
+  }
+
+  const level = message.level || 'info'
+  if (!LEVELS.includes(level)) {
+    throw new Error(
+      `Unknown notification level "${level}". Use ${LEVELS.join(', ')}`
+    )
+  }
+
+  return {
+    kind: message.kind || 'message',
+    level,
+    title: message.title || '',
+    text: message.text || '',
+    fields: message.fields || {},
+    details: message.details || '',
+    links: message.links || [],
+    sentAt: message.sentAt || new Date().toISOString(),
+  }
+}
+
+/**
+ * Plain text rendering, used for Slack fallbacks and text mail bodies
+ * @param {Object} message - Message from createMessage
+ */
+function formatMessageText(message) {
+  const lines = [`${LEVEL_ICONS[message.level]} ${message.title}`]
+
+  if (message.text) {
+    lines.push('', message.text)
+  }
+
+  const fieldNames = Object.keys(message.fields)
+  if (fieldNames.length > 0) {
+    lines.push('')
+    fieldNames.forEach((name) => {
+      lines.push(`• ${name}: ${message.fields[name]}`)
+    })
+  }
+
+  if (message.details) {
+    lines.push('', message.details)
+  }
+
+  if (message.links.length > 0) {
+    lines.push('')
+    message.links.forEach((link) => lines.push(`🔗 ${link.label}: ${link.url}`))
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = { LEVELS, LEVEL_ICONS, createMessage, formatMessageText }
@@ -0,0 +1,182 @@
+const fs = require('fs')
+const path = require('path')
+const { createMessage } = require('./notificationMessage')
+
+// Notifier
+//
+// Sends structured messages (see utils/notificationMessage.js) to the channels
+// of notifications.json, chosen by routing rules:
+//
+//   {
+//     "channels": {
+//       "alerts": { "type": "slack", "channel": "#alerts" },
+//       "catalog": { "type": "slack", "channel": "#catalog" },
+//       "ops": { "type": "email", "to": "ops@example.com", "enabled": false }
+//     },
+//     "routes": [
+//       { "match": { "level": "error" }, "channels": ["alerts"] },
+//       { "match": { "kind": "summary" }, "channels": ["catalog"] }
+//     ],
+//     "defaultChannels": ["catalog"]
+//   }
+//
+// A message goes to the channels of every route it matches (match values may
+// be lists), or to defaultChannels when none does. String settings can use
+// ${VAR} or ${VAR:-default} to read the environment. Without the file every
+// message goes to SLACK_CHANNEL.
+
+const NOTIFICATIONS_PATH = path.join(__dirname, '..', 'notifications.json')
+
+const channelTypes = {
+  slack: () => require('./slackNotifier'),
+  webhook: () => require('./webhookNotifier'),
+  email: () => require('./emailNotifier'),
+}
+
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(
+      /\$\{(\w+)(?::-([^}]*))?\}/g,
+      (match, name, fallback) => process.env[name] || fallback || ''
+    )
+  }
+  if (Array.isArray(value)) return value.map(interpolateEnv)
+  if (value && typeof value === 'object') {
+    const result = {}
+    Object.keys(value).forEach((key) => {
+      result[key] = interpolateEnv(value[key])
+    })
+    return result
+  }
+  return value
+}
+
+/**
+ * Read notifications.json, or the single SLACK_CHANNEL setup without it
+ * @param {string} filePath - Config file
+ */
+function loadNotifierConfig(filePath = NOTIFICATIONS_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return {
+      channels: {
+        slack: {
+          type: 'slack',
+          channel: process.env.SLACK_CHANNEL || 'C0951E9FAKU',
+        },
+      },
+      routes: [],
+      defaultChannels: ['slack'],
+    }
+  }
+  return interpolateEnv(JSON.parse(fs.readFileSync(filePath, 'utf8')))
+}
+
+function matchesRoute(route, message) {
+  const match = route.match || {}
+  return Object.keys(match).every((key) => {
+    const expected = Array.isArray(match[key]) ? match[key] : [match[key]]
+    return expected.includes(message[key])
+  })
+}
+
+class Notifier {
+  /**
+   * @param {Object} config - { channels, routes, defaultChannels }, see
+   *   loadNotifierConfig
+   */
+  constructor(config = loadNotifierConfig()) {
+    this.routes = config.routes || []
+    this.defaultChannels = config.defaultChannels || []
+    this.channels = {}
+
+    const problems = []
+    Object.keys(config.channels || {}).forEach((name) => {
+      const { type, enabled, ...settings } = config.channels[name]
+      if (enabled === false) return
+
+      const loadChannel = channelTypes[type]
+      if (!loadChannel) {
+        problems.push(
+          `channel ${name}: unknown type "${type}" (use ${Object.keys(
+            channelTypes
+          ).join(', ')})`
+        )
+        return
+      }
+      const Channel = loadChannel()
+      this.channels[name] = new Channel(settings)
+    })
+
+    if (problems.length > 0) {
+      throw new Error(
+        `Invalid notifier config:\n  - ${problems.join('\n  - ')}`
+      )
+    }
+  }
+
+  /**
+   * Names of the enabled channels a message goes to
+   * @param {Object} message - Message from createMessage
+   */
+  route(message) {
+    const matched = this.routes.filter((route) => matchesRoute(route, message))
+    const names = matched.length
+      ? matched.flatMap((route) => route.channels || [])
+      : this.defaultChannels
+    return Array.from(new Set(names)).filter((name) => this.channels[name])
+  }
+
+  /**
+   * Send a message to its channels. Failures are logged and returned, never
+   * thrown, so a broken channel can't fail a crawl.
+   * @param {Object|string} input - Message (see utils/notificationMessage.js)
+   * @param {Object} options - { channels } bypasses routing
+   * @returns {Array} [{ channel, ok, error }]
+   */
+  async notify(input, options = {}) {
+    const message = createMessage(input)
+    const names = options.channels || this.route(message)
+
+    return Promise.all(
+      names.map(async (name) => {
+        const channel = this.channels[name]
+        try {
+          if (!channel) throw new Error('channel is not configured')
+          await channel.send(message)
+          console.log(`📣 Sent "${message.title}" to ${channel.describe()}`)
+          return { channel: name, ok: true }
+        } catch (error) {
+          console.error(
+            `❌ Failed to notify ${name} about "${message.title}":`,
+            error.message
+          )
+          return { channel: name, ok: false, error: error.message }
+        }
+      })
+    )
+  }
+}
+
+let defaultNotifier = null
+
+/**
+ * Send a message through the notifier configured by notifications.json
+ * @param {Object|string} message - Message (see utils/notificationMessage.js)
+ * @param {Object} options - See Notifier#notify
+ */
+async function notify(message, options) {
+  try {
+    defaultNotifier = defaultNotifier || new Notifier()
+  } catch (error) {
+    console.error('❌ Notifier is not configured:', error.message)
+    return []
+  }
+  return defaultNotifier.notify(message, options)
+}
+
+module.exports = {
+  NOTIFICATIONS_PATH,
+  Notifier,
+  loadNotifierConfig,
+  notify,
+}
@@ -0,0 +1,255 @@
+const PriceHistory = require('../models/PriceHistory')
+const { getCurrentCrawlRun, writeLedger } = require('./crawlRunLedger')
+const { recordStockEvents, writeStockEventFeed } = require('./stockEvents')
+
+// Price history
+//
+// Product documents only keep the latest prices, so every crawl and recrawl
+// also records the price of each catalog variant in the PriceHistory
+// collection, stamped with the crawl run that saw it. Crawlers record the
+// products of their catalog next to writing it (recordPriceHistory, or a
+// PriceHistoryRecorder fed one product at a time when the catalog is
+// streamed); nothing is recorded outside a tracked crawl run. Each batch is
+// also checked for stock transitions (see utils/stockEvents.js).
+
+/**
+ * Buffers the prices of catalog products and writes them in batches
+ */
+class PriceHistoryRecorder {
+  /**
+   * @param {Object} options - { batchSize }
+   */
+  constructor(options = {}) {
+    this.run = getCurrentCrawlRun()
+    this.batchSize = options.batchSize || 1000
+    this.pending = []
+    this.recorded = 0
+    this.events = []
+
+    // Catalogs can be written more than once per run, record each variant once
+    if (this.run && !this.run.pricedVariants) {
+      this.run.pricedVariants = new Set()
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.run && this.run.id)
+  }
+
+  /**
+   * Queue the variant prices of one catalog product
+   * @param {Object} product - Catalog product
+   */
+  async add(product) {
+    if (!this.enabled || !product || !Array.isArray(product.variants)) return
+    // Recrawl catalogs keep deleted products, they have no current price
+    if (product.operation_type === 'DELETE') return
+
+    product.variants.forEach((variant) => {
+      if (!variant || !variant.variant_id) return
+      if (variant.operation_type === 'DELETE') return
+
+      const key = `${product.retailer_domain}:${variant.variant_id}`
+      if (this.run.pricedVariants.has(key)) return
+      this.run.pricedVariants.add(key)
+
+      const point = {
+        variant_id: String(variant.variant_id),
+        parent_product_id: String(product.parent_product_id),
+        retailer_domain: product.retailer_domain,
+        price_currency: variant.price_currency,
+        original_price: variant.original_price,
+        sale_price: variant.sale_price,
+        final_price: variant.final_price,
+        is_in_stock: variant.is_in_stock,
+        crawl_run: this.run.id,
+        crawl_type: this.run.crawlType,
+        recorded_at: this.run.startedAt,
+      }
+      const details = {
+        name: product.name,
+        size: variant.size,
+        color: variant.color,
+        link_url: variant.link_url,
+      }
+      this.pending.push({ point, details })
+    })
+
+    if (this.pending.length >= this.batchSize) {
+      await this.flush()
+    }
+  }
+
+  /**
+   * Write the queued prices and the stock events they reveal
+   */
+  async flush() {
+    if (this.pending.length === 0) return
+
+    const entries = this.pending
+    this.pending = []
+
+    // Compared with earlier runs only, so this can run before the insert
+    this.events.push(...(await recordStockEvents(entries, this.run)))
+
+    const points = entries.map(({ point }) => point)
+    const inserted = await writeLedger(
+      'record price history',
+      (Model) => Model.insertMany(points, { ordered: false }),
+      PriceHistory
+    )
+    if (inserted) this.recorded += points.length
+  }
+
+  /**
+   * Flush the queued prices and write stock-events.jsonl
+   * @param {Object} options - { feedDir } catalog folder to write
+   *   stock-events.jsonl into
+   * @returns {number} Prices recorded
+   */
+  async finish(options = {}) {
+    if (this.enabled) {
+      await this.flush()
+      console.log(
+        `📈 Recorded ${this.recorded} variant prices, ${this.events.length} stock events`
+      )
+    }
+
+    if (options.feedDir) {
+      await writeStockEventFeed(options.feedDir, this)
+    }
+    return this.recorded
+  }
+}
+
+/**
+ * Record the variant prices of a list of catalog products
+ * @param {Array} products - Catalog products
+ * @param {Object} options - { feedDir } catalog folder to write
+ *   stock-events.jsonl into
+ */
+async function recordPriceHistory(products, options = {}) {
+  const recorder = new PriceHistoryRecorder()
+
+  if (recorder.enabled) {
+    for (const product of products) {
+      await recorder.add(product)
+    }
+  }
+  return recorder.finish(options)
+}
+
+/**
+ * Price time series of a variant, oldest first
+ * @param {string} variantId - Variant id
+ * @param {Object} options - { retailerDomain, since, limit }
+ */
+async function getPriceHistory(variantId, options = {}) {
+  const query = { variant_id: String(variantId) }
+  if (options.retailerDomain) query.retailer_domain = options.retailerDomain
+  if (options.since) query.recorded_at = { $gte: new Date(options.since) }
+
+  const points = await PriceHistory.find(query)
+    .sort({ recorded_at: -1 })
+    .limit(options.limit || 0)
+    .lean()
+
+  return points.reverse()
+}
+
+/**
+ * Start times of the most recent crawl runs that recorded prices for a retailer
+ * @param {string} retailerDomain - Retailer domain
+ * @param {number} count - Number of runs
+ */
+async function getRecentPriceRuns(retailerDomain, count = 2) {
+  const runs = await PriceHistory.aggregate([
+    { $match: { retailer_domain: retailerDomain } },
+    { $group: { _id: '$recorded_at' } },
+    { $sort: { _id: -1 } },
+    { $limit: count },
+  ])
+  return runs.map((run) => run._id)
+}
+
+/**
+ * Variants of a retailer whose final_price dropped by more than minDropPercent
+ * between its last two crawl runs, biggest drops first
+ * @param {string} retailerDomain - Retailer domain
+ * @param {number} minDropPercent - Minimum drop in percent
+ */
+async function findRetailerPriceDrops(retailerDomain, minDropPercent) {
+  const [latestRunAt, previousRunAt] = await getRecentPriceRuns(retailerDomain)
+  const report = {
+    retailer_domain: retailerDomain,
+    latest_run_at: latestRunAt || null,
+    previous_run_at: previousRunAt || null,
+    drops: [],
+  }
+  if (!previousRunAt) return report
+
+  const previousPrices = new Map()
+  const previousPoints = PriceHistory.find(
+    { retailer_domain: retailerDomain, recorded_at: previousRunAt },
+    { variant_id: 1, final_price: 1 }
+  )
+    .lean()
+    .cursor()
+  for await (const point of previousPoints) {
+    previousPrices.set(point.variant_id, point.final_price)
+  }
+
+  const latestPoints = PriceHistory.find({
+    retailer_domain: retailerDomain,
+    recorded_at: latestRunAt,
+  })
+    .lean()
+    .cursor()
+  for await (const point of latestPoints) {
+    const previousPrice = previousPrices.get(point.variant_id)
+    if (!previousPrice || !point.final_price) continue
+
+    const dropPercent =
+      ((previousPrice - point.final_price) / previousPrice) * 100
+    if (dropPercent > minDropPercent) {
+      report.drops.push({
+        variant_id: point.variant_id,
+        parent_product_id: point.parent_product_id,
+        price_currency: point.price_currency,
+        previous_price: previousPrice,
+        final_price: point.final_price,
+        drop_percent: Math.round(dropPercent * 100) / 100,
+      })
+    }
+  }
+
+  report.drops.sort((a, b) => b.drop_percent - a.drop_percent)
+  return report
+}
+
+/**
+ * Price drops since the last run, per retailer_domain
+ * @param {Object} options - { retailerDomain, minDropPercent } (all retailers
+ *   when retailerDomain is omitted, 10% by default)
+ */
+async function findPriceDrops(options = {}) {
+  const minDropPercent =
+    options.minDropPercent === undefined ? 10 : Number(options.minDropPercent)
+  const retailerDomains = options.retailerDomain
+    ? [options.retailerDomain]
+    : (await PriceHistory.distinct('retailer_domain')).sort()
+
+  const reports = []
+  for (const retailerDomain of retailerDomains) {
+    reports.push(await findRetailerPriceDrops(retailerDomain, minDropPercent))
+  }
+  return reports
+}
+
+module.exports = {
+  PriceHistoryRecorder,
+  recordPriceHistory,
+  getPriceHistory,
+  getRecentPriceRuns,
+  findPriceDrops,
+}
@@ -0,0 +1,163 @@
+const Product = require('../models/Product')
+const Store = require('../models/Store')
+const {
+  storeProductsFilter,
+  moveToDeletedProducts,
+  moveStoresToDeletedProducts,
+  unlinkPurgedProducts,
+} = require('./storeProducts')
+
+// Product and store lifecycle
+//
+// Deleting happens in two steps. A soft delete stamps deletedAt and tags the
+// product DELETE, so it drops out of recrawls (see utils/storeProducts.js) but
+// is kept for audits. purgeDeletedDocuments removes soft-deleted products and
+// stores for good once they are older than the retention window.
+
+const DEFAULT_RETENTION_DAYS =
+  parseInt(process.env.PRODUCT_RETENTION_DAYS, 10) || 30
+
+// Products removed per round trip when purging
+const PURGE_BATCH_SIZE = 1000
+
+// Stamp deletedAt on the live products matching filter
+async function softDeleteMatching(filter, now) {
+  const result = await Product.updateMany(
+    { ...filter, deletedAt: null },
+    {
+      $set: {
+        deletedAt: now,
+        operation_type: 'DELETE',
+        'variants.$[].operation_type': 'DELETE',
+      },
+    }
+  )
+  return result.modifiedCount
+}
+
+/**
+ * Soft-delete products
+ * @param {Array} productIds - Product ObjectIds (or their string form)
+ * @param {Date} now - Deletion time
+ * @returns {number} Products that were not deleted before
+ */
+async function softDeleteProducts(productIds, now = new Date()) {
+  const ids = productIds.filter(Boolean)
+  if (ids.length === 0) return 0
+
+  const deleted = await softDeleteMatching({ _id: { $in: ids } }, now)
+  await moveToDeletedProducts(ids)
+  return deleted
+}
+
+/**
+ * Soft-delete stores together with all of their products
+ * @param {Array} stores - Store documents ({ _id })
+ * @param {Date} now - Deletion time
+ * @returns {Object} { stores, products } counts of newly deleted documents
+ */
+async function softDeleteStores(stores, now = new Date()) {
+  const storeIds = stores.map((store) => store._id)
+  const products = await softDeleteMatching(
+    storeProductsFilter(storeIds, { includeDeleted: true }),
+    now
+  )
+
+  const result = await Store.updateMany(
+    { _id: { $in: storeIds }, deletedAt: null },
+    { $set: { deletedAt: now } }
+  )
+  await moveStoresToDeletedProducts(storeIds)
+
+  return { stores: result.modifiedCount, products }
+}
+
+/**
+ * Find the soft-deleted products and stores older than the retention window
+ * @param {Object} options - { retentionDays, now }
+ * @returns {Object} { cutoff, products, retailers: [{ retailer, count,
+ *   oldest }], stores }
+ */
+async function findPurgeCandidates(options = {}) {
+  const retentionDays =
+    options.retentionDays === undefined
+      ? DEFAULT_RETENTION_DAYS
+      : options.retentionDays
+  const now = options.now || new Date()
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000)
+
+  const retailers = await Product.aggregate([
+    { $match: { deletedAt: { $lte: cutoff } } },
+    {
+      $group: {
+        _id: '$retailer_domain',
+        count: { $sum: 1 },
+        oldest: { $min: '$deletedAt' },
+      },
+    },
+    { $sort: { count: -1 } },
+  ])
+  const stores = await Store.find(
+    { deletedAt: { $lte: cutoff } },
+    { name: 1, storeUrl: 1, deletedAt: 1 }
+  ).lean()
+
+  return {
+    cutoff,
+    products: retailers.reduce((total, retailer) => total + retailer.count, 0),
+    retailers: retailers.map(({ _id, count, oldest }) => ({
+      retailer: _id,
+      count,
+      oldest,
+    })),
+    stores,
+  }
+}
+
+/**
+ * Remove soft-deleted products and stores older than the retention window
+ * @param {Object} options - { retentionDays, now, dryRun }; dryRun only
+ *   reports what would be removed
+ * @returns {Object} Candidates (see findPurgeCandidates) plus the removed
+ *   counts
+ */
+async function purgeDeletedDocuments(options = {}) {
+  const candidates = await findPurgeCandidates(options)
+  const result = { ...candidates, purgedProducts: 0, purgedStores: 0 }
+  if (options.dryRun) return result
+
+  for (;;) {
+    const batch = await Product.find(
+      { deletedAt: { $lte: candidates.cutoff } },
+      { _id: 1, store: 1 }
+    )
+      .limit(PURGE_BATCH_SIZE)
+      .lean()
+    if (batch.length === 0) break
+
+    const deleted = await Product.deleteMany({
+      _id: { $in: batch.map((product) => product._id) },
+    })
+    if (deleted.deletedCount === 0) break
+    await unlinkPurgedProducts(batch)
+    result.purgedProducts += deleted.deletedCount
+    console.log(`🗑️  Purged ${result.purgedProducts} products...`)
+  }
+
+  if (candidates.stores.length > 0) {
+    const deleted = await Store.deleteMany({
+      _id: { $in: candidates.stores.map((store) => store._id) },
+    })
+    result.purgedStores = deleted.deletedCount
+  }
+
+  return result
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  softDeleteProducts,
+  softDeleteStores,
+  findPurgeCandidates,
+  purgeDeletedDocuments,
+}
@@ -0,0 +1,86 @@
+// Retailer adapter contract
+//
+// An adapter only holds the site-specific pieces of a crawl. The runner in
+// utils/catalogRunner.js takes care of Mongo persistence, catalog output and
+// upload for every adapter.
+//
+//   {
+//     name: 'nike',                       // key used by `catalog crawl <name>`
+//     store: {                            // Store document + store_info header
+//       name, domain, storeType, storeUrl, storeTemplate,
+//       currency, country, returnPolicy, tags,
+//     },
+//     listCategories: async () => [category],
+//     listProducts: async (category) => [item],
+//     fetchDetails: async (item, category) => details,          // optional
+//     mapToCatalogProduct: (item, details, category) => product, // null skips
+//     getProductKey: (item) => string,                          // optional
+//   }
+
+const REQUIRED_METHODS = [
+  'listCategories',
+  'listProducts',
+  'fetchDetails',
+  'mapToCatalogProduct',
+]
+
+const REQUIRED_STORE_FIELDS = ['name', 'domain', 'storeType', 'storeUrl']
+
+/**
+ * Fill in the optional store fields
+ * @param {string} name - Adapter / retailer key
+ * @param {Object} store - Store definition
+ */
+function withStoreDefaults(name, store) {
+  return {
+    currency: 'USD',
+    country: 'US',
+    storeTemplate: `${name}-template`,
+    returnPolicy: '',
+    tags: [],
+    ...store,
+  }
+}
+
+/**
+ * Validate an adapter and fill in the optional hooks
+ * @param {Object} adapter - Retailer adapter definition
+ */
+function defineAdapter(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Retailer adapter must have a name')
+  }
+
+  const withDefaults = {
+    fetchDetails: async () => null,
+    getProductKey: (item) => String(item.id),
+    ...adapter,
+    store: withStoreDefaults(adapter.name, adapter.store),
+  }
+
+  const missingMethods = REQUIRED_METHODS.filter(
+    (method) => typeof withDefaults[method] !== 'function'
+  )
+  if (missingMethods.length > 0) {
+    throw new Error(
+      `Retailer adapter "${adapter.name}" is missing: ${missingMethods.join(
+        ', '
+      )}`
+    )
+  }
+
+  const missingStoreFields = REQUIRED_STORE_FIELDS.filter(
+    (field) => !withDefaults.store[field]
+  )
+  if (missingStoreFields.length > 0) {
+    throw new Error(
+      `Retailer adapter "${
+        adapter.name
+      }" store is missing: ${missingStoreFields.join(', ')}`
+    )
+  }
+
+  return withDefaults
+}
+
+module.exports = { defineAdapter, withStoreDefaults, REQUIRED_METHODS }
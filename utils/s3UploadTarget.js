@@ -0,0 +1,310 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { PassThrough } = require('stream')
+const axios = require('axios')
+const { UploadTarget } = require('./uploadTarget')
+require('dotenv').config()
+
+// Upload target for S3-compatible object stores (AWS S3, MinIO, ...)
+//
+// Requests are signed with AWS Signature Version 4. Set S3_ENDPOINT (e.g.
+// http://localhost:9000) for MinIO-style servers, which are addressed
+// path-style; without it the AWS virtual-hosted endpoint of S3_REGION is used.
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex')
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest()
+}
+
+// RFC 3986 encoding as required by SigV4
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  )
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * @param {Object} request - { method, url, headers, payloadHash }
+ * @param {Object} credentials - { region, accessKeyId, secretAccessKey }
+ * @param {Date} date - Signing time
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signS3Request(request, credentials, date = new Date()) {
+  const url = new URL(request.url)
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')
+  const dateStamp = amzDate.slice(0, 8)
+
+  const headers = {
+    ...request.headers,
+    host: url.host,
+    'x-amz-content-sha256': request.payloadHash,
+    'x-amz-date': amzDate,
+  }
+
+  const signedHeaderNames = Object.keys(headers)
+    .map((name) => name.toLowerCase())
+    .sort()
+  const lowerCaseHeaders = {}
+  Object.keys(headers).forEach((name) => {
+    lowerCaseHeaders[name.toLowerCase()] = String(headers[name]).trim()
+  })
+
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&')
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname
+      .split('/')
+      .map((segment) => encodeRfc3986(decodeURIComponent(segment)))
+      .join('/'),
+    canonicalQuery,
+    signedHeaderNames
+      .map((name) => `${name}:${lowerCaseHeaders[name]}\n`)
+      .join(''),
+    signedHeaderNames.join(';'),
+    request.payloadHash,
+  ].join('\n')
+
+  const scope = `${dateStamp}/${credentials.region}/s3/aws4_request`
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256Hex(canonicalRequest),
+  ].join('\n')
+
+  const signingKey = [credentials.region, 's3', 'aws4_request'].reduce(
+    (key, value) => hmac(key, value),
+    hmac(`AWS4${credentials.secretAccessKey}`, dateStamp)
+  )
+  const signature = crypto
+    .createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex')
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${
+      credentials.accessKeyId
+    }/${scope}, SignedHeaders=${signedHeaderNames.join(
+      ';'
+    )}, Signature=${signature}`,
+  }
+}
+
+class S3UploadTarget extends UploadTarget {
+  /**
+   * @param {Object} config - { endpoint, region, bucket, prefix,
+   *   accessKeyId, secretAccessKey, verify }
+   */
+  constructor(config = {}) {
+    super({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      prefix: process.env.S3_PREFIX || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      verify: process.env.UPLOAD_VERIFY || 'size',
+      ...config,
+    })
+  }
+
+  getKey(remotePath) {
+    return path.posix.join(this.config.prefix, remotePath)
+  }
+
+  getUrl(key = '') {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/')
+    if (this.config.endpoint) {
+      const endpoint = this.config.endpoint.replace(/\/+$/, '')
+      return `${endpoint}/${this.config.bucket}/${encodedKey}`
+    }
+    return `https://${this.config.bucket}.s3.${this.config.region}.amazonaws.com/${encodedKey}`
+  }
+
+  /**
+   * Send a signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key ('' for the bucket)
+   * @param {Object} options - { data, headers, payloadHash, responseType }
+   */
+  async request(method, key, options = {}) {
+    const url = this.getUrl(key)
+    const headers = signS3Request(
+      {
+        method,
+        url,
+        headers: options.headers || {},
+        payloadHash: options.payloadHash || sha256Hex(''),
+      },
+      this.config
+    )
+
+    return axios({
+      method,
+      url,
+      headers,
+      data: options.data,
+      responseType: options.responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true,
+    })
+  }
+
+  async checkResponse(response, action) {
+    if (response.status >= 200 && response.status < 300) return response
+
+    let body = response.data
+    if (body && typeof body.pipe === 'function') {
+      body.resume()
+      body = ''
+    }
+    throw new Error(
+      `S3 ${action} failed with HTTP ${response.status}${
+        body ? `: ${String(body).slice(0, 200)}` : ''
+      }`
+    )
+  }
+
+  async connect() {
+    try {
+      if (this.isConnected) return true
+
+      if (
+        !this.config.bucket ||
+        !this.config.accessKeyId ||
+        !this.config.secretAccessKey
+      ) {
+        throw new Error(
+          'Missing S3 configuration. Please check S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY environment variables.'
+        )
+      }
+
+      console.log(`📡 Connecting to S3 bucket: ${this.getDestination('')}`)
+      await this.checkResponse(
+        await this.request('HEAD', ''),
+        `bucket check of ${this.config.bucket}`
+      )
+      this.isConnected = true
+      console.log('✅ Connected to S3 bucket successfully')
+      return true
+    } catch (error) {
+      console.error('❌ Failed to connect to S3 bucket:', error.message)
+      throw error
+    }
+  }
+
+  async disconnect() {
+    this.isConnected = false
+  }
+
+  // Object stores have no directories
+  async ensureDirectoryExists() {
+    return true
+  }
+
+  getDestination(remotePath) {
+    return `s3://${this.config.bucket}/${this.getKey(remotePath)}`
+  }
+
+  async putFile(localFilePath, remoteFilePath) {
+    const { size } = await fs.promises.stat(localFilePath)
+    await this.checkResponse(
+      await this.request('PUT', this.getKey(remoteFilePath), {
+        data: fs.createReadStream(localFilePath),
+        headers: { 'content-length': size },
+        payloadHash: 'UNSIGNED-PAYLOAD',
+      }),
+      `upload of ${remoteFilePath}`
+    )
+  }
+
+  async putContent(buffer, remoteFilePath) {
+    await this.checkResponse(
+      await this.request('PUT', this.getKey(remoteFilePath), {
+        data: buffer,
+        headers: { 'content-length': buffer.length },
+        payloadHash: sha256Hex(buffer),
+      }),
+      `upload of ${remoteFilePath}`
+    )
+  }
+
+  /**
+   * Objects only become visible once their PUT completes, so files are
+   * uploaded under their final key and removed again if verification fails
+   */
+  async putAtomic(localFilePath, remoteFilePath, expected = null) {
+    await this.putFile(localFilePath, remoteFilePath)
+    if (!expected) return
+
+    try {
+      await this.verifyUpload(remoteFilePath, expected)
+    } catch (error) {
+      await this.deleteFile(remoteFilePath).catch(() => {})
+      throw error
+    }
+  }
+
+  async stat(remoteFilePath) {
+    const response = await this.checkResponse(
+      await this.request('HEAD', this.getKey(remoteFilePath)),
+      `stat of ${remoteFilePath}`
+    )
+    return { size: parseInt(response.headers['content-length'], 10) }
+  }
+
+  createReadStream(remoteFilePath) {
+    const output = new PassThrough()
+    this.request('GET', this.getKey(remoteFilePath), { responseType: 'stream' })
+      .then((response) =>
+        this.checkResponse(response, `download of ${remoteFilePath}`)
+      )
+      .then((response) => {
+        response.data.on('error', (error) => output.destroy(error))
+        response.data.pipe(output)
+      })
+      .catch((error) => output.destroy(error))
+    return output
+  }
+
+  async exists(remoteFilePath) {
+    const response = await this.request('HEAD', this.getKey(remoteFilePath))
+    if (response.status === 404) return false
+    await this.checkResponse(response, `stat of ${remoteFilePath}`)
+    return true
+  }
+
+  async deleteFile(remoteFilePath) {
+    await this.checkResponse(
+      await this.request('DELETE', this.getKey(remoteFilePath)),
+      `delete of ${remoteFilePath}`
+    )
+  }
+
+  async testConnection() {
+    try {
+      console.log('🧪 Testing S3 connection...')
+      await this.connect()
+      await this.disconnect()
+      return true
+    } catch (error) {
+      console.error('❌ Connection test failed:', error.message)
+      return false
+    }
+  }
+}
+
+module.exports = S3UploadTarget
+module.exports.signS3Request = signS3Request
@@ -0,0 +1,127 @@
+const path = require('path')
+const { fork } = require('child_process')
+
+// Jobs the scheduler (reCrawlCron.js) can run, by job type and retailer
+//
+// Each entry names the upload-catalogs.js function behind the matching
+// `node upload-catalogs.js <command>`, so a scheduled job does exactly what
+// the command does. upload-catalogs.js loads every crawler, so it is only
+// required once a job is resolved.
+
+const RUNNER_PATH = path.join(__dirname, 'jobRunner.js')
+
+const JOB_TYPES = ['crawl', 'recrawl', 'upload']
+
+const CRAWL_JOBS = {
+  custom: 'processAllCustomCatalogs',
+  everlane: 'processEverlaneCatalog',
+  'good-american': 'processGoodAmericanCatalog',
+  walmart: 'processWalmartCatalog',
+  myntra: 'processMyntraCatalog',
+  zara: 'processZaraCatalog',
+  lulus: 'processLulusCatalog',
+  lululemon: 'processLululemonCatalog',
+  freepeople: 'processFreePeopleCatalog',
+  gap: 'processGapCatalog',
+  nike: 'processNikeCatalog',
+  adidas: 'processAdidasCatalog',
+  hm: 'processHMCatalog',
+  abercrombie: 'processAbercrombieAndFitchCatalog',
+  aritzia: 'processAritziaCatalog',
+  jcrew: 'processJCrewCatalog',
+}
+
+// The retailers processAllCustomCatalogs crawls one after another
+const CUSTOM_CATALOG_RETAILERS = Object.keys(CRAWL_JOBS).filter(
+  (retailer) => retailer !== 'custom'
+)
+
+// Retailers missing here fall back to processFirstCrawlRecrawlerAndUpload
+const RECRAWL_JOBS = {
+  shopify: 'processShopifyRecrawler',
+  everlane: 'processEverlaneRecrawlerAndUpload',
+  'good-american': 'processGoodAmericanRecrawlerAndUpload',
+  freepeople: 'processFreePeopleRecrawlerAndUpload',
+  lulus: 'processLulusRecrawlerAndUpload',
+  aritzia: 'processAritziaRecrawlerAndUpload',
+  lululemon: 'processLululemonRecrawlerAndUpload',
+}
+
+const UPLOAD_JOBS = {
+  shopify: 'uploadShopifyRecrawler',
+}
+
+/**
+ * Resolve a scheduled job to the function running it
+ * @param {Object} job - { retailer, type, args }; args are passed to the
+ *   function (e.g. the category id and page count of a walmart crawl)
+ * @returns {Function} Async function without arguments
+ */
+function resolveJobTask(job) {
+  const { retailer, type, args = [] } = job
+  const uploadCatalogs = () => require('../upload-catalogs')
+
+  const jobs =
+    { crawl: CRAWL_JOBS, recrawl: RECRAWL_JOBS, upload: UPLOAD_JOBS }[type] ||
+    {}
+  const functionName = jobs[retailer]
+  if (functionName) {
+    return () => uploadCatalogs()[functionName](...args)
+  }
+
+  if (type === 'recrawl') {
+    const { FIRST_CRAWL_RECRAWLERS, processFirstCrawlRecrawlerAndUpload } =
+      uploadCatalogs()
+    if (FIRST_CRAWL_RECRAWLERS[retailer]) {
+      return () => processFirstCrawlRecrawlerAndUpload(retailer)
+    }
+  }
+
+  if (!JOB_TYPES.includes(type)) {
+    throw new Error(
+      `Unknown job type "${type}". Available: ${JOB_TYPES.join(', ')}`
+    )
+  }
+  throw new Error(`No ${type} job for retailer "${retailer}"`)
+}
+
+/**
+ * Resolve a scheduled job to a function running it in a child process
+ * (utils/jobRunner.js, as queued jobs do). Crawlers share the global mongoose
+ * connection and close it when they finish, so jobs running side by side must
+ * not share a process.
+ * @param {Object} job - { retailer, type, args }
+ * @returns {Function} Async function resolving to { summary }
+ */
+function resolveJobProcess(job) {
+  // Unknown jobs fail here rather than in the child
+  resolveJobTask(job)
+
+  return () =>
+    new Promise((resolve, reject) => {
+      const child = fork(RUNNER_PATH, [], { stdio: 'inherit' })
+      let message = null
+
+      child.on('message', (value) => {
+        message = value
+      })
+      child.on('error', reject)
+      child.on('exit', (code) => {
+        if (message && message.error) {
+          reject(new Error(message.error))
+        } else if (code !== 0 || !message) {
+          reject(new Error(`Job process exited with code ${code}`))
+        } else {
+          resolve({ summary: message.summary })
+        }
+      })
+      child.send({ retailer: job.retailer, type: job.type, args: job.args })
+    })
+}
+
+module.exports = {
+  JOB_TYPES,
+  CUSTOM_CATALOG_RETAILERS,
+  resolveJobTask,
+  resolveJobProcess,
+}
@@ -0,0 +1,285 @@
+const fs = require('fs')
+const path = require('path')
+const cron = require('node-cron')
+
+// Job scheduler
+//
+// schedule.json maps retailer jobs (crawl, recrawl, upload) to cron
+// expressions and timezones. The Scheduler runs them at most
+// maxConcurrentJobs at a time (later jobs wait their turn), and never starts a
+// job while its previous run is still going: every run holds
+// output/locks/<job>.lock, which also keeps a second scheduler process from
+// running the same job. Jobs running side by side need a process each
+// (resolveJobProcess in utils/scheduleJobs.js), crawlers close the shared
+// mongoose connection when they finish.
+
+const SCHEDULE_PATH = path.join(__dirname, '..', 'schedule.json')
+const LOCK_DIR = path.join(__dirname, '..', 'output', 'locks')
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Read and validate the schedule config
+ * @param {string} filePath - Schedule file, schedule.json by default
+ * @param {Object} options - { resolveTask } checks that every job exists
+ * @returns {Object} { timezone, maxConcurrentJobs, jobs } with the defaults
+ *   applied to every job ({ name, retailer, type, cron, timezone, enabled,
+ *   args })
+ */
+function loadSchedule(filePath = SCHEDULE_PATH, options = {}) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  const timezone = config.timezone || 'UTC'
+  const schedule = {
+    timezone,
+    maxConcurrentJobs: config.maxConcurrentJobs || 1,
+    jobs: [],
+  }
+
+  const problems = []
+  if (!isValidTimezone(timezone)) {
+    problems.push(`unknown timezone "${timezone}"`)
+  }
+
+  const names = new Set()
+  ;(config.jobs || []).forEach((entry, index) => {
+    const job = {
+      name: entry.name || `${entry.retailer}-${entry.type}`,
+      retailer: entry.retailer,
+      type: entry.type,
+      cron: entry.cron,
+      timezone: entry.timezone || timezone,
+      enabled: entry.enabled !== false,
+      args: entry.args || [],
+    }
+    const label = `job ${index + 1} (${job.name})`
+
+    if (!job.retailer || !job.type) {
+      problems.push(`${label}: retailer and type are required`)
+    }
+    if (!job.cron || !cron.validate(job.cron)) {
+      problems.push(`${label}: invalid cron expression "${job.cron}"`)
+    }
+    if (!isValidTimezone(job.timezone)) {
+      problems.push(`${label}: unknown timezone "${job.timezone}"`)
+    }
+    if (names.has(job.name)) {
+      problems.push(`${label}: duplicate job name`)
+    }
+    names.add(job.name)
+
+    if (options.resolveTask && job.retailer && job.type) {
+      try {
+        options.resolveTask(job)
+      } catch (error) {
+        problems.push(`${label}: ${error.message}`)
+      }
+    }
+
+    schedule.jobs.push(job)
+  })
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid schedule ${filePath}:\n  - ${problems.join('\n  - ')}`
+    )
+  }
+  return schedule
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return error.code === 'EPERM'
+  }
+}
+
+/**
+ * Lock file of one job, created exclusively so only one run can hold it
+ */
+class JobLock {
+  /**
+   * @param {string} jobName - Job name, used as the file name
+   * @param {string} lockDir - Lock folder, output/locks by default
+   */
+  constructor(jobName, lockDir = LOCK_DIR) {
+    this.filePath = path.join(lockDir, `${jobName}.lock`)
+  }
+
+  /**
+   * Take the lock; false when another run holds it. Locks left by a process
+   * that no longer exists are taken over.
+   */
+  acquire() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+
+    try {
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ pid: process.pid, startedAt: new Date() }),
+        { flag: 'wx' }
+      )
+      return true
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error
+    }
+
+    const holder = this.read()
+    if (holder && isProcessAlive(holder.pid)) return false
+
+    console.log(
+      `🔓 Removing stale lock ${this.filePath} (pid ${
+        holder ? holder.pid : 'unknown'
+      } is gone)`
+    )
+    fs.rmSync(this.filePath, { force: true })
+    return this.acquire()
+  }
+
+  /**
+   * { pid, startedAt } of the run holding the lock, or null
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+    } catch (error) {
+      return null
+    }
+  }
+
+  release() {
+    fs.rmSync(this.filePath, { force: true })
+  }
+}
+
+/**
+ * Runs the jobs of a schedule on their cron expressions
+ */
+class Scheduler {
+  /**
+   * @param {Object} schedule - Schedule from loadSchedule
+   * @param {Object} options - { resolveTask } turns a job into an async
+   *   function, { lockDir } overrides output/locks, and the awaited hooks
+   *   { onStart(job), onFinish(job, result, durationMs),
+   *   onFailed(job, error, durationMs), onSkipped(job, reason) }
+   */
+  constructor(schedule, options = {}) {
+    this.schedule = schedule
+    this.resolveTask = options.resolveTask
+    this.lockDir = options.lockDir || LOCK_DIR
+    this.hooks = options
+    this.tasks = []
+    this.running = 0
+    this.queue = []
+  }
+
+  /**
+   * Register the cron tasks of every enabled job
+   */
+  start() {
+    this.schedule.jobs.forEach((job) => {
+      if (!job.enabled) {
+        console.log(`⏸️  ${job.name} is disabled`)
+        return
+      }
+
+      this.tasks.push(
+        cron.schedule(job.cron, () => this.trigger(job), {
+          scheduled: true,
+          timezone: job.timezone,
+        })
+      )
+      console.log(`🕐 ${job.name}: "${job.cron}" (${job.timezone})`)
+    })
+
+    console.log(
+      `📅 Scheduled ${this.tasks.length} job(s), ${this.schedule.maxConcurrentJobs} at a time`
+    )
+  }
+
+  stop() {
+    this.tasks.forEach((task) => task.stop())
+    this.tasks = []
+  }
+
+  /**
+   * Run a job now, unless its previous run is still queued or running
+   * @param {Object} job - Job of the schedule
+   * @returns {boolean} Whether the job ran
+   */
+  async trigger(job) {
+    const lock = new JobLock(job.name, this.lockDir)
+    if (!lock.acquire()) {
+      const holder = lock.read()
+      await this.callHook(
+        'onSkipped',
+        job,
+        `previous run is still going (pid ${holder && holder.pid}, started ${
+          holder && holder.startedAt
+        })`
+      )
+      return false
+    }
+
+    try {
+      await this.waitForSlot()
+      const startTime = Date.now()
+      await this.callHook('onStart', job)
+
+      try {
+        const result = await this.resolveTask(job)()
+        await this.callHook('onFinish', job, result, Date.now() - startTime)
+      } catch (error) {
+        await this.callHook('onFailed', job, error, Date.now() - startTime)
+      } finally {
+        this.releaseSlot()
+      }
+      return true
+    } finally {
+      lock.release()
+    }
+  }
+
+  // A failing hook (e.g. an unreachable Slack) never fails the job
+  async callHook(name, ...args) {
+    if (!this.hooks[name]) return
+    try {
+      await this.hooks[name](...args)
+    } catch (error) {
+      console.error(`⚠️ Scheduler ${name} hook failed:`, error.message)
+    }
+  }
+
+  async waitForSlot() {
+    if (this.running < this.schedule.maxConcurrentJobs) {
+      this.running++
+      return
+    }
+    // releaseSlot hands its slot straight to the next job in line
+    await new Promise((resolve) => this.queue.push(resolve))
+  }
+
+  releaseSlot() {
+    const next = this.queue.shift()
+    if (next) {
+      next()
+    } else {
+      this.running--
+    }
+  }
+}
+
+module.exports = {
+  SCHEDULE_PATH,
+  loadSchedule,
+  JobLock,
+  Scheduler,
+}
@@ -1,5 +1,6 @@
 const SFTPHelper = require('./sftpHelper')
 const path = require('path')
+const { parseUploadDate, SUCCESS_MARKER } = require('./uploadTarget')
 
 class SFTPDeleteHelper extends SFTPHelper {
   /**
@@ -78,22 +79,26 @@ class SFTPDeleteHelper extends SFTPHelper {
   }
 
   /**
-   * Delete the 24-JUN-2025 folder and all its contents
+   * Delete a dated upload folder (DD-MMM-YYYY) and all its contents
+   * @param {string} folderName - Dated folder, e.g. 24-JUN-2025
    */
-  async deleteJune24Folder() {
+  async deleteDatedFolder(folderName) {
     try {
-      console.log('🚀 Starting deletion of 24-JUN-2025 folder...')
+      if (!parseUploadDate(folderName)) {
+        throw new Error(`Not a DD-MMM-YYYY upload folder: ${folderName}`)
+      }
+
+      console.log(`🚀 Starting deletion of ${folderName} folder...`)
 
       if (!this.isConnected) {
         await this.connect()
       }
 
-      const targetFolder = '24-JUN-2025'
-      const success = await this.deleteDirectoryRecursively(targetFolder)
+      const success = await this.deleteDirectoryRecursively(folderName)
 
       if (success) {
         console.log(
-          '✅ Successfully deleted 24-JUN-2025 folder and all contents'
+          `✅ Successfully deleted ${folderName} folder and all contents`
         )
       } else {
         console.log('⚠️  Deletion completed with warnings')
@@ -101,11 +106,214 @@ class SFTPDeleteHelper extends SFTPHelper {
 
       return success
     } catch (error) {
-      console.error('❌ Failed to delete 24-JUN-2025 folder:', error.message)
+      console.error(`❌ Failed to delete ${folderName} folder:`, error.message)
       throw error
     }
   }
 
+  /**
+   * Directories of a remote directory
+   * @param {string} remotePath - Remote directory path
+   */
+  async _listDirectories(remotePath) {
+    const items = await this.sftp.list(remotePath)
+    return items
+      .filter((item) => item.type === 'd')
+      .map((item) => item.name)
+      .sort()
+  }
+
+  /**
+   * Total size of the files below a remote directory
+   * @param {string} remotePath - Remote directory path
+   */
+  async getDirectorySize(remotePath) {
+    const items = await this.sftp.list(remotePath)
+    let total = 0
+
+    for (const item of items) {
+      total +=
+        item.type === 'd'
+          ? await this.getDirectorySize(path.posix.join(remotePath, item.name))
+          : item.size || 0
+    }
+
+    return total
+  }
+
+  /**
+   * Dated upload folders on the remote, newest first
+   * @returns {Array} [{ folder, date, drops: [{ store, path, complete }] }]
+   *   where store is <country>/<brand-country> and complete tells whether the
+   *   drop has its _SUCCESS marker
+   */
+  async listDatedFolders() {
+    try {
+      const folders = []
+
+      for (const name of await this._listDirectories('.')) {
+        const date = parseUploadDate(name)
+        if (!date) continue
+
+        const drops = []
+        for (const country of await this._listDirectories(name)) {
+          const countryPath = path.posix.join(name, country)
+          for (const store of await this._listDirectories(countryPath)) {
+            const storePath = path.posix.join(countryPath, store)
+            const files = await this.sftp.list(storePath)
+            drops.push({
+              store: path.posix.join(country, store),
+              path: storePath,
+              complete: files.some((file) => file.name === SUCCESS_MARKER),
+            })
+          }
+        }
+
+        folders.push({ folder: name, date, drops })
+      }
+
+      return folders.sort((a, b) => b.date - a.date)
+    } catch (error) {
+      console.error('❌ Error listing dated folders:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Work out which dated folders and store drops a retention policy removes
+   *
+   * A store drop is expired when its folder is older than maxAgeDays or when
+   * the store has keepDrops newer drops. The newest complete (_SUCCESS) drop
+   * of every store is always kept, so a store never loses its last good
+   * catalog. Dated folders whose drops all expire are removed as a whole.
+   * @param {Object} policy - { maxAgeDays, keepDrops, now }
+   * @returns {Array} [{ path, date, reason, size }]
+   */
+  async planRetention(policy = {}) {
+    const { maxAgeDays, keepDrops, now = new Date() } = policy
+    if (maxAgeDays === undefined && keepDrops === undefined) {
+      throw new Error('Retention policy needs maxAgeDays and/or keepDrops')
+    }
+    if (keepDrops !== undefined && keepDrops < 1) {
+      throw new Error(`keepDrops must be at least 1, got: ${keepDrops}`)
+    }
+
+    const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    if (maxAgeDays !== undefined) cutoff.setDate(cutoff.getDate() - maxAgeDays)
+
+    const folders = await this.listDatedFolders()
+    const dropsSeen = new Map()
+    const completeSeen = new Set()
+    const removals = []
+
+    for (const { folder, date, drops } of folders) {
+      const tooOld = maxAgeDays !== undefined && date < cutoff
+      const expired = drops.map((drop) => {
+        const newer = dropsSeen.get(drop.store) || 0
+        dropsSeen.set(drop.store, newer + 1)
+
+        if (drop.complete && !completeSeen.has(drop.store)) {
+          completeSeen.add(drop.store)
+          return null
+        }
+
+        if (tooOld) return { ...drop, reason: `older than ${maxAgeDays} days` }
+        if (keepDrops !== undefined && newer >= keepDrops) {
+          return { ...drop, reason: `beyond the last ${keepDrops} drops` }
+        }
+        return null
+      })
+
+      if (expired.every(Boolean) && (drops.length > 0 || tooOld)) {
+        const reason = tooOld
+          ? `older than ${maxAgeDays} days`
+          : `all drops beyond the last ${keepDrops}`
+        removals.push({ path: folder, date, reason })
+      } else {
+        expired
+          .filter(Boolean)
+          .forEach((drop) =>
+            removals.push({ path: drop.path, date, reason: drop.reason })
+          )
+      }
+    }
+
+    for (const removal of removals) {
+      removal.size = await this.getDirectorySize(removal.path)
+    }
+
+    return removals
+  }
+
+  /**
+   * Apply a retention policy to the dated upload folders
+   * @param {Object} policy - { maxAgeDays, keepDrops, now } (see planRetention)
+   * @param {Object} options - { dryRun } only prints what would be removed
+   * @returns {Object} { removals, totalSize, deleted }
+   */
+  async applyRetention(policy, options = {}) {
+    try {
+      if (!this.isConnected) {
+        await this.connect()
+      }
+
+      const removals = await this.planRetention(policy)
+      const totalSize = removals.reduce((sum, removal) => sum + removal.size, 0)
+
+      if (removals.length === 0) {
+        console.log('✅ Nothing to remove, all dated folders are retained')
+        return { removals, totalSize, deleted: 0 }
+      }
+
+      console.log(
+        `${options.dryRun ? '🔍 Would remove' : '🗑️  Removing'} ${
+          removals.length
+        } folder(s), ${this.formatFileSize(totalSize)}:`
+      )
+      removals.forEach((removal) => {
+        console.log(
+          `  📁 ${removal.path} (${this.formatFileSize(removal.size)}) - ${
+            removal.reason
+          }`
+        )
+      })
+
+      if (options.dryRun) {
+        return { removals, totalSize, deleted: 0 }
+      }
+
+      let deleted = 0
+      for (const removal of removals) {
+        if (await this.deleteDirectoryRecursively(removal.path)) deleted++
+        await this._removeEmptyParents(removal.path)
+      }
+
+      console.log(
+        `✅ Removed ${deleted} folder(s), freed ${this.formatFileSize(totalSize)}`
+      )
+      return { removals, totalSize, deleted }
+    } catch (error) {
+      console.error('❌ Failed to apply retention policy:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Remove the country and dated folders a deleted store drop left empty
+   * @param {string} remotePath - Deleted <date>/<country>/<store> path
+   */
+  async _removeEmptyParents(remotePath) {
+    let parent = path.posix.dirname(remotePath)
+    while (parent !== '.' && parent !== '/') {
+      const items = await this.sftp.list(parent)
+      if (items.length > 0) return
+
+      await this.sftp.rmdir(parent)
+      console.log(`🗂️  Deleted empty directory: ${parent}`)
+      parent = path.posix.dirname(parent)
+    }
+  }
+
   /**
    * List contents of a directory before deletion (for safety)
    * @param {string} remotePath - Remote directory path
@@ -1,15 +1,13 @@
 const Client = require('ssh2-sftp-client')
 const fs = require('fs')
 const path = require('path')
+const { UploadTarget } = require('./uploadTarget')
 require('dotenv').config()
 
-class SFTPHelper {
+class SFTPHelper extends UploadTarget {
   constructor() {
-    this.sftp = new Client()
-    this.isConnected = false
-
     // SFTP configuration from environment variables
-    this.config = {
+    super({
       host: process.env.SFTP_HOST,
       port: process.env.SFTP_PORT || 22,
       username: process.env.SFTP_USERNAME,
@@ -20,7 +18,11 @@ class SFTPHelper {
       retries: 3,
       retry_factor: 2,
       retry_minTimeout: 2000,
-    }
+      // 'size' re-stats uploaded files, 'checksum' also reads them back
+      verify: process.env.SFTP_VERIFY || 'size',
+    })
+    this.sftp = new Client()
+    this.isConnected = false
   }
 
   /**
@@ -74,6 +76,23 @@ class SFTPHelper {
     }
   }
 
+  /**
+   * Every upload worker needs its own SFTP session
+   */
+  createConnection() {
+    return new this.constructor()
+  }
+
+  /**
+   * Re-open the session with a fresh client, the old one may be broken
+   */
+  async reconnect() {
+    await this.disconnect()
+    this.sftp = new Client()
+    this.isConnected = false
+    await this.connect()
+  }
+
   /**
    * Create directory structure on remote server
    * @param {string} remotePath - Remote directory path (relative to SFTP root)
@@ -130,254 +149,52 @@ class SFTPHelper {
     }
   }
 
-  /**
-   * Upload a single file to SFTP server
-   * @param {string} localFilePath - Local file path
-   * @param {string} remoteFilePath - Remote file path
-   */
-  async uploadFile(localFilePath, remoteFilePath) {
-    try {
-      if (!fs.existsSync(localFilePath)) {
-        throw new Error(`Local file does not exist: ${localFilePath}`)
-      }
-
-      // Ensure remote directory exists
-      const remoteDir = path.dirname(remoteFilePath)
-      await this.ensureDirectoryExists(remoteDir)
-
-      console.log(`📤 Uploading: ${localFilePath} → ${remoteFilePath}`)
-
-      const fileStats = fs.statSync(localFilePath)
-      const fileSizeMB = (fileStats.size / (1024 * 1024)).toFixed(2)
-
-      const startTime = Date.now()
-      await this.sftp.fastPut(localFilePath, remoteFilePath)
-      const uploadTime = ((Date.now() - startTime) / 1000).toFixed(2)
-
-      console.log(
-        `✅ Upload completed: ${path.basename(
-          localFilePath
-        )} (${fileSizeMB}MB in ${uploadTime}s)`
-      )
-      return true
-    } catch (error) {
-      console.error(`❌ Failed to upload ${localFilePath}:`, error.message)
-      throw error
-    }
+  getDestination(remotePath) {
+    return `sftp://${this.config.host}/${remotePath}`
   }
 
-  /**
-   * Upload store catalog file (catalog.jsonl.gz only)
-   * @param {Object} storeInfo - Store information
-   * @param {Object} filePaths - Object containing file paths (must include jsonPath)
-   */
-  async uploadStoreCatalog(storeInfo, filePaths) {
-    try {
-      if (!this.isConnected) {
-        await this.connect()
-      }
-
-      const { brandName, url, region, countryCode } = storeInfo
-      const storeDomain = this.extractDomain(url)
-
-      // Format current date as DD-MMM-YYYY (e.g., 09-JUN-2025)
-      const now = new Date()
-      const day = now.getDate().toString().padStart(2, '0')
-      const monthNames = [
-        'JAN',
-        'FEB',
-        'MAR',
-        'APR',
-        'MAY',
-        'JUN',
-        'JUL',
-        'AUG',
-        'SEP',
-        'OCT',
-        'NOV',
-        'DEC',
-      ]
-      const month = monthNames[now.getMonth()]
-      const year = now.getFullYear()
-      const dateString = `${day}-${month}-${year}`
-
-      // Create remote directory structure: {date}/{countryCode}/{retailername-countryCode}/
-      const cleanBrandName = brandName.replace(/[^a-zA-Z0-9.-]/g, '-')
-      const storeRemotePath = path.posix.join(
-        dateString,
-        countryCode || 'US',
-        `${cleanBrandName}-${countryCode || 'US'}`
-      )
+  async putFile(localFilePath, remoteFilePath) {
+    await this.sftp.fastPut(localFilePath, remoteFilePath)
+  }
 
-      console.log(`\n🏪 Uploading catalog for: ${brandName}`)
-      console.log(`📍 Remote path: ${storeRemotePath}`)
+  async putContent(buffer, remoteFilePath) {
+    await this.sftp.put(buffer, remoteFilePath)
+  }
 
-      // Upload only catalog.jsonl.gz file
-      if (!filePaths.jsonPath || !fs.existsSync(filePaths.jsonPath)) {
-        throw new Error(
-          `Catalog file (jsonPath) not found or does not exist: ${filePaths.jsonPath}`
-        )
-      }
+  async stat(remoteFilePath) {
+    return this.sftp.stat(remoteFilePath)
+  }
 
-      const remoteJsonPath = path.posix.join(
-        storeRemotePath,
-        path.basename(filePaths.jsonPath)
-      )
+  createReadStream(remoteFilePath) {
+    return this.sftp.createReadStream(remoteFilePath)
+  }
 
-      // Upload the catalog file
-      await this.uploadFile(filePaths.jsonPath, remoteJsonPath)
+  async exists(remoteFilePath) {
+    return Boolean(await this.sftp.exists(remoteFilePath))
+  }
 
-      console.log(`✅ Successfully uploaded catalog for ${brandName}`)
-      return {
-        success: true,
-        storeDomain,
-        remotePath: storeRemotePath,
-        filesUploaded: 1,
-        uploadedFile: path.basename(filePaths.jsonPath),
-      }
-    } catch (error) {
-      console.error(
-        `❌ Failed to upload catalog for ${storeInfo.brandName}:`,
-        error.message
-      )
-      throw error
-    }
+  async deleteFile(remoteFilePath) {
+    await this.sftp.delete(remoteFilePath)
   }
 
   /**
-   * Upload multiple store catalogs
-   * @param {Array} stores - Array of store information with file paths
+   * Rename an uploaded .part file to its final name, replacing an older copy
+   * @param {string} partFilePath - Remote temporary path
+   * @param {string} remoteFilePath - Remote final path
    */
-  async uploadMultipleStores(stores) {
-    const results = {
-      successful: [],
-      failed: [],
-      total: stores.length,
-    }
-
+  async moveIntoPlace(partFilePath, remoteFilePath) {
     try {
-      // Validate input
-      if (!Array.isArray(stores) || stores.length === 0) {
-        throw new Error('No stores provided for upload')
-      }
-
-      await this.connect()
-
-      console.log(`🚀 Starting upload of ${stores.length} store catalogs...`)
-
-      for (let i = 0; i < stores.length; i++) {
-        const store = stores[i]
-
-        try {
-          // Validate store object
-          if (!store || !store.brandName) {
-            throw new Error('Invalid store object: missing brandName')
-          }
-
-          console.log(
-            `\n[${i + 1}/${stores.length}] Uploading: ${store.brandName}`
-          )
-
-          const uploadResult = await this.uploadStoreCatalog(
-            store,
-            store.filePaths || {}
-          )
-
-          results.successful.push({
-            ...store,
-            upload_result: uploadResult,
-          })
-
-          console.log(`✅ Successfully uploaded: ${store.brandName}`)
-        } catch (error) {
-          const errorMessage = error.message || 'Unknown error occurred'
-          console.error(
-            `❌ Failed to upload ${store.brandName || 'Unknown store'}:`,
-            errorMessage
-          )
-
-          results.failed.push({
-            ...store,
-            error: errorMessage,
-            timestamp: new Date().toISOString(),
-          })
-
-          // Continue to next store - don't let one failure stop the entire process
-          console.log(`⏭️  Continuing to next store...`)
-        }
-
-        // Add small delay between uploads to be respectful to the server
-        if (i < stores.length - 1) {
-          await new Promise((resolve) => setTimeout(resolve, 1000))
-        }
-      }
-
-      // Enhanced summary with more details
-      console.log(`\n📊 Upload Summary:`)
-      console.log(`  Total stores: ${results.total}`)
-      console.log(`  Successful: ${results.successful.length}`)
-      console.log(`  Failed: ${results.failed.length}`)
-
-      if (results.failed.length > 0) {
-        console.log(`\n❌ Failed stores:`)
-        results.failed.forEach((failedStore, index) => {
-          console.log(
-            `  ${index + 1}. ${failedStore.brandName || 'Unknown'}: ${
-              failedStore.error
-            }`
-          )
-        })
-      }
-
-      if (results.successful.length > 0) {
-        console.log(`\n✅ Successfully uploaded stores:`)
-        results.successful.forEach((successStore, index) => {
-          console.log(`  ${index + 1}. ${successStore.brandName}`)
-        })
-      }
-
-      return results
+      // Atomic replace where the server supports posix-rename@openssh.com
+      await this.sftp.posixRename(partFilePath, remoteFilePath)
+      return
     } catch (error) {
-      console.error('❌ Critical error in uploadMultipleStores:', error.message)
-
-      // Even if there's a critical error, return partial results if any stores were processed
-      if (results.successful.length > 0 || results.failed.length > 0) {
-        console.log(`⚠️  Returning partial results due to critical error`)
-        return {
-          ...results,
-          criticalError: error.message,
-        }
-      }
-
-      throw error
-    } finally {
-      // Always attempt to disconnect, even if there were errors
-      try {
-        await this.disconnect()
-      } catch (disconnectError) {
-        console.error('⚠️  Error during disconnect:', disconnectError.message)
-      }
+      // Plain SFTP rename refuses to overwrite, so remove the old copy first
     }
-  }
-
-  /**
-   * Extract domain from URL
-   * @param {string} url - URL to extract domain from
-   */
-  extractDomain(url) {
-    try {
-      const parsedUrl = new URL(url)
-      let domain = parsedUrl.hostname
-
-      if (domain.startsWith('www.')) {
-        domain = domain.substring(4)
-      }
 
-      return domain.replace(/[^a-zA-Z0-9.-]/g, '-')
-    } catch (error) {
-      // Fallback for invalid URLs
-      return url.replace(/[^a-zA-Z0-9.-]/g, '-')
+    if (await this.sftp.exists(remoteFilePath)) {
+      await this.sftp.delete(remoteFilePath)
     }
+    await this.sftp.rename(partFilePath, remoteFilePath)
   }
 
   /**
@@ -414,61 +231,6 @@ class SFTPHelper {
       return false
     }
   }
-
-  /**
-   * Upload existing catalog.jsonl.gz file with connection management
-   * @param {string} localFilePath - Local path to the catalog.jsonl.gz file
-   * @param {string} remotePath - Remote path where to upload the file
-   */
-  async uploadExistingCatalogFile(localFilePath, remotePath) {
-    try {
-      // Connect to SFTP server
-      await this.connect()
-
-      // Check if local file exists
-      if (!fs.existsSync(localFilePath)) {
-        throw new Error(`Local file does not exist: ${localFilePath}`)
-      }
-
-      // Get file stats for logging
-      const fileStats = fs.statSync(localFilePath)
-      const fileSizeKB = (fileStats.size / 1024).toFixed(2)
-
-      console.log(`📄 File size: ${fileSizeKB} KB`)
-      console.log(`📤 Uploading to: ${remotePath}`)
-
-      // Ensure remote directory exists
-      const remoteDir = path.dirname(remotePath)
-      await this.ensureDirectoryExists(remoteDir)
-
-      // Upload the file
-      const startTime = Date.now()
-      await this.sftp.fastPut(localFilePath, remotePath)
-      const uploadTime = ((Date.now() - startTime) / 1000).toFixed(2)
-
-      console.log(
-        `✅ Upload completed: ${path.basename(
-          localFilePath
-        )} (${fileSizeKB}KB in ${uploadTime}s)`
-      )
-
-      return {
-        success: true,
-        remotePath,
-        fileSize: fileSizeKB,
-        uploadTime: uploadTime,
-      }
-    } catch (error) {
-      console.error(`❌ Failed to upload ${localFilePath}:`, error.message)
-      return {
-        success: false,
-        error: error.message,
-      }
-    } finally {
-      // Always disconnect
-      await this.disconnect()
-    }
-  }
 }
 
 module.exports = SFTPHelper
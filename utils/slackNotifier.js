@@ -0,0 +1,117 @@
+const axios = require('axios')
+const { LEVEL_ICONS, formatMessageText } = require('./notificationMessage')
+
+// Slack channel of the notifier, posting with chat.postMessage
+
+const SLACK_POST_MESSAGE_URL = 'https://slack.com/api/chat.postMessage'
+
+// Slack limits section text to 3000 characters
+function truncate(text, length = 2900) {
+  return text.length > length ? `${text.slice(0, length)}…` : text
+}
+
+/**
+ * Block Kit rendering of a message: header, text, a two-column field table,
+ * details as a code block and links
+ * @param {Object} message - Message from createMessage
+ */
+function formatSlackBlocks(message) {
+  const blocks = [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${LEVEL_ICONS[message.level]} *${message.title}*`,
+      },
+    },
+  ]
+
+  if (message.text) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(message.text) },
+    })
+  }
+
+  const fieldNames = Object.keys(message.fields)
+  // A section holds at most 10 fields
+  for (let i = 0; i < fieldNames.length; i += 10) {
+    blocks.push({
+      type: 'section',
+      fields: fieldNames.slice(i, i + 10).map((name) => ({
+        type: 'mrkdwn',
+        text: `*${name}*\n${message.fields[name]}`,
+      })),
+    })
+  }
+
+  if (message.details) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `\`\`\`${truncate(message.details)}\`\`\``,
+      },
+    })
+  }
+
+  if (message.links.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: message.links
+            .map((link) => `<${link.url}|${link.label}>`)
+            .join(' • '),
+        },
+      ],
+    })
+  }
+
+  return blocks
+}
+
+class SlackNotifier {
+  /**
+   * @param {Object} config - { channel, token } (token defaults to SLACK_TOKEN)
+   */
+  constructor(config = {}) {
+    this.config = {
+      token: process.env.SLACK_TOKEN,
+      ...config,
+    }
+  }
+
+  describe() {
+    return `slack ${this.config.channel}`
+  }
+
+  async send(message) {
+    if (!this.config.token || !this.config.channel) {
+      throw new Error('Missing Slack configuration: SLACK_TOKEN and channel')
+    }
+
+    const response = await axios.post(
+      SLACK_POST_MESSAGE_URL,
+      {
+        channel: this.config.channel,
+        text: formatMessageText(message),
+        blocks: formatSlackBlocks(message),
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${this.config.token}`,
+          'Content-Type': 'application/json',
+        },
+      }
+    )
+
+    if (!response.data.ok) {
+      throw new Error(`Slack API error: ${response.data.error || 'unknown'}`)
+    }
+  }
+}
+
+module.exports = SlackNotifier
+module.exports.formatSlackBlocks = formatSlackBlocks
@@ -0,0 +1,237 @@
+const net = require('net')
+const tls = require('tls')
+const os = require('os')
+const crypto = require('crypto')
+
+// Minimal SMTP client for notification mail
+//
+// Speaks just enough SMTP for relays and local sinks: EHLO, STARTTLS when
+// offered (or implicit TLS with secure), AUTH PLAIN, and one multipart/
+// alternative message with a text and an HTML part.
+
+/**
+ * Reads SMTP replies from a socket, one reply per read() call
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs
+    this.socket = null
+    this.waiting = null
+    this.attach(socket)
+  }
+
+  /**
+   * Read replies from a socket; after STARTTLS the TLS socket replaces the
+   * plain one, which must no longer be read
+   * @param {net.Socket} socket - Connected socket
+   */
+  attach(socket) {
+    if (this.socket) {
+      this.socket.setTimeout(0)
+      Object.keys(this.handlers).forEach((event) =>
+        this.socket.removeListener(event, this.handlers[event])
+      )
+    }
+
+    this.socket = socket
+    this.buffer = ''
+    this.lines = []
+    this.error = null
+    this.handlers = {
+      data: (chunk) => {
+        this.buffer += chunk.toString('utf8')
+        let index
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+          this.lines.push(this.buffer.slice(0, index).replace(/\r$/, ''))
+          this.buffer = this.buffer.slice(index + 1)
+        }
+        this.deliver()
+      },
+      error: (error) => {
+        this.error = error
+        this.deliver()
+      },
+      close: () => {
+        this.error = this.error || new Error('SMTP connection closed')
+        this.deliver()
+      },
+    }
+
+    socket.setTimeout(this.timeoutMs, () =>
+      socket.destroy(new Error('SMTP connection timed out'))
+    )
+    Object.keys(this.handlers).forEach((event) =>
+      socket.on(event, this.handlers[event])
+    )
+  }
+
+  // A reply is complete at its "250 text" line (no dash after the code)
+  deliver() {
+    if (!this.waiting) return
+
+    const last = this.lines.findIndex((line) => /^\d{3}(?: |$)/.test(line))
+    if (last !== -1) {
+      const lines = this.lines.splice(0, last + 1)
+      const { resolve } = this.waiting
+      this.waiting = null
+      resolve({ code: parseInt(lines[last].slice(0, 3), 10), lines })
+    } else if (this.error) {
+      const { reject } = this.waiting
+      this.waiting = null
+      reject(this.error)
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject }
+      this.deliver()
+    })
+  }
+
+  /**
+   * Send a command (or nothing, for the greeting) and check the reply code
+   * @param {string|null} line - Command without CRLF
+   * @param {Array<number>} expected - Accepted reply codes
+   */
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`)
+
+    const reply = await this.read()
+    if (!expected.includes(reply.code)) {
+      // Never echo credentials back into logs
+      const sent = line && line.startsWith('AUTH') ? 'AUTH' : line
+      throw new Error(
+        `SMTP ${sent || 'greeting'} failed: ${reply.lines.join(' ')}`
+      )
+    }
+    return reply
+  }
+}
+
+function connect(config) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      host: config.host,
+      port: config.port,
+      servername: config.host,
+      rejectUnauthorized: config.rejectUnauthorized !== false,
+    }
+    const socket = config.secure
+      ? tls.connect(options, () => resolve(socket))
+      : net.connect(options, () => resolve(socket))
+    socket.once('error', reject)
+  })
+}
+
+function upgradeToTls(socket, config) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect(
+      {
+        socket,
+        servername: config.host,
+        rejectUnauthorized: config.rejectUnauthorized !== false,
+      },
+      () => resolve(secureSocket)
+    )
+    secureSocket.once('error', reject)
+  })
+}
+
+// "Catalog Bot <bot@example.com>" -> bot@example.com
+function getAddress(value) {
+  const match = /<([^>]+)>/.exec(value)
+  return (match ? match[1] : value).trim()
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`
+}
+
+function encodeBody(value) {
+  return Buffer.from(value, 'utf8')
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n')
+}
+
+/**
+ * Build the RFC 5322 message of a mail
+ * @param {Object} mail - { from, to, subject, text, html }
+ */
+function buildMimeMessage(mail) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`
+  const domain = getAddress(mail.from).split('@')[1] || os.hostname()
+
+  return [
+    `From: ${mail.from}`,
+    `To: ${mail.to.join(', ')}`,
+    `Subject: ${encodeHeader(mail.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(mail.text || ''),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(mail.html || ''),
+    `--${boundary}--`,
+  ].join('\r\n')
+}
+
+/**
+ * Send one mail
+ * @param {Object} config - { host, port, secure, startTls, user, pass,
+ *   timeoutMs, rejectUnauthorized }; startTls (default true) upgrades plain
+ *   connections when the server offers STARTTLS
+ * @param {Object} mail - { from, to: [addresses], subject, text, html }
+ */
+async function sendMail(config, mail) {
+  const timeoutMs = config.timeoutMs || 30000
+  const socket = await connect(config)
+  const connection = new SmtpConnection(socket, timeoutMs)
+  const hostname = os.hostname()
+
+  try {
+    await connection.command(null, [220])
+    let ehlo = await connection.command(`EHLO ${hostname}`, [250])
+
+    const offersStartTls = ehlo.lines.some((line) => /STARTTLS/i.test(line))
+    if (!config.secure && offersStartTls && config.startTls !== false) {
+      await connection.command('STARTTLS', [220])
+      connection.attach(await upgradeToTls(connection.socket, config))
+      ehlo = await connection.command(`EHLO ${hostname}`, [250])
+    }
+
+    if (config.user) {
+      const credentials = Buffer.from(
+        `\u0000${config.user}\u0000${config.pass || ''}`
+      ).toString('base64')
+      await connection.command(`AUTH PLAIN ${credentials}`, [235])
+    }
+
+    await connection.command(`MAIL FROM:<${getAddress(mail.from)}>`, [250])
+    for (const recipient of mail.to) {
+      await connection.command(`RCPT TO:<${getAddress(recipient)}>`, [250, 251])
+    }
+
+    await connection.command('DATA', [354])
+    // Base64 bodies never start a line with a dot, headers might
+    const body = buildMimeMessage(mail).replace(/^\./gm, '..')
+    await connection.command(`${body}\r\n.`, [250])
+
+    await connection.command('QUIT', [221]).catch(() => {})
+  } finally {
+    connection.socket.destroy()
+  }
+}
+
+module.exports = { sendMail, buildMimeMessage }
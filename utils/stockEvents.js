@@ -0,0 +1,185 @@
+const fs = require('fs')
+const path = require('path')
+const { once } = require('events')
+const { finished } = require('stream/promises')
+const PriceHistory = require('../models/PriceHistory')
+const StockEvent = require('../models/StockEvent')
+const { writeLedger } = require('./crawlRunLedger')
+
+// Stock events
+//
+// Product documents only keep the latest is_in_stock. Every price recorded in
+// PriceHistory carries the stock state too, so while a crawl records prices
+// each variant is compared with its last recorded state and SOLD_OUT /
+// BACK_IN_STOCK events are stored in the StockEvent collection. The events of
+// a run are also written as stock-events.jsonl next to catalog.jsonl.gz for
+// downstream alerting.
+
+const STOCK_EVENTS_FILE = 'stock-events.jsonl'
+
+function variantKey(retailerDomain, variantId) {
+  return `${retailerDomain}:${variantId}`
+}
+
+/**
+ * Compare freshly recorded prices with the last recorded stock state of each
+ * variant and store the transitions
+ * @param {Array} entries - { point, details } queued by PriceHistoryRecorder;
+ *   point is the PriceHistory document, details { name, size, color, link_url }
+ * @param {Object} run - Crawl run that recorded the prices
+ */
+async function recordStockEvents(entries, run) {
+  if (entries.length === 0) return []
+
+  const events = await writeLedger(
+    'detect stock events',
+    async (Model) => {
+      const previousStates = await Model.aggregate([
+        {
+          $match: {
+            variant_id: {
+              $in: [...new Set(entries.map(({ point }) => point.variant_id))],
+            },
+            recorded_at: { $lt: run.startedAt },
+          },
+        },
+        { $sort: { variant_id: 1, recorded_at: -1 } },
+        {
+          $group: {
+            _id: { variant_id: '$variant_id', retailer_domain: '$retailer_domain' },
+            is_in_stock: { $first: '$is_in_stock' },
+          },
+        },
+      ])
+
+      const wasInStock = new Map()
+      previousStates.forEach(({ _id, is_in_stock }) => {
+        wasInStock.set(variantKey(_id.retailer_domain, _id.variant_id), is_in_stock)
+      })
+
+      return entries
+        .filter(({ point }) => {
+          const key = variantKey(point.retailer_domain, point.variant_id)
+          return (
+            wasInStock.has(key) &&
+            Boolean(wasInStock.get(key)) !== Boolean(point.is_in_stock)
+          )
+        })
+        .map(({ point, details }) => ({
+          event_type: point.is_in_stock ? 'BACK_IN_STOCK' : 'SOLD_OUT',
+          variant_id: point.variant_id,
+          parent_product_id: point.parent_product_id,
+          retailer_domain: point.retailer_domain,
+          ...details,
+          price_currency: point.price_currency,
+          final_price: point.final_price,
+          crawl_run: point.crawl_run,
+          occurred_at: point.recorded_at,
+        }))
+    },
+    PriceHistory
+  )
+
+  if (!events || events.length === 0) return []
+
+  const inserted = await writeLedger(
+    'record stock events',
+    (Model) => Model.insertMany(events, { ordered: false }),
+    StockEvent
+  )
+  return inserted ? events : []
+}
+
+// One feed line per event, dates as ISO strings
+function toFeedRecord(event) {
+  return {
+    event_type: event.event_type,
+    occurred_at: new Date(event.occurred_at).toISOString(),
+    retailer_domain: event.retailer_domain,
+    parent_product_id: event.parent_product_id,
+    variant_id: event.variant_id,
+    name: event.name || '',
+    size: event.size || '',
+    color: event.color || '',
+    link_url: event.link_url || '',
+    final_price: event.final_price,
+    price_currency: event.price_currency,
+  }
+}
+
+/**
+ * Write the stock events of a run as stock-events.jsonl in a catalog folder
+ *
+ * When the run recorded no prices (no tracked run or MongoDB unreachable) an
+ * old feed is removed instead, so it is never shipped with a newer catalog.
+ * @param {string} dirPath - Catalog output directory
+ * @param {PriceHistoryRecorder} recorder - Recorder that saw the run's prices
+ */
+async function writeStockEventFeed(dirPath, recorder) {
+  const feedPath = path.join(dirPath, STOCK_EVENTS_FILE)
+
+  if (!recorder.enabled) {
+    if (fs.existsSync(feedPath)) fs.unlinkSync(feedPath)
+    return null
+  }
+
+  const lines = recorder.events.map((event) =>
+    JSON.stringify(toFeedRecord(event))
+  )
+  await fs.promises.writeFile(feedPath, lines.join('\n'), 'utf8')
+  console.log(`Stock event feed generated: ${feedPath} (${lines.length} events)`)
+  return feedPath
+}
+
+/**
+ * Query stock events, newest first
+ * @param {Object} options - { retailerDomain, eventType, since, limit }
+ */
+function findStockEvents(options = {}) {
+  const query = {}
+  if (options.retailerDomain) query.retailer_domain = options.retailerDomain
+  if (options.eventType) query.event_type = options.eventType
+  if (options.since) query.occurred_at = { $gte: new Date(options.since) }
+
+  return StockEvent.find(query)
+    .sort({ occurred_at: -1 })
+    .limit(options.limit || 0)
+    .lean()
+}
+
+/**
+ * Export stock events as a JSONL feed
+ * @param {string} filePath - Output file
+ * @param {Object} options - findStockEvents options
+ */
+async function exportStockEvents(filePath, options = {}) {
+  const dirPath = path.dirname(filePath)
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true })
+  }
+
+  const output = fs.createWriteStream(filePath, 'utf8')
+  let count = 0
+  try {
+    for await (const event of findStockEvents(options).cursor()) {
+      const line = JSON.stringify(toFeedRecord(event))
+      if (!output.write(`${count > 0 ? '\n' : ''}${line}`)) {
+        await once(output, 'drain')
+      }
+      count++
+    }
+  } finally {
+    output.end()
+  }
+
+  await finished(output)
+  return count
+}
+
+module.exports = {
+  STOCK_EVENTS_FILE,
+  recordStockEvents,
+  writeStockEventFeed,
+  findStockEvents,
+  exportStockEvents,
+}
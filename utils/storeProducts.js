@@ -0,0 +1,186 @@
+const Product = require('../models/Product')
+const Store = require('../models/Store')
+
+// Store to product relationship
+//
+// Every product points at its store through Product.store (indexed together
+// with deletedAt), so a store document stays small however big its catalog
+// gets. Crawlers link the products they saved with linkStoreProducts and
+// recrawlers stream a store's live products from a cursor instead of
+// populating an embedded array. Stores saved before this change are moved
+// over by migrate-store-products.js.
+//
+// The deprecated Store.products and Store.deletedProducts arrays are still
+// kept in step with Product.store for older readers: linking adds to
+// products, soft deletes move ids to deletedProducts and purges remove them.
+// This stops once migrate-store-products.js --drop-arrays has removed the
+// arrays from every store.
+
+// Product ids updated per round trip when linking
+const LINK_BATCH_SIZE = 1000
+
+/**
+ * Product filter for the products of a store
+ * @param {ObjectId|Array} storeId - Store id, or several of them
+ * @param {Object} options - { includeDeleted } to also match soft-deleted
+ *   products
+ */
+function storeProductsFilter(storeId, options = {}) {
+  const filter = {
+    store: Array.isArray(storeId) ? { $in: storeId } : storeId,
+  }
+  if (!options.includeDeleted) filter.deletedAt = null
+  return filter
+}
+
+// Whether any store still carries the deprecated arrays
+async function storeArraysInUse() {
+  const store = await Store.exists({
+    $or: [
+      { products: { $exists: true } },
+      { deletedProducts: { $exists: true } },
+    ],
+  })
+  return Boolean(store)
+}
+
+/**
+ * Point products at a store
+ * @param {ObjectId} storeId - Store document id
+ * @param {Array} productIds - Product ObjectIds (or their string form)
+ * @returns {number} Products that were not linked to the store before
+ */
+async function linkStoreProducts(storeId, productIds) {
+  const ids = productIds.filter(Boolean)
+  const syncArrays = ids.length > 0 && (await storeArraysInUse())
+  let linked = 0
+
+  for (let i = 0; i < ids.length; i += LINK_BATCH_SIZE) {
+    const batch = ids.slice(i, i + LINK_BATCH_SIZE)
+    const result = await Product.updateMany(
+      { _id: { $in: batch } },
+      { $set: { store: storeId } }
+    )
+    linked += result.modifiedCount
+
+    if (syncArrays) {
+      await Store.updateOne(
+        { _id: storeId },
+        {
+          $addToSet: { products: { $each: batch } },
+          $pull: { deletedProducts: { $in: batch } },
+        }
+      )
+    }
+  }
+
+  return linked
+}
+
+/**
+ * Move soft-deleted products from Store.products to Store.deletedProducts
+ * @param {Array} productIds - Product ObjectIds (or their string form)
+ */
+async function moveToDeletedProducts(productIds) {
+  const ids = productIds.filter(Boolean)
+  if (ids.length === 0 || !(await storeArraysInUse())) return
+
+  for (let i = 0; i < ids.length; i += LINK_BATCH_SIZE) {
+    const products = await Product.find(
+      { _id: { $in: ids.slice(i, i + LINK_BATCH_SIZE) }, store: { $ne: null } },
+      { store: 1 }
+    ).lean()
+
+    for (const [storeId, storeProductIds] of groupByStore(products)) {
+      await Store.updateOne(
+        { _id: storeId },
+        {
+          $pull: { products: { $in: storeProductIds } },
+          $addToSet: { deletedProducts: { $each: storeProductIds } },
+        }
+      )
+    }
+  }
+}
+
+/**
+ * Move every product of soft-deleted stores to Store.deletedProducts
+ * @param {Array} storeIds - Store document ids
+ */
+async function moveStoresToDeletedProducts(storeIds) {
+  if (storeIds.length === 0 || !(await storeArraysInUse())) return
+
+  await Store.collection.updateMany(
+    { _id: { $in: storeIds }, products: { $exists: true } },
+    [
+      {
+        $set: {
+          deletedProducts: {
+            $setUnion: [{ $ifNull: ['$deletedProducts', []] }, '$products'],
+          },
+          products: [],
+        },
+      },
+    ]
+  )
+}
+
+/**
+ * Remove purged products from the store arrays
+ * @param {Array} products - Purged products ({ _id, store })
+ */
+async function unlinkPurgedProducts(products) {
+  if (products.length === 0 || !(await storeArraysInUse())) return
+
+  for (const [storeId, storeProductIds] of groupByStore(products)) {
+    await Store.updateOne(
+      { _id: storeId },
+      {
+        $pull: {
+          products: { $in: storeProductIds },
+          deletedProducts: { $in: storeProductIds },
+        },
+      }
+    )
+  }
+}
+
+// Map of store id to the ids of its products
+function groupByStore(products) {
+  const byStore = new Map()
+  products
+    .filter((product) => product.store)
+    .forEach((product) => {
+      const key = String(product.store)
+      if (!byStore.has(key)) byStore.set(key, [])
+      byStore.get(key).push(product._id)
+    })
+  return byStore
+}
+
+/**
+ * Stream the live products of a store as plain objects
+ * @param {ObjectId} storeId - Store document id
+ * @returns {AsyncIterable} Mongoose query cursor, use with for await
+ */
+function streamStoreProducts(storeId) {
+  return Product.find(storeProductsFilter(storeId)).lean().cursor()
+}
+
+/**
+ * Count the live products of a store
+ * @param {ObjectId} storeId - Store document id
+ */
+async function countStoreProducts(storeId) {
+  return Product.countDocuments(storeProductsFilter(storeId))
+}
+
+module.exports = {
+  storeProductsFilter,
+  linkStoreProducts,
+  moveToDeletedProducts,
+  moveStoresToDeletedProducts,
+  unlinkPurgedProducts,
+  streamStoreProducts,
+  countStoreProducts,
+}
@@ -0,0 +1,135 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { finished } = require('stream/promises')
+const { readCatalogProducts } = require('./catalogReader')
+const { CATALOG_SCHEMA_VERSION } = require('./catalogSchema')
+const { DELTA_MANIFEST_FILE } = require('./catalogDelta')
+const { getCurrentCrawlRun } = require('./crawlRunLedger')
+
+// Upload manifests
+//
+// Every store upload ships a manifest.json describing what was sent: size and
+// SHA-256 of each file plus product/variant counts, crawl type and schema
+// version of the catalog. The uploader checks the remote files against it.
+// The anomaly stats of the catalog are kept in it too, as the baseline of
+// the next upload (see utils/catalogAnomalies.js).
+
+const UPLOAD_MANIFEST_FILE = 'manifest.json'
+
+/**
+ * SHA-256 of a readable stream, hex encoded
+ * @param {stream.Readable} input - Stream to hash
+ */
+async function hashStream(input) {
+  const hash = crypto.createHash('sha256')
+  input.on('data', (chunk) => hash.update(chunk))
+  await finished(input)
+  return hash.digest('hex')
+}
+
+/**
+ * Size and SHA-256 of a local file
+ * @param {string} filePath - Local file path
+ */
+async function describeFile(filePath) {
+  return {
+    file: path.basename(filePath),
+    size: fs.statSync(filePath).size,
+    sha256: await hashStream(fs.createReadStream(filePath)),
+  }
+}
+
+/**
+ * Count products and variants of a catalog file
+ * @param {string} filePath - catalog.json, catalog.jsonl or catalog.jsonl.gz
+ */
+async function countCatalog(filePath) {
+  const counts = { products: 0, variants: 0 }
+  for await (const { product } of readCatalogProducts(filePath, {
+    tolerateInvalidJson: true,
+  })) {
+    if (!product) continue
+    counts.products++
+    counts.variants += Array.isArray(product.variants)
+      ? product.variants.length
+      : 0
+  }
+  return counts
+}
+
+/**
+ * Work out whether a catalog came from a crawl or a recrawl
+ *
+ * Recrawls leave a delta manifest next to the catalog (full crawls remove it);
+ * otherwise the crawl run doing the upload is asked.
+ * @param {string} catalogPath - Local catalog path
+ */
+function getCatalogCrawlType(catalogPath) {
+  const deltaManifestPath = path.join(
+    path.dirname(catalogPath),
+    DELTA_MANIFEST_FILE
+  )
+  if (fs.existsSync(deltaManifestPath)) {
+    try {
+      const deltaManifest = JSON.parse(
+        fs.readFileSync(deltaManifestPath, 'utf8')
+      )
+      if (deltaManifest.crawl_type) return deltaManifest.crawl_type
+    } catch (error) {
+      console.warn(`⚠️ Could not read ${deltaManifestPath}: ${error.message}`)
+    }
+  }
+
+  const run = getCurrentCrawlRun()
+  return run && run.crawlType !== 'BATCH' ? run.crawlType : 'CRAWL'
+}
+
+/**
+ * Build the manifest of a store upload
+ * @param {string} catalogPath - Local catalog.jsonl.gz
+ * @param {Array<string>} extraFiles - Other local files uploaded with it
+ * @param {Object} options - { crawlType } overrides the detected crawl type,
+ *   { stats } are the anomaly stats of the catalog (collectCatalogStats)
+ */
+async function buildUploadManifest(catalogPath, extraFiles = [], options = {}) {
+  const catalog = await describeFile(catalogPath)
+  const counts = await countCatalog(catalogPath)
+
+  const files = [catalog]
+  for (const filePath of extraFiles) {
+    files.push(await describeFile(filePath))
+  }
+
+  return {
+    'schema-version': CATALOG_SCHEMA_VERSION,
+    crawl_type: options.crawlType || getCatalogCrawlType(catalogPath),
+    generated_at: new Date().toISOString(),
+    ...catalog,
+    products: counts.products,
+    variants: counts.variants,
+    ...(options.stats ? { stats: options.stats } : {}),
+    files,
+  }
+}
+
+/**
+ * Write manifest.json next to the catalog
+ * @param {string} dirPath - Catalog output directory
+ * @param {Object} manifest - Manifest from buildUploadManifest
+ */
+function writeUploadManifest(dirPath, manifest) {
+  const manifestPath = path.join(dirPath, UPLOAD_MANIFEST_FILE)
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8')
+  return manifestPath
+}
+
+module.exports = {
+  UPLOAD_MANIFEST_FILE,
+  hashStream,
+  describeFile,
+  countCatalog,
+  getCatalogCrawlType,
+  buildUploadManifest,
+  writeUploadManifest,
+}
@@ -0,0 +1,650 @@
+const fs = require('fs')
+const path = require('path')
+const { recordCatalogUpload } = require('./crawlRunLedger')
+const ConnectionPool = require('./connectionPool')
+const {
+  checkCatalogAnomalies,
+  reportHeldBackCatalog,
+} = require('./catalogAnomalies')
+const { STOCK_EVENTS_FILE } = require('./stockEvents')
+const { DELTA_FILE, DELTA_MANIFEST_FILE } = require('./catalogDelta')
+const {
+  UPLOAD_MANIFEST_FILE,
+  hashStream,
+  buildUploadManifest,
+  writeUploadManifest,
+} = require('./uploadManifest')
+
+// Files written next to catalog.jsonl.gz and uploaded with it when present:
+// the delta and its manifest (CatalogDeltaWriter, utils/catalogDelta.js) and
+// the stock event feed (recordPriceHistory, utils/priceHistory.js)
+const COMPANION_FILES = [DELTA_FILE, DELTA_MANIFEST_FILE, STOCK_EVENTS_FILE]
+
+// Files are streamed to <name>.part and renamed once complete; _SUCCESS is
+// written into a store folder after all of its files are in place
+const PART_SUFFIX = '.part'
+const SUCCESS_MARKER = '_SUCCESS'
+
+// Dated folders searched back for the previous manifest.json when the ledger
+// has no baseline for a store
+const BASELINE_LOOKBACK_DAYS = 7
+
+function readCountEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10)
+  return Number.isInteger(value) && value >= 0 ? value : fallback
+}
+
+const MONTH_NAMES = [
+  'JAN',
+  'FEB',
+  'MAR',
+  'APR',
+  'MAY',
+  'JUN',
+  'JUL',
+  'AUG',
+  'SEP',
+  'OCT',
+  'NOV',
+  'DEC',
+]
+
+/**
+ * Format a date as DD-MMM-YYYY (e.g., 09-JUN-2025), the name of the dated
+ * upload folders
+ * @param {Date} date - Date to format
+ */
+function formatUploadDate(date = new Date()) {
+  const day = date.getDate().toString().padStart(2, '0')
+  return `${day}-${MONTH_NAMES[date.getMonth()]}-${date.getFullYear()}`
+}
+
+/**
+ * Parse a DD-MMM-YYYY upload folder name, null when the name isn't one
+ * @param {string} name - Folder name, e.g. 09-JUN-2025
+ */
+function parseUploadDate(name) {
+  const match = /^(\d{2})-([A-Z]{3})-(\d{4})$/.exec(name)
+  if (!match) return null
+
+  const month = MONTH_NAMES.indexOf(match[2])
+  if (month === -1) return null
+
+  const date = new Date(Number(match[3]), month, Number(match[1]))
+  return date.getDate() === Number(match[1]) ? date : null
+}
+
+/**
+ * Base class of the catalog upload destinations (see utils/uploadTargets.js)
+ *
+ * It owns the upload layout - {DD-MMM-YYYY}/{countryCode}/{brand-countryCode}/
+ * with the catalog, its companion files, manifest.json and _SUCCESS - while
+ * subclasses only move bytes: connect, disconnect, ensureDirectoryExists,
+ * putFile, putContent, moveIntoPlace, stat, createReadStream, exists,
+ * deleteFile, testConnection and getDestination.
+ */
+class UploadTarget {
+  /**
+   * @param {Object} config - Target settings; verify is 'size' (re-stat
+   *   uploaded files) or 'checksum' (also read them back), concurrency the
+   *   number of stores uploadMultipleStores uploads at once
+   *   (UPLOAD_CONCURRENCY) and fileRetries how often a failed file upload is
+   *   retried (UPLOAD_FILE_RETRIES). checkAnomalies holds back catalogs
+   *   that look broken next to the previous upload (UPLOAD_ANOMALY_CHECK=false
+   *   turns it off), anomalyThresholds overrides the thresholds of
+   *   utils/catalogAnomalies.js
+   */
+  constructor(config = {}) {
+    this.config = {
+      verify: 'size',
+      concurrency: readCountEnv('UPLOAD_CONCURRENCY', 4),
+      fileRetries: readCountEnv('UPLOAD_FILE_RETRIES', 2),
+      checkAnomalies: process.env.UPLOAD_ANOMALY_CHECK !== 'false',
+      anomalyThresholds: {},
+      ...config,
+    }
+    this.isConnected = false
+  }
+
+  /**
+   * Connection used by one worker of uploadMultipleStores. Targets without
+   * per-connection state share this instance; SFTP opens one per worker.
+   */
+  createConnection() {
+    return this
+  }
+
+  /**
+   * Drop and re-open the connection before a failed upload is retried
+   */
+  async reconnect() {
+    await this.disconnect()
+    await this.connect()
+  }
+
+  /**
+   * Remote folder of a store: {DD-MMM-YYYY}/{countryCode}/{brand-countryCode}
+   * @param {Object} storeInfo - { brandName, countryCode }
+   * @param {Date} date - Upload date
+   */
+  getStoreRemotePath(storeInfo, date = new Date()) {
+    const countryCode = storeInfo.countryCode || 'US'
+    const cleanBrandName = storeInfo.brandName.replace(/[^a-zA-Z0-9.-]/g, '-')
+    return path.posix.join(
+      formatUploadDate(date),
+      countryCode,
+      `${cleanBrandName}-${countryCode}`
+    )
+  }
+
+  /**
+   * Upload a file under a temporary .part name and rename it when complete,
+   * so consumers never see a half-written file
+   * @param {string} localFilePath - Local file path
+   * @param {string} remoteFilePath - Remote file path
+   * @param {Object} expected - Optional manifest entry the .part file is
+   *   verified against before it is renamed
+   */
+  async putAtomic(localFilePath, remoteFilePath, expected = null) {
+    const partFilePath = `${remoteFilePath}${PART_SUFFIX}`
+
+    try {
+      await this.putFile(localFilePath, partFilePath)
+      if (expected) {
+        await this.verifyUpload(partFilePath, expected)
+      }
+      await this.moveIntoPlace(partFilePath, remoteFilePath)
+    } catch (error) {
+      await this.deleteFile(partFilePath).catch(() => {})
+      throw error
+    }
+  }
+
+  /**
+   * Upload a single file to the target
+   * @param {string} localFilePath - Local file path
+   * @param {string} remoteFilePath - Remote file path
+   * @param {Object} expected - Optional manifest entry to verify against
+   */
+  async uploadFile(localFilePath, remoteFilePath, expected = null) {
+    try {
+      if (!fs.existsSync(localFilePath)) {
+        throw new Error(`Local file does not exist: ${localFilePath}`)
+      }
+
+      const fileStats = fs.statSync(localFilePath)
+      const fileSizeMB = (fileStats.size / (1024 * 1024)).toFixed(2)
+
+      const startTime = Date.now()
+      for (let attempt = 0; ; attempt++) {
+        try {
+          // Ensure remote directory exists
+          const remoteDir = path.dirname(remoteFilePath)
+          await this.ensureDirectoryExists(remoteDir)
+
+          console.log(`📤 Uploading: ${localFilePath} → ${remoteFilePath}`)
+          await this.putAtomic(localFilePath, remoteFilePath, expected)
+          break
+        } catch (error) {
+          if (attempt >= this.config.fileRetries) throw error
+
+          const delay = 2000 * (attempt + 1)
+          console.warn(
+            `⚠️  Upload of ${path.basename(localFilePath)} failed (${
+              error.message
+            }), retrying in ${delay / 1000}s [${attempt + 1}/${
+              this.config.fileRetries
+            }]`
+          )
+          await new Promise((resolve) => setTimeout(resolve, delay))
+          await this.reconnect()
+        }
+      }
+      const uploadTime = ((Date.now() - startTime) / 1000).toFixed(2)
+
+      console.log(
+        `✅ Upload completed: ${path.basename(
+          localFilePath
+        )} (${fileSizeMB}MB in ${uploadTime}s)`
+      )
+      return true
+    } catch (error) {
+      console.error(`❌ Failed to upload ${localFilePath}:`, error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Check an uploaded file against its manifest entry
+   * @param {string} remoteFilePath - Remote file path
+   * @param {Object} expected - Manifest entry { file, size, sha256 }
+   */
+  async verifyUpload(remoteFilePath, expected) {
+    const stats = await this.stat(remoteFilePath)
+    if (stats.size !== expected.size) {
+      throw new Error(
+        `Upload verification failed for ${remoteFilePath}: remote size ${stats.size} bytes, expected ${expected.size}`
+      )
+    }
+
+    if (this.config.verify === 'checksum') {
+      const sha256 = await hashStream(this.createReadStream(remoteFilePath))
+      if (sha256 !== expected.sha256) {
+        throw new Error(
+          `Upload verification failed for ${remoteFilePath}: remote SHA-256 ${sha256}, expected ${expected.sha256}`
+        )
+      }
+    }
+
+    console.log(`🔍 Verified ${expected.file} (${this.config.verify})`)
+  }
+
+  /**
+   * Anomaly stats of the newest complete upload of a store within
+   * BASELINE_LOOKBACK_DAYS, read from its manifest.json; null when there is
+   * none
+   * @param {Object} storeInfo - { brandName, countryCode }
+   */
+  async findManifestBaseline(storeInfo) {
+    for (let daysAgo = 0; daysAgo <= BASELINE_LOOKBACK_DAYS; daysAgo++) {
+      const date = new Date()
+      date.setDate(date.getDate() - daysAgo)
+      const storeRemotePath = this.getStoreRemotePath(storeInfo, date)
+
+      try {
+        if (
+          !(await this.exists(path.posix.join(storeRemotePath, SUCCESS_MARKER)))
+        ) {
+          continue
+        }
+
+        const chunks = []
+        for await (const chunk of this.createReadStream(
+          path.posix.join(storeRemotePath, UPLOAD_MANIFEST_FILE)
+        )) {
+          chunks.push(chunk)
+        }
+        const manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+        if (manifest.stats) {
+          return { remotePath: storeRemotePath, ...manifest.stats }
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️  Could not read the manifest of ${storeRemotePath}: ${error.message}`
+        )
+      }
+    }
+    return null
+  }
+
+  /**
+   * Remove the _SUCCESS marker of a store folder before its files are replaced
+   * @param {string} storeRemotePath - Remote store folder
+   */
+  async clearSuccessMarker(storeRemotePath) {
+    const markerPath = path.posix.join(storeRemotePath, SUCCESS_MARKER)
+    if (await this.exists(markerPath)) {
+      await this.deleteFile(markerPath)
+    }
+  }
+
+  /**
+   * Write the _SUCCESS marker telling consumers a store folder is complete
+   * @param {string} storeRemotePath - Remote store folder
+   * @param {Object} manifest - Upload manifest of the folder
+   */
+  async writeSuccessMarker(storeRemotePath, manifest) {
+    const marker = {
+      completed_at: new Date().toISOString(),
+      files: [...manifest.files.map(({ file }) => file), UPLOAD_MANIFEST_FILE],
+    }
+    await this.putContent(
+      Buffer.from(JSON.stringify(marker, null, 2)),
+      path.posix.join(storeRemotePath, SUCCESS_MARKER)
+    )
+    console.log(`🏁 Marked ${storeRemotePath} complete`)
+  }
+
+  /**
+   * Upload store catalog file (catalog.jsonl.gz, plus the delta catalog, its
+   * manifest and stock-events.jsonl when the crawl wrote them next to it)
+   *
+   * A manifest.json with sizes and SHA-256 of the uploaded files is uploaded
+   * after every file was verified against it, then the _SUCCESS marker.
+   * Catalogs failing the anomaly checks are not uploaded at all.
+   * @param {Object} storeInfo - Store information
+   * @param {Object} filePaths - Object containing file paths (must include jsonPath)
+   */
+  async uploadStoreCatalog(storeInfo, filePaths) {
+    let anomalyCheck = null
+    try {
+      if (!this.isConnected) {
+        await this.connect()
+      }
+
+      const { brandName, url } = storeInfo
+      const storeDomain = this.extractDomain(url)
+      const storeRemotePath = this.getStoreRemotePath(storeInfo)
+
+      console.log(`\n🏪 Uploading catalog for: ${brandName}`)
+      console.log(`📍 Remote path: ${storeRemotePath}`)
+
+      // catalog.jsonl.gz is required, the companion files are optional
+      if (!filePaths.jsonPath || !fs.existsSync(filePaths.jsonPath)) {
+        throw new Error(
+          `Catalog file (jsonPath) not found or does not exist: ${filePaths.jsonPath}`
+        )
+      }
+
+      const remoteJsonPath = path.posix.join(
+        storeRemotePath,
+        path.basename(filePaths.jsonPath)
+      )
+
+      const catalogDir = path.dirname(filePaths.jsonPath)
+      const companionPaths = COMPANION_FILES.map((fileName) =>
+        path.join(catalogDir, fileName)
+      ).filter((localPath) => fs.existsSync(localPath))
+
+      // Checked before anything is touched, so the previous upload stays intact
+      if (this.config.checkAnomalies) {
+        anomalyCheck = await checkCatalogAnomalies(filePaths.jsonPath, {
+          // The store folder without its date, the same every day
+          store: storeRemotePath.split('/').slice(1).join('/'),
+          storeDomain,
+          thresholds: this.config.anomalyThresholds,
+          findFallbackBaseline: () => this.findManifestBaseline(storeInfo),
+        })
+        if (anomalyCheck.anomalies.length > 0) {
+          await reportHeldBackCatalog(brandName, anomalyCheck)
+          throw new Error(
+            `Held back by anomaly checks: ${anomalyCheck.anomalies
+              .map(({ message }) => message)
+              .join('; ')}`
+          )
+        }
+      }
+
+      const manifest = await buildUploadManifest(
+        filePaths.jsonPath,
+        companionPaths,
+        {
+          crawlType: storeInfo.crawlType,
+          stats: anomalyCheck ? anomalyCheck.stats : undefined,
+        }
+      )
+      const manifestPath = writeUploadManifest(catalogDir, manifest)
+
+      await this.ensureDirectoryExists(storeRemotePath)
+      await this.clearSuccessMarker(storeRemotePath)
+
+      // Upload the catalog file, then the files that go with it
+      const localPaths = [filePaths.jsonPath, ...companionPaths]
+      for (let i = 0; i < localPaths.length; i++) {
+        await this.uploadFile(
+          localPaths[i],
+          path.posix.join(storeRemotePath, path.basename(localPaths[i])),
+          manifest.files[i]
+        )
+      }
+
+      await this.uploadFile(
+        manifestPath,
+        path.posix.join(storeRemotePath, UPLOAD_MANIFEST_FILE)
+      )
+      const filesUploaded = localPaths.length + 1
+      await this.writeSuccessMarker(storeRemotePath, manifest)
+
+      await recordCatalogUpload(filePaths.jsonPath, {
+        destination: this.getDestination(remoteJsonPath),
+        remotePath: storeRemotePath,
+        success: true,
+        size: manifest.size,
+        sha256: manifest.sha256,
+        verified: this.config.verify,
+        ...(anomalyCheck
+          ? { store: anomalyCheck.store, stats: anomalyCheck.stats }
+          : {}),
+      })
+
+      console.log(`✅ Successfully uploaded catalog for ${brandName}`)
+      return {
+        success: true,
+        storeDomain,
+        remotePath: storeRemotePath,
+        filesUploaded,
+        uploadedFile: path.basename(filePaths.jsonPath),
+        manifest,
+      }
+    } catch (error) {
+      console.error(
+        `❌ Failed to upload catalog for ${storeInfo.brandName}:`,
+        error.message
+      )
+      if (filePaths && filePaths.jsonPath) {
+        await recordCatalogUpload(filePaths.jsonPath, {
+          destination: this.getDestination(''),
+          success: false,
+          error: error.message,
+          ...(anomalyCheck && anomalyCheck.anomalies.length > 0
+            ? {
+                store: anomalyCheck.store,
+                stats: anomalyCheck.stats,
+                heldBack: true,
+                anomalies: anomalyCheck.anomalies.map(({ check }) => check),
+              }
+            : {}),
+        })
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Upload multiple store catalogs, config.concurrency stores at a time over a
+   * pool of connections
+   * @param {Array} stores - Array of store information with file paths
+   */
+  async uploadMultipleStores(stores) {
+    const results = {
+      successful: [],
+      failed: [],
+      total: stores.length,
+    }
+    const outcomes = []
+    // The first worker reuses this target's own connection
+    const pool = new ConnectionPool(
+      () => (pool.connections.length === 0 ? this : this.createConnection()),
+      this.config.concurrency
+    )
+
+    try {
+      // Validate input
+      if (!Array.isArray(stores) || stores.length === 0) {
+        throw new Error('No stores provided for upload')
+      }
+
+      await this.connect()
+
+      console.log(
+        `🚀 Starting upload of ${stores.length} store catalogs (${pool.size} at a time)...`
+      )
+
+      await Promise.all(
+        stores.map(async (store, i) => {
+          try {
+            // Validate store object
+            if (!store || !store.brandName) {
+              throw new Error('Invalid store object: missing brandName')
+            }
+
+            const uploadResult = await pool.use((connection) => {
+              console.log(
+                `\n[${i + 1}/${stores.length}] Uploading: ${store.brandName}`
+              )
+              return connection.uploadStoreCatalog(store, store.filePaths || {})
+            })
+
+            outcomes[i] = { ...store, upload_result: uploadResult }
+            console.log(`✅ Successfully uploaded: ${store.brandName}`)
+          } catch (error) {
+            const errorMessage = error.message || 'Unknown error occurred'
+            console.error(
+              `❌ Failed to upload ${
+                (store && store.brandName) || 'Unknown store'
+              }:`,
+              errorMessage
+            )
+
+            // One failure never stops the other stores
+            outcomes[i] = {
+              ...store,
+              error: errorMessage,
+              timestamp: new Date().toISOString(),
+            }
+          }
+        })
+      )
+
+      // Keep the input order whatever order the uploads finished in
+      outcomes.forEach((outcome) => {
+        if (outcome.error) {
+          results.failed.push(outcome)
+        } else {
+          results.successful.push(outcome)
+        }
+      })
+
+      // Enhanced summary with more details
+      console.log(`\n📊 Upload Summary:`)
+      console.log(`  Total stores: ${results.total}`)
+      console.log(`  Successful: ${results.successful.length}`)
+      console.log(`  Failed: ${results.failed.length}`)
+
+      if (results.failed.length > 0) {
+        console.log(`\n❌ Failed stores:`)
+        results.failed.forEach((failedStore, index) => {
+          console.log(
+            `  ${index + 1}. ${failedStore.brandName || 'Unknown'}: ${
+              failedStore.error
+            }`
+          )
+        })
+      }
+
+      if (results.successful.length > 0) {
+        console.log(`\n✅ Successfully uploaded stores:`)
+        results.successful.forEach((successStore, index) => {
+          console.log(`  ${index + 1}. ${successStore.brandName}`)
+        })
+      }
+
+      return results
+    } catch (error) {
+      console.error('❌ Critical error in uploadMultipleStores:', error.message)
+
+      // Even if there's a critical error, return partial results if any stores were processed
+      if (results.successful.length > 0 || results.failed.length > 0) {
+        console.log(`⚠️  Returning partial results due to critical error`)
+        return {
+          ...results,
+          criticalError: error.message,
+        }
+      }
+
+      throw error
+    } finally {
+      // Always attempt to disconnect, even if there were errors
+      await pool.close()
+      try {
+        await this.disconnect()
+      } catch (disconnectError) {
+        console.error('⚠️  Error during disconnect:', disconnectError.message)
+      }
+    }
+  }
+
+  /**
+   * Upload existing catalog.jsonl.gz file with connection management
+   * @param {string} localFilePath - Local path to the catalog.jsonl.gz file
+   * @param {string} remotePath - Remote path where to upload the file
+   */
+  async uploadExistingCatalogFile(localFilePath, remotePath) {
+    try {
+      // Connect to SFTP server
+      await this.connect()
+
+      // Check if local file exists
+      if (!fs.existsSync(localFilePath)) {
+        throw new Error(`Local file does not exist: ${localFilePath}`)
+      }
+
+      // Get file stats for logging
+      const fileStats = fs.statSync(localFilePath)
+      const fileSizeKB = (fileStats.size / 1024).toFixed(2)
+
+      console.log(`📄 File size: ${fileSizeKB} KB`)
+      console.log(`📤 Uploading to: ${remotePath}`)
+
+      // Ensure remote directory exists
+      const remoteDir = path.dirname(remotePath)
+      await this.ensureDirectoryExists(remoteDir)
+
+      // Upload the file
+      const startTime = Date.now()
+      await this.putAtomic(localFilePath, remotePath)
+      const uploadTime = ((Date.now() - startTime) / 1000).toFixed(2)
+
+      console.log(
+        `✅ Upload completed: ${path.basename(
+          localFilePath
+        )} (${fileSizeKB}KB in ${uploadTime}s)`
+      )
+
+      return {
+        success: true,
+        remotePath,
+        fileSize: fileSizeKB,
+        uploadTime: uploadTime,
+      }
+    } catch (error) {
+      console.error(`❌ Failed to upload ${localFilePath}:`, error.message)
+      return {
+        success: false,
+        error: error.message,
+      }
+    } finally {
+      // Always disconnect
+      await this.disconnect()
+    }
+  }
+
+  /**
+   * Extract domain from URL
+   * @param {string} url - URL to extract domain from
+   */
+  extractDomain(url) {
+    try {
+      const parsedUrl = new URL(url)
+      let domain = parsedUrl.hostname
+
+      if (domain.startsWith('www.')) {
+        domain = domain.substring(4)
+      }
+
+      return domain.replace(/[^a-zA-Z0-9.-]/g, '-')
+    } catch (error) {
+      // Fallback for invalid URLs
+      return url.replace(/[^a-zA-Z0-9.-]/g, '-')
+    }
+  }
+}
+
+module.exports = {
+  UploadTarget,
+  COMPANION_FILES,
+  PART_SUFFIX,
+  SUCCESS_MARKER,
+  formatUploadDate,
+  parseUploadDate,
+}
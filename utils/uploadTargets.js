@@ -0,0 +1,44 @@
+// Registry of catalog upload destinations, selected per run with
+// `--target <name>` or the UPLOAD_TARGET environment variable (sftp by default)
+const uploadTargets = {
+  sftp: () => new (require('./sftpHelper'))(),
+  local: () => new (require('./localUploadTarget'))(),
+  s3: () => new (require('./s3UploadTarget'))(),
+}
+
+function listUploadTargets() {
+  return Object.keys(uploadTargets)
+}
+
+/**
+ * Read the upload target of this run from `--target <name>` (or
+ * `--target=<name>`), falling back to UPLOAD_TARGET and then sftp
+ * @param {Array<string>} args - Command line arguments
+ */
+function getUploadTargetName(args = process.argv.slice(2)) {
+  const inline = args.find((arg) => arg.startsWith('--target='))
+  if (inline) return inline.slice('--target='.length)
+
+  const index = args.indexOf('--target')
+  if (index !== -1 && args[index + 1]) return args[index + 1]
+
+  return process.env.UPLOAD_TARGET || 'sftp'
+}
+
+/**
+ * Create the upload target for this run
+ * @param {string} name - Target name, see listUploadTargets()
+ */
+function createUploadTarget(name = getUploadTargetName()) {
+  const createTarget = uploadTargets[name]
+  if (!createTarget) {
+    throw new Error(
+      `Unknown upload target "${name}". Available: ${listUploadTargets().join(
+        ', '
+      )}`
+    )
+  }
+  return createTarget()
+}
+
+module.exports = { createUploadTarget, getUploadTargetName, listUploadTargets }
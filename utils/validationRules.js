@@ -0,0 +1,98 @@
+// Declarative catalog validation rules
+//
+// CatalogValidator checks every product against the rules of its
+// retailer_domain: DEFAULT_VALIDATION_RULES merged with the entry in
+// RETAILER_VALIDATION_RULES (if any) and any overrides passed by the caller.
+
+const DEFAULT_VALIDATION_RULES = {
+  product: {
+    // Fields that must be present and non-empty
+    required: ['name', 'description'],
+    // Expected type of a field when it is present
+    types: { name: 'string', description: 'string' },
+    // Minimum number of words in a text field when it is present
+    minWords: { description: 2 },
+  },
+  variant: {
+    required: [
+      'original_price',
+      'color',
+      'size',
+      'variant_id',
+      'image_url',
+      'alternate_image_urls',
+      'link_url',
+      'deeplink_url',
+      'parent_product_id',
+      'is_in_stock',
+      'is_on_sale',
+      'mpn',
+    ],
+    types: {
+      is_in_stock: 'boolean',
+      is_on_sale: 'boolean',
+      alternate_image_urls: 'array',
+    },
+    // Fields that must hold absolute http(s) URLs when present
+    urls: ['image_url', 'link_url', 'deeplink_url'],
+    // Prices must be numeric, greater than min and no more than max
+    price: { fields: ['original_price'], min: 0, max: 100000 },
+    // Network check, off by default and always skipped when offline
+    imageReachability: { enabled: false, field: 'image_url', timeoutMs: 5000 },
+  },
+}
+
+// Per-retailer overrides, keyed by retailer_domain. Each level accepts the
+// same keys as the defaults; `optional` removes fields from `required`.
+const RETAILER_VALIDATION_RULES = {
+  // Replacement parts have no color or size
+  'partstown.com': {
+    variant: { optional: ['color', 'size'] },
+  },
+  // Lulus does not expose a manufacturer part number for every variant
+  'lulus.com': {
+    variant: { optional: ['mpn'] },
+  },
+}
+
+function mergeLevelRules(base, override = {}) {
+  const { optional = [], ...rest } = override
+  const required = (rest.required || base.required).filter(
+    (field) => !optional.includes(field)
+  )
+
+  const merged = { ...base, ...rest, required }
+  ;['types', 'minWords', 'price', 'imageReachability'].forEach((key) => {
+    if (base[key] || rest[key]) {
+      merged[key] = { ...base[key], ...rest[key] }
+    }
+  })
+
+  return merged
+}
+
+/**
+ * Resolve the validation rules for a retailer
+ * @param {string} retailerDomain - retailer_domain of the product
+ * @param {Object} overrides - Optional { product, variant } rules applied last
+ */
+function getValidationRules(retailerDomain, overrides = {}) {
+  const retailerRules = RETAILER_VALIDATION_RULES[retailerDomain] || {}
+
+  return {
+    product: mergeLevelRules(
+      mergeLevelRules(DEFAULT_VALIDATION_RULES.product, retailerRules.product),
+      overrides.product
+    ),
+    variant: mergeLevelRules(
+      mergeLevelRules(DEFAULT_VALIDATION_RULES.variant, retailerRules.variant),
+      overrides.variant
+    ),
+  }
+}
+
+module.exports = {
+  DEFAULT_VALIDATION_RULES,
+  RETAILER_VALIDATION_RULES,
+  getValidationRules,
+}
@@ -0,0 +1,40 @@
+const axios = require('axios')
+const { formatMessageText } = require('./notificationMessage')
+
+// Generic webhook channel of the notifier: POSTs the structured message as
+// JSON, plus a plain-text rendering in `text` for chat tools that only read that
+
+class WebhookNotifier {
+  /**
+   * @param {Object} config - { url, headers, timeoutMs }
+   */
+  constructor(config = {}) {
+    this.config = { headers: {}, timeoutMs: 10000, ...config }
+  }
+
+  describe() {
+    // Webhook URLs usually carry a secret, only show the host
+    try {
+      return `webhook ${new URL(this.config.url).host}`
+    } catch (error) {
+      return 'webhook'
+    }
+  }
+
+  async send(message) {
+    if (!this.config.url) {
+      throw new Error('Missing webhook configuration: url')
+    }
+
+    await axios.post(
+      this.config.url,
+      { ...message, text: formatMessageText(message) },
+      {
+        headers: { 'Content-Type': 'application/json', ...this.config.headers },
+        timeout: this.config.timeoutMs,
+      }
+    )
+  }
+}
+
+module.exports = WebhookNotifier
@@ -3,32 +3,73 @@
 
 const fs = require("fs");
 const path = require("path");
+const zlib = require("zlib");
 const readline = require("readline");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const axios = require("axios");
+const { v5: uuidv5 } = require("uuid");
+const { readCatalogProducts } = require("./utils/catalogReader");
+const { getValidationRules } = require("./utils/validationRules");
+const { countCrawlRun } = require("./utils/crawlRunLedger");
+const {
+  CATALOG_SCHEMA_VERSION,
+  getProductSchema,
+  validateAgainstSchema,
+} = require("./utils/catalogSchema");
+
+// What to do with a product whose variants of one color carry different MPNs:
+// reject the product, repair the MPNs, or fail the whole run
+const MPN_POLICIES = ["reject", "repair", "fail"];
+const DEFAULT_MPN_POLICY = "reject";
+
+// Namespace the crawlers use for uuidv5 MPNs
+const MPN_NAMESPACE = "6ba7b810-9dad-11d1-80b4-00c04fd430c8";
+
+function isPresent(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+function hasType(value, type) {
+  if (type === "array") return Array.isArray(value);
+  if (type === "numeric") {
+    return (
+      (typeof value === "number" || typeof value === "string") &&
+      !isNaN(parseFloat(value))
+    );
+  }
+  return typeof value === type && !Array.isArray(value);
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
 
-// Product-level mandatory fields
-const PRODUCT_MANDATORY_FIELDS = [
-  "name", // Product name
-  "description", // Description (will be checked for more than 1 word)
-];
-
-// Variant-level mandatory fields
-const VARIANT_MANDATORY_FIELDS = [
-  "original_price", // Price (will be checked as numeric and not 0)
-  "color", // Color
-  "size", // Size
-  "variant_id", // Variant ID
-  "image_url", // Main image URL
-  "alternate_image_urls", // Alt Image URLs
-  "link_url", // Link URL
-  "deeplink_url", // Deeplink URL
-  "parent_product_id", // Parent Product ID
-  "is_in_stock", // Is in stock
-  "is_on_sale", // Is on Sale
-  "mpn", // MPN
-];
+function resolveMpnPolicy(policy) {
+  const resolved = policy || process.env.MPN_POLICY || DEFAULT_MPN_POLICY;
+  if (!MPN_POLICIES.includes(resolved)) {
+    throw new Error(
+      `Unknown MPN policy "${resolved}", expected one of: ${MPN_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  return resolved;
+}
 
 class CatalogValidator {
-  constructor() {
+  /**
+   * @param {Object} options - { quiet, rules } quiet skips logging every error,
+   *   rules are overrides applied on top of each retailer's rules
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.rulesByDomain = new Map();
     this.errors = [];
     this.warnings = [];
     this.stats = {
@@ -54,58 +95,62 @@ class CatalogValidator {
 
   addError(message) {
     this.errors.push(message);
-    this.log(message, "error");
+    if (!this.options.quiet) this.log(message, "error");
   }
 
   addWarning(message) {
     this.warnings.push(message);
-    this.log(message, "warning");
+    if (!this.options.quiet) this.log(message, "warning");
   }
 
-  // Check if all mandatory product-level fields are present
-  validateProductMandatoryFields(product, lineNumber) {
-    const missingFields = [];
+  // Errors added since errorIndex, without their "Line N:" prefix
+  reasonsSince(errorIndex, messages = this.errors) {
+    return messages
+      .slice(errorIndex)
+      .map((message) => message.replace(/^Line [^:]+: /, ""));
+  }
 
-    for (const field of PRODUCT_MANDATORY_FIELDS) {
-      if (
-        !(field in product) ||
-        product[field] === null ||
-        product[field] === undefined ||
-        product[field] === ""
-      ) {
-        missingFields.push(field);
-      }
+  // Rules for a retailer_domain (see utils/validationRules.js)
+  getRules(retailerDomain) {
+    const key = retailerDomain || "";
+    if (!this.rulesByDomain.has(key)) {
+      this.rulesByDomain.set(
+        key,
+        getValidationRules(retailerDomain, this.options.rules)
+      );
     }
+    return this.rulesByDomain.get(key);
+  }
 
-    if (missingFields.length > 0) {
-      this.addError(
-        `Line ${lineNumber}: Missing mandatory product fields: ${missingFields.join(
-          ", "
-        )}`
-      );
-      return false;
+  // Published JSON Schemas of a product (without variants) and of a variant
+  getSchemas() {
+    if (!this.schemas) {
+      const productSchema = getProductSchema();
+      const { variants, ...productProperties } = productSchema.properties;
+      this.schemas = {
+        product: { ...productSchema, properties: productProperties },
+        variant: variants.items,
+      };
     }
-    return true;
+    return this.schemas;
   }
 
-  // Check if all mandatory variant-level fields are present
-  validateVariantMandatoryFields(variant, lineNumber) {
-    const missingFields = [];
+  // Report where a product or variant departs from the published catalog
+  // schema. Only a warning: the schema is stricter than the retailer rules
+  // (numeric sizes, prices parseFloat reads), which decide what is rejected
+  checkSchema(record, schema, lineNumber) {
+    validateAgainstSchema(record, schema).forEach((message) =>
+      this.addWarning(`Line ${lineNumber}: Schema: ${message}`)
+    );
+  }
 
-    for (const field of VARIANT_MANDATORY_FIELDS) {
-      if (
-        !(field in variant) ||
-        variant[field] === null ||
-        variant[field] === undefined ||
-        variant[field] === ""
-      ) {
-        missingFields.push(field);
-      }
-    }
+  // Check that all required fields are present
+  validateRequiredFields(record, fields, level, lineNumber) {
+    const missingFields = fields.filter((field) => !isPresent(record[field]));
 
     if (missingFields.length > 0) {
       this.addError(
-        `Line ${lineNumber}: Missing mandatory variant fields: ${missingFields.join(
+        `Line ${lineNumber}: Missing mandatory ${level} fields: ${missingFields.join(
           ", "
         )}`
       );
@@ -114,60 +159,109 @@ class CatalogValidator {
     return true;
   }
 
-  // Check if price is numeric and not 0
-  validatePrice(variant, lineNumber) {
-    const price = variant.original_price;
+  // Check the type of every present field that has a type rule
+  validateFieldTypes(record, types = {}, lineNumber) {
+    let isValid = true;
+
+    for (const [field, type] of Object.entries(types)) {
+      const value = record[field];
+      if (!isPresent(value) || hasType(value, type)) continue;
 
-    if (typeof price !== "number" && typeof price !== "string") {
       this.addError(
-        `Line ${lineNumber}: Price must be numeric, got ${typeof price}`
+        `Line ${lineNumber}: Field "${field}" must be ${type}, got ${
+          Array.isArray(value) ? "array" : typeof value
+        }`
       );
-      return false;
+      isValid = false;
     }
 
-    const numericPrice = typeof price === "string" ? parseFloat(price) : price;
+    return isValid;
+  }
 
-    if (isNaN(numericPrice)) {
-      this.addError(
-        `Line ${lineNumber}: Price is not a valid number: ${price}`
-      );
-      return false;
-    }
+  // Check that URL fields hold absolute http(s) URLs
+  validateUrls(record, fields = [], lineNumber) {
+    let isValid = true;
 
-    if (numericPrice <= 0) {
-      this.addError(
-        `Line ${lineNumber}: Price must be greater than 0, got ${numericPrice}`
-      );
-      return false;
+    for (const field of fields) {
+      const value = record[field];
+      if (!isPresent(value)) continue;
+
+      const urls = Array.isArray(value) ? value : [value];
+      const invalidUrl = urls.find((url) => !isHttpUrl(url));
+      if (invalidUrl !== undefined) {
+        this.addError(
+          `Line ${lineNumber}: Field "${field}" is not a valid URL: ${invalidUrl}`
+        );
+        isValid = false;
+      }
     }
 
-    return true;
+    return isValid;
   }
 
-  // Check if description has more than 1 word
-  validateDescription(product, lineNumber) {
-    const description = product.description;
+  // Check that prices are numeric and within the sanity range
+  validatePrice(variant, priceRule = {}, lineNumber) {
+    const { fields = [], min, max } = priceRule;
+    let isValid = true;
 
-    if (typeof description !== "string") {
-      this.addError(
-        `Line ${lineNumber}: Description must be a string, got ${typeof description}`
-      );
-      return false;
+    for (const field of fields) {
+      const price = variant[field];
+      if (!isPresent(price)) continue;
+
+      if (typeof price !== "number" && typeof price !== "string") {
+        this.addError(
+          `Line ${lineNumber}: Price must be numeric, got ${typeof price}`
+        );
+        isValid = false;
+        continue;
+      }
+
+      const numericPrice =
+        typeof price === "string" ? parseFloat(price) : price;
+
+      if (isNaN(numericPrice)) {
+        this.addError(
+          `Line ${lineNumber}: Price is not a valid number: ${price}`
+        );
+        isValid = false;
+      } else if (min !== undefined && numericPrice <= min) {
+        this.addError(
+          `Line ${lineNumber}: Price must be greater than ${min}, got ${numericPrice}`
+        );
+        isValid = false;
+      } else if (max !== undefined && numericPrice > max) {
+        this.addError(
+          `Line ${lineNumber}: Price must be at most ${max}, got ${numericPrice}`
+        );
+        isValid = false;
+      }
     }
 
-    const words = description
-      .trim()
-      .split(/\s+/)
-      .filter((word) => word.length > 0);
+    return isValid;
+  }
+
+  // Check that text fields have enough words
+  validateWordCounts(record, minWords = {}, lineNumber) {
+    let isValid = true;
 
-    if (words.length <= 1) {
-      this.addError(
-        `Line ${lineNumber}: Description must contain more than 1 word, got: "${description}"`
-      );
-      return false;
+    for (const [field, min] of Object.entries(minWords)) {
+      const value = record[field];
+      if (typeof value !== "string") continue;
+
+      const words = value
+        .trim()
+        .split(/\s+/)
+        .filter((word) => word.length > 0);
+
+      if (words.length < min) {
+        this.addError(
+          `Line ${lineNumber}: Field "${field}" must contain at least ${min} words, got: "${value}"`
+        );
+        isValid = false;
+      }
     }
 
-    return true;
+    return isValid;
   }
 
   // Check variant ID uniqueness
@@ -218,27 +312,48 @@ class CatalogValidator {
   }
 
   // Validate a single variant
-  validateVariant(variant, lineNumber) {
+  validateVariant(variant, lineNumber, rules = this.getRules()) {
     this.stats.totalVariants++;
 
+    const variantRules = rules.variant;
     let isValid = true;
 
     // 1. Check mandatory variant fields
-    if (!this.validateVariantMandatoryFields(variant, lineNumber)) {
+    if (
+      !this.validateRequiredFields(
+        variant,
+        variantRules.required,
+        "variant",
+        lineNumber
+      )
+    ) {
+      isValid = false;
+    }
+
+    // 2. Check field types and URL formats
+    if (!this.validateFieldTypes(variant, variantRules.types, lineNumber)) {
+      isValid = false;
+    }
+    if (!this.validateUrls(variant, variantRules.urls, lineNumber)) {
       isValid = false;
     }
 
-    // 2. Check price validation
-    if (!this.validatePrice(variant, lineNumber)) {
+    // 3. Check price validation
+    if (!this.validatePrice(variant, variantRules.price, lineNumber)) {
       isValid = false;
     }
 
-    // 3. Check variant ID uniqueness
+    // 4. Check the catalog schema once the retailer rules pass
+    if (isValid) {
+      this.checkSchema(variant, this.getSchemas().variant, lineNumber);
+    }
+
+    // 5. Check variant ID uniqueness
     if (!this.validateVariantIdUniqueness(variant, lineNumber)) {
       isValid = false;
     }
 
-    // 4. Validate MPN grouping
+    // 6. Validate MPN grouping
     this.validateMpnGrouping(variant, lineNumber);
 
     if (isValid) {
@@ -254,29 +369,54 @@ class CatalogValidator {
   validateProduct(product, lineNumber) {
     this.stats.totalProducts++;
 
+    const rules = this.getRules(product.retailer_domain);
     let isProductValid = true;
+    const productErrorIndex = this.errors.length;
+    const productWarningIndex = this.warnings.length;
 
     // 1. Check mandatory product fields
-    if (!this.validateProductMandatoryFields(product, lineNumber)) {
+    if (
+      !this.validateRequiredFields(
+        product,
+        rules.product.required,
+        "product",
+        lineNumber
+      )
+    ) {
       isProductValid = false;
     }
 
-    // 2. Check description validation
-    if (!this.validateDescription(product, lineNumber)) {
+    // 2. Check field types and description length
+    if (!this.validateFieldTypes(product, rules.product.types, lineNumber)) {
+      isProductValid = false;
+    }
+    if (!this.validateWordCounts(product, rules.product.minWords, lineNumber)) {
       isProductValid = false;
     }
 
+    // 3. Check the catalog schema once the retailer rules pass
+    if (isProductValid) {
+      this.checkSchema(product, this.getSchemas().product, lineNumber);
+    }
+
     // If product-level validation fails, mark entire product as invalid
     if (!isProductValid) {
       this.stats.invalidProducts++;
-      return { isValid: false, validVariants: [] };
+      return {
+        isValid: false,
+        validVariants: [],
+        errors: this.reasonsSince(productErrorIndex),
+        rejectedVariants: [],
+      };
     }
 
     // Validate variants and filter out invalid ones
     const validVariants = [];
+    const rejectedVariants = [];
     if (product.variants && Array.isArray(product.variants)) {
       for (let i = 0; i < product.variants.length; i++) {
         const variant = product.variants[i];
+        const variantErrorIndex = this.errors.length;
 
         // Inherit product-level fields if missing in variant
         const enrichedVariant = {
@@ -287,10 +427,16 @@ class CatalogValidator {
           ...variant,
         };
 
-        if (this.validateVariant(enrichedVariant, `${lineNumber}.${i + 1}`)) {
+        if (
+          this.validateVariant(enrichedVariant, `${lineNumber}.${i + 1}`, rules)
+        ) {
           validVariants.push(enrichedVariant);
         } else {
           this.stats.filteredVariants++;
+          rejectedVariants.push({
+            variant_id: variant.variant_id ?? null,
+            reasons: this.reasonsSince(variantErrorIndex),
+          });
         }
       }
     }
@@ -299,11 +445,26 @@ class CatalogValidator {
     if (validVariants.length === 0) {
       this.stats.productsWithAllVariantsRemoved++;
       this.stats.invalidProducts++;
-      return { isValid: false, validVariants: [] };
+      return {
+        isValid: false,
+        validVariants: [],
+        errors: [
+          rejectedVariants.length > 0
+            ? "All variants failed validation"
+            : "Product has no variants",
+        ],
+        rejectedVariants,
+      };
     }
 
     this.stats.validProducts++;
-    return { isValid: true, validVariants };
+    return {
+      isValid: true,
+      validVariants,
+      errors: [],
+      warnings: this.reasonsSince(productWarningIndex, this.warnings),
+      rejectedVariants,
+    };
   }
 
   // Handle different data structures (flat variants vs nested structure)
@@ -518,9 +679,36 @@ async function main() {
     console.log(
       "   or: node validate-catalog.js --all  (to validate all catalog files)"
     );
+    console.log(
+      "   or: node validate-catalog.js --stream <catalog.jsonl[.gz]> [--output <valid.jsonl.gz>] [--report <report.json>] [--mpn-policy reject|repair|fail] [--check-images] [--offline]"
+    );
     process.exit(1);
   }
 
+  if (args[0] === "--stream") {
+    const inputPath = args[1];
+    if (!inputPath || inputPath.startsWith("--")) {
+      console.error("❌ --stream needs a catalog path");
+      process.exit(1);
+    }
+
+    try {
+      console.log(`🔍 Validating ${inputPath}...`);
+      const report = await validateCatalogStream(inputPath, {
+        outputPath: getFlagValue(args, "--output"),
+        reportPath: getFlagValue(args, "--report"),
+        mpnPolicy: getFlagValue(args, "--mpn-policy"),
+        checkImages: args.includes("--check-images"),
+        offline: args.includes("--offline") ? true : undefined,
+      });
+      printStreamSummary(report);
+      process.exit(report.stats.invalid_products > 0 ? 1 : 0);
+    } catch (error) {
+      console.error("❌ Validation failed with error:", error.message);
+      process.exit(1);
+    }
+  }
+
   const validator = new CatalogValidator();
 
   try {
@@ -579,74 +767,415 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-// Function to filter products and return only valid ones with counts
-function filterValidProducts(products) {
-  const validator = new CatalogValidator();
-  const validProducts = [];
-  let invalidCount = 0;
+// Colors whose variants carry more than one MPN: [{ color, mpns }]
+function findMpnConflicts(variants) {
+  const colorMpnMap = new Map(); // color -> Set(mpn)
 
-  for (let i = 0; i < products.length; i++) {
-    const product = products[i];
+  for (const variant of variants) {
+    const color = variant.color;
+    const mpn = variant.mpn;
 
-    // Create a temporary validator to check this product
-    const tempValidator = new CatalogValidator();
-    const result = tempValidator.validateProduct(product, i + 1);
+    if (!colorMpnMap.has(color)) {
+      colorMpnMap.set(color, new Set());
+    }
 
-    if (result.isValid && result.validVariants.length > 0) {
-      // Check MPN consistency within same color before accepting the product
-      const colorMpnMap = new Map(); // color -> Set(mpn)
+    colorMpnMap.get(color).add(mpn);
+  }
 
-      for (const variant of result.validVariants) {
-        const color = variant.color;
-        const mpn = variant.mpn;
+  return Array.from(colorMpnMap.entries())
+    .filter(([, mpns]) => mpns.size > 1)
+    .map(([color, mpns]) => ({ color, mpns: Array.from(mpns) }));
+}
 
-        if (!colorMpnMap.has(color)) {
-          colorMpnMap.set(color, new Set());
-        }
+/**
+ * Validate one product the way the crawlers do before writing a catalog
+ *
+ * Returns the product with only its valid variants (or null) together with
+ * the validator result, which carries the rejection reasons, and the MPN
+ * conflict found in the product if there was one.
+ * @param {Object} product - Catalog product
+ * @param {number|string} lineNumber - Position used in error messages
+ * @param {Object} options - { quiet, mpnPolicy, rules }
+ */
+function filterProduct(product, lineNumber, options = {}) {
+  const mpnPolicy = resolveMpnPolicy(options.mpnPolicy);
+  const validator = new CatalogValidator({
+    quiet: options.quiet,
+    rules: options.rules,
+  });
+  const result = validator.validateProduct(product, lineNumber);
+
+  if (!result.isValid || result.validVariants.length === 0) {
+    return { product: null, result, mpnIssue: null };
+  }
 
-        colorMpnMap.get(color).add(mpn);
-      }
+  let validVariants = result.validVariants;
+  let mpnIssue = null;
+
+  // Check MPN consistency within same color before accepting the product
+  const conflicts = findMpnConflicts(validVariants);
+  if (conflicts.length > 0) {
+    const productId =
+      product.parent_product_id ||
+      product.variants?.[0]?.parent_product_id ||
+      "unknown";
+    const messages = conflicts.map(
+      ({ color, mpns }) =>
+        `Variants with color "${color}" have different MPNs: [${mpns.join(
+          ", "
+        )}]`
+    );
 
-      // Check if any color has multiple MPNs
-      for (const [color, mpns] of colorMpnMap.entries()) {
-        if (mpns.size > 1) {
-          const productId =
-            product.parent_product_id ||
-            product.variants?.[0]?.parent_product_id ||
-            "unknown";
-          const mpnList = Array.from(mpns).join(", ");
-          throw new Error(
-            `MPN inconsistency detected in product "${productId}": ` +
-              `Variants with color "${color}" have different MPNs: [${mpnList}]. ` +
-              `All variants with the same color must have the same MPN.`
-          );
-        }
-      }
+    if (mpnPolicy === "fail") {
+      throw new Error(
+        `MPN inconsistency detected in product "${productId}": ` +
+          `${messages.join("; ")}. ` +
+          `All variants with the same color must have the same MPN.`
+      );
+    }
 
-      // Clean variants: remove product-level fields that were added for validation
-      const cleanVariants = result.validVariants.map((variant) => {
-        const { name, description, parent_product_id, ...cleanVariant } =
-          variant;
-        return cleanVariant;
-      });
+    mpnIssue = {
+      parent_product_id: productId,
+      name: product.name ?? null,
+      conflicts,
+      action: mpnPolicy === "repair" ? "repaired" : "rejected",
+    };
 
-      // Return product with filtered variants
-      validProducts.push({
-        ...product,
-        variants: cleanVariants,
-      });
+    if (mpnPolicy === "reject") {
+      result.isValid = false;
+      result.errors = messages;
+      return { product: null, result, mpnIssue };
+    }
+
+    // Repair: every variant of a conflicting color gets the MPN the crawlers
+    // would have generated from parent_product_id and color
+    const conflictingColors = new Set(conflicts.map(({ color }) => color));
+    validVariants = validVariants.map((variant) =>
+      conflictingColors.has(variant.color)
+        ? {
+            ...variant,
+            mpn: uuidv5(`${productId}-${variant.color}`, MPN_NAMESPACE),
+          }
+        : variant
+    );
+  }
+
+  // Clean variants: remove product-level fields that were added for validation
+  const cleanVariants = validVariants.map((variant) => {
+    const { name, description, parent_product_id, ...cleanVariant } = variant;
+    return cleanVariant;
+  });
+
+  // Return product with filtered variants
+  return {
+    product: { ...product, variants: cleanVariants },
+    result,
+    mpnIssue,
+  };
+}
+
+/**
+ * Filter products and return only valid ones with counts
+ * @param {Array} products - Catalog products
+ * @param {Object} options - { mpnPolicy, rules } mpnPolicy is reject (default), repair or fail; MPN_POLICY env also works
+ */
+function filterValidProducts(products, options = {}) {
+  const mpnPolicy = resolveMpnPolicy(options.mpnPolicy);
+  const validProducts = [];
+  const mpnIssues = [];
+  let invalidCount = 0;
+  let totalVariantsFiltered = 0;
+
+  for (let i = 0; i < products.length; i++) {
+    const { product, result, mpnIssue } = filterProduct(products[i], i + 1, {
+      mpnPolicy,
+      rules: options.rules,
+    });
+    totalVariantsFiltered += result.rejectedVariants.length;
+
+    if (mpnIssue) {
+      mpnIssues.push(mpnIssue);
+    }
+
+    if (product) {
+      validProducts.push(product);
     } else {
       invalidCount++;
     }
   }
 
+  if (mpnIssues.length > 0) {
+    console.warn(
+      `⚠️ ${mpnIssues.length} products had inconsistent MPNs within a color (${
+        mpnPolicy === "repair" ? "repaired" : "rejected"
+      })`
+    );
+  }
+
+  countCrawlRun("validationRejects.products", invalidCount);
+  countCrawlRun("validationRejects.variants", totalVariantsFiltered);
+
   return {
     validProducts,
     validCount: validProducts.length,
     invalidCount,
     totalCount: products.length,
-    totalVariantsFiltered: validator.stats.filteredVariants,
+    totalVariantsFiltered,
+    mpnIssues,
+  };
+}
+
+// HEAD the image (falling back to GET for servers that refuse HEAD)
+async function checkImageUrl(url, timeoutMs) {
+  const request = { timeout: timeoutMs, validateStatus: () => true };
+
+  try {
+    let response = await axios.head(url, request);
+    if (response.status === 405 || response.status === 403) {
+      response = await axios.get(url, { ...request, responseType: "stream" });
+      response.data.destroy();
+    }
+    return { reachable: response.status < 400, status: response.status };
+  } catch (error) {
+    return { reachable: false, status: error.code || error.message };
+  }
+}
+
+/**
+ * Drop variants whose image URL cannot be fetched
+ * @param {Object} product - Validated product
+ * @param {Object} rule - imageReachability rule { field, timeoutMs }
+ * @param {Map} cache - url -> check result, shared across products
+ */
+async function applyImageReachabilityRule(product, rule, cache) {
+  const variants = [];
+  const rejectedVariants = [];
+
+  for (const variant of product.variants) {
+    const url = variant[rule.field];
+    if (!cache.has(url)) {
+      cache.set(url, await checkImageUrl(url, rule.timeoutMs));
+    }
+
+    const check = cache.get(url);
+    if (check.reachable) {
+      variants.push(variant);
+    } else {
+      rejectedVariants.push({
+        variant_id: variant.variant_id ?? null,
+        reasons: [`Image URL is not reachable (${check.status}): ${url}`],
+      });
+    }
+  }
+
+  return { product: { ...product, variants }, rejectedVariants };
+}
+
+/**
+ * Validate a catalog.jsonl / catalog.jsonl.gz line by line
+ *
+ * Valid products are streamed into a new gzipped JSONL file and every rejected
+ * product and variant is recorded with its reasons in a JSON report.
+ * @param {string} inputPath - catalog.jsonl, catalog.jsonl.gz or catalog.json
+ * @param {Object} options - { outputPath, reportPath, mpnPolicy, rules, checkImages, offline }
+ */
+async function validateCatalogStream(inputPath, options = {}) {
+  const mpnPolicy = resolveMpnPolicy(options.mpnPolicy);
+  // The image reachability rule needs the network; offline runs skip it
+  const offline =
+    options.offline ?? process.env.CATALOG_VALIDATION_OFFLINE === "true";
+  const imageCache = new Map();
+  const dirPath = path.dirname(inputPath);
+  const outputPath =
+    options.outputPath || path.join(dirPath, "catalog.validated.jsonl.gz");
+  const reportPath =
+    options.reportPath || path.join(dirPath, "validation-report.json");
+
+  const report = {
+    input: inputPath,
+    output: outputPath,
+    schema_version: CATALOG_SCHEMA_VERSION,
+    mpn_policy: mpnPolicy,
+    image_reachability: offline
+      ? "skipped (offline)"
+      : options.checkImages
+      ? "enabled"
+      : "per retailer rules",
+    stats: {
+      total_products: 0,
+      valid_products: 0,
+      invalid_products: 0,
+      total_variants: 0,
+      valid_variants: 0,
+      invalid_variants: 0,
+    },
+    rejected_products: [],
+    rejected_variants: [],
+    mpn_issues: [],
+    warnings: [],
   };
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const gzipStream = zlib.createGzip();
+  const written = pipeline(gzipStream, fs.createWriteStream(outputPath));
+  // A failed output file rejects `written`, which is awaited below
+  written.catch(() => {});
+
+  try {
+    for await (const { product, line, error } of readCatalogProducts(
+      inputPath,
+      { tolerateInvalidJson: true }
+    )) {
+      report.stats.total_products++;
+
+      if (!product) {
+        report.stats.invalid_products++;
+        report.rejected_products.push({
+          line,
+          parent_product_id: null,
+          name: null,
+          reasons: [`Invalid JSON syntax - ${error}`],
+        });
+        continue;
+      }
+
+      const productId = product.parent_product_id ?? null;
+      report.stats.total_variants += product.variants?.length || 0;
+
+      const { result, mpnIssue, ...filtered } = filterProduct(product, line, {
+        quiet: true,
+        mpnPolicy,
+        rules: options.rules,
+      });
+      let validProduct = filtered.product;
+
+      if (mpnIssue) {
+        report.mpn_issues.push({ line, ...mpnIssue });
+      }
+      if (result.warnings && result.warnings.length > 0) {
+        report.warnings.push({
+          line,
+          parent_product_id: productId,
+          warnings: result.warnings,
+        });
+      }
+
+      result.rejectedVariants.forEach((variant) => {
+        report.rejected_variants.push({
+          line,
+          parent_product_id: productId,
+          ...variant,
+        });
+      });
+
+      if (!validProduct) {
+        report.stats.invalid_products++;
+        report.rejected_products.push({
+          line,
+          parent_product_id: productId,
+          name: product.name ?? null,
+          reasons: result.errors,
+        });
+        continue;
+      }
+
+      const imageRule = getValidationRules(
+        product.retailer_domain,
+        options.rules
+      ).variant.imageReachability;
+      if (!offline && (options.checkImages || imageRule.enabled)) {
+        const checked = await applyImageReachabilityRule(
+          validProduct,
+          imageRule,
+          imageCache
+        );
+        checked.rejectedVariants.forEach((variant) => {
+          report.rejected_variants.push({
+            line,
+            parent_product_id: productId,
+            ...variant,
+          });
+        });
+
+        if (checked.product.variants.length === 0) {
+          report.stats.invalid_products++;
+          report.rejected_products.push({
+            line,
+            parent_product_id: productId,
+            name: product.name ?? null,
+            reasons: ["No variant has a reachable image"],
+          });
+          continue;
+        }
+        validProduct = checked.product;
+      }
+
+      const prefix = report.stats.valid_products > 0 ? "\n" : "";
+      if (!gzipStream.write(prefix + JSON.stringify(validProduct))) {
+        await Promise.race([once(gzipStream, "drain"), written]);
+      }
+      report.stats.valid_products++;
+      report.stats.valid_variants += validProduct.variants.length;
+    }
+
+    gzipStream.end();
+    await written;
+  } catch (error) {
+    gzipStream.destroy();
+    throw error;
+  }
+
+  // Includes the variants of rejected products, which are not listed one by one
+  report.stats.invalid_variants =
+    report.stats.total_variants - report.stats.valid_variants;
+  report.generated_at = new Date().toISOString();
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), "utf8");
+
+  return { ...report, reportPath };
+}
+
+// Print the outcome of validateCatalogStream
+function printStreamSummary(report) {
+  const { stats } = report;
+  const rate = (valid, total) =>
+    total > 0 ? ((valid / total) * 100).toFixed(2) : 0;
+
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 VALIDATION SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`📦 Total Products: ${stats.total_products}`);
+  console.log(`✅ Valid Products: ${stats.valid_products}`);
+  console.log(`❌ Invalid Products: ${stats.invalid_products}`);
+  console.log(
+    `📈 Product Success Rate: ${rate(stats.valid_products, stats.total_products)}%`
+  );
+  console.log(`\n🔢 Total Variants: ${stats.total_variants}`);
+  console.log(`✅ Valid Variants: ${stats.valid_variants}`);
+  console.log(`❌ Invalid Variants: ${stats.invalid_variants}`);
+  console.log(
+    `📈 Variant Success Rate: ${rate(stats.valid_variants, stats.total_variants)}%`
+  );
+  if (report.mpn_issues.length > 0) {
+    console.log(
+      `\n🏷️ MPN Issues: ${report.mpn_issues.length} (policy: ${report.mpn_policy})`
+    );
+  }
+  console.log(`\n✅ Valid products saved: ${report.output}`);
+  console.log(`📝 Rejection report saved: ${report.reportPath}`);
+  console.log("=".repeat(60));
+}
+
+// Value following a --flag on the command line
+function getFlagValue(args, flag) {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
 }
 
-module.exports = { CatalogValidator, filterValidProducts };
+module.exports = {
+  MPN_POLICIES,
+  CatalogValidator,
+  filterProduct,
+  filterValidProducts,
+  validateCatalogStream,
+};
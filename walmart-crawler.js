@@ -13,6 +13,8 @@ const {
   determineProductDetails,
 } = require('./utils/helper')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
+const { recordPriceHistory } = require('./utils/priceHistory')
 
 // Add your SerpApi key here
 const SERPAPI_KEY = process.env.SERPAPI_KEY || 'your_serpapi_key_here'
@@ -311,6 +313,8 @@ async function generateCSV(searchResults, catId, countryCode = 'US') {
   fs.writeFileSync(gzippedFilePath, gzippedBuffer)
   console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
 
+  await recordPriceHistory(formattedProducts, { feedDir: dirPath })
+
   // Log MongoDB results
   console.log(`\n📊 Processing Results:`)
   console.log(`  Products processed: ${formattedProducts.length}`)
@@ -347,7 +351,7 @@ async function saveProductToMongoDB(productData) {
   }
 }
 
-const main = async (catId, maxPages = 500) => {
+const crawlWalmart = async (catId, maxPages = 500) => {
   if (!SERPAPI_KEY || SERPAPI_KEY === 'your_serpapi_key_here') {
     console.error(
       '❌ Please set your SERPAPI_KEY environment variable or update the script with your API key'
@@ -429,6 +433,11 @@ const main = async (catId, maxPages = 500) => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'walmart', source: 'walmart-crawler' },
+  crawlWalmart
+)
+
 // Allow script to be run directly or imported
 if (require.main === module) {
   const catId = process.argv[2] || '5438' // Default to Home category
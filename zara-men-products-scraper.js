@@ -6,13 +6,15 @@ const fs = require('fs')
 const axios = require('axios')
 const sanitizeHtml = require('sanitize-html')
 const { v4: uuidv4, v5: uuidv5 } = require('uuid')
-const zlib = require('zlib')
+const { writeCatalog } = require('./utils/catalogWriter')
+const { recordPriceHistory } = require('./utils/priceHistory')
 const path = require('path')
 
 // Import helper functions and database
 const { connectDB, disconnectDB } = require('./database/connection')
 const Product = require('./models/Product')
 const Store = require('./models/Store')
+const { linkStoreProducts } = require('./utils/storeProducts')
 const {
   calculateDiscount,
   extractSize,
@@ -22,6 +24,7 @@ const {
   getDomainName,
 } = require('./utils/helper')
 const { filterValidProducts } = require('./validate-catalog')
+const { trackCrawlRun } = require('./utils/crawlRunLedger')
 
 // Helper function to chunk array into smaller arrays
 const chunkArray = (array, chunkSize) => {
@@ -77,7 +80,12 @@ const getProductDetails = async (product, page) => {
 }
 
 // Helper function to process a group of products with the same deep link URL
-const processGroupedProduct = async (groupedProducts, page, gender = 'Men') => {
+const processGroupedProduct = async (
+  groupedProducts,
+  page,
+  gender = 'Men',
+  options = {}
+) => {
   // Use the first product as the representative for the group
   const representativeProduct = groupedProducts[0]
   console.log(
@@ -222,7 +230,10 @@ const processGroupedProduct = async (groupedProducts, page, gender = 'Men') => {
     `📦 Grouped product processed: ${formattedProduct.name} with ${formattedProduct.variants.length} total variants from ${groupedProducts.length} source products`
   )
 
-  const mongoResult = await saveProductToMongoDB(formattedProduct)
+  // Recrawls diff against the stored products afterwards instead of inserting
+  const mongoResult = options.recrawl
+    ? { operation: 'SKIPPED' }
+    : await saveProductToMongoDB(formattedProduct)
 
   return { formattedProduct, mongoResult }
 }
@@ -402,25 +413,20 @@ async function saveStoreEntry(storeData, productIds) {
 
     if (existingStore) {
       console.log('Store already exists, updating with new products...')
-      // Add new product IDs to existing store (avoid duplicates)
-      const existingProductIds = existingStore.products.map((id) =>
-        id.toString()
+      // Link the new products to the existing store
+      const newProductCount = await linkStoreProducts(
+        existingStore._id,
+        productIds
       )
-      const newProductIds = productIds.filter(
-        (id) => !existingProductIds.includes(id.toString())
-      )
-
-      existingStore.products.push(...newProductIds)
       existingStore.isScrapped = true
       existingStore.updatedAt = new Date()
 
       await existingStore.save()
-      console.log(`✅ Updated store with ${newProductIds.length} new products`)
+      console.log(`✅ Updated store with ${newProductCount} new products`)
       return { operation: 'UPDATED', store: existingStore }
     } else {
       // Create new store entry
       const newStore = new Store({
-        products: productIds,
         name: storeData.name || 'Zara',
         storeTemplate: 'zara-template',
         storeType: 'zara',
@@ -436,6 +442,7 @@ async function saveStoreEntry(storeData, productIds) {
       })
 
       await newStore.save()
+      await linkStoreProducts(newStore._id, productIds)
       console.log(`✅ Created new store with ${productIds.length} products`)
       return { operation: 'CREATED', store: newStore }
     }
@@ -548,7 +555,7 @@ async function scrapeZaraCategory(
 }
 
 // Generate files for combined products from all categories
-async function generateCombinedFiles(products, storeData, page) {
+async function generateCombinedFiles(products, storeData, page, options = {}) {
   const countryCode = storeData.country || 'US'
   const formattedProducts = []
   const productIds = [] // Track product IDs for store entry
@@ -597,7 +604,12 @@ async function generateCombinedFiles(products, storeData, page) {
     )
 
     try {
-      const result = await processGroupedProduct(groupedProducts, page, gender)
+      const result = await processGroupedProduct(
+        groupedProducts,
+        page,
+        gender,
+        options
+      )
 
       if (result.formattedProduct) {
         formattedProducts.push(result.formattedProduct)
@@ -648,44 +660,29 @@ async function generateCombinedFiles(products, storeData, page) {
     `📊 Validation: ${filterResults.validCount} valid, ${filterResults.invalidCount} invalid out of ${filterResults.totalCount} total products`
   )
 
-  // Save formatted data as JSON
-  const jsonFilePath = path.join(dirPath, 'catalog.json')
-  const catalogData = {
-    store_info: {
+  // Stream catalog.json, catalog.jsonl and catalog.jsonl.gz
+  const { gzippedFilePath } = await writeCatalog(
+    dirPath,
+    {
       name: storeData.name || 'Zara',
       domain: 'zara.com',
       currency: storeData.currency || 'USD',
       country: countryCode,
-      total_products: finalProducts.length,
       original_products_scraped: filterResults.totalCount,
       invalid_products_filtered: filterResults.invalidCount,
       categories: ['Men', 'Women'],
       crawled_at: new Date().toISOString(),
     },
-    products: finalProducts,
-  }
-
-  fs.writeFileSync(jsonFilePath, JSON.stringify(catalogData, null, 2), 'utf8')
-  console.log(`JSON file generated: ${jsonFilePath}`)
-
-  // Create JSONL file (each product on a separate line)
-  const jsonlFilePath = path.join(dirPath, 'catalog.jsonl')
-  const jsonlContent = finalProducts
-    .map((product) => JSON.stringify(product))
-    .join('\n')
-  fs.writeFileSync(jsonlFilePath, jsonlContent, 'utf8')
-  console.log(`JSONL file generated: ${jsonlFilePath}`)
-
-  // Gzip the JSONL file
-  const gzippedFilePath = `${jsonlFilePath}.gz`
-  const jsonlBuffer = fs.readFileSync(jsonlFilePath)
-  const gzippedBuffer = zlib.gzipSync(jsonlBuffer)
-  fs.writeFileSync(gzippedFilePath, gzippedBuffer)
-  console.log(`Gzipped JSONL file generated: ${gzippedFilePath}`)
+    finalProducts
+  )
+  await recordPriceHistory(finalProducts, { feedDir: dirPath })
 
   // Create or update store entry with all product IDs
-  console.log('\n📦 Creating/updating store entry...')
-  const storeResult = await saveStoreEntry(storeData, productIds)
+  let storeResult = { operation: 'SKIPPED' }
+  if (!options.recrawl) {
+    console.log('\n📦 Creating/updating store entry...')
+    storeResult = await saveStoreEntry(storeData, productIds)
+  }
 
   // Log MongoDB results
   console.log(`\n📊 MongoDB Results:`)
@@ -703,7 +700,7 @@ async function generateCombinedFiles(products, storeData, page) {
   }
 }
 
-async function scrapeZaraProducts() {
+async function scrapeZaraProducts(options = {}) {
   let browser
 
   try {
@@ -874,7 +871,8 @@ async function scrapeZaraProducts() {
     const combinedFilesResult = await generateCombinedFiles(
       allProducts,
       storeData,
-      page
+      page,
+      options
     )
 
     allResults.push({
@@ -925,9 +923,10 @@ async function scrapeZaraProducts() {
 }
 
 // Export the main function for use in other modules
-const main = async () => {
+// Pass { recrawl: true } to skip Mongo inserts (see utils/catalogRecrawl.js)
+const crawlZara = async (options = {}) => {
   try {
-    const results = await scrapeZaraProducts()
+    const results = await scrapeZaraProducts(options)
 
     if (results && results.length > 0) {
       console.log('\n🎉 Zara products crawling completed successfully!')
@@ -969,6 +968,11 @@ const main = async () => {
   }
 }
 
+const main = trackCrawlRun(
+  { retailer: 'zara', source: 'zara-men-products-scraper' },
+  crawlZara
+)
+
 // Run the scraper
 if (require.main === module) {
   // Check if we're running in test mode